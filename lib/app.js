@@ -0,0 +1,48 @@
+const path = require('path');
+const express = require('express');
+const cors = require('cors');
+const { createApiRouter } = require('./routes');
+const { createFeedsRouter } = require('./routes/feeds');
+const { createPagesRouter } = require('./routes/pages');
+const { errorHandler } = require('./middleware/error-handler');
+const { securityHeaders, createOriginCheck } = require('./middleware/security');
+
+const DEFAULT_RATE_LIMIT = { windowMs: 60 * 1000, perIp: 120, perUser: 60 };
+
+// The Express app, without listen(), so it can be started by server.js or
+// driven directly. corsOrigins, publicUrl and trustProxy are the settings of
+// the same name from lib/config.js; maxJsonSize is in bytes and rateLimit is
+// { windowMs, perIp, perUser } for writes to the API
+function createApp(services, {
+    corsOrigins = ['*'],
+    publicUrl = null,
+    trustProxy = 0,
+    maxJsonSize = 256 * 1024,
+    rateLimit = DEFAULT_RATE_LIMIT
+} = {}) {
+    const app = express();
+    // Behind a proxy, req.ip and req.secure come from its X-Forwarded-* headers
+    app.set('trust proxy', trustProxy);
+    app.disable('x-powered-by');
+
+    // Middleware
+    app.use(securityHeaders());
+    // The client reads ETag to send it back in If-Match, and the RateLimit-*
+    // headers of writes
+    app.use(cors({
+        origin: corsOrigins.includes('*') ? '*' : corsOrigins,
+        exposedHeaders: ['ETag', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
+    }));
+    app.use('/api', createOriginCheck({ corsOrigins, publicUrl }));
+    app.use(express.json({ limit: maxJsonSize }));
+    app.use(createFeedsRouter(services, { publicUrl }));
+    app.use(createPagesRouter(services, { publicUrl }));
+    app.use(express.static(path.join(__dirname, '..', 'public')));
+
+    app.use('/api', createApiRouter(services, { rateLimit }));
+    app.use(errorHandler);
+
+    return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,60 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Next to the database directory (storage/blog-db)
+const UPLOADS_DIR = path.join(__dirname, '..', 'storage', 'uploads');
+
+// Attachment files on disk. Names are random, so they can't be guessed and
+// never clash; the name the file was uploaded with is kept in the database
+class AttachmentStorage {
+    constructor(directory = UPLOADS_DIR) {
+        this.directory = directory;
+    }
+
+    // A new random file name with the given extension (".png")
+    createName(extension) {
+        return `${crypto.randomBytes(16).toString('hex')}${extension}`;
+    }
+
+    // basename() keeps a name from the URL from pointing outside the directory
+    pathOf(name) {
+        return path.join(this.directory, path.basename(name));
+    }
+
+    async save(name, buffer) {
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(this.pathOf(name), buffer, { flag: 'wx' });
+    }
+
+    // Already gone counts as removed
+    async remove(name) {
+        try {
+            await fs.unlink(this.pathOf(name));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                throw err;
+            }
+        }
+    }
+
+    // Every stored file as { name, modifiedAt }
+    async list() {
+        let names;
+        try {
+            names = await fs.readdir(this.directory);
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return [];
+            }
+            throw err;
+        }
+
+        return Promise.all(names.map(async (name) => {
+            const { mtimeMs } = await fs.stat(this.pathOf(name));
+            return { name, modifiedAt: mtimeMs };
+        }));
+    }
+}
+
+module.exports = { AttachmentStorage, UPLOADS_DIR };
@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+const { DB_PATH } = require('./database');
+const { UPLOADS_DIR } = require('./attachment-storage');
+const { LOG_LEVELS } = require('./logger');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_CONFIG_FILE = path.join(ROOT_DIR, 'config.json');
+
+// Thrown by loadConfig with every problem found, not just the first
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+// Each parser gets the raw value (a string from the environment, or any
+// JSON value from the config file) and returns { value } or { error }
+function parseInteger(raw, { min, max }) {
+    const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+    if (!Number.isInteger(value) || value < min || value > max) {
+        return { error: max === Infinity ? `must be an integer of at least ${min}` : `must be an integer from ${min} to ${max}` };
+    }
+    return { value };
+}
+
+function parsePath(raw) {
+    if (typeof raw !== 'string' || raw.trim() === '') {
+        return { error: 'must be a file path' };
+    }
+    // SQLite's in-memory database is not a file
+    const file = raw.trim();
+    return { value: file === ':memory:' ? file : path.resolve(ROOT_DIR, file) };
+}
+
+function parseDirectory(raw) {
+    if (typeof raw !== 'string' || raw.trim() === '') {
+        return { error: 'must be a directory path' };
+    }
+    return { value: path.resolve(ROOT_DIR, raw.trim()) };
+}
+
+// "*" allows any origin; otherwise a list of origins such as
+// "https://blog.example.com", comma-separated in the environment
+function parseOrigins(raw) {
+    const list = Array.isArray(raw) ? raw : String(raw).split(',');
+    const origins = list.map(origin => String(origin).trim().replace(/\/+$/, '')).filter(Boolean);
+
+    if (origins.length === 0) {
+        return { error: 'must list at least one origin, or "*"' };
+    }
+    if (origins.includes('*')) {
+        return origins.length === 1 ? { value: origins } : { error: '"*" cannot be combined with other origins' };
+    }
+
+    for (const origin of origins) {
+        let url;
+        try {
+            url = new URL(origin);
+        } catch (err) {
+            return { error: `"${origin}" is not an origin like https://blog.example.com` };
+        }
+        if (url.origin !== origin) {
+            return { error: `"${origin}" is not an origin like https://blog.example.com` };
+        }
+    }
+    return { value: origins };
+}
+
+// The address the blog is reached at, such as "https://blog.example.com" or
+// "https://example.com/blog", for the absolute links in the feeds
+function parsePublicUrl(raw) {
+    const value = String(raw).trim().replace(/\/+$/, '');
+    let url;
+    try {
+        url = new URL(value);
+    } catch (err) {
+        return { error: 'must be a URL like https://blog.example.com' };
+    }
+    if (!['http:', 'https:'].includes(url.protocol) || url.search || url.hash) {
+        return { error: 'must be a URL like https://blog.example.com' };
+    }
+    return { value: url.href.replace(/\/+$/, '') };
+}
+
+function parseLogLevel(raw) {
+    const level = String(raw).trim().toLowerCase();
+    if (!LOG_LEVELS.includes(level)) {
+        return { error: `must be one of: ${LOG_LEVELS.join(', ')}` };
+    }
+    return { value: level };
+}
+
+// Every setting, the environment variable that sets it and its default
+const SETTINGS = {
+    port: {
+        env: 'PORT',
+        default: 3001,
+        parse: raw => parseInteger(raw, { min: 0, max: 65535 })
+    },
+    databasePath: {
+        env: 'DATABASE_PATH',
+        default: DB_PATH,
+        parse: parsePath
+    },
+    // Where attachment files and their thumbnails are stored
+    uploadsPath: {
+        env: 'UPLOADS_PATH',
+        default: UPLOADS_DIR,
+        parse: parseDirectory
+    },
+    // Largest attachment accepted, in megabytes
+    maxUploadMb: {
+        env: 'MAX_UPLOAD_MB',
+        default: 10,
+        parse: raw => parseInteger(raw, { min: 1, max: 100 })
+    },
+    // Largest file POST /api/import accepts, in megabytes
+    maxImportMb: {
+        env: 'MAX_IMPORT_MB',
+        default: 50,
+        parse: raw => parseInteger(raw, { min: 1, max: 500 })
+    },
+    // Largest JSON request body, in kilobytes
+    maxJsonKb: {
+        env: 'MAX_JSON_KB',
+        default: 256,
+        parse: raw => parseInteger(raw, { min: 16, max: 10240 })
+    },
+    corsOrigins: {
+        env: 'CORS_ORIGINS',
+        default: ['*'],
+        parse: parseOrigins
+    },
+    // Writes to the API (POST, PUT, PATCH, DELETE) allowed per IP address
+    // and per logged-in user in each window
+    rateLimitWindowSeconds: {
+        env: 'RATE_LIMIT_WINDOW_SECONDS',
+        default: 60,
+        parse: raw => parseInteger(raw, { min: 1, max: 86400 })
+    },
+    rateLimitPerIp: {
+        env: 'RATE_LIMIT_PER_IP',
+        default: 120,
+        parse: raw => parseInteger(raw, { min: 1, max: Infinity })
+    },
+    rateLimitPerUser: {
+        env: 'RATE_LIMIT_PER_USER',
+        default: 60,
+        parse: raw => parseInteger(raw, { min: 1, max: Infinity })
+    },
+    // Proxies in front of the server whose X-Forwarded-For and
+    // X-Forwarded-Proto are trusted, for client IPs and HTTPS
+    trustProxy: {
+        env: 'TRUST_PROXY',
+        default: 0,
+        parse: raw => parseInteger(raw, { min: 0, max: 10 })
+    },
+    // Unset, feed links use the host each request was sent to
+    publicUrl: {
+        env: 'PUBLIC_URL',
+        default: null,
+        parse: parsePublicUrl
+    },
+    logLevel: {
+        env: 'LOG_LEVEL',
+        default: 'info',
+        parse: parseLogLevel
+    },
+    // Trashed posts are deleted for good once they have been in the trash this long
+    trashRetentionDays: {
+        env: 'TRASH_RETENTION_DAYS',
+        default: 30,
+        parse: raw => parseInteger(raw, { min: 1, max: Infinity })
+    }
+};
+
+// The JSON file named by CONFIG_FILE, or config.json next to package.json
+// if there is one. Its keys are the setting names above (port, logLevel, ...)
+function readConfigFile(env, problems) {
+    const file = env.CONFIG_FILE ? path.resolve(ROOT_DIR, env.CONFIG_FILE) : DEFAULT_CONFIG_FILE;
+    if (!env.CONFIG_FILE && !fs.existsSync(file)) {
+        return { file: null, values: {} };
+    }
+
+    let values;
+    try {
+        values = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        problems.push(`CONFIG_FILE: cannot read ${file} (${err.message})`);
+        return { file, values: {} };
+    }
+
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        problems.push(`CONFIG_FILE: ${file} must contain a JSON object`);
+        return { file, values: {} };
+    }
+
+    Object.keys(values)
+        .filter(key => !SETTINGS[key])
+        .forEach(key => problems.push(`${path.basename(file)}: unknown setting "${key}"`));
+
+    return { file, values };
+}
+
+// Settings from the environment, then the config file, then the defaults.
+// Throws a ConfigError listing everything that is wrong.
+function loadConfig(env = process.env) {
+    const problems = [];
+    const { file, values } = readConfigFile(env, problems);
+    const config = { configFile: file };
+
+    Object.entries(SETTINGS).forEach(([name, setting]) => {
+        let raw;
+        let source;
+        if (env[setting.env] !== undefined && env[setting.env] !== '') {
+            raw = env[setting.env];
+            source = setting.env;
+        } else if (values[name] !== undefined) {
+            raw = values[name];
+            source = `${path.basename(file)}: ${name}`;
+        } else {
+            config[name] = setting.default;
+            return;
+        }
+
+        const result = setting.parse(raw);
+        if (result.error) {
+            problems.push(`${source} ${result.error}`);
+        } else {
+            config[name] = result.value;
+        }
+    });
+
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+    return Object.freeze(config);
+}
+
+module.exports = {
+    ConfigError,
+    SETTINGS,
+    loadConfig
+};
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const sqlite3 = require('sqlite3').verbose();
+const { logger } = require('./logger');
+
+const DB_DIR = path.join(__dirname, '..', 'storage', 'blog-db');
+const DB_PATH = path.join(DB_DIR, 'blog.db');
+
+// Opens (and creates, if needed) the blog database; used by the server and
+// by scripts/migrate.js
+function openDatabase(file = DB_PATH) {
+    return new Promise((resolve, reject) => {
+        const dir = path.dirname(file);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const db = new sqlite3.Database(file, (err) => {
+            if (err) {
+                logger.error('Error opening database:', err);
+                reject(err);
+            } else {
+                resolve(db);
+            }
+        });
+    });
+}
+
+// Promise versions of the sqlite3 calls, used by the repositories and migrations
+function wrapDatabase(db) {
+    // There is one connection, so while a transaction is open every other
+    // statement would be part of it. Its statements carry it through
+    // AsyncLocalStorage; anyone else's, and other transactions, wait until
+    // it is over
+    const context = new AsyncLocalStorage();
+    let current = null;
+
+    async function waitForTurn() {
+        while (current && context.getStore() !== current) {
+            await current.done;
+        }
+    }
+
+    return {
+        async run(sql, params = []) {
+            await waitForTurn();
+            return new Promise((resolve, reject) => {
+                db.run(sql, params, function (err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve({ lastID: this.lastID, changes: this.changes });
+                    }
+                });
+            });
+        },
+        async get(sql, params = []) {
+            await waitForTurn();
+            return new Promise((resolve, reject) => {
+                db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+            });
+        },
+        async all(sql, params = []) {
+            await waitForTurn();
+            return new Promise((resolve, reject) => {
+                db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+            });
+        },
+        async exec(sql) {
+            await waitForTurn();
+            return new Promise((resolve, reject) => {
+                db.exec(sql, (err) => (err ? reject(err) : resolve()));
+            });
+        },
+        // Resolves with what fn resolves with once it is committed; rolls
+        // back if fn throws. Only fn's statements run until then
+        async transaction(fn) {
+            if (context.getStore()) {
+                throw new Error('Transactions cannot be nested');
+            }
+            // Checked and taken in one go, so two waiting transactions
+            // can't both start
+            while (current) {
+                await current.done;
+            }
+            let release;
+            const transaction = { done: new Promise((resolve) => { release = resolve; }) };
+            current = transaction;
+
+            try {
+                return await context.run(transaction, async () => {
+                    await this.run('BEGIN IMMEDIATE');
+                    try {
+                        const result = await fn();
+                        await this.run('COMMIT');
+                        return result;
+                    } catch (err) {
+                        await this.run('ROLLBACK');
+                        throw err;
+                    }
+                });
+            } finally {
+                current = null;
+                release();
+            }
+        }
+    };
+}
+
+module.exports = {
+    DB_DIR,
+    DB_PATH,
+    openDatabase,
+    wrapDatabase
+};
@@ -0,0 +1,98 @@
+// Errors with an HTTP status. Services throw them and the error handler
+// (middleware/error-handler.js) turns them into { error: message } responses
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+    }
+}
+
+class ValidationError extends HttpError {
+    constructor(message) {
+        super(400, message);
+    }
+}
+
+class AuthenticationError extends HttpError {
+    constructor(message = 'Authentication required') {
+        super(401, message);
+    }
+}
+
+class ForbiddenError extends HttpError {
+    constructor(message = 'You do not have permission to do that') {
+        super(403, message);
+    }
+}
+
+class NotFoundError extends HttpError {
+    constructor(message = 'Not found') {
+        super(404, message);
+    }
+}
+
+// A request body broke the field rules (see public/js/post-schema.js);
+// "errors" lists { field, message } so forms can mark each field
+class FieldValidationError extends HttpError {
+    constructor(errors) {
+        super(422, errors.map(error => error.message).join('. '));
+        this.errors = errors;
+    }
+}
+
+class ConflictError extends HttpError {
+    constructor(message) {
+        super(409, message);
+    }
+}
+
+// A post write was based on an outdated version; carries the stored post row
+// so the response can show what changed
+class VersionConflictError extends HttpError {
+    constructor(post) {
+        super(412, 'This post was changed by someone else after you loaded it');
+        this.post = post;
+    }
+}
+
+class PayloadTooLargeError extends HttpError {
+    constructor(message) {
+        super(413, message);
+    }
+}
+
+class UnsupportedMediaTypeError extends HttpError {
+    constructor(message) {
+        super(415, message);
+    }
+}
+
+class PreconditionRequiredError extends HttpError {
+    constructor(message) {
+        super(428, message);
+    }
+}
+
+// A rate limit was hit; retryAfter is in seconds and goes out as Retry-After
+class TooManyRequestsError extends HttpError {
+    constructor(retryAfter) {
+        super(429, `Too many requests. Try again in ${retryAfter} ${retryAfter === 1 ? 'second' : 'seconds'}.`);
+        this.retryAfter = retryAfter;
+    }
+}
+
+module.exports = {
+    HttpError,
+    ValidationError,
+    AuthenticationError,
+    ForbiddenError,
+    NotFoundError,
+    FieldValidationError,
+    ConflictError,
+    VersionConflictError,
+    PayloadTooLargeError,
+    UnsupportedMediaTypeError,
+    PreconditionRequiredError,
+    TooManyRequestsError
+};
@@ -0,0 +1,161 @@
+// RSS 2.0, Atom and JSON Feed versions of the newest posts. buildFeed() turns
+// post rows into one description of the feed; the render functions write it
+// out in each format. Every link in a feed is absolute, since feed readers
+// show the posts away from the blog
+const { formatPost } = require('./views');
+const { postUrl } = require('./pages');
+
+const FEED_TITLE = 'Blog MVC';
+const FEED_DESCRIPTION = 'The latest posts';
+
+// Characters XML 1.0 does not allow at all, not even escaped
+const INVALID_XML_CHARS = /[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
+const XML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+function escapeXml(value) {
+    return String(value)
+        .replace(INVALID_XML_CHARS, '')
+        .replace(/[&<>"']/g, char => XML_ENTITIES[char]);
+}
+
+// Root-relative links and images in the post HTML, such as attachments at
+// "/api/files/...", pointed at the blog
+function absolutizeUrls(html, baseUrl) {
+    return html.replace(/(\s(?:href|src)=")\/(?!\/)/g, `$1${baseUrl}/`);
+}
+
+function newest(dates) {
+    return dates.reduce((latest, date) => (!latest || date > latest ? date : latest), null);
+}
+
+// baseUrl is where the blog is reached, without a trailing slash. author and
+// tag narrow the feed the way they narrow GET /api/posts
+function buildFeed(rows, { baseUrl, author = '', tag = '' }) {
+    const query = new URLSearchParams();
+    if (author) query.set('author', author);
+    if (tag) query.set('tag', tag);
+    const search = query.toString() ? `?${query}` : '';
+
+    let title = FEED_TITLE;
+    if (author || tag) {
+        title += `: posts${author ? ` by ${author}` : ''}${tag ? ` tagged #${tag}` : ''}`;
+    }
+
+    const items = rows.map((row) => {
+        const post = formatPost(row, null);
+        const published = new Date(post.publishAt || post.createdAt);
+        const updated = new Date(post.updatedAt);
+
+        return {
+            url: postUrl(baseUrl, post.id),
+            title: post.title,
+            contentHtml: absolutizeUrls(post.contentHtml, baseUrl),
+            author: post.author,
+            tags: post.tags,
+            image: post.coverImage ? `${baseUrl}${post.coverImage.url}` : null,
+            published,
+            // A scheduled post goes out after its last edit
+            updated: newest([published, updated])
+        };
+    });
+
+    return {
+        title,
+        description: FEED_DESCRIPTION,
+        homePageUrl: `${baseUrl}/`,
+        feedUrls: {
+            rss: `${baseUrl}/feed.xml${search}`,
+            atom: `${baseUrl}/atom.xml${search}`,
+            json: `${baseUrl}/feed.json${search}`
+        },
+        // null for a feed without posts
+        updated: newest(items.map(item => item.updated)),
+        items
+    };
+}
+
+function renderRss(feed) {
+    const items = feed.items.map(item => `
+    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="true">${escapeXml(item.url)}</guid>
+      <pubDate>${item.published.toUTCString()}</pubDate>
+      <dc:creator>${escapeXml(item.author)}</dc:creator>
+${item.tags.map(tag => `      <category>${escapeXml(tag)}</category>\n`).join('')}\
+      <description>${escapeXml(item.contentHtml)}</description>
+    </item>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homePageUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <atom:link href="${escapeXml(feed.feedUrls.rss)}" rel="self" type="application/rss+xml"/>
+${feed.updated ? `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>\n` : ''}\
+    <generator>${FEED_TITLE}</generator>${items}
+  </channel>
+</rss>
+`;
+}
+
+function renderAtom(feed) {
+    const entries = feed.items.map(item => `
+  <entry>
+    <id>${escapeXml(item.url)}</id>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>
+    <published>${item.published.toISOString()}</published>
+    <updated>${item.updated.toISOString()}</updated>
+    <author><name>${escapeXml(item.author)}</name></author>
+${item.tags.map(tag => `    <category term="${escapeXml(tag)}"/>\n`).join('')}\
+    <content type="html">${escapeXml(item.contentHtml)}</content>
+  </entry>`).join('');
+
+    // Atom requires <updated>; a feed without posts never changed
+    const updated = feed.updated || new Date(0);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feed.feedUrls.atom)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <updated>${updated.toISOString()}</updated>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrls.atom)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.homePageUrl)}"/>
+  <generator>${FEED_TITLE}</generator>${entries}
+</feed>
+`;
+}
+
+// JSON Feed 1.1 (https://jsonfeed.org/version/1.1)
+function renderJsonFeed(feed) {
+    return JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        description: feed.description,
+        home_page_url: feed.homePageUrl,
+        feed_url: feed.feedUrls.json,
+        items: feed.items.map(item => ({
+            id: item.url,
+            url: item.url,
+            title: item.title,
+            content_html: item.contentHtml,
+            ...(item.image && { image: item.image }),
+            date_published: item.published.toISOString(),
+            date_modified: item.updated.toISOString(),
+            authors: [{ name: item.author }],
+            tags: item.tags
+        }))
+    }, null, 2);
+}
+
+module.exports = {
+    escapeXml,
+    buildFeed,
+    renderRss,
+    renderAtom,
+    renderJsonFeed
+};
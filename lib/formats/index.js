@@ -0,0 +1,36 @@
+const { UnsupportedMediaTypeError } = require('../errors');
+const { writeJson, readJson } = require('./json');
+const { writeMarkdownArchive, readMarkdownArchive } = require('./markdown-archive');
+const { readWxr } = require('./wxr');
+
+// What GET /api/export can write, by the name given in ?format=
+const EXPORT_FORMATS = {
+    json: { extension: 'json', mimeType: 'application/json', write: writeJson },
+    markdown: { extension: 'zip', mimeType: 'application/zip', write: writeMarkdownArchive }
+};
+
+const ZIP_SIGNATURE = Buffer.from('PK\u0003\u0004', 'latin1');
+
+// Reads an upload to POST /api/import, telling the format from its content.
+// Returns { format, items, ignored }: items are posts as found in the
+// file, still to be checked, with "errors" if they could not be read at all
+function readImportFile(buffer) {
+    if (buffer.subarray(0, 4).equals(ZIP_SIGNATURE)) {
+        return { format: 'markdown', items: readMarkdownArchive(buffer), ignored: 0 };
+    }
+
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    const start = text.trimStart().charAt(0);
+    if (start === '{' || start === '[') {
+        return { format: 'json', items: readJson(text), ignored: 0 };
+    }
+    if (start === '<') {
+        return { format: 'wxr', ...readWxr(text) };
+    }
+
+    throw new UnsupportedMediaTypeError(
+        'Import a JSON export, a zip of Markdown files or a WordPress export (WXR)'
+    );
+}
+
+module.exports = { EXPORT_FORMATS, readImportFile };
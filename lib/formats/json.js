@@ -0,0 +1,47 @@
+const { ValidationError } = require('../errors');
+
+// Written by GET /api/export?format=json and read back by POST /api/import.
+// posts are formatExportedPost() objects (lib/views.js)
+function writeJson(posts, { exportedAt }) {
+    return JSON.stringify({
+        generator: 'Blog MVC',
+        version: 1,
+        exportedAt,
+        posts
+    }, null, 2);
+}
+
+// Also takes a bare array of posts, e.g. written by hand or by a script
+function readJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new ValidationError(`The file is not valid JSON (${err.message})`);
+    }
+
+    const posts = Array.isArray(data) ? data : data && data.posts;
+    if (!Array.isArray(posts)) {
+        throw new ValidationError('The JSON file has no "posts" list');
+    }
+
+    return posts.map((post, index) => {
+        const source = `posts[${index}]`;
+        if (!post || typeof post !== 'object' || Array.isArray(post)) {
+            return { source, errors: ['Each post must be an object'] };
+        }
+        return {
+            source,
+            title: post.title,
+            content: post.content,
+            author: post.author,
+            status: post.status,
+            publishAt: post.publishAt,
+            createdAt: post.createdAt,
+            updatedAt: post.updatedAt,
+            tags: post.tags
+        };
+    });
+}
+
+module.exports = { writeJson, readJson };
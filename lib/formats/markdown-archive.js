@@ -0,0 +1,106 @@
+const { zipSync, unzipSync, strToU8, strFromU8 } = require('fflate');
+const YAML = require('yaml');
+const { ValidationError } = require('../errors');
+
+// Limits on what an uploaded archive may unpack to
+const MAX_ARCHIVE_FILES = 5000;
+const MAX_ARCHIVE_SIZE = 200 * 1024 * 1024;
+
+const FRONT_MATTER = /^---[ \t]*\r?\n([\s\S]*?)\r?\n?---[ \t]*(?:\r?\n|$)/;
+const MARKDOWN_FILE = /\.(md|markdown)$/i;
+
+// "posts/12-my-first-post.md"
+function fileNameFor(post) {
+    const slug = post.title
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60)
+        .replace(/-+$/, '');
+    return `posts/${post.id}${slug ? `-${slug}` : ''}.md`;
+}
+
+// One Markdown file per post, its fields in YAML front matter. posts are
+// formatExportedPost() objects (lib/views.js)
+function writeMarkdownArchive(posts) {
+    const files = {};
+    posts.forEach((post) => {
+        const { id, content, ...fields } = post;
+        files[fileNameFor(post)] = strToU8(`---\n${YAML.stringify(fields)}---\n\n${content}\n`);
+    });
+    return Buffer.from(zipSync(files, { level: 6 }));
+}
+
+function isPostFile(name) {
+    const base = name.split('/').pop();
+    return MARKDOWN_FILE.test(name) && !name.startsWith('__MACOSX/') && !base.startsWith('.');
+}
+
+function unpack(buffer) {
+    let count = 0;
+    let size = 0;
+
+    try {
+        return unzipSync(new Uint8Array(buffer), {
+            filter(file) {
+                if (!isPostFile(file.name)) {
+                    return false;
+                }
+                count++;
+                size += file.originalSize;
+                if (count > MAX_ARCHIVE_FILES || size > MAX_ARCHIVE_SIZE) {
+                    throw new ValidationError(`Archives may hold at most ${MAX_ARCHIVE_FILES} posts and 200 MB of Markdown`);
+                }
+                return true;
+            }
+        });
+    } catch (err) {
+        if (err instanceof ValidationError) {
+            throw err;
+        }
+        throw new ValidationError('The zip archive could not be read');
+    }
+}
+
+// Front matter keys are those of the JSON export. "date" (Jekyll, Hugo) is
+// read as createdAt and "draft: true" (Hugo) as the draft status
+function readPostFile(source, file) {
+    const text = file.replace(/^\uFEFF/, '');
+    const match = FRONT_MATTER.exec(text);
+    if (!match) {
+        return { source, errors: ["The file has no front matter with the post's title"] };
+    }
+
+    let fields;
+    try {
+        fields = YAML.parse(match[1]) || {};
+    } catch (err) {
+        return { source, errors: [`The front matter is not valid YAML (${err.message.split('\n')[0]})`] };
+    }
+    if (typeof fields !== 'object' || Array.isArray(fields)) {
+        return { source, errors: ['The front matter must be a list of "key: value" lines'] };
+    }
+
+    return {
+        source,
+        title: typeof fields.title === 'number' ? String(fields.title) : fields.title,
+        content: text.slice(match[0].length),
+        author: fields.author,
+        status: fields.draft === true ? 'draft' : fields.status,
+        publishAt: fields.publishAt,
+        createdAt: fields.createdAt || fields.date,
+        updatedAt: fields.updatedAt,
+        tags: typeof fields.tags === 'string' ? fields.tags.split(',') : fields.tags
+    };
+}
+
+function readMarkdownArchive(buffer) {
+    const files = unpack(buffer);
+    return Object.keys(files)
+        .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }))
+        .map(name => readPostFile(name, strFromU8(files[name])));
+}
+
+module.exports = { writeMarkdownArchive, readMarkdownArchive };
@@ -0,0 +1,132 @@
+const { XMLParser } = require('fast-xml-parser');
+const TurndownService = require('turndown');
+const { ValidationError } = require('../errors');
+
+// WordPress statuses; posts in the trash and unsaved auto-drafts are left out
+const STATUSES = {
+    publish: 'published',
+    future: 'scheduled',
+    draft: 'draft',
+    pending: 'draft',
+    private: 'draft'
+};
+
+const parser = new XMLParser({
+    ignoreAttributes: false,
+    parseTagValue: false,
+    isArray: (name, jpath) => jpath === 'rss.channel.item' || jpath === 'rss.channel.item.category'
+});
+
+const turndown = new TurndownService({
+    headingStyle: 'atx',
+    codeBlockStyle: 'fenced',
+    bulletListMarker: '-',
+    emDelimiter: '*'
+});
+
+const BLOCK_START = /^<(?:p|h[1-6]|ul|ol|pre|blockquote|table|div|figure|hr)[\s>/]/i;
+
+// WordPress' classic editor saves paragraphs as blank lines and line breaks
+// as newlines, and adds the <p> and <br> tags when showing the post
+function addParagraphs(html) {
+    const blocks = [];
+    // Blank lines inside <pre> are part of the code
+    const text = html.replace(/<pre[\s>][\s\S]*?<\/pre>/gi, (pre) => {
+        blocks.push(pre);
+        return `\n\n\u0000${blocks.length - 1}\u0000\n\n`;
+    });
+
+    return text
+        .split(/\n\s*\n/)
+        .map(block => block.trim())
+        .filter(Boolean)
+        .map((block) => {
+            const pre = /^\u0000(\d+)\u0000$/.exec(block);
+            if (pre) {
+                return blocks[Number(pre[1])];
+            }
+            return BLOCK_START.test(block) ? block : `<p>${block.replace(/\n/g, '<br>\n')}</p>`;
+        })
+        .join('\n');
+}
+
+// Posts here are Markdown; WordPress keeps HTML, with block editor comments
+// and [caption] shortcodes around images
+function htmlToMarkdown(html) {
+    const cleaned = html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/\[\/?caption[^\]]*\]/g, '');
+    return turndown.turndown(addParagraphs(cleaned)).trim();
+}
+
+function text(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    return typeof value === 'object' ? String(value['#text'] || '') : String(value);
+}
+
+// "2024-01-06 10:30:00" in UTC; drafts have "0000-00-00 00:00:00"
+function readDate(gmt, local) {
+    const value = [text(gmt), text(local)].find(date => date && !date.startsWith('0000'));
+    return value ? `${value.replace(' ', 'T')}Z` : undefined;
+}
+
+// Tags and categories both become tags, by their slug
+function readTags(categories = []) {
+    return categories
+        .filter(category => ['post_tag', 'category'].includes(category['@_domain']))
+        .map((category) => {
+            const slug = category['@_nicename'];
+            try {
+                return slug ? decodeURIComponent(slug) : text(category);
+            } catch (err) {
+                return text(category);
+            }
+        })
+        .filter(tag => tag && tag !== 'uncategorized');
+}
+
+// A WordPress export (Tools → Export). Only posts are imported: pages,
+// attachments, menus and the like are counted in "ignored"
+function readWxr(xml) {
+    let document;
+    try {
+        document = parser.parse(xml);
+    } catch (err) {
+        throw new ValidationError('The file is not valid XML');
+    }
+
+    const channel = document.rss && document.rss.channel;
+    if (!channel || typeof channel !== 'object') {
+        throw new ValidationError('The XML file is not a WordPress export (WXR)');
+    }
+
+    const items = [];
+    let ignored = 0;
+
+    (channel.item || []).forEach((item, index) => {
+        const wpStatus = text(item['wp:status']);
+        if (text(item['wp:post_type']) !== 'post' || !STATUSES[wpStatus]) {
+            ignored++;
+            return;
+        }
+
+        const date = readDate(item['wp:post_date_gmt'], item['wp:post_date']);
+        items.push({
+            source: `item ${index + 1}`,
+            title: text(item.title),
+            content: htmlToMarkdown(text(item['content:encoded'])),
+            author: text(item['dc:creator']),
+            status: STATUSES[wpStatus],
+            publishAt: wpStatus === 'future' ? date : undefined,
+            createdAt: date,
+            updatedAt: readDate(item['wp:post_modified_gmt'], item['wp:post_modified']),
+            tags: readTags(item.category)
+        });
+    });
+
+    return { items, ignored };
+}
+
+module.exports = { readWxr, htmlToMarkdown };
@@ -0,0 +1,32 @@
+// Background jobs run by server.js
+const { logger } = require('./logger');
+
+const PUBLISH_CHECK_INTERVAL_MS = 30 * 1000;
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const ATTACHMENT_CLEANUP_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// Run a job now and then every intervalMs; unref() so the timer never keeps
+// the process alive on its own
+function every(intervalMs, job, description) {
+    const run = () => job().catch((err) => {
+        logger.error(`Error ${description}:`, err);
+    });
+
+    run();
+    return setInterval(run, intervalMs).unref();
+}
+
+function startPublishScheduler(postService) {
+    return every(PUBLISH_CHECK_INTERVAL_MS, () => postService.publishDuePosts(), 'publishing scheduled posts');
+}
+
+function startTrashPurger(postService) {
+    return every(TRASH_PURGE_INTERVAL_MS, () => postService.purgeTrash(), 'purging trash');
+}
+
+// Files left behind by posts purged from the trash
+function startAttachmentCleanup(attachmentService) {
+    return every(ATTACHMENT_CLEANUP_INTERVAL_MS, () => attachmentService.removeOrphanFiles(), 'removing unused attachment files');
+}
+
+module.exports = { startPublishScheduler, startTrashPurger, startAttachmentCleanup };
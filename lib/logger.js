@@ -0,0 +1,43 @@
+// Server logging with a level (LOG_LEVEL, see lib/config.js). Each level
+// also prints the ones before it: "warn" prints errors and warnings,
+// "debug" prints everything including every API request.
+const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+
+let currentLevel = 'info';
+
+function setLogLevel(level) {
+    if (!LOG_LEVELS.includes(level)) {
+        throw new Error(`Log level must be one of: ${LOG_LEVELS.join(', ')}`);
+    }
+    currentLevel = level;
+}
+
+function getLogLevel() {
+    return currentLevel;
+}
+
+function isEnabled(level) {
+    return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(currentLevel);
+}
+
+const logger = {
+    error(...args) {
+        if (isEnabled('error')) console.error(...args);
+    },
+    warn(...args) {
+        if (isEnabled('warn')) console.warn(...args);
+    },
+    info(...args) {
+        if (isEnabled('info')) console.log(...args);
+    },
+    debug(...args) {
+        if (isEnabled('debug')) console.log(...args);
+    }
+};
+
+module.exports = {
+    LOG_LEVELS,
+    logger,
+    setLogLevel,
+    getLogLevel
+};
@@ -0,0 +1,95 @@
+const { hasPermission } = require('../permissions');
+const { AuthenticationError, ForbiddenError } = require('../errors');
+
+// Set by POST /api/auth/login and /register for clients that ask for a cookie
+const SESSION_COOKIE = 'blogMVC_session';
+
+// Writes; GET, HEAD and OPTIONS change nothing
+const UNSAFE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+function getBearerToken(req) {
+    const header = req.get('Authorization') || '';
+    const match = /^Bearer\s+(\S+)$/i.exec(header);
+    return match ? match[1] : null;
+}
+
+function getCookie(req, name) {
+    const header = req.get('Cookie') || '';
+    for (const pair of header.split(';')) {
+        const index = pair.indexOf('=');
+        if (index !== -1 && pair.slice(0, index).trim() === name) {
+            try {
+                return decodeURIComponent(pair.slice(index + 1).trim());
+            } catch (err) {
+                return null;
+            }
+        }
+    }
+    return null;
+}
+
+// Attaches the logged-in user (or null) to every API request. The session
+// token comes from the Authorization header or else from the session cookie;
+// req.authMethod says which ("bearer" or "cookie")
+function createAuthenticate(authService) {
+    return async (req, res, next) => {
+        req.user = null;
+        req.sessionTokenHash = null;
+        req.authMethod = null;
+
+        const bearerToken = getBearerToken(req);
+        const token = bearerToken || getCookie(req, SESSION_COOKIE);
+        if (!token) {
+            return next();
+        }
+
+        const session = await authService.authenticate(token);
+        if (session) {
+            req.user = session.user;
+            req.sessionTokenHash = session.tokenHash;
+            req.authMethod = bearerToken ? 'bearer' : 'cookie';
+        }
+        next();
+    };
+}
+
+// The browser sends the session cookie along with requests other sites make
+// too, so writes made with it must also carry the session's CSRF token in
+// X-CSRF-Token. Bearer tokens are never sent that way
+function createCsrfCheck(authService) {
+    return (req, res, next) => {
+        if (req.authMethod !== 'cookie' || !UNSAFE_METHODS.includes(req.method)) {
+            return next();
+        }
+
+        if (!authService.verifyCsrfToken(req.sessionTokenHash, req.get('X-CSRF-Token'))) {
+            throw new ForbiddenError('Missing or invalid CSRF token');
+        }
+        next();
+    };
+}
+
+function requireAuth(req, res, next) {
+    if (!req.user) {
+        throw new AuthenticationError();
+    }
+    next();
+}
+
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!hasPermission(req.user, permission)) {
+            throw new ForbiddenError();
+        }
+        next();
+    };
+}
+
+module.exports = {
+    SESSION_COOKIE,
+    UNSAFE_METHODS,
+    createAuthenticate,
+    createCsrfCheck,
+    requireAuth,
+    requirePermission
+};
@@ -0,0 +1,49 @@
+const { HttpError, NotFoundError, FieldValidationError, VersionConflictError, TooManyRequestsError } = require('../errors');
+const { formatPost, formatETag } = require('../views');
+const { logger } = require('../logger');
+
+// Unknown /api routes answer in JSON rather than with Express's HTML page
+function apiNotFound(req, res, next) {
+    next(new NotFoundError(`No API endpoint ${req.method} ${req.originalUrl}`));
+}
+
+// The one place errors become responses: HttpErrors carry their status and
+// message, anything else is logged and reported as a 500. Express only
+// treats it as an error handler because it takes four arguments
+function errorHandler(err, req, res, next) {
+    if (err instanceof VersionConflictError) {
+        // The post as it is now, so the client can show what changed
+        return res.status(err.status).set('ETag', formatETag(err.post)).json({
+            error: err.message,
+            current: formatPost(err.post, req.user)
+        });
+    }
+
+    if (err instanceof FieldValidationError) {
+        return res.status(err.status).json({ error: err.message, errors: err.errors });
+    }
+
+    if (err instanceof TooManyRequestsError) {
+        return res.status(err.status).set('Retry-After', String(err.retryAfter)).json({
+            error: err.message,
+            retryAfter: err.retryAfter
+        });
+    }
+
+    if (err instanceof HttpError) {
+        return res.status(err.status).json({ error: err.message });
+    }
+
+    // Malformed and oversized JSON bodies, from express.json()
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Request body is not valid JSON' });
+    }
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ error: `Request body is larger than the ${Math.floor(err.limit / 1024)} KB limit` });
+    }
+
+    logger.error(`Error handling ${req.method} ${req.originalUrl}:`, err);
+    res.status(500).json({ error: 'Internal server error' });
+}
+
+module.exports = { apiNotFound, errorHandler };
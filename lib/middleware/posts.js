@@ -0,0 +1,34 @@
+const { formatETag } = require('../views');
+const { PreconditionRequiredError } = require('../errors');
+
+// Loads the post into req.post and checks the user's capability on it;
+// use after requireAuth. Trashed posts are only found with { trashed: true }
+function requirePostCapability(postService, capability, options) {
+    return async (req, res, next) => {
+        req.post = await postService.getPostForAction(req.params.id, req.user, capability, options);
+        next();
+    };
+}
+
+// Writes must name the version they were based on in If-Match, so nobody
+// overwrites changes they haven't seen. Runs after requirePostCapability,
+// which loads req.post; sets req.expectedVersion for the write itself, which
+// checks the version again in case another write got in between
+function requireIfMatch(postService) {
+    return async (req, res, next) => {
+        const header = req.get('If-Match');
+        if (!header) {
+            throw new PreconditionRequiredError('If-Match header with the post\'s ETag is required');
+        }
+
+        const etags = header.split(',').map(etag => etag.trim().replace(/^W\//, ''));
+        if (!etags.includes('*') && !etags.includes(formatETag(req.post))) {
+            await postService.failVersionCheck(req.post.id);
+        }
+
+        req.expectedVersion = req.post.version;
+        next();
+    };
+}
+
+module.exports = { requirePostCapability, requireIfMatch };
@@ -0,0 +1,100 @@
+const { RateLimiter } = require('../rate-limiter');
+const { UNSAFE_METHODS } = require('./auth');
+const { ForbiddenError, TooManyRequestsError } = require('../errors');
+
+// Pages run the app's own scripts only: no inline scripts or handlers and no
+// eval. Inline style attributes stay allowed, as the views show and hide
+// elements with them. Images in posts may come from any https site
+const PAGE_POLICY = [
+    "default-src 'self'",
+    "script-src 'self'",
+    "style-src 'self' 'unsafe-inline' https://fonts.googleapis.com",
+    "font-src 'self' https://fonts.gstatic.com",
+    "img-src 'self' data: blob: https:",
+    "connect-src 'self'",
+    "worker-src 'self'",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'none'"
+].join('; ');
+
+// API responses, attachment files included, are never pages to run
+const API_POLICY = "default-src 'none'; frame-ancestors 'none'";
+
+// Headers for every response. The API router sets its own, stricter policy
+function securityHeaders(policy = PAGE_POLICY) {
+    return (req, res, next) => {
+        res.set({
+            'Content-Security-Policy': policy,
+            'X-Content-Type-Options': 'nosniff',
+            'X-Frame-Options': 'DENY',
+            'Referrer-Policy': 'strict-origin-when-cross-origin',
+            'Cross-Origin-Opener-Policy': 'same-origin',
+            'Permissions-Policy': 'camera=(), microphone=(), geolocation=()'
+        });
+        // Only over HTTPS, or browsers would ignore it
+        if (req.secure) {
+            res.set('Strict-Transport-Security', 'max-age=15552000; includeSubDomains');
+        }
+        next();
+    };
+}
+
+// CORS only stops browsers from reading the response; a request from a page
+// on another site still reaches the API. With an allowlist, those are turned
+// down before they do anything. corsOrigins and publicUrl are the settings
+// from lib/config.js; the blog's own origin is always allowed
+function createOriginCheck({ corsOrigins, publicUrl = null }) {
+    if (corsOrigins.includes('*')) {
+        return (req, res, next) => next();
+    }
+
+    const allowed = new Set(corsOrigins);
+    if (publicUrl) {
+        allowed.add(new URL(publicUrl).origin);
+    }
+
+    return (req, res, next) => {
+        const origin = req.get('Origin');
+        if (origin && !allowed.has(origin) && origin !== `${req.protocol}://${req.get('host')}`) {
+            throw new ForbiddenError(`Requests from ${origin} are not allowed`);
+        }
+        next();
+    };
+}
+
+// Limits writes per IP address and, once logged in, per user, each to so
+// many in windowMs. Runs after authentication, for req.user. The
+// RateLimit-* headers tell clients where they stand against the tighter one
+function createRateLimit({ windowMs, perIp, perUser }) {
+    const byIp = new RateLimiter({ limit: perIp, windowMs });
+    const byUser = new RateLimiter({ limit: perUser, windowMs });
+
+    return (req, res, next) => {
+        if (!UNSAFE_METHODS.includes(req.method)) {
+            return next();
+        }
+
+        const results = [byIp.hit(req.ip)];
+        if (req.user) {
+            results.push(byUser.hit(String(req.user.id)));
+        }
+
+        const tightest = results.find(result => !result.allowed) ||
+            results.reduce((tighter, result) => (result.remaining < tighter.remaining ? result : tighter));
+        const resetIn = Math.max(1, Math.ceil((tightest.resetAt - Date.now()) / 1000));
+        res.set({
+            'RateLimit-Limit': String(tightest.limit),
+            'RateLimit-Remaining': String(tightest.remaining),
+            'RateLimit-Reset': String(resetIn)
+        });
+
+        if (!tightest.allowed) {
+            throw new TooManyRequestsError(resetIn);
+        }
+        next();
+    };
+}
+
+module.exports = { PAGE_POLICY, API_POLICY, securityHeaders, createOriginCheck, createRateLimit };
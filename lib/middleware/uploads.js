@@ -0,0 +1,37 @@
+const multer = require('multer');
+const { ValidationError, PayloadTooLargeError } = require('../errors');
+
+function formatMegabytes(bytes) {
+    return `${Math.round(bytes / (1024 * 1024) * 10) / 10} MB`;
+}
+
+// Reads one file from a multipart/form-data body into req.file, kept in
+// memory so it can be checked before anything is written to disk
+function receiveFile(field, { maxFileSize }) {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxFileSize, files: 1 },
+        // Browsers send file names as UTF-8
+        defParamCharset: 'utf8'
+    }).single(field);
+
+    return (req, res, next) => {
+        upload(req, res, (err) => {
+            if (err instanceof multer.MulterError) {
+                return next(err.code === 'LIMIT_FILE_SIZE'
+                    ? new PayloadTooLargeError(`Files must be at most ${formatMegabytes(maxFileSize)}`)
+                    : new ValidationError(`Send one file in the "${field}" field`));
+            }
+            // Malformed multipart bodies, from busboy
+            if (err) {
+                return next(new ValidationError('The upload could not be read'));
+            }
+            if (!req.file) {
+                return next(new ValidationError(`Send a file in the "${field}" field of a multipart/form-data body`));
+            }
+            next();
+        });
+    };
+}
+
+module.exports = { receiveFile };
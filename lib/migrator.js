@@ -0,0 +1,181 @@
+// Versioned schema migrations. Each file in migrations/ is named
+// "<version>_<name>.js" and exports async up(db) and down(db) functions;
+// the versions applied so far are recorded in the schema_migrations table.
+//
+// Every migration runs in its own transaction together with its
+// schema_migrations row, so a failing migration leaves no trace.
+const fs = require('fs');
+const path = require('path');
+const { wrapDatabase } = require('./database');
+const { logger } = require('./logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+const MIGRATIONS_TABLE = `
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+        version TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+`;
+
+const MIGRATION_TEMPLATE = `// Describe the schema change here
+
+async function up(db) {
+    // await db.exec(\`CREATE TABLE ...\`);
+}
+
+async function down(db) {
+    // Undo everything up() did
+}
+
+module.exports = { up, down };
+`;
+
+// Databases created before migrations existed already have some of the
+// columns the early migrations add, so those migrations add them only when
+// missing. Resolves true when the column was added
+async function addColumnIfMissing(db, table, column, definition) {
+    const columns = await db.all(`PRAGMA table_info(${table})`);
+    if (columns.some(existing => existing.name === column)) {
+        return false;
+    }
+
+    await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    logger.info(`🧱 Added ${table}.${column} column`);
+    return true;
+}
+
+async function tableExists(db, table) {
+    const row = await db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+    return Boolean(row);
+}
+
+// Migration files in version order
+function listMigrations(directory = MIGRATIONS_DIR) {
+    if (!fs.existsSync(directory)) {
+        return [];
+    }
+
+    return fs.readdirSync(directory)
+        .map(file => MIGRATION_FILE_PATTERN.exec(file))
+        .filter(Boolean)
+        .map(([file, version, name]) => ({ version, name, file: path.join(directory, file) }))
+        .sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+async function getAppliedVersions(db) {
+    await db.run(MIGRATIONS_TABLE);
+    const rows = await db.all('SELECT version FROM schema_migrations ORDER BY CAST(version AS INTEGER)');
+    return rows.map(row => row.version);
+}
+
+async function runInTransaction(db, work) {
+    await db.run('BEGIN');
+    try {
+        await work();
+        await db.run('COMMIT');
+    } catch (err) {
+        await db.run('ROLLBACK');
+        throw err;
+    }
+}
+
+// Applies every pending migration, oldest first; resolves with the ones applied
+async function migrate(sqliteDb, { directory = MIGRATIONS_DIR } = {}) {
+    const db = wrapDatabase(sqliteDb);
+    const applied = new Set(await getAppliedVersions(db));
+    const pending = listMigrations(directory).filter(migration => !applied.has(migration.version));
+
+    for (const migration of pending) {
+        const { up } = require(migration.file);
+
+        try {
+            await runInTransaction(db, async () => {
+                await up(db);
+                await db.run(
+                    'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                    [migration.version, migration.name]
+                );
+            });
+        } catch (err) {
+            logger.error(`❌ Migration ${migration.version}_${migration.name} failed:`, err.message);
+            throw err;
+        }
+        logger.info(`🧱 Applied migration ${migration.version}_${migration.name}`);
+    }
+
+    return pending;
+}
+
+// Reverts the most recently applied migrations; resolves with the ones reverted
+async function rollback(sqliteDb, { steps = 1, directory = MIGRATIONS_DIR } = {}) {
+    const db = wrapDatabase(sqliteDb);
+    const migrations = listMigrations(directory);
+    const toRevert = (await getAppliedVersions(db)).reverse().slice(0, steps);
+    const reverted = [];
+
+    for (const version of toRevert) {
+        const migration = migrations.find(candidate => candidate.version === version);
+        if (!migration) {
+            throw new Error(`Migration ${version} is applied but its file is missing`);
+        }
+
+        const { down } = require(migration.file);
+
+        try {
+            await runInTransaction(db, async () => {
+                await down(db);
+                await db.run('DELETE FROM schema_migrations WHERE version = ?', [version]);
+            });
+        } catch (err) {
+            logger.error(`❌ Rolling back ${migration.version}_${migration.name} failed:`, err.message);
+            throw err;
+        }
+        logger.info(`↩️ Rolled back migration ${migration.version}_${migration.name}`);
+        reverted.push(migration);
+    }
+
+    return reverted;
+}
+
+// Every migration file with whether it has been applied
+async function getStatus(sqliteDb, { directory = MIGRATIONS_DIR } = {}) {
+    const db = wrapDatabase(sqliteDb);
+    const applied = new Set(await getAppliedVersions(db));
+
+    return listMigrations(directory).map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        applied: applied.has(migration.version)
+    }));
+}
+
+// Writes an empty migration numbered after the newest one; returns its path
+function createMigration(name, { directory = MIGRATIONS_DIR } = {}) {
+    const slug = String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    if (!slug) {
+        throw new Error('A migration name is required, e.g. "add_post_slugs"');
+    }
+
+    const migrations = listMigrations(directory);
+    const last = migrations.length > 0 ? Number(migrations[migrations.length - 1].version) : 0;
+    const version = String(last + 1).padStart(3, '0');
+    const file = path.join(directory, `${version}_${slug}.js`);
+
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(file, MIGRATION_TEMPLATE, { flag: 'wx' });
+    return file;
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    addColumnIfMissing,
+    tableExists,
+    listMigrations,
+    migrate,
+    rollback,
+    getStatus,
+    createMigration
+};
@@ -0,0 +1,253 @@
+// Server-rendered versions of the blog's public pages: the post list at "/"
+// and each post at "/posts/:id". They are public/index.html with the posts a
+// visitor would see already in #posts-container, <head> tags for search
+// engines and link previews, and the same posts as JSON in #initial-state.
+// BlogController takes the page over from there instead of loading it again,
+// so the cards here follow BlogView.renderPostCard for a visitor
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_PATH = path.join(__dirname, '..', 'public', 'index.html');
+
+const SITE_NAME = 'Blog MVC';
+const SITE_TITLE = 'Blog MVC - RESTful API Demo';
+const SITE_DESCRIPTION = 'RESTful API with JavaScript MVC Architecture';
+const DESCRIPTION_LENGTH = 160;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const HTML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// The stable address of a post, used by the pages, the feeds and the sitemap
+function postUrl(baseUrl, id) {
+    return `${baseUrl}/posts/${id}`;
+}
+
+// Read once: the pages are rebuilt from it on every request
+function loadTemplate() {
+    return fs.readFileSync(TEMPLATE_PATH, 'utf8');
+}
+
+// Pages below the root, such as /posts/12, reach the template's relative
+// css/ and js/ URLs through root ("../")
+function relocate(template, root) {
+    if (!root) {
+        return template;
+    }
+    return template.replace(/(\s(?:href|src)=")(?![a-z][a-z\d+.-]*:|\/|#)/gi, `$1${root}`);
+}
+
+// The post's text for <meta name="description">, from its rendered Markdown
+function describe(contentHtml) {
+    const text = contentHtml
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&(?:amp|lt|gt|quot|#39);/g, entity => HTML_ENTITIES[entity])
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    if (text.length <= DESCRIPTION_LENGTH) {
+        return text;
+    }
+    return `${text.slice(0, DESCRIPTION_LENGTH - 1).replace(/\s+\S*$/, '')}…`;
+}
+
+// BlogView.formatDate in UTC; the client switches it to the visitor's time
+// zone when it takes the page over
+function formatDate(isoDate) {
+    return new Date(isoDate).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        timeZone: 'UTC'
+    });
+}
+
+function renderHead({ title, description, url, type = 'website', image = null, article = null, noindex = false }) {
+    const meta = (attribute, name, content) => `<meta ${attribute}="${name}" content="${escapeHtml(content)}">`;
+    const tags = [
+        `<title>${escapeHtml(title)}</title>`,
+        meta('name', 'description', description),
+        noindex ? meta('name', 'robots', 'noindex') : `<link rel="canonical" href="${escapeHtml(url)}">`,
+        meta('property', 'og:site_name', SITE_NAME),
+        meta('property', 'og:type', type),
+        meta('property', 'og:title', title),
+        meta('property', 'og:description', description),
+        meta('property', 'og:url', url),
+        meta('name', 'twitter:card', image ? 'summary_large_image' : 'summary'),
+        meta('name', 'twitter:title', title),
+        meta('name', 'twitter:description', description)
+    ];
+
+    if (image) {
+        tags.push(
+            meta('property', 'og:image', image.url),
+            meta('property', 'og:image:width', image.width),
+            meta('property', 'og:image:height', image.height),
+            meta('name', 'twitter:image', image.url)
+        );
+    }
+    if (article) {
+        tags.push(
+            meta('property', 'article:published_time', article.publishedTime),
+            meta('property', 'article:modified_time', article.modifiedTime),
+            meta('property', 'article:author', article.author),
+            ...article.tags.map(tag => meta('property', 'article:tag', tag))
+        );
+    }
+
+    return tags.join('\n    ');
+}
+
+function renderTagChips(tags) {
+    if (tags.length === 0) {
+        return '';
+    }
+
+    return `
+            <div class="post-tags">
+                ${tags.map(tag => `
+                <button type="button" class="tag-chip" data-action="filter-tag" data-tag="${escapeHtml(tag)}"
+                    title="Show posts tagged ${escapeHtml(tag)}">#${escapeHtml(tag)}</button>
+                `).join('')}
+            </div>
+        `;
+}
+
+// posts are formatPost() objects for a visitor (lib/views.js). Links are
+// real page URLs so crawlers can follow them
+function renderPostCard(post, { baseUrl, root }) {
+    const link = `${root}posts/${post.id}`;
+
+    return `
+        <article class="post-card" data-post-id="${post.id}">
+            ${post.coverImage ? `
+            <a href="${link}" class="post-cover-link" tabindex="-1" aria-hidden="true">
+                <img class="post-cover" src="${escapeHtml(`${baseUrl}${post.coverImage.thumbnailUrl}`)}"
+                    alt="" loading="lazy" />
+            </a>
+            ` : ''}
+            <div class="post-header">
+            <h2 class="post-title">
+                <a href="${link}" class="post-link">${escapeHtml(post.title)}</a>
+            </h2>
+            <div class="post-meta">
+                <span class="post-author">by ${escapeHtml(post.author)}</span>
+                <time class="post-date" datetime="${post.createdAt}">${formatDate(post.createdAt)}</time>
+                ${post.updatedAt !== post.createdAt ? '<span class="post-updated">Updated</span>' : ''}
+            </div>
+            </div>
+            <div class="post-content">
+            <div class="markdown-body">${post.contentHtml}</div>
+            </div>
+            ${renderTagChips(post.tags)}
+            <a href="${link}" class="post-comment-count">
+                💬 <span class="comment-count-value">${post.commentCount}</span>
+                ${post.commentCount === 1 ? 'comment' : 'comments'}
+            </a>
+        </article>
+        `;
+}
+
+// "<" is escaped so nothing in a post can close the <script> element
+function renderState(state) {
+    const json = JSON.stringify(state).replace(/</g, '\\u003c');
+    return `<script id="initial-state" type="application/json">${json}</script>`;
+}
+
+function renderPage(template, { root = '', head, content, state }) {
+    return relocate(template, root)
+        .replace(/<title>[^<]*<\/title>/, () => head)
+        .replace(/(<div id="posts-container"[^>]*>)[\s\S]*?(<\/div>)/, (match, open, close) => `${open}${content}${close}`)
+        .replace('<div id="loading-indicator" class="loading-indicator">',
+            '<div id="loading-indicator" class="loading-indicator" style="display: none;">')
+        .replace(/(\s*)(<script src=)/, (match, space, script) => `${space}${renderState(state)}${space}${script}`);
+}
+
+// The first page of the list, as GET /api/posts gives it to a visitor
+function renderIndexPage(template, { baseUrl, posts, pagination }) {
+    const content = posts.length > 0
+        ? posts.map(post => renderPostCard(post, { baseUrl, root: '' })).join('')
+        : `
+            <div class="no-posts">
+            <h3>No blog posts yet</h3>
+            <p>Be the first to create a blog post!</p>
+            </div>
+        `;
+
+    return renderPage(template, {
+        head: renderHead({ title: SITE_TITLE, description: SITE_DESCRIPTION, url: `${baseUrl}/` }),
+        content,
+        state: { route: 'list', posts, pagination }
+    });
+}
+
+function renderPostPage(template, { baseUrl, post }) {
+    const root = '../';
+    const cover = post.coverImage;
+
+    return renderPage(template, {
+        root,
+        head: renderHead({
+            title: `${post.title} - ${SITE_NAME}`,
+            description: describe(post.contentHtml) || SITE_DESCRIPTION,
+            url: postUrl(baseUrl, post.id),
+            type: 'article',
+            image: cover ? { url: `${baseUrl}${cover.url}`, width: cover.width, height: cover.height } : null,
+            article: {
+                publishedTime: post.publishAt || post.createdAt,
+                modifiedTime: post.updatedAt,
+                author: post.author,
+                tags: post.tags
+            }
+        }),
+        content: `
+        <div class="post-detail">
+            <a href="${root}" class="back-link">← All posts</a>
+            ${renderPostCard(post, { baseUrl, root })}
+            <section id="attachments-section" class="attachments-section">
+                <!-- Attachments will be rendered here by the AttachmentView -->
+            </section>
+            <section id="comments-section" class="comments-section">
+                <!-- Comments will be rendered here by the CommentView -->
+            </section>
+        </div>
+        `,
+        state: { route: 'post', id: post.id, post }
+    });
+}
+
+// Also for drafts: a logged-in author still gets theirs once the client loads
+function renderPostNotFoundPage(template, { baseUrl, id }) {
+    const root = '../';
+
+    return renderPage(template, {
+        root,
+        head: renderHead({
+            title: `Post not found - ${SITE_NAME}`,
+            description: SITE_DESCRIPTION,
+            url: postUrl(baseUrl, id),
+            noindex: true
+        }),
+        content: `
+        <div class="no-posts">
+            <h3>Post not found</h3>
+            <p>This post may have been deleted or the link is incorrect.</p>
+            <a href="${root}" class="back-link">← All posts</a>
+        </div>
+        `,
+        state: { route: 'post', id, post: null }
+    });
+}
+
+module.exports = {
+    postUrl,
+    loadTemplate,
+    renderIndexPage,
+    renderPostPage,
+    renderPostNotFoundPage
+};
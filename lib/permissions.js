@@ -0,0 +1,50 @@
+// Roles and what they may do beyond managing their own posts
+const ROLE_PERMISSIONS = {
+    admin: ['posts:edit:any', 'posts:delete:any', 'comments:moderate', 'users:manage', 'posts:import', 'posts:export'],
+    editor: ['posts:edit:any', 'comments:moderate'],
+    author: []
+};
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+function hasPermission(user, permission) {
+    return Boolean(user) && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+}
+
+function isPostOwner(user, post) {
+    return Boolean(user) && post.author_id !== null && post.author_id === user.id;
+}
+
+// Drafts and scheduled posts are only shown to the person who wrote them;
+// trashed posts are only listed by GET /api/trash. PostRepository applies
+// the same rule in SQL
+function isPostVisible(user, post) {
+    return !post.deleted_at && (post.status === 'published' || isPostOwner(user, post));
+}
+
+// What the given user (or an anonymous visitor) may do with a post row
+function getPostCapabilities(user, post) {
+    return {
+        canEdit: isPostOwner(user, post) || hasPermission(user, 'posts:edit:any'),
+        canDelete: isPostOwner(user, post) || hasPermission(user, 'posts:delete:any')
+    };
+}
+
+function getCommentCapabilities(user, comment) {
+    const isOwner = Boolean(user) && comment.author_id !== null && comment.author_id === user.id;
+    const canModerate = hasPermission(user, 'comments:moderate');
+
+    return {
+        canEdit: isOwner || canModerate,
+        canDelete: isOwner || canModerate
+    };
+}
+
+module.exports = {
+    ROLE_PERMISSIONS,
+    ROLES,
+    hasPermission,
+    isPostOwner,
+    isPostVisible,
+    getPostCapabilities,
+    getCommentCapabilities
+};
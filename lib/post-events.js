@@ -0,0 +1,56 @@
+const { EventEmitter } = require('events');
+
+// How many past events a reconnecting client can catch up on
+const HISTORY_SIZE = 100;
+
+// Post changes for GET /api/events. Services publish post-created,
+// post-updated and post-deleted; every open stream listens for 'event'.
+//
+// Events carry ids only, never the post: each client fetches the post
+// itself, so it gets the capabilities and visibility of its own user.
+// Event ids are "<stream>-<number>", the stream being new on every start,
+// so a client reconnecting with a Last-Event-ID from before a restart is
+// told to reload instead of getting the wrong events
+class PostEvents extends EventEmitter {
+    constructor({ historySize = HISTORY_SIZE } = {}) {
+        super();
+        // One listener per open stream
+        this.setMaxListeners(0);
+        this.stream = Date.now().toString(36);
+        this.historySize = historySize;
+        this.history = [];
+        this.count = 0;
+    }
+
+    publish(type, data) {
+        this.count++;
+        const event = { id: `${this.stream}-${this.count}`, type, data };
+
+        this.history.push(event);
+        if (this.history.length > this.historySize) {
+            this.history.shift();
+        }
+
+        this.emit('event', event);
+        return event;
+    }
+
+    // The events after lastEventId, or null when they are not all known
+    // any more and the client should reload instead
+    since(lastEventId) {
+        const match = /^(\w+)-(\d+)$/.exec(lastEventId || '');
+        if (!match || match[1] !== this.stream) {
+            return null;
+        }
+
+        const last = Number(match[2]);
+        if (last > this.count) {
+            return null;
+        }
+
+        const missed = this.count - last;
+        return missed <= this.history.length ? this.history.slice(this.history.length - missed) : null;
+    }
+}
+
+module.exports = { PostEvents };
@@ -0,0 +1,50 @@
+// Counts hits per key, such as an IP address or a user id, in fixed windows
+// of windowMs. Kept in memory: the counts start over when the server
+// restarts and aren't shared between processes
+class RateLimiter {
+    constructor({ limit, windowMs, now = Date.now }) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.now = now;
+        this.windows = new Map();
+        this.nextPrune = 0;
+    }
+
+    // Counts one hit; returns { allowed, limit, remaining, resetAt } with
+    // resetAt in milliseconds since the epoch
+    hit(key) {
+        const now = this.now();
+        this.prune(now);
+
+        let window = this.windows.get(key);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + this.windowMs };
+            this.windows.set(key, window);
+        }
+        window.count++;
+
+        return {
+            allowed: window.count <= this.limit,
+            limit: this.limit,
+            remaining: Math.max(0, this.limit - window.count),
+            resetAt: window.resetAt
+        };
+    }
+
+    // Drops windows that are over, at most once a window, so keys that
+    // stopped coming back don't pile up
+    prune(now) {
+        if (now < this.nextPrune) {
+            return;
+        }
+        this.nextPrune = now + this.windowMs;
+
+        for (const [key, window] of this.windows) {
+            if (window.resetAt <= now) {
+                this.windows.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = { RateLimiter };
@@ -0,0 +1,52 @@
+class AttachmentRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    findById(id) {
+        return this.db.get('SELECT * FROM attachments WHERE id = ?', [id]);
+    }
+
+    // An attachment only counts as found on the post it belongs to
+    findOnPost(id, postId) {
+        return this.db.get('SELECT * FROM attachments WHERE id = ? AND post_id = ?', [id, postId]);
+    }
+
+    // The attachment a stored file (or its thumbnail) belongs to
+    findByFileName(name) {
+        return this.db.get(
+            'SELECT * FROM attachments WHERE file_name = ? OR thumbnail_name = ?',
+            [name, name]
+        );
+    }
+
+    // In upload order; the first image is the post's cover
+    listForPost(postId) {
+        return this.db.all('SELECT * FROM attachments WHERE post_id = ? ORDER BY id ASC', [postId]);
+    }
+
+    async create({ postId, uploaderId, originalName, fileName, thumbnailName, mimeType, size, width, height }) {
+        const { lastID } = await this.db.run(`
+            INSERT INTO attachments
+                (post_id, uploader_id, original_name, file_name, thumbnail_name, mime_type, size, width, height)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [postId, uploaderId, originalName, fileName, thumbnailName, mimeType, size, width, height]);
+        return lastID;
+    }
+
+    async delete(id) {
+        await this.db.run('DELETE FROM attachments WHERE id = ?', [id]);
+    }
+
+    // Every file name in use, thumbnails included
+    async listFileNames() {
+        const rows = await this.db.all(`
+            SELECT file_name AS name FROM attachments
+            UNION ALL
+            SELECT thumbnail_name FROM attachments WHERE thumbnail_name IS NOT NULL
+        `);
+        return rows.map(row => row.name);
+    }
+}
+
+module.exports = { AttachmentRepository };
@@ -0,0 +1,44 @@
+class CommentRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    findById(id) {
+        return this.db.get('SELECT * FROM comments WHERE id = ?', [id]);
+    }
+
+    // A comment only counts as found on the post it belongs to
+    findOnPost(id, postId) {
+        return this.db.get('SELECT * FROM comments WHERE id = ? AND post_id = ?', [id, postId]);
+    }
+
+    // Oldest first, which buildCommentTree relies on
+    listForPost(postId) {
+        return this.db.all(
+            'SELECT * FROM comments WHERE post_id = ? ORDER BY created_at ASC, id ASC',
+            [postId]
+        );
+    }
+
+    async create({ postId, parentId, author, authorId, content }) {
+        const { lastID } = await this.db.run(`
+            INSERT INTO comments (post_id, parent_id, author, author_id, content)
+            VALUES (?, ?, ?, ?, ?)
+        `, [postId, parentId, author, authorId, content]);
+        return lastID;
+    }
+
+    async update(id, content) {
+        await this.db.run(
+            'UPDATE comments SET content = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [content, id]
+        );
+    }
+
+    // Replies go with it (ON DELETE CASCADE)
+    async delete(id) {
+        await this.db.run('DELETE FROM comments WHERE id = ?', [id]);
+    }
+}
+
+module.exports = { CommentRepository };
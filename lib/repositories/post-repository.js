@@ -0,0 +1,281 @@
+const { MATCH_START, MATCH_END } = require('../search');
+
+// Post columns plus derived values; select with "SELECT ${POST_COLUMNS} FROM posts"
+const POST_COLUMNS = `
+    posts.*,
+    (SELECT COUNT(*) FROM comments WHERE comments.post_id = posts.id) AS comment_count,
+    (SELECT group_concat(tags.name, ',') FROM post_tags
+        JOIN tags ON tags.id = post_tags.tag_id
+        WHERE post_tags.post_id = posts.id) AS tag_names,
+    (SELECT json_object('file', file_name, 'thumbnail', thumbnail_name, 'width', width, 'height', height)
+        FROM attachments
+        WHERE attachments.post_id = posts.id AND attachments.thumbnail_name IS NOT NULL
+        ORDER BY attachments.id LIMIT 1) AS cover_image
+`;
+
+const SORT_COLUMNS = {
+    created: 'created_at',
+    updated: 'updated_at',
+    title: 'title COLLATE NOCASE'
+};
+// When a post went (or goes) public. The order of the feeds and the sitemap,
+// not one of the sorts GET /api/posts offers
+const PUBLISHED_COLUMN = 'COALESCE(publish_at, created_at)';
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// The rule of isPostVisible (lib/permissions.js) as a WHERE condition
+function visibleTo(user) {
+    if (!user) {
+        return { sql: "posts.deleted_at IS NULL AND posts.status = 'published'", params: [] };
+    }
+    return {
+        sql: "posts.deleted_at IS NULL AND (posts.status = 'published' OR posts.author_id = ?)",
+        params: [user.id]
+    };
+}
+
+// Posts and their tags. Every method resolves with plain rows; rules about
+// who may do what live in PostService
+class PostRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // Any post, including drafts and trashed ones
+    findById(id) {
+        return this.db.get(`SELECT ${POST_COLUMNS} FROM posts WHERE id = ?`, [id]);
+    }
+
+    // A page of the posts the user may see. filters: statuses, authorId
+    // (only that user's posts), author, tag, from, to. byPublishDate orders
+    // by publish time instead of sort
+    async list({ filters = {}, sort = 'created', byPublishDate = false, order = 'desc', limit, offset }, user) {
+        const visibility = visibleTo(user);
+        const conditions = [visibility.sql];
+        const params = [...visibility.params];
+
+        if (filters.statuses) {
+            conditions.push(`posts.status IN (${filters.statuses.map(() => '?').join(', ')})`);
+            params.push(...filters.statuses);
+        }
+
+        if (filters.authorId !== undefined) {
+            conditions.push('posts.author_id = ?');
+            params.push(filters.authorId);
+        }
+
+        if (filters.author) {
+            conditions.push('author = ? COLLATE NOCASE');
+            params.push(filters.author);
+        }
+
+        if (filters.tag) {
+            conditions.push(`id IN (
+                SELECT post_tags.post_id FROM post_tags
+                JOIN tags ON tags.id = post_tags.tag_id
+                WHERE tags.name = ?
+            )`);
+            params.push(filters.tag);
+        }
+
+        if (filters.from) {
+            conditions.push('created_at >= datetime(?)');
+            params.push(filters.from);
+        }
+
+        if (filters.to) {
+            // A plain date includes the whole day
+            if (DATE_ONLY_PATTERN.test(filters.to)) {
+                conditions.push("created_at < datetime(?, '+1 day')");
+            } else {
+                conditions.push('created_at <= datetime(?)');
+            }
+            params.push(filters.to);
+        }
+
+        const where = `WHERE ${conditions.join(' AND ')}`;
+        const direction = order.toUpperCase();
+        const column = byPublishDate ? PUBLISHED_COLUMN : SORT_COLUMNS[sort];
+        const orderBy = `${column} ${direction}, id ${direction}`;
+
+        const { total } = await this.db.get(`SELECT COUNT(*) AS total FROM posts ${where}`, params);
+        const rows = await this.db.all(
+            `SELECT ${POST_COLUMNS} FROM posts ${where} ORDER BY ${orderBy} LIMIT ? OFFSET ?`,
+            [...params, limit, offset]
+        );
+
+        return { rows, total };
+    }
+
+    // Full-text search over the posts the user may see. Title matches weigh
+    // more than author matches, which weigh more than content
+    async search(match, user, { limit, offset }) {
+        const visibility = visibleTo(user);
+
+        const { total } = await this.db.get(`
+            SELECT COUNT(*) AS total FROM posts_fts
+            JOIN posts ON posts.id = posts_fts.rowid
+            WHERE posts_fts MATCH ? AND ${visibility.sql}
+        `, [match, ...visibility.params]);
+
+        const rows = await this.db.all(`
+            SELECT ${POST_COLUMNS},
+                highlight(posts_fts, 0, ?, ?) AS title_highlight,
+                snippet(posts_fts, 1, ?, ?, '…', 24) AS content_snippet,
+                bm25(posts_fts, 10.0, 1.0, 2.0) AS rank
+            FROM posts_fts
+            JOIN posts ON posts.id = posts_fts.rowid
+            WHERE posts_fts MATCH ? AND ${visibility.sql}
+            ORDER BY rank
+            LIMIT ? OFFSET ?
+        `, [
+            MATCH_START, MATCH_END, MATCH_START, MATCH_END,
+            match, ...visibility.params, limit, offset
+        ]);
+
+        return { rows, total };
+    }
+
+    // Public posts for the sitemap, the most recently published first
+    listPublished(limit) {
+        return this.db.all(`
+            SELECT id, created_at, updated_at, publish_at FROM posts
+            WHERE deleted_at IS NULL AND status = 'published'
+            ORDER BY ${PUBLISHED_COLUMN} DESC, id DESC
+            LIMIT ?
+        `, [limit]);
+    }
+
+    // Every post that isn't in the trash, drafts included, oldest first
+    listAll() {
+        return this.db.all(`SELECT ${POST_COLUMNS} FROM posts WHERE posts.deleted_at IS NULL ORDER BY id`);
+    }
+
+    // A post outside the trash with this title (in any case) and content
+    findDuplicate(title, content) {
+        return this.db.get(
+            'SELECT id FROM posts WHERE deleted_at IS NULL AND title = ? COLLATE NOCASE AND content = ? ORDER BY id LIMIT 1',
+            [title, content]
+        );
+    }
+
+    // Runs fn inside a transaction; see wrapDatabase in lib/database.js
+    transaction(fn) {
+        return this.db.transaction(fn);
+    }
+
+    async create({ title, content, author, authorId, status, publishAt }) {
+        const { lastID } = await this.db.run(`
+            INSERT INTO posts (title, content, author, author_id, status, publish_at, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        `, [title, content, author, authorId, status, publishAt]);
+        return lastID;
+    }
+
+    // Like create, but keeping the dates the post had on the blog it came from
+    async createImported({ title, content, author, authorId, status, publishAt, createdAt, updatedAt }) {
+        const { lastID } = await this.db.run(`
+            INSERT INTO posts (title, content, author, author_id, status, publish_at, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [title, content, author, authorId, status, publishAt, createdAt, updatedAt]);
+        return lastID;
+    }
+
+    // Only updates the post if it is still at expectedVersion; resolves with
+    // whether it did
+    async update(id, expectedVersion, { title, content, status, publishAt }) {
+        const { changes } = await this.db.run(`
+            UPDATE posts
+            SET title = ?, content = ?, status = ?, publish_at = ?,
+                version = version + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND version = ?
+        `, [title, content, status, publishAt, id, expectedVersion]);
+        return changes > 0;
+    }
+
+    // Puts back an older title and content (see RevisionService.restore)
+    async replaceContent(id, { title, content }) {
+        await this.db.run(`
+            UPDATE posts SET title = ?, content = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [title, content, id]);
+    }
+
+    // Resolves with whether the post was still at expectedVersion and got trashed
+    async moveToTrash(id, expectedVersion) {
+        const { changes } = await this.db.run(`
+            UPDATE posts SET deleted_at = CURRENT_TIMESTAMP, version = version + 1
+            WHERE id = ? AND version = ? AND deleted_at IS NULL
+        `, [id, expectedVersion]);
+        return changes > 0;
+    }
+
+    async restoreFromTrash(id) {
+        await this.db.run('UPDATE posts SET deleted_at = NULL, version = version + 1 WHERE id = ?', [id]);
+    }
+
+    // Trashed posts, newest first; all of them, or only one author's
+    listTrashed({ authorId } = {}) {
+        const byAuthor = authorId === undefined ? '' : 'AND posts.author_id = ?';
+        return this.db.all(
+            `SELECT ${POST_COLUMNS} FROM posts WHERE posts.deleted_at IS NOT NULL ${byAuthor}
+             ORDER BY deleted_at DESC, id DESC`,
+            authorId === undefined ? [] : [authorId]
+        );
+    }
+
+    // Comments, tags and revisions of the purged posts go with them (ON DELETE CASCADE)
+    async purgeTrashedBefore(days) {
+        const { changes } = await this.db.run(
+            "DELETE FROM posts WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)",
+            [`-${days} days`]
+        );
+        return changes;
+    }
+
+    // Returns the ids of the posts it published
+    async publishDue() {
+        const rows = await this.db.all(`
+            UPDATE posts SET status = 'published', version = version + 1
+            WHERE status = 'scheduled' AND publish_at <= CURRENT_TIMESTAMP AND deleted_at IS NULL
+            RETURNING id
+        `);
+        return rows.map(row => row.id);
+    }
+
+    // Posts of a deleted user stay, without an owner
+    async clearAuthor(userId) {
+        await this.db.run('UPDATE posts SET author_id = NULL WHERE author_id = ?', [userId]);
+    }
+
+    // Replace a post's tags, creating any tag that doesn't exist yet
+    async setTags(postId, tags) {
+        await this.db.run('DELETE FROM post_tags WHERE post_id = ?', [postId]);
+
+        for (const tag of tags) {
+            await this.db.run('INSERT OR IGNORE INTO tags (name) VALUES (?)', [tag]);
+            await this.db.run(
+                'INSERT INTO post_tags (post_id, tag_id) SELECT ?, id FROM tags WHERE name = ?',
+                [postId, tag]
+            );
+        }
+    }
+
+    // Tags on visible published posts, most used first
+    listTagCounts() {
+        return this.db.all(`
+            SELECT tags.name, COUNT(post_tags.post_id) AS count
+            FROM tags
+            JOIN post_tags ON post_tags.tag_id = tags.id
+            JOIN posts ON posts.id = post_tags.post_id
+            WHERE posts.status = 'published' AND posts.deleted_at IS NULL
+            GROUP BY tags.id
+            ORDER BY count DESC, tags.name ASC
+        `);
+    }
+}
+
+module.exports = {
+    PostRepository,
+    SORT_FIELDS: Object.keys(SORT_COLUMNS)
+};
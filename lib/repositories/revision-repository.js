@@ -0,0 +1,37 @@
+// Saved versions of each post's title and content, numbered per post
+class RevisionRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    find(postId, revision) {
+        return this.db.get(
+            'SELECT * FROM post_revisions WHERE post_id = ? AND revision = ?',
+            [postId, revision]
+        );
+    }
+
+    findLatest(postId) {
+        return this.db.get(
+            'SELECT * FROM post_revisions WHERE post_id = ? ORDER BY revision DESC LIMIT 1',
+            [postId]
+        );
+    }
+
+    // Newest first
+    listForPost(postId) {
+        return this.db.all(
+            'SELECT * FROM post_revisions WHERE post_id = ? ORDER BY revision DESC',
+            [postId]
+        );
+    }
+
+    async create({ postId, revision, title, content, editor, editorId }) {
+        await this.db.run(`
+            INSERT INTO post_revisions (post_id, revision, title, content, editor, editor_id)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [postId, revision, title, content, editor, editorId]);
+    }
+}
+
+module.exports = { RevisionRepository };
@@ -0,0 +1,69 @@
+// User accounts and their login sessions
+class UserRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    findById(id) {
+        return this.db.get('SELECT * FROM users WHERE id = ?', [id]);
+    }
+
+    // Usernames are unique regardless of case
+    findByUsername(username) {
+        return this.db.get('SELECT * FROM users WHERE username = ?', [username]);
+    }
+
+    listAll() {
+        return this.db.all('SELECT * FROM users ORDER BY username COLLATE NOCASE');
+    }
+
+    async count() {
+        const { count } = await this.db.get('SELECT COUNT(*) AS count FROM users');
+        return count;
+    }
+
+    async countAdmins() {
+        const { count } = await this.db.get("SELECT COUNT(*) AS count FROM users WHERE role = 'admin'");
+        return count;
+    }
+
+    async create({ username, passwordHash, passwordSalt, role }) {
+        const { lastID } = await this.db.run(
+            'INSERT INTO users (username, password_hash, password_salt, role) VALUES (?, ?, ?, ?)',
+            [username, passwordHash, passwordSalt, role]
+        );
+        return lastID;
+    }
+
+    async updateRole(id, role) {
+        await this.db.run('UPDATE users SET role = ? WHERE id = ?', [role, id]);
+    }
+
+    // Their sessions go with them (ON DELETE CASCADE)
+    async delete(id) {
+        await this.db.run('DELETE FROM users WHERE id = ?', [id]);
+    }
+
+    // Sessions are looked up by a hash of their token, never the token itself
+    async createSession(tokenHash, userId, ttlDays) {
+        await this.db.run('DELETE FROM sessions WHERE expires_at <= CURRENT_TIMESTAMP');
+        await this.db.run(`
+            INSERT INTO sessions (token_hash, user_id, expires_at)
+            VALUES (?, ?, datetime('now', ?))
+        `, [tokenHash, userId, `+${ttlDays} days`]);
+    }
+
+    findBySession(tokenHash) {
+        return this.db.get(`
+            SELECT users.* FROM sessions
+            JOIN users ON users.id = sessions.user_id
+            WHERE sessions.token_hash = ? AND sessions.expires_at > CURRENT_TIMESTAMP
+        `, [tokenHash]);
+    }
+
+    async deleteSession(tokenHash) {
+        await this.db.run('DELETE FROM sessions WHERE token_hash = ?', [tokenHash]);
+    }
+}
+
+module.exports = { UserRepository };
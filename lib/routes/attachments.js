@@ -0,0 +1,50 @@
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const { requirePostCapability } = require('../middleware/posts');
+const { receiveFile } = require('../middleware/uploads');
+const { formatAttachment } = require('../views');
+const { logger } = require('../logger');
+
+// Mounted at /api/posts/:id/attachments. Anyone who can see a post can list
+// its attachments; only people who may edit it can add or remove them
+function createAttachmentsRouter({ posts, attachments }) {
+    const router = express.Router({ mergeParams: true });
+
+    // List a post's attachments in upload order
+    router.get('/', async (req, res) => {
+        logger.debug('📎 GET /api/posts/:id/attachments - Fetching attachments');
+
+        const post = await posts.getVisiblePost(req.params.id, req.user);
+        const rows = await attachments.list(post);
+        res.json({
+            attachments: rows.map(formatAttachment),
+            total: rows.length
+        });
+    });
+
+    // Upload one file as multipart/form-data, in the "file" field
+    router.post('/', requireAuth, requirePostCapability(posts, 'canEdit'),
+        receiveFile('file', { maxFileSize: attachments.maxFileSize }),
+        async (req, res) => {
+            logger.debug('📎 POST /api/posts/:id/attachments - Uploading attachment');
+
+            const attachment = await attachments.upload(req.post, req.file, req.user);
+            res.status(201).json(formatAttachment(attachment));
+        });
+
+    // Delete an attachment and its files
+    router.delete('/:attachmentId', requireAuth, requirePostCapability(posts, 'canEdit'), async (req, res) => {
+        logger.debug('📎 DELETE /api/posts/:id/attachments/:attachmentId - Deleting attachment');
+
+        const attachment = await attachments.get(req.post, req.params.attachmentId);
+        await attachments.delete(attachment);
+        res.json({
+            message: 'Attachment deleted successfully',
+            id: attachment.id
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createAttachmentsRouter };
@@ -0,0 +1,64 @@
+const express = require('express');
+const { SESSION_COOKIE, requireAuth } = require('../middleware/auth');
+const { SESSION_TTL_DAYS, hashToken } = require('../services/auth-service');
+const { formatUser } = require('../views');
+const { logger } = require('../logger');
+
+// Out of reach of scripts and only sent to the API of this site
+function sessionCookieOptions(req) {
+    return { httpOnly: true, sameSite: 'strict', secure: req.secure, path: '/api' };
+}
+
+function createAuthRouter({ auth }) {
+    const router = express.Router();
+
+    // The token is in the response, unless the body asked for "cookie": true.
+    // Then it is kept in an HttpOnly cookie instead and the response has the
+    // CSRF token that writes made with the cookie must send
+    function sendSession(req, res, { user, token }) {
+        if (req.body.cookie !== true) {
+            return res.json({ user: formatUser(user), token });
+        }
+
+        res.cookie(SESSION_COOKIE, token, { ...sessionCookieOptions(req), maxAge: SESSION_TTL_DAYS * 24 * 60 * 60 * 1000 });
+        res.json({ user: formatUser(user), csrfToken: auth.getCsrfToken(hashToken(token)) });
+    }
+
+    // Register a new user and log them in
+    router.post('/register', async (req, res) => {
+        logger.debug('👤 POST /api/auth/register - Registering user');
+
+        sendSession(req, res.status(201), await auth.register(req.body));
+    });
+
+    // Log in with username and password
+    router.post('/login', async (req, res) => {
+        logger.debug('🔑 POST /api/auth/login - Logging in');
+
+        sendSession(req, res, await auth.login(req.body));
+    });
+
+    // End the current session
+    router.post('/logout', requireAuth, async (req, res) => {
+        logger.debug('🚪 POST /api/auth/logout - Logging out');
+
+        await auth.logout(req.sessionTokenHash);
+        if (req.authMethod === 'cookie') {
+            res.clearCookie(SESSION_COOKIE, sessionCookieOptions(req));
+        }
+        res.json({ message: 'Logged out successfully' });
+    });
+
+    // Get the logged-in user; a cookie session gets its CSRF token again,
+    // e.g. after the page was reloaded
+    router.get('/me', requireAuth, (req, res) => {
+        res.json({
+            user: formatUser(req.user),
+            ...(req.authMethod === 'cookie' && { csrfToken: auth.getCsrfToken(req.sessionTokenHash) })
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createAuthRouter };
@@ -0,0 +1,64 @@
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const { formatComment, buildCommentTree } = require('../views');
+const { logger } = require('../logger');
+
+// Mounted at /api/posts/:id/comments
+function createCommentsRouter({ comments }) {
+    const router = express.Router({ mergeParams: true });
+
+    // Loads the post named in the URL into req.post
+    const loadPost = async (req, res, next) => {
+        req.post = await comments.getPost(req.params.id, req.user);
+        next();
+    };
+
+    // Get the comments of a post as a tree of replies
+    router.get('/', loadPost, async (req, res) => {
+        logger.debug('💬 GET /api/posts/:id/comments - Fetching comments');
+
+        const rows = await comments.list(req.post);
+        res.json({
+            comments: buildCommentTree(rows, req.user),
+            total: rows.length
+        });
+    });
+
+    // Get a single comment
+    router.get('/:commentId', loadPost, async (req, res) => {
+        const comment = await comments.get(req.post, req.params.commentId);
+        res.json(formatComment(comment, req.user));
+    });
+
+    // Comment on a post, or reply to a comment with parentId
+    router.post('/', requireAuth, loadPost, async (req, res) => {
+        logger.debug('💬 POST /api/posts/:id/comments - Adding comment');
+
+        const comment = await comments.create(req.post, req.body, req.user);
+        res.status(201).json(formatComment(comment, req.user));
+    });
+
+    // Edit a comment
+    router.put('/:commentId', requireAuth, loadPost, async (req, res) => {
+        logger.debug('💬 PUT /api/posts/:id/comments/:commentId - Updating comment');
+
+        const comment = await comments.getForAction(req.post, req.params.commentId, req.user, 'canEdit');
+        res.json(formatComment(await comments.update(comment, req.body), req.user));
+    });
+
+    // Delete a comment together with its replies
+    router.delete('/:commentId', requireAuth, loadPost, async (req, res) => {
+        logger.debug('💬 DELETE /api/posts/:id/comments/:commentId - Deleting comment');
+
+        const comment = await comments.getForAction(req.post, req.params.commentId, req.user, 'canDelete');
+        await comments.delete(comment);
+        res.json({
+            message: 'Comment deleted successfully',
+            id: comment.id
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createCommentsRouter };
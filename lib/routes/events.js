@@ -0,0 +1,50 @@
+const express = require('express');
+const { logger } = require('../logger');
+
+// A comment line now and then keeps proxies from closing an idle stream
+const HEARTBEAT_INTERVAL_MS = 25000;
+// How long the browser waits before reconnecting a dropped stream
+const RECONNECT_DELAY_MS = 3000;
+
+function formatEvent({ id, type, data }) {
+    return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function createEventsRouter({ events }) {
+    const router = express.Router();
+
+    // Server-Sent Events: post-created, post-updated and post-deleted as
+    // they happen. A client reconnecting with Last-Event-ID first gets the
+    // events it missed, or "resync" when they are no longer known
+    router.get('/', (req, res) => {
+        logger.debug('📡 GET /api/events - Client subscribed to post events');
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.flushHeaders();
+        res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+        const lastEventId = req.get('Last-Event-ID');
+        if (lastEventId) {
+            const missed = events.since(lastEventId);
+            res.write(missed ? missed.map(formatEvent).join('') : 'event: resync\ndata: {}\n\n');
+        }
+
+        const send = event => res.write(formatEvent(event));
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+        events.on('event', send);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            events.off('event', send);
+            logger.debug('📡 Client unsubscribed from post events');
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createEventsRouter };
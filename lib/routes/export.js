@@ -0,0 +1,22 @@
+const express = require('express');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { logger } = require('../logger');
+
+function createExportRouter({ importExport }) {
+    const router = express.Router();
+
+    router.use(requireAuth, requirePermission('posts:export'));
+
+    // Download every post: ?format=json (default) or ?format=markdown for a
+    // zip of Markdown files with front matter
+    router.get('/', async (req, res) => {
+        logger.debug('📦 GET /api/export - Exporting posts');
+
+        const file = await importExport.exportPosts(req.query.format === undefined ? 'json' : String(req.query.format));
+        res.attachment(file.fileName).type(file.mimeType).send(file.body);
+    });
+
+    return router;
+}
+
+module.exports = { createExportRouter };
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const express = require('express');
+const { buildFeed, renderRss, renderAtom, renderJsonFeed } = require('../feeds');
+const { logger } = require('../logger');
+
+const FORMATS = {
+    '/feed.xml': { type: 'application/rss+xml', render: renderRss },
+    '/atom.xml': { type: 'application/atom+xml', render: renderAtom },
+    '/feed.json': { type: 'application/feed+json', render: renderJsonFeed }
+};
+
+function queryString(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+// Mounted at the site root, next to index.html, where feed readers look.
+// ?author= and ?tag= narrow a feed. publicUrl is the publicUrl setting from
+// lib/config.js; without it links use the host the request was sent to
+function createFeedsRouter({ posts }, { publicUrl = null } = {}) {
+    const router = express.Router();
+
+    Object.entries(FORMATS).forEach(([path, format]) => {
+        router.get(path, async (req, res) => {
+            logger.debug(`📰 GET ${path} - Building feed`);
+
+            const author = queryString(req.query.author);
+            const tag = queryString(req.query.tag);
+            const rows = await posts.listFeedPosts({ author, tag });
+
+            const baseUrl = publicUrl || `${req.protocol}://${req.get('host')}`;
+            const feed = buildFeed(rows, { baseUrl, author, tag });
+            const body = format.render(feed);
+
+            // Readers poll feeds; they get a 304 until a post changes
+            res.set('ETag', `"${crypto.createHash('sha1').update(body).digest('base64url')}"`);
+            res.set('Cache-Control', 'no-cache');
+            if (feed.updated) {
+                res.set('Last-Modified', feed.updated.toUTCString());
+            }
+            if (req.fresh) {
+                return res.status(304).end();
+            }
+
+            res.type(format.type).send(body);
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createFeedsRouter };
@@ -0,0 +1,35 @@
+const express = require('express');
+const { NotFoundError } = require('../errors');
+const { logger } = require('../logger');
+
+// A year: a stored file never changes, its name is new for every upload
+const FILE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Mounted at /api/files; serves attachment files and thumbnails by their
+// stored name. Names are random and only appear in posts the user can see,
+// so the link is what grants access (like for <img> tags, which send no token)
+function createFilesRouter({ attachments }) {
+    const router = express.Router();
+
+    router.get('/:name', async (req, res, next) => {
+        logger.debug('📎 GET /api/files/:name - Sending attachment file');
+
+        const file = await attachments.getFile(req.params.name);
+
+        res.set('X-Content-Type-Options', 'nosniff');
+        // Only images open in the browser; anything else is downloaded
+        if (!file.isImage) {
+            res.attachment(file.downloadName);
+        }
+        res.type(file.mimeType).sendFile(file.path, { maxAge: FILE_MAX_AGE_MS, immutable: true }, (err) => {
+            if (err && !res.headersSent) {
+                // The row is there but the file is gone from the uploads directory
+                next(err.code === 'ENOENT' ? new NotFoundError('File not found') : err);
+            }
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createFilesRouter };
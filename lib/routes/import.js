@@ -0,0 +1,24 @@
+const express = require('express');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { receiveFile } = require('../middleware/uploads');
+const { logger } = require('../logger');
+
+function createImportRouter({ importExport }) {
+    const router = express.Router();
+
+    router.use(requireAuth, requirePermission('posts:import'));
+
+    // Import posts from a file in the "file" field of a multipart body: a
+    // JSON export, a zip of Markdown files or a WordPress export. With
+    // ?dryRun=true nothing is saved; the report tells what would be
+    router.post('/', receiveFile('file', { maxFileSize: importExport.maxFileSize }), async (req, res) => {
+        logger.debug('📥 POST /api/import - Importing posts');
+
+        const dryRun = req.query.dryRun === 'true';
+        res.json(await importExport.importPosts(req.file, req.user, { dryRun }));
+    });
+
+    return router;
+}
+
+module.exports = { createImportRouter };
@@ -0,0 +1,48 @@
+const express = require('express');
+const { createAuthenticate, createCsrfCheck } = require('../middleware/auth');
+const { securityHeaders, createRateLimit, API_POLICY } = require('../middleware/security');
+const { apiNotFound } = require('../middleware/error-handler');
+const { createAuthRouter } = require('./auth');
+const { createUsersRouter } = require('./users');
+const { createPostsRouter } = require('./posts');
+const { createRevisionsRouter } = require('./revisions');
+const { createCommentsRouter } = require('./comments');
+const { createTrashRouter } = require('./trash');
+const { createTagsRouter } = require('./tags');
+const { createSearchRouter } = require('./search');
+const { createEventsRouter } = require('./events');
+const { createAttachmentsRouter } = require('./attachments');
+const { createFilesRouter } = require('./files');
+const { createExportRouter } = require('./export');
+const { createImportRouter } = require('./import');
+
+// Everything under /api; services come from createServices() and rateLimit
+// is the one createApp() was given
+function createApiRouter(services, { rateLimit }) {
+    const router = express.Router();
+
+    router.use(securityHeaders(API_POLICY));
+    router.use(createAuthenticate(services.auth));
+    router.use(createCsrfCheck(services.auth));
+    router.use(createRateLimit(rateLimit));
+
+    router.use('/auth', createAuthRouter(services));
+    router.use('/users', createUsersRouter(services));
+    router.use('/posts/:id/revisions', createRevisionsRouter(services));
+    router.use('/posts/:id/comments', createCommentsRouter(services));
+    router.use('/posts/:id/attachments', createAttachmentsRouter(services));
+    router.use('/posts', createPostsRouter(services));
+    router.use('/trash', createTrashRouter(services));
+    router.use('/tags', createTagsRouter(services));
+    router.use('/search', createSearchRouter(services));
+    router.use('/events', createEventsRouter(services));
+    router.use('/files', createFilesRouter(services));
+    router.use('/export', createExportRouter(services));
+    router.use('/import', createImportRouter(services));
+
+    router.use(apiNotFound);
+
+    return router;
+}
+
+module.exports = { createApiRouter };
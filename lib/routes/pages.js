@@ -0,0 +1,66 @@
+const express = require('express');
+const { loadTemplate, renderIndexPage, renderPostPage, renderPostNotFoundPage } = require('../pages');
+const { renderSitemap, renderRobots } = require('../sitemap');
+const { formatPost, formatPagination } = require('../views');
+const { NotFoundError } = require('../errors');
+const { logger } = require('../logger');
+
+// Server-rendered pages for visitors and crawlers, mounted at the site root
+// before the static files so "/" is rendered rather than served as is.
+// publicUrl is the publicUrl setting from lib/config.js; without it links use
+// the host the request was sent to
+function createPagesRouter({ posts }, { publicUrl = null } = {}) {
+    // strict, so /posts/12/ doesn't get a page whose relative URLs are off
+    const router = express.Router({ strict: true });
+    const template = loadTemplate();
+
+    const baseUrlFor = req => publicUrl || `${req.protocol}://${req.get('host')}`;
+
+    // Pages change with every post; browsers check back each time and get a
+    // 304 from Express' ETag when nothing did
+    const send = (res, type, body) => res.set('Cache-Control', 'no-cache').type(type).send(body);
+
+    router.get('/', async (req, res) => {
+        logger.debug('🖥️ GET / - Rendering the post list');
+
+        const { rows, total, limit, offset } = await posts.listPosts({}, null);
+        send(res, 'html', renderIndexPage(template, {
+            baseUrl: baseUrlFor(req),
+            posts: rows.map(row => formatPost(row, null)),
+            pagination: formatPagination({ total, limit, offset, count: rows.length })
+        }));
+    });
+
+    router.get('/posts/:id', async (req, res) => {
+        logger.debug('🖥️ GET /posts/:id - Rendering a post');
+
+        const baseUrl = baseUrlFor(req);
+        let post;
+        try {
+            post = await posts.getVisiblePost(req.params.id, null);
+        } catch (err) {
+            if (!(err instanceof NotFoundError)) {
+                throw err;
+            }
+            const id = Number(req.params.id) || null;
+            return send(res.status(404), 'html', renderPostNotFoundPage(template, { baseUrl, id }));
+        }
+
+        send(res, 'html', renderPostPage(template, { baseUrl, post: formatPost(post, null) }));
+    });
+
+    router.get('/sitemap.xml', async (req, res) => {
+        logger.debug('🗺️ GET /sitemap.xml - Listing public posts');
+
+        const rows = await posts.listSitemapPosts();
+        send(res, 'application/xml', renderSitemap(rows, { baseUrl: baseUrlFor(req) }));
+    });
+
+    router.get('/robots.txt', (req, res) => {
+        send(res, 'text/plain', renderRobots({ baseUrl: baseUrlFor(req) }));
+    });
+
+    return router;
+}
+
+module.exports = { createPagesRouter };
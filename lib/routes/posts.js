@@ -0,0 +1,62 @@
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const { requirePostCapability, requireIfMatch } = require('../middleware/posts');
+const { formatPost, formatETag, formatPagination } = require('../views');
+const { logger } = require('../logger');
+
+function createPostsRouter({ posts }) {
+    const router = express.Router();
+
+    // Get a page of posts
+    router.get('/', async (req, res) => {
+        logger.debug('📖 GET /api/posts - Fetching blog posts');
+
+        const { rows, total, limit, offset } = await posts.listPosts(req.query, req.user);
+        res.json({
+            posts: rows.map(row => formatPost(row, req.user)),
+            pagination: formatPagination({ total, limit, offset, count: rows.length })
+        });
+    });
+
+    // Get a single post by ID
+    router.get('/:id', async (req, res) => {
+        logger.debug('📖 GET /api/posts/:id - Fetching blog post');
+
+        const post = await posts.getVisiblePost(req.params.id, req.user);
+        res.set('ETag', formatETag(post)).json(formatPost(post, req.user));
+    });
+
+    // Create a new blog post
+    router.post('/', requireAuth, async (req, res) => {
+        logger.debug('✍️ POST /api/posts - Creating new blog post');
+
+        const post = await posts.createPost(req.body || {}, req.user);
+        res.status(201).set('ETag', formatETag(post)).json(formatPost(post, req.user));
+    });
+
+    // Update a blog post
+    router.put('/:id', requireAuth, requirePostCapability(posts, 'canEdit'), requireIfMatch(posts),
+        async (req, res) => {
+            logger.debug('✏️ PUT /api/posts/:id - Updating blog post');
+
+            const post = await posts.updatePost(req.post, req.body || {}, req.user, req.expectedVersion);
+            res.set('ETag', formatETag(post)).json(formatPost(post, req.user));
+        });
+
+    // Move a blog post to the trash
+    router.delete('/:id', requireAuth, requirePostCapability(posts, 'canDelete'), requireIfMatch(posts),
+        async (req, res) => {
+            logger.debug('🗑️ DELETE /api/posts/:id - Moving blog post to the trash');
+
+            await posts.deletePost(req.post, req.expectedVersion);
+            res.json({
+                message: 'Post moved to the trash',
+                id: req.post.id,
+                retentionDays: posts.trashRetentionDays
+            });
+        });
+
+    return router;
+}
+
+module.exports = { createPostsRouter };
@@ -0,0 +1,55 @@
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const { requirePostCapability } = require('../middleware/posts');
+const { formatPost, formatETag, formatRevision, formatRevisionSummary } = require('../views');
+const { logger } = require('../logger');
+
+// Mounted at /api/posts/:id/revisions; only people who may edit a post can
+// see its history
+function createRevisionsRouter({ posts, revisions }) {
+    const router = express.Router({ mergeParams: true });
+
+    router.use(requireAuth, requirePostCapability(posts, 'canEdit'));
+
+    // List a post's revisions, newest first
+    router.get('/', async (req, res) => {
+        logger.debug('🕘 GET /api/posts/:id/revisions - Fetching revisions');
+
+        const rows = await revisions.list(req.post.id);
+        const currentRevision = rows.length > 0 ? rows[0].revision : null;
+
+        res.json({
+            revisions: rows.map(row => formatRevisionSummary(row, currentRevision)),
+            total: rows.length
+        });
+    });
+
+    // Get a single revision with its content
+    router.get('/:rev', async (req, res) => {
+        logger.debug('🕘 GET /api/posts/:id/revisions/:rev - Fetching revision');
+
+        const { revision, currentRevision } = await revisions.get(req.post.id, req.params.rev);
+        res.json(formatRevision(revision, currentRevision));
+    });
+
+    // Line diff from another revision (?against=, default: the one before) to this one
+    router.get('/:rev/diff', async (req, res) => {
+        logger.debug('🕘 GET /api/posts/:id/revisions/:rev/diff - Comparing revisions');
+
+        const { revision } = await revisions.get(req.post.id, req.params.rev);
+        res.json(await revisions.diff(req.post.id, revision, req.query.against));
+    });
+
+    // Put a revision's title and content back; this is saved as a new revision
+    router.post('/:rev/restore', async (req, res) => {
+        logger.debug('🕘 POST /api/posts/:id/revisions/:rev/restore - Restoring revision');
+
+        const { revision } = await revisions.get(req.post.id, req.params.rev);
+        const post = await revisions.restore(req.post, revision, req.user);
+        res.set('ETag', formatETag(post)).json(formatPost(post, req.user));
+    });
+
+    return router;
+}
+
+module.exports = { createRevisionsRouter };
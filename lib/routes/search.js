@@ -0,0 +1,23 @@
+const express = require('express');
+const { formatSearchResult, formatPagination } = require('../views');
+const { logger } = require('../logger');
+
+function createSearchRouter({ posts }) {
+    const router = express.Router();
+
+    // Search posts
+    router.get('/', async (req, res) => {
+        logger.debug('🔎 GET /api/search - Searching blog posts');
+
+        const { text, rows, total, limit, offset } = await posts.searchPosts(req.query, req.user);
+        res.json({
+            query: text,
+            results: rows.map(row => formatSearchResult(row, req.user)),
+            pagination: formatPagination({ total, limit, offset, count: rows.length })
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createSearchRouter };
@@ -0,0 +1,19 @@
+const express = require('express');
+const { formatTag } = require('../views');
+const { logger } = require('../logger');
+
+function createTagsRouter({ posts }) {
+    const router = express.Router();
+
+    // List tags on published posts, most used first
+    router.get('/', async (req, res) => {
+        logger.debug('🏷️ GET /api/tags - Fetching tags');
+
+        const rows = await posts.listTags();
+        res.json({ tags: rows.map(formatTag) });
+    });
+
+    return router;
+}
+
+module.exports = { createTagsRouter };
@@ -0,0 +1,34 @@
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const { requirePostCapability } = require('../middleware/posts');
+const { formatPost, formatETag, formatTrashedPost } = require('../views');
+const { logger } = require('../logger');
+
+function createTrashRouter({ posts }) {
+    const router = express.Router();
+
+    router.use(requireAuth);
+
+    // Trash: posts the user deleted (or, for admins, anyone's), newest first
+    router.get('/', async (req, res) => {
+        logger.debug('🗑️ GET /api/trash - Fetching trashed posts');
+
+        const rows = await posts.listTrash(req.user);
+        res.json({
+            posts: rows.map(row => formatTrashedPost(row, req.user, posts.trashRetentionDays)),
+            retentionDays: posts.trashRetentionDays
+        });
+    });
+
+    // Take a post back out of the trash
+    router.post('/:id/restore', requirePostCapability(posts, 'canDelete', { trashed: true }), async (req, res) => {
+        logger.debug('♻️ POST /api/trash/:id/restore - Restoring trashed post');
+
+        const post = await posts.restoreFromTrash(req.post);
+        res.set('ETag', formatETag(post)).json(formatPost(post, req.user));
+    });
+
+    return router;
+}
+
+module.exports = { createTrashRouter };
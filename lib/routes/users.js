@@ -0,0 +1,39 @@
+const express = require('express');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { formatUser } = require('../views');
+const { logger } = require('../logger');
+
+function createUsersRouter({ users }) {
+    const router = express.Router();
+
+    router.use(requireAuth, requirePermission('users:manage'));
+
+    // List all users
+    router.get('/', async (req, res) => {
+        logger.debug('👥 GET /api/users - Listing users');
+
+        const rows = await users.list();
+        res.json(rows.map(formatUser));
+    });
+
+    // Change a user's role
+    router.put('/:id/role', async (req, res) => {
+        logger.debug('👥 PUT /api/users/:id/role - Changing user role');
+
+        const { role } = req.body || {};
+        const user = await users.changeRole(req.params.id, role);
+        res.json(formatUser(user));
+    });
+
+    // Delete a user; their posts stay, without an owner
+    router.delete('/:id', async (req, res) => {
+        logger.debug('👥 DELETE /api/users/:id - Deleting user');
+
+        const user = await users.deleteUser(req.params.id);
+        res.json({ message: 'User deleted successfully', id: user.id });
+    });
+
+    return router;
+}
+
+module.exports = { createUsersRouter };
@@ -0,0 +1,30 @@
+const { escapeHtml } = require('../public/js/markdown');
+
+// Markers placed around matches by highlight()/snippet(); they are replaced
+// with <mark> only after the surrounding text has been escaped
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+// Turn free text into an FTS5 query: every word must match, as a prefix,
+// and FTS5 operators typed by the user are treated as plain words
+function buildMatchExpression(text) {
+    return text
+        .split(/\s+/)
+        .map(term => term.replace(/"/g, ''))
+        .filter(term => term.length > 0)
+        .map(term => `"${term}"*`)
+        .join(' ');
+}
+
+function highlightToHtml(text) {
+    return escapeHtml(text)
+        .split(MATCH_START).join('<mark>')
+        .split(MATCH_END).join('</mark>');
+}
+
+module.exports = {
+    MATCH_START,
+    MATCH_END,
+    buildMatchExpression,
+    highlightToHtml
+};
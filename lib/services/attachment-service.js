@@ -0,0 +1,205 @@
+const path = require('path');
+const sharp = require('sharp');
+const { ValidationError, NotFoundError, UnsupportedMediaTypeError } = require('../errors');
+const { logger } = require('../logger');
+
+// What may be attached, with the extension the stored file gets
+const FILE_TYPES = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'application/pdf': '.pdf',
+    'text/plain': '.txt',
+    'text/markdown': '.md'
+};
+// sharp's format names for the image types above
+const IMAGE_FORMATS = {
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp'
+};
+const TEXT_FILE_PATTERN = /\.(txt|md|markdown)$/i;
+const MARKDOWN_FILE_PATTERN = /\.(md|markdown)$/i;
+
+const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024;
+const MAX_NAME_LENGTH = 255;
+// Thumbnails fit in a square this size (pixels) and are always WebP
+const THUMBNAIL_SIZE = 640;
+// A file with no attachment row may still be on its way in; leave it this long
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+function isUtf8Text(buffer) {
+    if (buffer.includes(0)) {
+        return false;
+    }
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+// The type is read from the content; the browser's type and the file name
+// only decide between plain text and Markdown. Resolves with
+// { mimeType, metadata } (metadata for images), or null if not allowed
+async function detectFileType({ buffer, originalname, mimetype }) {
+    if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+        return { mimeType: 'application/pdf' };
+    }
+
+    try {
+        const metadata = await sharp(buffer).metadata();
+        if (IMAGE_FORMATS[metadata.format]) {
+            return { mimeType: IMAGE_FORMATS[metadata.format], metadata };
+        }
+        return null;
+    } catch (err) {
+        // Not an image sharp can read
+    }
+
+    const looksLikeText = mimetype === 'text/plain' || mimetype === 'text/markdown' ||
+        TEXT_FILE_PATTERN.test(originalname);
+    if (looksLikeText && isUtf8Text(buffer)) {
+        const isMarkdown = mimetype === 'text/markdown' || MARKDOWN_FILE_PATTERN.test(originalname);
+        return { mimeType: isMarkdown ? 'text/markdown' : 'text/plain' };
+    }
+    return null;
+}
+
+// Turned the way the camera held it (EXIF orientation), never enlarged
+function createThumbnail(buffer) {
+    return sharp(buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+}
+
+function cleanFileName(name) {
+    const base = path.basename(String(name || '')).trim();
+    return base.slice(0, MAX_NAME_LENGTH) || 'file';
+}
+
+// Files attached to posts: checks what is uploaded, stores it with a
+// thumbnail for images and keeps the metadata in the attachments table
+class AttachmentService {
+    constructor({ attachments, storage, maxFileSize = DEFAULT_MAX_FILE_SIZE }) {
+        this.attachments = attachments;
+        this.storage = storage;
+        this.maxFileSize = maxFileSize;
+    }
+
+    list(post) {
+        return this.attachments.listForPost(post.id);
+    }
+
+    async get(post, attachmentId) {
+        const attachment = await this.attachments.findOnPost(attachmentId, post.id);
+        if (!attachment) {
+            throw new NotFoundError('Attachment not found');
+        }
+        return attachment;
+    }
+
+    // file is what multer puts in req.file: { buffer, originalname, mimetype, size }
+    async upload(post, file, user) {
+        if (file.size === 0) {
+            throw new ValidationError('The file is empty');
+        }
+
+        const type = await detectFileType(file);
+        if (!type) {
+            throw new UnsupportedMediaTypeError('Only JPEG, PNG, GIF and WebP images, PDFs and text files can be attached');
+        }
+
+        let thumbnail = null;
+        if (type.metadata) {
+            try {
+                thumbnail = await createThumbnail(file.buffer);
+            } catch (err) {
+                throw new UnsupportedMediaTypeError('The image could not be read');
+            }
+        }
+
+        const fileName = this.storage.createName(FILE_TYPES[type.mimeType]);
+        const thumbnailName = thumbnail ? this.storage.createName('.webp') : null;
+        // Width and height as the image is shown, after EXIF rotation
+        const { width = null, height = null } = type.metadata ? (type.metadata.autoOrient || type.metadata) : {};
+
+        await this.storage.save(fileName, file.buffer);
+        if (thumbnail) {
+            await this.storage.save(thumbnailName, thumbnail);
+        }
+
+        let attachmentId;
+        try {
+            attachmentId = await this.attachments.create({
+                postId: post.id,
+                uploaderId: user.id,
+                originalName: cleanFileName(file.originalname),
+                fileName,
+                thumbnailName,
+                mimeType: type.mimeType,
+                size: file.size,
+                width,
+                height
+            });
+        } catch (err) {
+            await this.removeFiles({ file_name: fileName, thumbnail_name: thumbnailName });
+            throw err;
+        }
+        logger.info('📎 Attachment uploaded with ID:', attachmentId);
+
+        return this.attachments.findById(attachmentId);
+    }
+
+    async delete(attachment) {
+        await this.attachments.delete(attachment.id);
+        await this.removeFiles(attachment);
+        logger.info('✅ Attachment deleted with ID:', attachment.id);
+    }
+
+    // A stored file (or thumbnail) by name, for GET /api/files/:name:
+    // { path, mimeType, downloadName, isImage }
+    async getFile(name) {
+        const attachment = await this.attachments.findByFileName(name);
+        if (!attachment) {
+            throw new NotFoundError('File not found');
+        }
+
+        const isThumbnail = attachment.thumbnail_name === name;
+        return {
+            path: this.storage.pathOf(name),
+            mimeType: isThumbnail ? 'image/webp' : attachment.mime_type,
+            downloadName: attachment.original_name,
+            isImage: Boolean(attachment.thumbnail_name)
+        };
+    }
+
+    async removeFiles(attachment) {
+        await this.storage.remove(attachment.file_name);
+        if (attachment.thumbnail_name) {
+            await this.storage.remove(attachment.thumbnail_name);
+        }
+    }
+
+    // Purging a post from the trash deletes its attachment rows (ON DELETE
+    // CASCADE) but not the files; this removes files no row points to
+    async removeOrphanFiles({ graceMs = ORPHAN_GRACE_MS } = {}) {
+        const inUse = new Set(await this.attachments.listFileNames());
+        const cutoff = Date.now() - graceMs;
+        const orphans = (await this.storage.list())
+            .filter(file => !inUse.has(file.name) && file.modifiedAt <= cutoff);
+
+        await Promise.all(orphans.map(file => this.storage.remove(file.name)));
+        if (orphans.length > 0) {
+            logger.info(`🧹 Removed ${orphans.length} unused attachment file(s)`);
+        }
+        return orphans.length;
+    }
+}
+
+module.exports = { AttachmentService, FILE_TYPES, THUMBNAIL_SIZE };
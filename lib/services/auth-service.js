@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { ValidationError, AuthenticationError, ConflictError } = require('../errors');
+const { logger } = require('../logger');
+
+const SESSION_TTL_DAYS = 7;
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,30}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const PASSWORD_KEY_LENGTH = 64;
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, PASSWORD_KEY_LENGTH, (err, derivedKey) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve({ hash: derivedKey.toString('hex'), salt });
+            }
+        });
+    });
+}
+
+async function verifyPassword(password, user) {
+    const { hash } = await hashPassword(password, user.password_salt);
+    const expected = Buffer.from(user.password_hash, 'hex');
+    const actual = Buffer.from(hash, 'hex');
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Only a hash of the token is stored, so a leaked database can't be used to log in
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// A session's CSRF token is derived from it, so nothing more is stored and
+// only someone holding the session can work it out
+function deriveCsrfToken(tokenHash) {
+    return crypto.createHmac('sha256', tokenHash).update('csrf').digest('base64url');
+}
+
+function validateCredentials(body) {
+    const { username, password } = body || {};
+
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+        throw new ValidationError('Username must be 3-30 characters: letters, numbers, dots, dashes or underscores');
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new ValidationError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+    }
+    if (password.length > MAX_PASSWORD_LENGTH) {
+        throw new ValidationError(`Password must be at most ${MAX_PASSWORD_LENGTH} characters long`);
+    }
+}
+
+// Accounts, passwords and bearer-token sessions
+class AuthService {
+    constructor({ users }) {
+        this.users = users;
+    }
+
+    async createSession(userId) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        await this.users.createSession(hashToken(token), userId, SESSION_TTL_DAYS);
+        return token;
+    }
+
+    // Resolves with { user, token }; the first account administers the blog
+    async register(body) {
+        validateCredentials(body);
+        const { username, password } = body;
+
+        if (await this.users.findByUsername(username)) {
+            throw new ConflictError('Username is already taken');
+        }
+
+        const role = (await this.users.count()) === 0 ? 'admin' : 'author';
+        const { hash, salt } = await hashPassword(password);
+        const userId = await this.users.create({ username, passwordHash: hash, passwordSalt: salt, role });
+        const user = await this.users.findById(userId);
+        const token = await this.createSession(user.id);
+
+        logger.info('✅ User registered with ID:', user.id);
+        return { user, token };
+    }
+
+    async login({ username, password } = {}) {
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            throw new ValidationError('Username and password are required');
+        }
+
+        const user = await this.users.findByUsername(username);
+        if (!user || !(await verifyPassword(password, user))) {
+            throw new AuthenticationError('Invalid username or password');
+        }
+
+        return { user, token: await this.createSession(user.id) };
+    }
+
+    logout(tokenHash) {
+        return this.users.deleteSession(tokenHash);
+    }
+
+    // Resolves with { user, tokenHash } for a live session token, or null
+    async authenticate(token) {
+        const tokenHash = hashToken(token);
+        const user = await this.users.findBySession(tokenHash);
+        return user ? { user, tokenHash } : null;
+    }
+
+    // For sessions kept in a cookie (see middleware/auth.js)
+    getCsrfToken(tokenHash) {
+        return deriveCsrfToken(tokenHash);
+    }
+
+    verifyCsrfToken(tokenHash, csrfToken) {
+        const expected = Buffer.from(deriveCsrfToken(tokenHash));
+        const actual = Buffer.from(typeof csrfToken === 'string' ? csrfToken : '');
+
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+}
+
+module.exports = { AuthService, SESSION_TTL_DAYS, hashPassword, verifyPassword, hashToken };
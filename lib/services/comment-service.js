@@ -0,0 +1,90 @@
+const { getCommentCapabilities, isPostVisible } = require('../permissions');
+const { ValidationError, ForbiddenError, NotFoundError } = require('../errors');
+const { logger } = require('../logger');
+
+const MAX_COMMENT_LENGTH = 2000;
+
+function validateCommentContent(content) {
+    if (typeof content !== 'string' || content.trim().length === 0) {
+        throw new ValidationError('Comment content is required');
+    }
+    if (content.length > MAX_COMMENT_LENGTH) {
+        throw new ValidationError(`Comments must be at most ${MAX_COMMENT_LENGTH} characters long`);
+    }
+}
+
+// Comments and replies; anyone who can see a post can read its comments
+class CommentService {
+    constructor({ posts, comments }) {
+        this.posts = posts;
+        this.comments = comments;
+    }
+
+    async getPost(postId, user) {
+        const post = await this.posts.findById(postId);
+        if (!post || !isPostVisible(user, post)) {
+            throw new NotFoundError('Post not found');
+        }
+        return post;
+    }
+
+    // Oldest first, ready for buildCommentTree
+    list(post) {
+        return this.comments.listForPost(post.id);
+    }
+
+    async get(post, commentId) {
+        const comment = await this.comments.findOnPost(commentId, post.id);
+        if (!comment) {
+            throw new NotFoundError('Comment not found');
+        }
+        return comment;
+    }
+
+    // The comment if the user has the capability (canEdit/canDelete) on it
+    async getForAction(post, commentId, user, capability) {
+        const comment = await this.get(post, commentId);
+        if (!getCommentCapabilities(user, comment)[capability]) {
+            const action = capability === 'canDelete' ? 'delete' : 'edit';
+            throw new ForbiddenError(`You do not have permission to ${action} this comment`);
+        }
+        return comment;
+    }
+
+    // A comment on the post, or a reply to one of its comments with parentId
+    async create(post, { content, parentId } = {}, user) {
+        validateCommentContent(content);
+
+        if (parentId !== undefined && parentId !== null) {
+            if (!(await this.comments.findOnPost(parentId, post.id))) {
+                throw new ValidationError('Parent comment not found on this post');
+            }
+        }
+
+        const commentId = await this.comments.create({
+            postId: post.id,
+            parentId: parentId ?? null,
+            author: user.username,
+            authorId: user.id,
+            content: content.trim()
+        });
+        logger.info('✅ Comment created with ID:', commentId);
+
+        return this.comments.findById(commentId);
+    }
+
+    async update(comment, { content } = {}) {
+        validateCommentContent(content);
+
+        await this.comments.update(comment.id, content.trim());
+        return this.comments.findById(comment.id);
+    }
+
+    // Replies go with it
+    async delete(comment) {
+        await this.comments.delete(comment.id);
+        logger.info('✅ Comment deleted with ID:', comment.id);
+    }
+}
+
+module.exports = { CommentService, MAX_COMMENT_LENGTH };
@@ -0,0 +1,246 @@
+const PostSchema = require('../../public/js/post-schema');
+const { EXPORT_FORMATS, readImportFile } = require('../formats');
+const { formatExportedPost } = require('../views');
+const { toSqlTimestamp } = require('../timestamps');
+const { ValidationError } = require('../errors');
+const { logger } = require('../logger');
+
+// Largest file POST /api/import takes unless told otherwise
+const DEFAULT_MAX_FILE_SIZE = 50 * 1024 * 1024;
+
+// A date from the file, or undefined when there is none. Bad dates are
+// reported as warnings and left out
+function readDate(value, label, warnings) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+
+    const time = value instanceof Date ? value.getTime() : Date.parse(value);
+    if (Number.isNaN(time)) {
+        warnings.push(`${label} "${value}" is not a date and was left out`);
+        return undefined;
+    }
+    return new Date(time);
+}
+
+// Tags a post can't have are left out rather than turning the post down:
+// WordPress tags and categories often don't fit the tag rules
+function readTags(value, warnings) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    if (!Array.isArray(value)) {
+        warnings.push('"tags" is not a list and was left out');
+        return [];
+    }
+
+    const tags = [];
+    value.forEach((tag) => {
+        const name = PostSchema.normalizeTag(tag);
+        if (!PostSchema.TAG_PATTERN.test(name)) {
+            warnings.push(`Tag "${tag}" was left out. Tags are up to 30 letters, numbers or dashes`);
+        } else if (!tags.includes(name)) {
+            tags.push(name);
+        }
+    });
+
+    if (tags.length > PostSchema.MAX_TAGS_PER_POST) {
+        warnings.push(`Only the first ${PostSchema.MAX_TAGS_PER_POST} tags were kept`);
+        return tags.slice(0, PostSchema.MAX_TAGS_PER_POST);
+    }
+    return tags;
+}
+
+// Moving posts in and out of the blog in bulk: GET /api/export and
+// POST /api/import, for admins
+class ImportExportService {
+    constructor({ posts, revisions, users, events, maxFileSize = DEFAULT_MAX_FILE_SIZE }) {
+        this.posts = posts;
+        this.revisions = revisions;
+        this.users = users;
+        this.events = events;
+        this.maxFileSize = maxFileSize;
+    }
+
+    // Every post outside the trash, drafts included. Resolves with
+    // { fileName, mimeType, body } to send as a download
+    async exportPosts(format = 'json') {
+        const writer = EXPORT_FORMATS[format];
+        if (!writer) {
+            throw new ValidationError(`Invalid export format "${format}". Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+        }
+
+        const now = new Date();
+        const rows = await this.posts.listAll();
+        const body = writer.write(rows.map(formatExportedPost), { exportedAt: now.toISOString() });
+        logger.info(`📦 Exported ${rows.length} post(s) as ${format}`);
+
+        return {
+            fileName: `blog-export-${now.toISOString().slice(0, 10)}.${writer.extension}`,
+            mimeType: writer.mimeType,
+            body
+        };
+    }
+
+    // Checks every post in the file, then creates the new ones in one
+    // transaction: all of them or, if anything fails, none. Duplicates of
+    // posts already on the blog (same title and content) and posts that
+    // break the post rules are skipped and reported. With dryRun nothing is
+    // written and the report tells what would happen
+    async importPosts(file, user, { dryRun = false } = {}) {
+        const { format, items, ignored } = readImportFile(file.buffer);
+        const authors = new Map();
+        // Posts to create, by their report entry
+        const toImport = new Map();
+        const seen = new Map();
+        const report = [];
+
+        for (const item of items) {
+            const { entry, post } = await this.checkItem(item, user, authors);
+            report.push(entry);
+            if (!post) {
+                continue;
+            }
+
+            // The same post twice in the file is imported once
+            const key = `${post.title.toLowerCase()}\n${post.content}`;
+            const existing = await this.posts.findDuplicate(post.title, post.content);
+            if (existing || seen.has(key)) {
+                entry.outcome = 'duplicate';
+                entry.duplicateOf = existing ? { id: existing.id } : { source: seen.get(key) };
+            } else {
+                seen.set(key, entry.source);
+                toImport.set(entry, post);
+            }
+        }
+
+        if (!dryRun && toImport.size > 0) {
+            await this.posts.transaction(async () => {
+                for (const [entry, post] of toImport) {
+                    entry.id = await this.createPost(post);
+                }
+            });
+            logger.info(`📥 Imported ${toImport.size} post(s) from a ${format} file`);
+            // Too many changes to send one by one: open pages reload instead
+            this.events.publish('resync', {});
+        }
+
+        return {
+            format,
+            dryRun,
+            summary: {
+                total: report.length,
+                imported: toImport.size,
+                duplicates: report.filter(entry => entry.outcome === 'duplicate').length,
+                invalid: report.filter(entry => entry.outcome === 'invalid').length,
+                ignored
+            },
+            posts: report
+        };
+    }
+
+    // One post from the file against the post rules. Resolves with its
+    // report entry and, when it passes, the post to create
+    async checkItem(item, user, authors) {
+        const warnings = [];
+        const entry = {
+            source: item.source,
+            title: typeof item.title === 'string' ? item.title.trim() : null,
+            outcome: 'invalid',
+            errors: [...(item.errors || [])],
+            warnings
+        };
+        if (entry.errors.length > 0) {
+            return { entry };
+        }
+
+        let status = item.status === undefined || item.status === null || item.status === '' ? 'published' : item.status;
+        const createdAt = readDate(item.createdAt, 'createdAt', warnings) || new Date();
+        const updatedAt = readDate(item.updatedAt, 'updatedAt', warnings) || createdAt;
+        let publishAt = readDate(item.publishAt, 'publishAt', warnings);
+
+        // Posts whose time came while they were away are simply published
+        if (status === 'scheduled' && publishAt && publishAt <= new Date()) {
+            status = 'published';
+        }
+        if (status === 'published') {
+            publishAt = publishAt || createdAt;
+        }
+
+        const { value, errors } = PostSchema.validatePost({
+            title: item.title,
+            content: item.content,
+            tags: readTags(item.tags, warnings),
+            status,
+            ...(status === 'scheduled' && { publishAt: publishAt ? publishAt.toISOString() : undefined })
+        });
+        if (errors.length > 0) {
+            entry.errors = errors.map(error => error.message);
+            return { entry };
+        }
+
+        const author = await this.resolveAuthor(item.author, user, authors, warnings);
+        entry.author = author.username;
+        entry.status = value.status;
+        entry.outcome = 'import';
+        const post = {
+            title: value.title,
+            content: value.content,
+            tags: value.tags,
+            status: value.status,
+            publishAt: value.status === 'draft' ? null : toSqlTimestamp(publishAt),
+            author,
+            createdAt: toSqlTimestamp(createdAt),
+            updatedAt: toSqlTimestamp(updatedAt < createdAt ? createdAt : updatedAt)
+        };
+        return { entry, post };
+    }
+
+    // Posts go to the account with the author's username. Without one they
+    // become the importing admin's, so drafts don't end up with no owner
+    // who can see them
+    async resolveAuthor(name, user, authors, warnings) {
+        const username = typeof name === 'string' ? name.trim() : '';
+        if (!username) {
+            return user;
+        }
+
+        const key = username.toLowerCase();
+        if (!authors.has(key)) {
+            authors.set(key, (await this.users.findByUsername(username)) || null);
+        }
+
+        const author = authors.get(key);
+        if (!author) {
+            warnings.push(`There is no user "${username}"; the post will be yours`);
+            return user;
+        }
+        return author;
+    }
+
+    // Resolves with the new post's id
+    async createPost(post) {
+        const postId = await this.posts.createImported({
+            title: post.title,
+            content: post.content,
+            author: post.author.username,
+            authorId: post.author.id,
+            status: post.status,
+            publishAt: post.publishAt,
+            createdAt: post.createdAt,
+            updatedAt: post.updatedAt
+        });
+        await this.posts.setTags(postId, post.tags || []);
+        await this.revisions.create({
+            postId,
+            revision: 1,
+            title: post.title,
+            content: post.content,
+            editor: post.author.username,
+            editorId: post.author.id
+        });
+        return postId;
+    }
+}
+
+module.exports = { ImportExportService };
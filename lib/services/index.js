@@ -0,0 +1,55 @@
+const { wrapDatabase } = require('../database');
+const { PostRepository } = require('../repositories/post-repository');
+const { RevisionRepository } = require('../repositories/revision-repository');
+const { CommentRepository } = require('../repositories/comment-repository');
+const { UserRepository } = require('../repositories/user-repository');
+const { AttachmentRepository } = require('../repositories/attachment-repository');
+const { AttachmentStorage } = require('../attachment-storage');
+const { PostEvents } = require('../post-events');
+const { PostService } = require('./post-service');
+const { RevisionService } = require('./revision-service');
+const { CommentService } = require('./comment-service');
+const { AuthService } = require('./auth-service');
+const { UserService } = require('./user-service');
+const { AttachmentService } = require('./attachment-service');
+const { ImportExportService } = require('./import-export-service');
+
+// Wire the repositories and services together around an open sqlite3 database.
+// Attachment files go to uploadsPath (default: storage/uploads)
+function createServices(sqliteDb, { trashRetentionDays = 30, uploadsPath, maxUploadSize, maxImportSize } = {}) {
+    const db = wrapDatabase(sqliteDb);
+    const repositories = {
+        posts: new PostRepository(db),
+        revisions: new RevisionRepository(db),
+        comments: new CommentRepository(db),
+        users: new UserRepository(db),
+        attachments: new AttachmentRepository(db)
+    };
+
+    // Post changes pushed to open clients (GET /api/events)
+    const events = new PostEvents();
+    const revisions = new RevisionService({ ...repositories, events });
+
+    return {
+        auth: new AuthService(repositories),
+        users: new UserService(repositories),
+        posts: new PostService({ posts: repositories.posts, revisions, events, trashRetentionDays }),
+        revisions,
+        comments: new CommentService(repositories),
+        attachments: new AttachmentService({
+            attachments: repositories.attachments,
+            storage: new AttachmentStorage(uploadsPath),
+            maxFileSize: maxUploadSize
+        }),
+        importExport: new ImportExportService({
+            posts: repositories.posts,
+            revisions: repositories.revisions,
+            users: repositories.users,
+            events,
+            maxFileSize: maxImportSize
+        }),
+        events
+    };
+}
+
+module.exports = { createServices };
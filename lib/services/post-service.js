@@ -0,0 +1,340 @@
+const { SORT_FIELDS } = require('../repositories/post-repository');
+const { getPostCapabilities, hasPermission, isPostVisible } = require('../permissions');
+const { buildMatchExpression } = require('../search');
+const { toSqlTimestamp } = require('../timestamps');
+const PostSchema = require('../../public/js/post-schema');
+const {
+    ValidationError,
+    FieldValidationError,
+    AuthenticationError,
+    ForbiddenError,
+    NotFoundError,
+    VersionConflictError
+} = require('../errors');
+const { logger } = require('../logger');
+
+// Listing and search pages
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+// The GET /api/posts query parameters, each given at most once
+const LIST_PARAMETERS = ['sort', 'order', 'status', 'mine', 'author', 'tag', 'from', 'to', 'limit', 'offset'];
+const MAX_SEARCH_QUERY_LENGTH = 200;
+// Posts in each feed (lib/routes/feeds.js)
+const FEED_SIZE = 20;
+// The most URLs one sitemap file may list
+const SITEMAP_SIZE = 50000;
+
+// Validate a post body against the shared schema; resolves with the cleaned-up fields
+function validatePostBody(body, current) {
+    const { value, errors } = PostSchema.validatePost(body, { current });
+    if (errors.length > 0) {
+        throw new FieldValidationError(errors);
+    }
+    return value;
+}
+
+// Work out status and publish_at from validated fields. "current" is the
+// stored row when updating, so omitted fields keep their values; publishAt
+// comes back ready for the publish_at column
+function resolvePublishing(fields, current = null) {
+    const status = fields.status || (current ? current.status : 'published');
+
+    if (status === 'draft') {
+        return { status, publishAt: null };
+    }
+
+    if (status === 'published') {
+        // Editing a published post keeps its original publish date
+        const keepDate = current && current.status === 'published' && current.publish_at;
+        return { status, publishAt: keepDate ? current.publish_at : toSqlTimestamp(new Date()) };
+    }
+
+    if (fields.publishAt === undefined) {
+        return { status, publishAt: current.publish_at };
+    }
+    return { status, publishAt: toSqlTimestamp(new Date(fields.publishAt)) };
+}
+
+function parsePage(query) {
+    const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw new ValidationError(`Limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    const offset = query.offset === undefined ? 0 : Number(query.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+        throw new ValidationError('Offset must be a non-negative integer');
+    }
+
+    return { limit, offset };
+}
+
+// Validate the GET /api/posts query string
+function parseListQuery(query, user) {
+    // ?order=a&order=b arrives as an array
+    for (const name of LIST_PARAMETERS) {
+        if (query[name] !== undefined && typeof query[name] !== 'string') {
+            throw new ValidationError(`Query parameter "${name}" must be given once`);
+        }
+    }
+
+    if (query.mine === 'true' && !user) {
+        throw new AuthenticationError();
+    }
+
+    const sort = query.sort || 'created';
+    if (!SORT_FIELDS.includes(sort)) {
+        throw new ValidationError(`Invalid sort "${sort}". Use one of: ${SORT_FIELDS.join(', ')}`);
+    }
+
+    const order = (query.order || (sort === 'title' ? 'asc' : 'desc')).toLowerCase();
+    if (order !== 'asc' && order !== 'desc') {
+        throw new ValidationError('Invalid order. Use "asc" or "desc"');
+    }
+
+    const page = parsePage(query);
+    const filters = {};
+
+    if (query.status) {
+        const statuses = query.status.split(',');
+        if (statuses.some(status => !PostSchema.POST_STATUSES.includes(status))) {
+            throw new ValidationError(`Invalid status. Use one or more of: ${PostSchema.POST_STATUSES.join(', ')}`);
+        }
+        filters.statuses = statuses;
+    }
+
+    // Only the logged-in user's own posts, e.g. for "My drafts"
+    if (query.mine === 'true') {
+        filters.authorId = user.id;
+    }
+
+    if (query.author) {
+        filters.author = query.author;
+    }
+
+    if (query.tag) {
+        filters.tag = PostSchema.normalizeTag(query.tag);
+    }
+
+    for (const bound of ['from', 'to']) {
+        if (query[bound]) {
+            if (Number.isNaN(Date.parse(query[bound]))) {
+                throw new ValidationError(`Invalid "${bound}" date`);
+            }
+            filters[bound] = query[bound];
+        }
+    }
+
+    return { filters, sort, order, ...page };
+}
+
+// Business rules for posts: who sees and changes what, validation,
+// publishing, tags and the trash. Changes are announced on events
+// (lib/post-events.js)
+class PostService {
+    constructor({ posts, revisions, events, trashRetentionDays = 30 }) {
+        this.posts = posts;
+        this.revisions = revisions;
+        this.events = events;
+        this.trashRetentionDays = trashRetentionDays;
+    }
+
+    async listPosts(query, user) {
+        const options = parseListQuery(query, user);
+        const { rows, total } = await this.posts.list(options, user);
+        return { rows, total, limit: options.limit, offset: options.offset };
+    }
+
+    async searchPosts(query, user) {
+        const text = typeof query.q === 'string' ? query.q.trim() : '';
+        if (!text) {
+            throw new ValidationError('Search query "q" is required');
+        }
+        if (text.length > MAX_SEARCH_QUERY_LENGTH) {
+            throw new ValidationError(`Search query must be at most ${MAX_SEARCH_QUERY_LENGTH} characters`);
+        }
+
+        // Quotes are dropped from the terms, so '"' alone leaves nothing to match
+        const expression = buildMatchExpression(text);
+        if (!expression) {
+            throw new ValidationError('Search query must contain a word to search for');
+        }
+
+        const page = parsePage(query);
+        const { rows, total } = await this.posts.search(expression, user, page);
+        return { text, rows, total, ...page };
+    }
+
+    // The newest public posts, optionally only one author's or one tag's
+    async listFeedPosts({ author, tag } = {}) {
+        const filters = {};
+        if (author) {
+            filters.author = author;
+        }
+        if (tag) {
+            filters.tag = PostSchema.normalizeTag(tag);
+        }
+
+        const { rows } = await this.posts.list({ filters, byPublishDate: true, order: 'desc', limit: FEED_SIZE, offset: 0 }, null);
+        return rows;
+    }
+
+    listSitemapPosts() {
+        return this.posts.listPublished(SITEMAP_SIZE);
+    }
+
+    listTags() {
+        return this.posts.listTagCounts();
+    }
+
+    // Someone else's draft is reported as missing rather than forbidden
+    async getVisiblePost(id, user) {
+        const post = await this.posts.findById(id);
+        if (!post || !isPostVisible(user, post)) {
+            throw new NotFoundError('Post not found');
+        }
+        return post;
+    }
+
+    // The post if the user has the capability (canEdit/canDelete) on it.
+    // Trashed posts are only found with { trashed: true }
+    async getPostForAction(id, user, capability, { trashed = false } = {}) {
+        const post = await this.posts.findById(id);
+        if (!post || Boolean(post.deleted_at) !== trashed) {
+            throw new NotFoundError('Post not found');
+        }
+
+        if (!getPostCapabilities(user, post)[capability]) {
+            const action = capability === 'canDelete' ? 'delete' : 'edit';
+            logger.warn(`⛔ User ${user.id} may not ${action} post ${post.id}`);
+            throw new ForbiddenError(`You do not have permission to ${action} this post`);
+        }
+        return post;
+    }
+
+    // The author is always the given user, never a value from the body
+    async createPost(body, user) {
+        const fields = validatePostBody(body);
+        const publishing = resolvePublishing(fields);
+
+        const postId = await this.posts.create({
+            title: fields.title,
+            content: fields.content,
+            author: user.username,
+            authorId: user.id,
+            status: publishing.status,
+            publishAt: publishing.publishAt
+        });
+        await this.posts.setTags(postId, fields.tags || []);
+        await this.revisions.record(postId, user);
+        logger.info(`✅ Post created with ID: ${postId} (${publishing.status})`);
+
+        const post = await this.posts.findById(postId);
+        this.announceNewPost(post);
+        return post;
+    }
+
+    // Tags, status and publishAt are left alone unless the body includes them.
+    // expectedVersion is the version the edit was based on (from If-Match)
+    async updatePost(post, body, user, expectedVersion) {
+        // A scheduled post keeps its publish time unless the body names a new one
+        const fields = validatePostBody(body, {
+            status: post.status,
+            publishAt: post.status === 'scheduled' ? post.publish_at : undefined
+        });
+        const publishing = resolvePublishing(fields, post);
+
+        const updated = await this.posts.update(post.id, expectedVersion, {
+            title: fields.title,
+            content: fields.content,
+            status: publishing.status,
+            publishAt: publishing.publishAt
+        });
+        if (!updated) {
+            await this.failVersionCheck(post.id);
+        }
+
+        if (fields.tags) {
+            await this.posts.setTags(post.id, fields.tags);
+        }
+        await this.revisions.record(post.id, user);
+
+        const updatedPost = await this.posts.findById(post.id);
+        // Includes drafts going live and published posts going back to draft
+        if (post.status === 'published' || updatedPost.status === 'published') {
+            this.events.publish('post-updated', { id: updatedPost.id, version: updatedPost.version });
+        }
+        return updatedPost;
+    }
+
+    // Deleted posts go to the trash, where they can be restored until purgeTrash removes them
+    async deletePost(post, expectedVersion) {
+        if (!(await this.posts.moveToTrash(post.id, expectedVersion))) {
+            await this.failVersionCheck(post.id);
+        }
+        logger.info('✅ Post moved to the trash with ID:', post.id);
+        if (post.status === 'published') {
+            this.events.publish('post-deleted', { id: post.id });
+        }
+    }
+
+    // Always throws: the post changed since the version a write was based
+    // on, or it is gone
+    async failVersionCheck(postId) {
+        const post = await this.posts.findById(postId);
+        if (!post || post.deleted_at) {
+            throw new NotFoundError('Post not found');
+        }
+
+        logger.warn(`⚠️ Version conflict on post ${post.id} (now version ${post.version})`);
+        throw new VersionConflictError(post);
+    }
+
+    // Trashed posts a user may restore, i.e. could have deleted
+    listTrash(user) {
+        if (hasPermission(user, 'posts:delete:any')) {
+            return this.posts.listTrashed();
+        }
+        return this.posts.listTrashed({ authorId: user.id });
+    }
+
+    async restoreFromTrash(post) {
+        await this.posts.restoreFromTrash(post.id);
+        logger.info('✅ Post restored from the trash with ID:', post.id);
+
+        const restored = await this.posts.findById(post.id);
+        this.announceNewPost(restored);
+        return restored;
+    }
+
+    // Only changes to published posts are announced: drafts and scheduled
+    // posts are nobody else's business until they go live
+    announceNewPost(post) {
+        if (post.status === 'published') {
+            this.events.publish('post-created', { id: post.id });
+        }
+    }
+
+    // Publish scheduled posts whose time has come; they're new to readers
+    async publishDuePosts() {
+        const ids = await this.posts.publishDue();
+        if (ids.length > 0) {
+            logger.info(`📅 Published ${ids.length} scheduled post(s)`);
+        }
+        for (const id of ids) {
+            this.events.publish('post-created', { id });
+        }
+        return ids.length;
+    }
+
+    // Delete posts that have been in the trash longer than the retention period
+    async purgeTrash() {
+        const purged = await this.posts.purgeTrashedBefore(this.trashRetentionDays);
+        if (purged > 0) {
+            logger.info(`🧹 Purged ${purged} post(s) from the trash`);
+        }
+        return purged;
+    }
+}
+
+module.exports = { PostService };
@@ -0,0 +1,96 @@
+const { diffLines } = require('../../public/js/diff');
+const { ValidationError, NotFoundError } = require('../errors');
+const { logger } = require('../logger');
+
+// Revision history of posts. Callers check that the user may edit the post
+// first: only people who may edit a post can see its history
+class RevisionService {
+    constructor({ posts, revisions, events }) {
+        this.posts = posts;
+        this.revisions = revisions;
+        this.events = events;
+    }
+
+    // Snapshot the post's title and content as its next revision, unless they
+    // match the latest one (e.g. only the tags or status changed)
+    async record(postId, user) {
+        const post = await this.posts.findById(postId);
+        const latest = await this.revisions.findLatest(postId);
+
+        if (latest && latest.title === post.title && latest.content === post.content) {
+            return latest.revision;
+        }
+
+        const revision = latest ? latest.revision + 1 : 1;
+        await this.revisions.create({
+            postId,
+            revision,
+            title: post.title,
+            content: post.content,
+            editor: user.username,
+            editorId: user.id
+        });
+        return revision;
+    }
+
+    // Newest first; the first one is the current revision
+    list(postId) {
+        return this.revisions.listForPost(postId);
+    }
+
+    // The revision and the post's current revision number
+    async get(postId, revisionNumber) {
+        const revision = await this.revisions.find(postId, revisionNumber);
+        if (!revision) {
+            throw new NotFoundError('Revision not found');
+        }
+
+        const latest = await this.revisions.findLatest(postId);
+        return { revision, currentRevision: latest.revision };
+    }
+
+    // Line diff from another revision (default: the one before) to this one
+    async diff(postId, revision, againstParam) {
+        const against = againstParam === undefined ? revision.revision - 1 : Number(againstParam);
+        if (!Number.isInteger(against) || against < 0) {
+            throw new ValidationError('"against" must be a revision number');
+        }
+
+        // Revision 0 stands for "nothing", so the first revision shows as all added
+        const base = against === 0
+            ? { revision: null, title: '', content: '' }
+            : await this.revisions.find(postId, against);
+        if (!base) {
+            throw new NotFoundError('Revision to compare against not found');
+        }
+
+        const { lines, stats } = diffLines(base.content, revision.content);
+
+        return {
+            from: base.revision,
+            to: revision.revision,
+            title: {
+                from: base.title,
+                to: revision.title,
+                changed: base.title !== revision.title
+            },
+            lines,
+            stats
+        };
+    }
+
+    // Put a revision's title and content back; this is saved as a new revision
+    async restore(post, revision, user) {
+        await this.posts.replaceContent(post.id, { title: revision.title, content: revision.content });
+        const current = await this.record(post.id, user);
+        logger.info(`✅ Post ${post.id} restored to revision ${revision.revision} (now ${current})`);
+
+        const restored = await this.posts.findById(post.id);
+        if (restored.status === 'published') {
+            this.events.publish('post-updated', { id: restored.id, version: restored.version });
+        }
+        return restored;
+    }
+}
+
+module.exports = { RevisionService };
@@ -0,0 +1,61 @@
+const { ROLES } = require('../permissions');
+const { ValidationError, NotFoundError } = require('../errors');
+const { logger } = require('../logger');
+
+// Account administration; routes check the users:manage permission
+class UserService {
+    constructor({ users, posts }) {
+        this.users = users;
+        this.posts = posts;
+    }
+
+    list() {
+        return this.users.listAll();
+    }
+
+    async get(id) {
+        const user = await this.users.findById(id);
+        if (!user) {
+            throw new NotFoundError('User not found');
+        }
+        return user;
+    }
+
+    // The last admin can't demote or delete themselves out of existence
+    async isLastAdmin(user) {
+        if (user.role !== 'admin') {
+            return false;
+        }
+        return (await this.users.countAdmins()) <= 1;
+    }
+
+    async changeRole(id, role) {
+        if (!ROLES.includes(role)) {
+            throw new ValidationError(`Role must be one of: ${ROLES.join(', ')}`);
+        }
+
+        const user = await this.get(id);
+        if (role !== 'admin' && await this.isLastAdmin(user)) {
+            throw new ValidationError('The blog needs at least one admin');
+        }
+
+        await this.users.updateRole(user.id, role);
+        logger.info(`✅ User ${user.id} is now ${role}`);
+        return { ...user, role };
+    }
+
+    // Their posts stay, without an owner
+    async deleteUser(id) {
+        const user = await this.get(id);
+        if (await this.isLastAdmin(user)) {
+            throw new ValidationError('The blog needs at least one admin');
+        }
+
+        await this.posts.clearAuthor(user.id);
+        await this.users.delete(user.id);
+        logger.info('✅ User deleted with ID:', user.id);
+        return user;
+    }
+}
+
+module.exports = { UserService };
@@ -0,0 +1,42 @@
+// /sitemap.xml and /robots.txt, so search engines find every public post at
+// its server-rendered address (see lib/pages.js)
+const { escapeXml } = require('./feeds');
+const { postUrl } = require('./pages');
+const { toIsoDate } = require('./views');
+
+function newest(dates) {
+    return dates.reduce((latest, date) => (!latest || date > latest ? date : latest), null);
+}
+
+// rows are published posts with id, created_at, updated_at and publish_at;
+// baseUrl is where the blog is reached, without a trailing slash
+function renderSitemap(rows, { baseUrl }) {
+    const posts = rows.map(row => ({
+        loc: postUrl(baseUrl, row.id),
+        // A scheduled post changes when it goes out, after its last edit
+        lastmod: newest([toIsoDate(row.updated_at), toIsoDate(row.publish_at)].filter(Boolean))
+    }));
+    const urls = [{ loc: `${baseUrl}/`, lastmod: newest(posts.map(post => post.lastmod)) }, ...posts];
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(url => `    <url>
+        <loc>${escapeXml(url.loc)}</loc>${url.lastmod ? `
+        <lastmod>${url.lastmod}</lastmod>` : ''}
+    </url>`).join('\n')}
+</urlset>
+`;
+}
+
+// The API is left to the app, apart from the attachment files that posts
+// and their link previews show
+function renderRobots({ baseUrl }) {
+    return `User-agent: *
+Allow: /api/files/
+Disallow: /api/
+
+Sitemap: ${baseUrl}/sitemap.xml
+`;
+}
+
+module.exports = { renderSitemap, renderRobots };
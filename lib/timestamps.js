@@ -0,0 +1,15 @@
+// SQLite keeps timestamps as text in CURRENT_TIMESTAMP's format,
+// "2024-01-06 10:30:00", in UTC. new Date() would read that as local time,
+// so dates go into and come out of the database through here
+const SQL_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d+)?$/;
+
+function toSqlTimestamp(date) {
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// A Date from a stored timestamp; values with their own zone are read as is
+function fromSqlTimestamp(value) {
+    return new Date(SQL_TIMESTAMP_PATTERN.test(value) ? `${value.replace(' ', 'T')}Z` : value);
+}
+
+module.exports = { toSqlTimestamp, fromSqlTimestamp };
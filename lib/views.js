@@ -0,0 +1,207 @@
+// Server-side views: turn database rows into the JSON the API sends
+// Same renderer the browser uses, so server output matches the client
+const Markdown = require('../public/js/markdown');
+const { getPostCapabilities, getCommentCapabilities } = require('./permissions');
+const { highlightToHtml } = require('./search');
+const { fromSqlTimestamp } = require('./timestamps');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// SQLite timestamps ("2024-01-06 10:30:00") as ISO strings; null stays null
+function toIsoDate(value) {
+    return value ? fromSqlTimestamp(value).toISOString() : null;
+}
+
+// Where GET /api/files serves a stored attachment file or thumbnail
+function formatFileUrl(name) {
+    return `/api/files/${name}`;
+}
+
+// The first image attached to the post, picked by POST_COLUMNS in
+// lib/repositories/post-repository.js as JSON
+function formatCoverImage(json) {
+    if (!json) {
+        return null;
+    }
+
+    const cover = JSON.parse(json);
+    return {
+        url: formatFileUrl(cover.file),
+        thumbnailUrl: formatFileUrl(cover.thumbnail),
+        width: cover.width,
+        height: cover.height
+    };
+}
+
+function formatPost(row, user) {
+    return {
+        id: row.id,
+        title: row.title,
+        content: row.content,
+        contentHtml: Markdown.render(row.content),
+        author: row.author,
+        authorId: row.author_id,
+        createdAt: toIsoDate(row.created_at),
+        updatedAt: toIsoDate(row.updated_at),
+        version: row.version,
+        status: row.status,
+        publishAt: toIsoDate(row.publish_at),
+        commentCount: row.comment_count || 0,
+        tags: row.tag_names ? row.tag_names.split(',').sort() : [],
+        coverImage: formatCoverImage(row.cover_image),
+        capabilities: getPostCapabilities(user, row)
+    };
+}
+
+function formatTrashedPost(row, user, retentionDays) {
+    const deletedAt = fromSqlTimestamp(row.deleted_at);
+    return {
+        ...formatPost(row, user),
+        deletedAt: deletedAt.toISOString(),
+        purgeAt: new Date(deletedAt.getTime() + retentionDays * DAY_MS).toISOString()
+    };
+}
+
+function formatSearchResult(row, user) {
+    return {
+        ...formatPost(row, user),
+        rank: row.rank,
+        highlights: {
+            title: highlightToHtml(row.title_highlight),
+            content: highlightToHtml(row.content_snippet)
+        }
+    };
+}
+
+// Optimistic concurrency: a post's ETag is its version in quotes, e.g. "3"
+function formatETag(post) {
+    return `"${post.version}"`;
+}
+
+// "count" is the number of rows on this page
+function formatPagination({ total, limit, offset, count }) {
+    const hasMore = offset + count < total;
+    return {
+        total,
+        limit,
+        offset,
+        nextOffset: hasMore ? offset + count : null,
+        hasMore
+    };
+}
+
+function formatTag(row) {
+    return { name: row.name, count: row.count };
+}
+
+function formatRevision(row, currentRevision) {
+    return {
+        revision: row.revision,
+        title: row.title,
+        content: row.content,
+        editor: row.editor,
+        editorId: row.editor_id,
+        createdAt: toIsoDate(row.created_at),
+        current: row.revision === currentRevision
+    };
+}
+
+// Revision lists leave the content out; fetch a single revision for it
+function formatRevisionSummary(row, currentRevision) {
+    const { content, ...revision } = formatRevision(row, currentRevision);
+    return revision;
+}
+
+function formatComment(row, user) {
+    return {
+        id: row.id,
+        postId: row.post_id,
+        parentId: row.parent_id,
+        author: row.author,
+        authorId: row.author_id,
+        content: row.content,
+        createdAt: toIsoDate(row.created_at),
+        updatedAt: toIsoDate(row.updated_at),
+        capabilities: getCommentCapabilities(user, row)
+    };
+}
+
+// Nest replies under their parents; rows must be ordered oldest first
+function buildCommentTree(rows, user) {
+    const byId = new Map();
+    const roots = [];
+
+    rows.forEach(row => {
+        byId.set(row.id, { ...formatComment(row, user), replies: [] });
+    });
+
+    byId.forEach(comment => {
+        const parent = comment.parentId !== null ? byId.get(comment.parentId) : null;
+        if (parent) {
+            parent.replies.push(comment);
+        } else {
+            roots.push(comment);
+        }
+    });
+
+    return roots;
+}
+
+// thumbnailUrl is only set for images
+function formatAttachment(row) {
+    return {
+        id: row.id,
+        postId: row.post_id,
+        name: row.original_name,
+        mimeType: row.mime_type,
+        size: row.size,
+        width: row.width,
+        height: row.height,
+        isImage: Boolean(row.thumbnail_name),
+        url: formatFileUrl(row.file_name),
+        thumbnailUrl: row.thumbnail_name ? formatFileUrl(row.thumbnail_name) : null,
+        createdAt: toIsoDate(row.created_at)
+    };
+}
+
+// A post in an export file (GET /api/export): what POST /api/import reads
+// back, without anything specific to this blog or the user asking
+function formatExportedPost(row) {
+    return {
+        id: row.id,
+        title: row.title,
+        content: row.content,
+        author: row.author,
+        status: row.status,
+        publishAt: toIsoDate(row.publish_at),
+        createdAt: toIsoDate(row.created_at),
+        updatedAt: toIsoDate(row.updated_at),
+        tags: row.tag_names ? row.tag_names.split(',').sort() : []
+    };
+}
+
+function formatUser(row) {
+    return {
+        id: row.id,
+        username: row.username,
+        role: row.role,
+        createdAt: toIsoDate(row.created_at)
+    };
+}
+
+module.exports = {
+    toIsoDate,
+    formatPost,
+    formatTrashedPost,
+    formatSearchResult,
+    formatETag,
+    formatPagination,
+    formatTag,
+    formatRevision,
+    formatRevisionSummary,
+    formatComment,
+    buildCommentTree,
+    formatAttachment,
+    formatExportedPost,
+    formatUser
+};
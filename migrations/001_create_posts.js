@@ -0,0 +1,34 @@
+// The original posts table, with the welcome post a new blog starts with
+const { logger } = require('../lib/logger');
+
+async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS posts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            title TEXT NOT NULL,
+            content TEXT NOT NULL,
+            author TEXT DEFAULT 'Anonymous',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    const { count } = await db.get('SELECT COUNT(*) AS count FROM posts');
+    if (count === 0) {
+        await db.run(`
+            INSERT INTO posts (title, content, author, created_at, updated_at)
+            VALUES (?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        `, [
+            'Welcome to My Blog',
+            'This is my first blog post! I\'m excited to share my thoughts and experiences with you.',
+            'Blog Owner'
+        ]);
+        logger.info('📝 Added initial blog post');
+    }
+}
+
+async function down(db) {
+    await db.exec('DROP TABLE IF EXISTS posts');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,50 @@
+// Full-text search index kept in sync with the posts table by triggers
+const { tableExists } = require('../lib/migrator');
+
+async function up(db) {
+    const isNewIndex = !(await tableExists(db, 'posts_fts'));
+
+    await db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS posts_fts USING fts5(
+            title,
+            content,
+            author,
+            content = 'posts',
+            content_rowid = 'id',
+            tokenize = 'porter unicode61'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS posts_fts_insert AFTER INSERT ON posts BEGIN
+            INSERT INTO posts_fts (rowid, title, content, author)
+            VALUES (new.id, new.title, new.content, new.author);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS posts_fts_delete AFTER DELETE ON posts BEGIN
+            INSERT INTO posts_fts (posts_fts, rowid, title, content, author)
+            VALUES ('delete', old.id, old.title, old.content, old.author);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS posts_fts_update AFTER UPDATE OF title, content, author ON posts BEGIN
+            INSERT INTO posts_fts (posts_fts, rowid, title, content, author)
+            VALUES ('delete', old.id, old.title, old.content, old.author);
+            INSERT INTO posts_fts (rowid, title, content, author)
+            VALUES (new.id, new.title, new.content, new.author);
+        END;
+    `);
+
+    // Index the posts that existed before the search table did
+    if (isNewIndex) {
+        await db.run("INSERT INTO posts_fts (posts_fts) VALUES ('rebuild')");
+    }
+}
+
+async function down(db) {
+    await db.exec(`
+        DROP TRIGGER IF EXISTS posts_fts_insert;
+        DROP TRIGGER IF EXISTS posts_fts_delete;
+        DROP TRIGGER IF EXISTS posts_fts_update;
+        DROP TABLE IF EXISTS posts_fts;
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,42 @@
+// User accounts, login sessions, roles and the author of each post
+const { addColumnIfMissing } = require('../lib/migrator');
+
+async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+            password_hash TEXT NOT NULL,
+            password_salt TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS sessions (
+            token_hash TEXT PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            expires_at DATETIME NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions (user_id);
+    `);
+
+    // Posts written before accounts existed keep a NULL author_id
+    await addColumnIfMissing(db, 'posts', 'author_id', 'INTEGER');
+
+    // Accounts created before roles existed would otherwise leave the blog
+    // without an admin
+    if (await addColumnIfMissing(db, 'users', 'role', "TEXT NOT NULL DEFAULT 'author'")) {
+        await db.run("UPDATE users SET role = 'admin' WHERE id = (SELECT MIN(id) FROM users)");
+    }
+}
+
+async function down(db) {
+    await db.exec(`
+        DROP TABLE IF EXISTS sessions;
+        DROP TABLE IF EXISTS users;
+        ALTER TABLE posts DROP COLUMN author_id;
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+// Comments on posts; replies point at their parent comment
+
+async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS comments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+            parent_id INTEGER REFERENCES comments(id) ON DELETE CASCADE,
+            author TEXT NOT NULL,
+            author_id INTEGER,
+            content TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_comments_post_id ON comments (post_id);
+        CREATE INDEX IF NOT EXISTS idx_comments_parent_id ON comments (parent_id);
+    `);
+}
+
+async function down(db) {
+    await db.exec('DROP TABLE IF EXISTS comments');
+}
+
+module.exports = { up, down };
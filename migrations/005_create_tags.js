@@ -0,0 +1,28 @@
+// Tags are shared between posts through the post_tags join table
+
+async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS tags (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS post_tags (
+            post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+            tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+            PRIMARY KEY (post_id, tag_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_post_tags_tag_id ON post_tags (tag_id);
+    `);
+}
+
+async function down(db) {
+    await db.exec(`
+        DROP TABLE IF EXISTS post_tags;
+        DROP TABLE IF EXISTS tags;
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,23 @@
+// Draft, scheduled and published posts
+const { addColumnIfMissing } = require('../lib/migrator');
+
+async function up(db) {
+    await addColumnIfMissing(db, 'posts', 'status', "TEXT NOT NULL DEFAULT 'published'");
+
+    // Posts written before drafts existed count as published on their creation date
+    if (await addColumnIfMissing(db, 'posts', 'publish_at', 'DATETIME')) {
+        await db.run("UPDATE posts SET publish_at = created_at WHERE status = 'published'");
+    }
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_posts_status_publish_at ON posts (status, publish_at)');
+}
+
+async function down(db) {
+    await db.exec(`
+        DROP INDEX IF EXISTS idx_posts_status_publish_at;
+        ALTER TABLE posts DROP COLUMN publish_at;
+        ALTER TABLE posts DROP COLUMN status;
+    `);
+}
+
+module.exports = { up, down };
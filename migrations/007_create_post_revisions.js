@@ -0,0 +1,28 @@
+// Every saved version of a post's title and content, numbered per post
+
+async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS post_revisions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+            revision INTEGER NOT NULL,
+            title TEXT NOT NULL,
+            content TEXT NOT NULL,
+            editor TEXT,
+            editor_id INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (post_id, revision)
+        );
+
+        -- Posts without any history start with their current text as revision 1
+        INSERT INTO post_revisions (post_id, revision, title, content, editor, editor_id, created_at)
+        SELECT id, 1, title, content, author, author_id, updated_at FROM posts
+        WHERE id NOT IN (SELECT post_id FROM post_revisions);
+    `);
+}
+
+async function down(db) {
+    await db.exec('DROP TABLE IF EXISTS post_revisions');
+}
+
+module.exports = { up, down };
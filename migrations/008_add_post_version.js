@@ -0,0 +1,12 @@
+// Every change to a post bumps its version; it doubles as the post's ETag
+const { addColumnIfMissing } = require('../lib/migrator');
+
+async function up(db) {
+    await addColumnIfMissing(db, 'posts', 'version', 'INTEGER NOT NULL DEFAULT 1');
+}
+
+async function down(db) {
+    await db.exec('ALTER TABLE posts DROP COLUMN version');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,16 @@
+// Deleted posts are kept in the trash (deleted_at set) until they are purged
+const { addColumnIfMissing } = require('../lib/migrator');
+
+async function up(db) {
+    await addColumnIfMissing(db, 'posts', 'deleted_at', 'DATETIME');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_posts_deleted_at ON posts (deleted_at)');
+}
+
+async function down(db) {
+    await db.exec(`
+        DROP INDEX IF EXISTS idx_posts_deleted_at;
+        ALTER TABLE posts DROP COLUMN deleted_at;
+    `);
+}
+
+module.exports = { up, down };
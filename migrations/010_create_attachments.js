@@ -0,0 +1,28 @@
+// Files uploaded to posts. The files themselves live in the uploads
+// directory (lib/attachment-storage.js); thumbnail_name is set for images
+
+async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS attachments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+            uploader_id INTEGER,
+            original_name TEXT NOT NULL,
+            file_name TEXT NOT NULL UNIQUE,
+            thumbnail_name TEXT UNIQUE,
+            mime_type TEXT NOT NULL,
+            size INTEGER NOT NULL,
+            width INTEGER,
+            height INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_attachments_post_id ON attachments (post_id);
+    `);
+}
+
+async function down(db) {
+    await db.exec('DROP TABLE IF EXISTS attachments');
+}
+
+module.exports = { up, down };
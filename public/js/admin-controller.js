@@ -0,0 +1,86 @@
+class AdminController {
+    constructor(model, view, blogView) {
+        this.model = model;
+        this.view = view;
+        // The import and export tools live on the BlogView's admin page
+        this.blogView = blogView;
+
+        // Bind methods to maintain context
+        this.handleAdminPageRendered = this.handleAdminPageRendered.bind(this);
+        this.handleExportRequest = this.handleExportRequest.bind(this);
+        this.handleExportReady = this.handleExportReady.bind(this);
+        this.handleImportRequest = this.handleImportRequest.bind(this);
+        this.handleImportStart = this.handleImportStart.bind(this);
+        this.handleImportEnd = this.handleImportEnd.bind(this);
+        this.handleImportReport = this.handleImportReport.bind(this);
+    }
+
+    // Initialization
+    initialize() {
+        this.model.addObserver({
+            onExportReady: this.handleExportReady,
+            onImportStart: this.handleImportStart,
+            onImportEnd: this.handleImportEnd,
+            onImportReport: this.handleImportReport,
+        });
+
+        this.view.addObserver({
+            onExportRequest: this.handleExportRequest,
+            onImportRequest: this.handleImportRequest,
+        });
+
+        this.blogView.addObserver({
+            onAdminPageRendered: this.handleAdminPageRendered,
+        });
+    }
+
+    // Event handlers
+    handleAdminPageRendered() {
+        this.model.clear();
+        this.view.mount(document.getElementById('admin-panel'));
+    }
+
+    async handleExportRequest(format) {
+        this.view.setBusy(true, 'Preparing the export...');
+        try {
+            await this.model.exportPosts(format);
+        } catch (error) {
+            this.view.showError(`Failed to export posts. ${error.message}`);
+        } finally {
+            this.view.setBusy(false);
+        }
+    }
+
+    handleExportReady(download) {
+        console.log('Export ready:', download.fileName);
+        this.view.downloadFile(download);
+    }
+
+    async handleImportRequest({ file, dryRun }) {
+        try {
+            await this.model.importFile(file, { dryRun });
+        } catch (error) {
+            this.view.showError(`Failed to ${dryRun ? 'check' : 'import'} ${file.name}. ${error.message}`);
+        }
+    }
+
+    handleImportStart({ file, dryRun }) {
+        this.view.setBusy(true, `${dryRun ? 'Checking' : 'Importing'} ${file.name}...`);
+    }
+
+    handleImportEnd() {
+        this.view.setBusy(false);
+    }
+
+    handleImportReport({ report }) {
+        console.log('Import report:', report.summary);
+        this.view.renderReport(report);
+
+        if (!report.dryRun && report.summary.imported > 0) {
+            const count = report.summary.imported;
+            this.blogView.showSuccess(`Imported ${count} ${count === 1 ? 'post' : 'posts'}!`);
+        }
+    }
+}
+
+window.AdminController = AdminController;
@@ -0,0 +1,118 @@
+class AdminModel {
+    constructor(session) {
+        // The BlogModel owns the login session and the API address
+        this.session = session;
+        this.report = null;
+        this.observers = [];
+        this.isImporting = false;
+        // Exports and imports move every post at once; give them time
+        this.transferTimeout = 300000;
+    }
+
+    // Observer pattern implementation
+    addObserver(observer) {
+        this.observers.push(observer);
+    }
+
+    removeObserver(observer) {
+        this.observers = this.observers.filter((obs) => obs !== observer);
+    }
+
+    notifyObservers(event, data) {
+        this.observers.forEach((observer) => {
+            if (observer[event]) {
+                observer[event](data);
+            }
+        });
+    }
+
+    //   API Methods
+    // Resolves with { fileName, blob } for the view to offer as a download
+    async exportPosts(format) {
+        try {
+            const params = new URLSearchParams({ format });
+            const response = await this.session.http.request(`${this.session.apiRoot}/export?${params.toString()}`, {
+                headers: this.session.getAuthHeaders(),
+                timeout: this.transferTimeout,
+            });
+
+            await this.checkResponse(response);
+
+            const download = {
+                fileName: this.getFileName(response) || `blog-export.${format === 'markdown' ? 'zip' : 'json'}`,
+                blob: await response.blob(),
+            };
+            this.notifyObservers('onExportReady', download);
+            return download;
+        } catch (error) {
+            console.error('Error exporting posts:', error);
+            this.notifyObservers('onError', error.message);
+            throw error;
+        }
+    }
+
+    // With dryRun the server only checks the file and reports what an
+    // import would do. Resolves with the report
+    async importFile(file, { dryRun = false } = {}) {
+        if (!this.session.isOnline()) {
+            throw new Error('Posts can only be imported while online.');
+        }
+
+        this.isImporting = true;
+        this.notifyObservers('onImportStart', { file, dryRun });
+
+        try {
+            const body = new FormData();
+            body.append('file', file, file.name);
+
+            const url = `${this.session.apiRoot}/import${dryRun ? '?dryRun=true' : ''}`;
+            const response = await this.session.http.request(url, {
+                method: 'POST',
+                headers: this.session.getAuthHeaders(),
+                body,
+                timeout: this.transferTimeout,
+            });
+
+            await this.checkResponse(response);
+
+            this.report = await response.json();
+            this.notifyObservers('onImportReport', { file, report: this.report });
+            return this.report;
+        } catch (error) {
+            console.error('Error importing posts:', error);
+            this.notifyObservers('onError', error.message);
+            throw error;
+        } finally {
+            this.isImporting = false;
+            this.notifyObservers('onImportEnd', { file, dryRun });
+        }
+    }
+
+    // attachment; filename="blog-export-2026-01-06.json"
+    getFileName(response) {
+        const header = response.headers.get('Content-Disposition') || '';
+        const match = /filename="([^"]+)"/.exec(header);
+        return match ? match[1] : null;
+    }
+
+    async checkResponse(response) {
+        if (response.ok) {
+            return;
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (response.status === 401) {
+            throw new Error('Please log in to continue.');
+        }
+        if (response.status === 403) {
+            throw new Error('Only admins can import and export posts.');
+        }
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+
+    clear() {
+        this.report = null;
+    }
+}
+
+window.AdminModel = AdminModel;
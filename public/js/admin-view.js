@@ -0,0 +1,234 @@
+class AdminView {
+    constructor() {
+        this.container = null;
+        this.observers = [];
+        // The files POST /api/import reads (lib/formats/index.js)
+        this.accept = '.json,.zip,.xml,application/json,application/zip,text/xml,application/xml';
+        this.outcomeLabels = {
+            import: 'New',
+            duplicate: 'Duplicate',
+            invalid: 'Invalid',
+        };
+
+        // Bind methods to maintain context
+        this.handleClick = this.handleClick.bind(this);
+        this.handleChange = this.handleChange.bind(this);
+    }
+
+    // Observer pattern implementation
+    addObserver(observer) {
+        this.observers.push(observer);
+    }
+
+    removeObserver(observer) {
+        this.observers = this.observers.filter((obs) => obs !== observer);
+    }
+
+    notifyObservers(event, data) {
+        this.observers.forEach((observer) => {
+            if (observer[event]) {
+                observer[event](data);
+            }
+        });
+    }
+
+    // Attaches the view to the admin page the BlogView rendered
+    mount(container) {
+        this.container = container;
+
+        if (!this.container) {
+            return;
+        }
+
+        this.container.addEventListener('click', this.handleClick);
+        this.container.addEventListener('change', this.handleChange);
+        this.container.innerHTML = `
+        <section class="admin-section">
+            <h3>Export</h3>
+            <p class="admin-hint">Every post, drafts and scheduled posts included, with their tags, authors and dates.</p>
+            <div class="admin-actions">
+                <div class="form-group">
+                    <label for="export-format">Format</label>
+                    <select id="export-format">
+                        <option value="json">JSON file</option>
+                        <option value="markdown">Markdown files (zip)</option>
+                    </select>
+                </div>
+                <button type="button" class="btn btn-primary" data-action="export">Download export</button>
+            </div>
+        </section>
+        <section class="admin-section">
+            <h3>Import</h3>
+            <p class="admin-hint">
+                A JSON export, a zip of Markdown files with front matter or a WordPress export (WXR).
+                Posts already on the blog and posts with errors are skipped.
+            </p>
+            <div class="admin-actions">
+                <div class="form-group">
+                    <label for="import-file">File</label>
+                    <input type="file" id="import-file" accept="${this.accept}" />
+                </div>
+                <button type="button" class="btn btn-secondary" data-action="preview" disabled>Preview</button>
+                <button type="button" class="btn btn-primary" data-action="import" disabled>Import</button>
+            </div>
+            <p class="admin-status" style="display: none;"></p>
+            <p class="admin-error" style="display: none;"></p>
+            <div class="import-report"></div>
+        </section>
+        `;
+    }
+
+    isMounted() {
+        return Boolean(this.container && this.container.isConnected);
+    }
+
+    getSelectedFile() {
+        const input = this.isMounted() && this.container.querySelector('#import-file');
+        return input && input.files.length > 0 ? input.files[0] : null;
+    }
+
+    // Rendering methods
+    setBusy(busy, message = '') {
+        if (!this.isMounted()) {
+            return;
+        }
+
+        const status = this.container.querySelector('.admin-status');
+        status.textContent = message;
+        status.style.display = busy ? 'block' : 'none';
+        this.container.querySelectorAll('button, input, select').forEach((control) => {
+            control.disabled = busy;
+        });
+        if (!busy) {
+            this.updateImportButtons();
+        }
+    }
+
+    updateImportButtons() {
+        const hasFile = Boolean(this.getSelectedFile());
+        this.container.querySelectorAll('[data-action="preview"], [data-action="import"]').forEach((button) => {
+            button.disabled = !hasFile;
+        });
+    }
+
+    renderReport(report) {
+        if (!this.isMounted()) {
+            return;
+        }
+
+        const { summary } = report;
+        const heading = report.dryRun
+            ? `Preview: ${summary.imported} of ${summary.total} ${summary.total === 1 ? 'post' : 'posts'} would be imported`
+            : `Imported ${summary.imported} of ${summary.total} ${summary.total === 1 ? 'post' : 'posts'}`;
+        const counts = [
+            `${summary.duplicates} ${summary.duplicates === 1 ? 'duplicate' : 'duplicates'}`,
+            `${summary.invalid} invalid`,
+            summary.ignored > 0 ? `${summary.ignored} other ${summary.ignored === 1 ? 'item' : 'items'} (pages, attachments...) left out` : '',
+        ].filter(Boolean).join(' · ');
+
+        this.container.querySelector('.import-report').innerHTML = `
+        <h4 class="import-report-title">${this.escapeHtml(heading)}</h4>
+        <p class="admin-hint">${this.escapeHtml(counts)}</p>
+        ${report.posts.length > 0 ? `
+        <table class="import-table">
+            <thead>
+                <tr><th>Post</th><th>Result</th><th>Details</th></tr>
+            </thead>
+            <tbody>
+                ${report.posts.map((entry) => this.renderEntry(entry)).join('')}
+            </tbody>
+        </table>
+        ` : ''}
+        `;
+    }
+
+    renderEntry(entry) {
+        const title = entry.title ? this.escapeHtml(entry.title) : '<em>No title</em>';
+        const details = [
+            entry.author ? `By ${this.escapeHtml(entry.author)}, ${this.escapeHtml(entry.status)}` : '',
+            entry.duplicateOf && entry.duplicateOf.id
+                ? `Same as <a href="#/posts/${entry.duplicateOf.id}">post #${entry.duplicateOf.id}</a>`
+                : '',
+            entry.duplicateOf && entry.duplicateOf.source
+                ? `Same as ${this.escapeHtml(entry.duplicateOf.source)} in this file`
+                : '',
+            ...entry.errors.map((error) => `<span class="import-error">${this.escapeHtml(error)}</span>`),
+            ...entry.warnings.map((warning) => `<span class="import-warning">${this.escapeHtml(warning)}</span>`),
+        ].filter(Boolean);
+
+        return `
+        <tr class="import-row import-${entry.outcome}">
+            <td>
+                ${entry.id ? `<a href="#/posts/${entry.id}">${title}</a>` : title}
+                <small class="import-source">${this.escapeHtml(entry.source)}</small>
+            </td>
+            <td><span class="import-outcome">${this.outcomeLabels[entry.outcome]}</span></td>
+            <td class="import-details">${details.join('<br>')}</td>
+        </tr>
+        `;
+    }
+
+    showError(message) {
+        const error = this.isMounted() && this.container.querySelector('.admin-error');
+        if (error) {
+            error.textContent = message;
+            error.style.display = 'block';
+        }
+    }
+
+    clearError() {
+        const error = this.isMounted() && this.container.querySelector('.admin-error');
+        if (error) {
+            error.style.display = 'none';
+        }
+    }
+
+    // Saves a file the model fetched through a temporary link
+    downloadFile({ fileName, blob }) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Event handlers
+    handleClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button || button.disabled) {
+            return;
+        }
+
+        this.clearError();
+        const action = button.dataset.action;
+        if (action === 'export') {
+            this.notifyObservers('onExportRequest', this.container.querySelector('#export-format').value);
+            return;
+        }
+
+        const file = this.getSelectedFile();
+        if (file) {
+            this.notifyObservers('onImportRequest', { file, dryRun: action === 'preview' });
+        }
+    }
+
+    handleChange(event) {
+        if (event.target.id === 'import-file') {
+            this.clearError();
+            this.container.querySelector('.import-report').innerHTML = '';
+            this.updateImportButtons();
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+window.AdminView = AdminView;
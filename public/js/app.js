@@ -1,11 +1,19 @@
-// Application configuration
+// Application configuration; the API address comes from
+// <meta name="api-root"> in index.html (see BlogModel.resolveApiRoot)
 const CONFIG = {
-    API_BASE_URL: 'https://mvc.liara.run',
     DEBUG_MODE: true,
+    // API requests: retries for GET/PUT/DELETE, first backoff delay and
+    // per-attempt timeout, in milliseconds (see HttpClient)
     MAX_RETRIES: 3,
-    RETRY_DELAY: 1000
+    RETRY_DELAY: 1000,
+    REQUEST_TIMEOUT: 10000
 };
 
+// sw.js sits next to index.html, one level above this script. Server-rendered
+// post pages (/posts/12) are a level deeper, so it's found from here
+const APP_SCRIPT_URL = (document.currentScript && document.currentScript.src) ||
+    new URL('js/app.js', window.location.href).href;
+
 // In-memory storage for first visit flag
 let hasVisited = false;
 
@@ -127,7 +135,7 @@ function showEducationalModal() {
                     <div class="endpoint">
                         <span class="method get">GET</span>
                         <span class="path">/api/posts</span>
-                        <span class="description">Get all blog posts</span>
+                        <span class="description">Get a page of blog posts</span>
                     </div>
                     <div class="endpoint">
                         <span class="method get">GET</span>
@@ -149,6 +157,26 @@ function showEducationalModal() {
                         <span class="path">/api/posts/:id</span>
                         <span class="description">Delete post</span>
                     </div>
+                    <div class="endpoint">
+                        <span class="method get">GET</span>
+                        <span class="path">/api/search?q=</span>
+                        <span class="description">Search posts</span>
+                    </div>
+                    <div class="endpoint">
+                        <span class="method get">GET</span>
+                        <span class="path">/api/posts/:id/comments</span>
+                        <span class="description">Get threaded comments</span>
+                    </div>
+                    <div class="endpoint">
+                        <span class="method get">GET</span>
+                        <span class="path">/api/posts/:id/revisions</span>
+                        <span class="description">Get a post's edit history</span>
+                    </div>
+                    <div class="endpoint">
+                        <span class="method get">GET</span>
+                        <span class="path">/api/tags</span>
+                        <span class="description">List tags with post counts</span>
+                    </div>
                 </div>
             </div>
             
@@ -157,6 +185,17 @@ function showEducationalModal() {
                 <ul>
                 <li>Lightweight JSON data storage</li>
                 <li>Full CRUD operations</li>
+                <li>Pagination, sorting and filtering</li>
+                <li>Tags with tag-filtered listing</li>
+                <li>Markdown posts with a live preview</li>
+                <li>Drafts and scheduled publishing</li>
+                <li>Revision history with diff and restore</li>
+                <li>Image and file attachments with cover images</li>
+                <li>Edit conflict detection with ETags and a merge dialog</li>
+                <li>Offline mode: cached posts and changes sent on reconnect</li>
+                <li>Import and export: JSON, Markdown and WordPress</li>
+                <li>Server-rendered pages with Open Graph tags and a sitemap</li>
+                <li>Rate limits, a Content-Security-Policy and CSRF tokens</li>
                 <li>Form validation</li>
                 <li>Error handling</li>
                 <li>Loading states</li>
@@ -178,20 +217,68 @@ async function initializeApp() {
         initializeTheme();
 
         // Check if required components are available
-        if (!window.BlogModel || !window.BlogView || !window.BlogController) {
+        if (!window.HttpClient || !window.Outbox || !window.BlogModel || !window.BlogView || !window.BlogController ||
+            !window.CommentModel || !window.CommentView || !window.CommentController ||
+            !window.RevisionModel || !window.RevisionView || !window.RevisionController ||
+            !window.AttachmentModel || !window.AttachmentView || !window.AttachmentController ||
+            !window.AdminModel || !window.AdminView || !window.AdminController) {
             throw new Error('Required MVC components not found');
         }
 
         // Create MVC instances
-        const model = new BlogModel();
+        const model = new BlogModel({
+            maxRetries: CONFIG.MAX_RETRIES,
+            retryDelay: CONFIG.RETRY_DELAY,
+            timeout: CONFIG.REQUEST_TIMEOUT
+        });
         const view = new BlogView();
         const controller = new BlogController(model, view);
 
+        const commentModel = new CommentModel(model);
+        const commentView = new CommentView();
+        const commentController = new CommentController(commentModel, commentView, view);
+
+        const revisionModel = new RevisionModel(model);
+        const revisionView = new RevisionView();
+        const revisionController = new RevisionController(revisionModel, revisionView, view);
+
+        const attachmentModel = new AttachmentModel(model);
+        const attachmentViews = {
+            form: new AttachmentView(),
+            edit: new AttachmentView(),
+            post: new AttachmentView({ editable: false })
+        };
+        const attachmentController = new AttachmentController(attachmentModel, attachmentViews, view);
+
+        const adminModel = new AdminModel(model);
+        const adminView = new AdminView();
+        const adminController = new AdminController(adminModel, adminView, view);
+
         // Store instances globally for debugging
         window.blogApp = {
             model,
             view,
             controller,
+            comments: {
+                model: commentModel,
+                view: commentView,
+                controller: commentController
+            },
+            revisions: {
+                model: revisionModel,
+                view: revisionView,
+                controller: revisionController
+            },
+            attachments: {
+                model: attachmentModel,
+                views: attachmentViews,
+                controller: attachmentController
+            },
+            admin: {
+                model: adminModel,
+                view: adminView,
+                controller: adminController
+            },
             config: CONFIG
         };
 
@@ -217,7 +304,13 @@ async function initializeApp() {
             }
         });
 
-        // Initialize controller
+        // Initialize controllers; comments, revisions, attachments and the
+        // admin tools listen for views the blog controller renders, so they
+        // go first
+        commentController.initialize();
+        revisionController.initialize();
+        attachmentController.initialize();
+        adminController.initialize();
         await controller.initialize();
 
         log('Application initialized successfully');
@@ -247,9 +340,11 @@ async function initializeApp() {
                     <h3>🚨 Application Error</h3>
                     <p>Failed to initialize the blog application.</p>
                     <p><strong>Error:</strong> ${error.message}</p>
-                    <button onclick="location.reload()" class="btn btn-primary">Reload Page</button>
+                    <button type="button" class="btn btn-primary" data-action="reload">Reload Page</button>
                 </div>
             `;
+            // No inline handler: the Content-Security-Policy blocks them
+            errorContainer.querySelector('[data-action="reload"]').addEventListener('click', () => location.reload());
             errorContainer.style.display = 'block';
         }
 
@@ -267,23 +362,38 @@ function measurePerformance() {
     }
 }
 
-// Network status monitoring
+// Network status monitoring; writes made offline wait in the model's
+// outbox and are sent when the connection is back
 function setupNetworkMonitoring() {
     window.addEventListener('online', () => {
         log('Network: Online');
         if (window.blogApp && window.blogApp.controller) {
-            window.blogApp.controller.loadPosts();
+            window.blogApp.controller.handleOnline();
         }
     });
 
     window.addEventListener('offline', () => {
         log('Network: Offline');
-        if (window.blogApp && window.blogApp.view) {
-            window.blogApp.view.showError('You are offline. Some features may not work.');
+        if (window.blogApp && window.blogApp.controller) {
+            window.blogApp.controller.handleOffline();
         }
     });
 }
 
+// The service worker (sw.js) keeps the app shell and the last post list so
+// the blog opens offline. It is told the API root to know which requests
+// are post lists
+function registerServiceWorker(apiRoot) {
+    if (!('serviceWorker' in navigator)) {
+        return;
+    }
+
+    const params = new URLSearchParams({ apiRoot });
+    navigator.serviceWorker.register(new URL(`../sw.js?${params.toString()}`, APP_SCRIPT_URL).href)
+        .then(registration => log('Service worker registered', registration.scope))
+        .catch(error => console.error('Service worker registration failed:', error));
+}
+
 // Start the application
 document.addEventListener('DOMContentLoaded', async () => {
     log('DOM content loaded');
@@ -292,6 +402,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         measurePerformance();
         setupNetworkMonitoring();
         await initializeApp();
+        registerServiceWorker(window.blogApp.model.apiRoot);
     } catch (error) {
         console.error('Application startup failed:', error);
     }
@@ -309,7 +420,7 @@ document.addEventListener('keydown', (e) => {
     if ((e.ctrlKey || e.metaKey) && e.key === 'r') {
         e.preventDefault();
         if (window.blogApp && window.blogApp.controller) {
-            window.blogApp.controller.loadPosts();
+            window.blogApp.controller.refresh();
         }
     }
 });
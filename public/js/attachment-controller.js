@@ -0,0 +1,167 @@
+class AttachmentController {
+    // views: { form, edit, post }, one AttachmentView for each place
+    // attachments show up: the create form, the edit modal and the post page
+    constructor(model, views, blogView) {
+        this.model = model;
+        this.formView = views.form;
+        this.editView = views.edit;
+        this.postView = views.post;
+        // The panels live inside the BlogView's form, modal and post page
+        this.blogView = blogView;
+        // Files from the create form, uploaded once the post is created
+        this.filesForNewPost = [];
+
+        // Bind methods to maintain context
+        this.handlePostFormRendered = this.handlePostFormRendered.bind(this);
+        this.handleEditFormRendered = this.handleEditFormRendered.bind(this);
+        this.handlePostDetailRendered = this.handlePostDetailRendered.bind(this);
+        this.handlePostCreate = this.handlePostCreate.bind(this);
+        this.handlePostCreated = this.handlePostCreated.bind(this);
+        this.handleChangeQueued = this.handleChangeQueued.bind(this);
+        this.handleAttachmentsLoaded = this.handleAttachmentsLoaded.bind(this);
+        this.handleAttachmentsChanged = this.handleAttachmentsChanged.bind(this);
+        this.handleUploadStart = this.handleUploadStart.bind(this);
+        this.handleUploadEnd = this.handleUploadEnd.bind(this);
+        this.handleAttachmentUpload = this.handleAttachmentUpload.bind(this);
+        this.handleAttachmentDelete = this.handleAttachmentDelete.bind(this);
+    }
+
+    // Initialization
+    initialize() {
+        this.getViews().forEach(view => view.setApiRoot(this.model.session.apiRoot));
+
+        this.model.addObserver({
+            onAttachmentsLoaded: this.handleAttachmentsLoaded,
+            onAttachmentUploaded: this.handleAttachmentsChanged,
+            onAttachmentDeleted: this.handleAttachmentsChanged,
+            onUploadStart: this.handleUploadStart,
+            onUploadEnd: this.handleUploadEnd,
+        });
+
+        [this.formView, this.editView].forEach(view => view.addObserver({
+            onAttachmentUpload: this.handleAttachmentUpload,
+            onAttachmentDelete: this.handleAttachmentDelete,
+        }));
+
+        this.blogView.addObserver({
+            onPostFormRendered: this.handlePostFormRendered,
+            onEditFormRendered: this.handleEditFormRendered,
+            onPostDetailRendered: this.handlePostDetailRendered,
+            onPostCreate: this.handlePostCreate,
+        });
+
+        this.model.session.addObserver({
+            onPostCreated: this.handlePostCreated,
+            onChangeQueued: this.handleChangeQueued,
+        });
+    }
+
+    getViews() {
+        return [this.formView, this.editView, this.postView];
+    }
+
+    // Views showing the given post
+    getViewsFor(postId) {
+        return this.getViews().filter(view => view.postId === postId && view.isMounted());
+    }
+
+    // Event handlers
+    async handlePostFormRendered({ postId }) {
+        this.formView.mount(document.getElementById('post-attachments'), postId);
+        if (postId !== null) {
+            await this.loadAttachments(postId, this.formView);
+        }
+    }
+
+    async handleEditFormRendered(post) {
+        this.editView.mount(document.getElementById('attachment-panel'), post.id);
+        await this.loadAttachments(post.id, this.editView);
+    }
+
+    async handlePostDetailRendered(post) {
+        this.postView.mount(document.getElementById('attachments-section'), post.id);
+        await this.loadAttachments(post.id, this.postView);
+    }
+
+    async loadAttachments(postId, view) {
+        try {
+            await this.model.loadAttachments(postId);
+        } catch (error) {
+            console.error('Failed to load attachments:', error);
+            view.showError('Failed to load the attachments of this post.');
+        }
+    }
+
+    // The create form was submitted; its files go with the post it creates
+    handlePostCreate() {
+        this.filesForNewPost = this.formView.getPendingFiles();
+    }
+
+    async handlePostCreated(post) {
+        const files = this.filesForNewPost;
+        this.filesForNewPost = [];
+        if (files.length === 0) {
+            return;
+        }
+
+        const { failures } = await this.model.uploadFiles(post.id, files);
+        if (failures.length > 0) {
+            this.blogView.showError(`The post was saved, but some files could not be attached. ${this.describeFailures(failures)}`);
+        }
+    }
+
+    // Created offline: the post waits in the outbox, its files can't
+    handleChangeQueued(change) {
+        if (change.type !== 'create' || this.filesForNewPost.length === 0) {
+            return;
+        }
+
+        const count = this.filesForNewPost.length;
+        this.filesForNewPost = [];
+        this.blogView.showWarning(
+            `The post will be sent when you are back online, without its ${count === 1 ? 'file' : `${count} files`}. ` +
+            'Add them by editing the post once it is sent.'
+        );
+    }
+
+    handleAttachmentsLoaded({ postId, attachments }) {
+        this.getViewsFor(postId).forEach(view => view.renderAttachments(attachments));
+    }
+
+    handleAttachmentsChanged({ postId }) {
+        if (postId === this.model.postId) {
+            this.getViewsFor(postId).forEach(view => view.renderAttachments(this.model.attachments));
+        }
+    }
+
+    handleUploadStart({ postId, file }) {
+        this.getViewsFor(postId).forEach(view => view.setUploading(file, true));
+    }
+
+    handleUploadEnd({ postId, file }) {
+        this.getViewsFor(postId).forEach(view => view.setUploading(file, false));
+    }
+
+    async handleAttachmentUpload({ postId, files }) {
+        const { failures } = await this.model.uploadFiles(postId, files);
+        if (failures.length > 0) {
+            this.getViewsFor(postId).forEach(view => view.showError(this.describeFailures(failures)));
+        }
+    }
+
+    async handleAttachmentDelete(attachmentId) {
+        const postId = this.model.postId;
+
+        try {
+            await this.model.deleteAttachment(attachmentId);
+        } catch (error) {
+            this.getViewsFor(postId).forEach(view => view.showError(`Failed to remove the attachment. ${error.message}`));
+        }
+    }
+
+    describeFailures(failures) {
+        return failures.map(({ file, message }) => `${file.name}: ${message}`).join(' ');
+    }
+}
+
+window.AttachmentController = AttachmentController;
@@ -0,0 +1,170 @@
+class AttachmentModel {
+    constructor(session) {
+        // The BlogModel owns the login session and the posts whose cover
+        // image changes with an upload
+        this.session = session;
+        this.postId = null;
+        this.attachments = [];
+        this.observers = [];
+        // Uploads get longer than other requests before they time out
+        this.uploadTimeout = 120000;
+    }
+
+    // Observer pattern implementation
+    addObserver(observer) {
+        this.observers.push(observer);
+    }
+
+    removeObserver(observer) {
+        this.observers = this.observers.filter((obs) => obs !== observer);
+    }
+
+    notifyObservers(event, data) {
+        this.observers.forEach((observer) => {
+            if (observer[event]) {
+                observer[event](data);
+            }
+        });
+    }
+
+    //   API Methods
+    getAttachmentsUrl(postId = this.postId) {
+        return `${this.session.apiRoot}/posts/${postId}/attachments`;
+    }
+
+    async loadAttachments(postId) {
+        this.postId = postId;
+
+        try {
+            const response = await this.session.http.request(this.getAttachmentsUrl(postId), {
+                headers: this.session.getAuthHeaders(),
+            });
+
+            await this.checkResponse(response);
+
+            const data = await response.json();
+
+            // Ignore the answer if another post was opened in the meantime
+            if (this.postId !== postId) {
+                return this.attachments;
+            }
+
+            this.attachments = data.attachments;
+            this.notifyObservers('onAttachmentsLoaded', { postId, attachments: this.attachments });
+            return this.attachments;
+        } catch (error) {
+            console.error('Error loading attachments:', error);
+            this.notifyObservers('onError', error.message);
+            throw error;
+        }
+    }
+
+    // Uploads the files one at a time; a file the server turns down doesn't
+    // stop the others. Resolves with { uploaded, failures: [{ file, message }] }
+    async uploadFiles(postId, files) {
+        const uploaded = [];
+        const failures = [];
+
+        for (const file of files) {
+            this.notifyObservers('onUploadStart', { postId, file });
+            try {
+                uploaded.push(await this.uploadFile(postId, file));
+            } catch (error) {
+                failures.push({ file, message: error.message });
+            } finally {
+                this.notifyObservers('onUploadEnd', { postId, file });
+            }
+        }
+
+        // The post's cover image is its first image
+        if (uploaded.some(attachment => attachment.isImage)) {
+            await this.refreshPost(postId);
+        }
+        return { uploaded, failures };
+    }
+
+    async uploadFile(postId, file) {
+        // Files aren't kept in the outbox; they are too big to hold on to
+        if (!this.session.isOnline()) {
+            throw new Error('Files can only be uploaded while online.');
+        }
+
+        const body = new FormData();
+        body.append('file', file, file.name);
+
+        const response = await this.session.http.request(this.getAttachmentsUrl(postId), {
+            method: 'POST',
+            headers: this.session.getAuthHeaders(),
+            body,
+            timeout: this.uploadTimeout,
+        });
+
+        await this.checkResponse(response);
+
+        const attachment = await response.json();
+        if (this.postId === postId) {
+            this.attachments = [...this.attachments, attachment];
+        }
+        this.notifyObservers('onAttachmentUploaded', { postId, attachment });
+        return attachment;
+    }
+
+    async deleteAttachment(attachmentId) {
+        const postId = this.postId;
+
+        try {
+            const response = await this.session.http.request(`${this.getAttachmentsUrl(postId)}/${attachmentId}`, {
+                method: 'DELETE',
+                headers: this.session.getAuthHeaders(),
+            });
+
+            await this.checkResponse(response);
+
+            const removed = this.attachments.find(attachment => attachment.id === attachmentId);
+            this.attachments = this.attachments.filter(attachment => attachment.id !== attachmentId);
+            this.notifyObservers('onAttachmentDeleted', { postId, attachmentId });
+
+            if (removed && removed.isImage) {
+                await this.refreshPost(postId);
+            }
+            return attachmentId;
+        } catch (error) {
+            console.error('Error deleting attachment:', error);
+            this.notifyObservers('onError', error.message);
+            throw error;
+        }
+    }
+
+    // Attachments don't change a post's version, so the BlogModel is given
+    // the post again for its new cover image
+    async refreshPost(postId) {
+        try {
+            const post = await this.session.fetchVisiblePost(postId);
+            if (post) {
+                this.session.applyPostUpdate(post);
+            }
+        } catch (error) {
+            // The cover shows up with the next reload
+            console.error('Error refreshing post:', error);
+        }
+    }
+
+    async checkResponse(response) {
+        if (response.ok) {
+            return;
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (response.status === 401) {
+            throw new Error('Please log in to continue.');
+        }
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+
+    clear() {
+        this.postId = null;
+        this.attachments = [];
+    }
+}
+
+window.AttachmentModel = AttachmentModel;
@@ -0,0 +1,265 @@
+class AttachmentView {
+    // Read-only views (the post page) list the attachments without the drop zone
+    constructor({ editable = true } = {}) {
+        this.container = null;
+        // null while the post isn't saved yet: dropped files wait in
+        // pendingFiles and are uploaded once it exists
+        this.postId = null;
+        this.editable = editable;
+        this.attachments = [];
+        this.pendingFiles = [];
+        this.uploading = [];
+        // File URLs from the API are paths on the API's origin
+        this.apiRoot = null;
+        this.observers = [];
+        // The types the server accepts (lib/services/attachment-service.js)
+        this.accept = 'image/jpeg,image/png,image/gif,image/webp,application/pdf,text/plain,text/markdown,.md';
+
+        // Bind methods to maintain context
+        this.handleClick = this.handleClick.bind(this);
+        this.handleChange = this.handleChange.bind(this);
+        this.handleDragOver = this.handleDragOver.bind(this);
+        this.handleDragLeave = this.handleDragLeave.bind(this);
+        this.handleDrop = this.handleDrop.bind(this);
+    }
+
+    // Observer pattern implementation
+    addObserver(observer) {
+        this.observers.push(observer);
+    }
+
+    removeObserver(observer) {
+        this.observers = this.observers.filter((obs) => obs !== observer);
+    }
+
+    notifyObservers(event, data) {
+        this.observers.forEach((observer) => {
+            if (observer[event]) {
+                observer[event](data);
+            }
+        });
+    }
+
+    setApiRoot(apiRoot) {
+        this.apiRoot = apiRoot;
+    }
+
+    // Attaches the view to its panel in the create form, the edit modal or
+    // the post page
+    mount(container, postId) {
+        this.container = container;
+        this.postId = postId;
+        this.attachments = [];
+        this.pendingFiles = [];
+        this.uploading = [];
+
+        if (!this.container) {
+            return;
+        }
+
+        this.container.addEventListener('click', this.handleClick);
+        if (this.editable) {
+            this.container.addEventListener('change', this.handleChange);
+            this.container.addEventListener('dragover', this.handleDragOver);
+            this.container.addEventListener('dragleave', this.handleDragLeave);
+            this.container.addEventListener('drop', this.handleDrop);
+        }
+        this.render();
+    }
+
+    isMounted() {
+        return Boolean(this.container && this.container.isConnected);
+    }
+
+    // Files dropped before the post was saved
+    getPendingFiles() {
+        return this.pendingFiles.slice();
+    }
+
+    // Rendering methods
+    renderAttachments(attachments) {
+        this.attachments = attachments;
+        this.render();
+    }
+
+    setUploading(file, uploading) {
+        this.uploading = uploading
+            ? [...this.uploading, file]
+            : this.uploading.filter(upload => upload !== file);
+        this.render();
+    }
+
+    render() {
+        if (!this.isMounted()) {
+            return;
+        }
+
+        const count = this.attachments.length + this.pendingFiles.length;
+        if (!this.editable && count === 0) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        this.container.innerHTML = `
+        <h4 class="attachment-title">Attachments${count > 0 ? ` (${count})` : ''}</h4>
+        ${count + this.uploading.length > 0 ? `
+        <ul class="attachment-list">
+            ${this.attachments.map((attachment) => this.renderAttachment(attachment)).join('')}
+            ${this.pendingFiles.map((file, index) => this.renderPendingFile(file, index)).join('')}
+            ${this.uploading.map((file) => `
+            <li class="attachment-item attachment-uploading">
+                <span class="attachment-icon">⏳</span>
+                <span class="attachment-name">${this.escapeHtml(file.name)}</span>
+                <span class="attachment-meta">Uploading...</span>
+            </li>
+            `).join('')}
+        </ul>
+        ` : ''}
+        ${this.editable ? `
+        <div class="drop-zone">
+            <p>
+                Drop images or files here, or
+                <label class="drop-zone-browse">
+                    browse
+                    <input type="file" class="drop-zone-input" multiple accept="${this.accept}" />
+                </label>
+            </p>
+            <p class="drop-zone-hint">
+                JPEG, PNG, GIF, WebP, PDF or text. The first image is the post's cover.
+                ${this.postId === null ? 'Files are uploaded when the post is saved.' : ''}
+            </p>
+        </div>
+        ` : ''}
+        <p class="attachment-error" style="display: none;"></p>
+        `;
+    }
+
+    renderAttachment(attachment) {
+        const url = this.escapeHtml(this.resolveUrl(attachment.url));
+
+        return `
+        <li class="attachment-item" data-attachment-id="${attachment.id}">
+            ${attachment.isImage
+                ? `<img class="attachment-thumbnail" src="${this.escapeHtml(this.resolveUrl(attachment.thumbnailUrl))}"
+                    alt="" loading="lazy" />`
+                : '<span class="attachment-icon">📄</span>'}
+            <a class="attachment-name" href="${url}" target="_blank" rel="noopener">${this.escapeHtml(attachment.name)}</a>
+            <span class="attachment-meta">${this.formatSize(attachment.size)}</span>
+            ${this.editable ? `
+            <button type="button" class="attachment-remove" data-attachment-action="delete"
+                data-attachment-id="${attachment.id}" title="Remove">✕</button>
+            ` : ''}
+        </li>
+        `;
+    }
+
+    renderPendingFile(file, index) {
+        return `
+        <li class="attachment-item attachment-pending">
+            <span class="attachment-icon">📎</span>
+            <span class="attachment-name">${this.escapeHtml(file.name)}</span>
+            <span class="attachment-meta">${this.formatSize(file.size)}</span>
+            <button type="button" class="attachment-remove" data-attachment-action="discard"
+                data-index="${index}" title="Remove">✕</button>
+        </li>
+        `;
+    }
+
+    showError(message) {
+        const error = this.isMounted() && this.container.querySelector('.attachment-error');
+        if (error) {
+            error.textContent = message;
+            error.style.display = 'block';
+        }
+    }
+
+    // Event handling
+    handleClick(e) {
+        const action = e.target.closest('[data-attachment-action]');
+        if (!action) return;
+
+        e.preventDefault();
+
+        switch (action.dataset.attachmentAction) {
+            case 'delete':
+                if (confirm('Remove this attachment? The file is deleted for good.')) {
+                    this.notifyObservers('onAttachmentDelete', Number(action.dataset.attachmentId));
+                }
+                break;
+            case 'discard':
+                this.pendingFiles.splice(Number(action.dataset.index), 1);
+                this.render();
+                break;
+        }
+    }
+
+    handleChange(e) {
+        if (e.target.classList.contains('drop-zone-input')) {
+            this.addFiles(e.target.files);
+        }
+    }
+
+    // Only dragged files are accepted, not text or links
+    handleDragOver(e) {
+        if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) {
+            return;
+        }
+
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        this.container.classList.add('drag-over');
+    }
+
+    handleDragLeave(e) {
+        if (!this.container.contains(e.relatedTarget)) {
+            this.container.classList.remove('drag-over');
+        }
+    }
+
+    handleDrop(e) {
+        if (!e.dataTransfer || e.dataTransfer.files.length === 0) {
+            return;
+        }
+
+        e.preventDefault();
+        this.container.classList.remove('drag-over');
+        this.addFiles(e.dataTransfer.files);
+    }
+
+    addFiles(fileList) {
+        const files = Array.from(fileList);
+        if (files.length === 0) {
+            return;
+        }
+
+        if (this.postId === null) {
+            this.pendingFiles.push(...files);
+            this.render();
+        } else {
+            this.notifyObservers('onAttachmentUpload', { postId: this.postId, files });
+        }
+    }
+
+    // Utility methods
+    resolveUrl(url) {
+        return new URL(url, this.apiRoot || window.location.href).href;
+    }
+
+    formatSize(bytes) {
+        if (bytes < 1024) {
+            return `${bytes} B`;
+        }
+        if (bytes < 1024 * 1024) {
+            return `${Math.round(bytes / 1024)} KB`;
+        }
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+window.AttachmentView = AttachmentView;
@@ -0,0 +1,102 @@
+class CommentController {
+    constructor(model, view, blogView) {
+        this.model = model;
+        this.view = view;
+        // Comments live inside the post detail page rendered by the BlogView
+        this.blogView = blogView;
+
+        // Bind methods to maintain context
+        this.handlePostDetailRendered = this.handlePostDetailRendered.bind(this);
+        this.handleCommentsLoaded = this.handleCommentsLoaded.bind(this);
+        this.handleCommentsChanged = this.handleCommentsChanged.bind(this);
+        this.handleCommentCreate = this.handleCommentCreate.bind(this);
+        this.handleCommentUpdate = this.handleCommentUpdate.bind(this);
+        this.handleCommentDelete = this.handleCommentDelete.bind(this);
+        this.handleCommentEdit = this.handleCommentEdit.bind(this);
+        this.handleLoginRequest = this.handleLoginRequest.bind(this);
+    }
+
+    // Initialization
+    initialize() {
+        this.model.addObserver({
+            onCommentsLoaded: this.handleCommentsLoaded,
+            onCommentCreated: this.handleCommentsChanged,
+            onCommentUpdated: this.handleCommentsChanged,
+            onCommentDeleted: this.handleCommentsChanged,
+        });
+
+        this.view.addObserver({
+            onCommentCreate: this.handleCommentCreate,
+            onCommentUpdate: this.handleCommentUpdate,
+            onCommentDelete: this.handleCommentDelete,
+            onCommentEdit: this.handleCommentEdit,
+            onLoginRequest: this.handleLoginRequest,
+        });
+
+        this.blogView.addObserver({
+            onPostDetailRendered: this.handlePostDetailRendered,
+        });
+    }
+
+    // Event handlers
+    async handlePostDetailRendered(post) {
+        this.view.setCurrentUser(this.model.getCurrentUser());
+        this.view.mount(document.getElementById('comments-section'), post.id);
+
+        try {
+            await this.model.loadComments(post.id);
+        } catch (error) {
+            console.error('Failed to load comments:', error);
+            this.view.renderError('Failed to load comments. Please try again.');
+        }
+    }
+
+    handleCommentsLoaded({ comments, total }) {
+        console.log('Comments loaded:', total);
+        this.view.renderComments(comments, total);
+    }
+
+    handleCommentsChanged() {
+        this.view.renderComments(this.model.comments, this.model.total);
+    }
+
+    async handleCommentCreate({ content, parentId }) {
+        try {
+            await this.model.createComment(content, parentId);
+            this.blogView.showSuccess(parentId ? 'Reply posted!' : 'Comment posted!');
+        } catch (error) {
+            this.view.showActionError(error.message);
+        }
+    }
+
+    async handleCommentUpdate({ id, content }) {
+        try {
+            await this.model.updateComment(id, content);
+            this.blogView.showSuccess('Comment updated!');
+        } catch (error) {
+            this.view.showActionError(error.message);
+        }
+    }
+
+    async handleCommentDelete(commentId) {
+        try {
+            await this.model.deleteComment(commentId);
+            this.blogView.showSuccess('Comment deleted!');
+        } catch (error) {
+            this.blogView.showError(`Failed to delete comment. ${error.message}`);
+        }
+    }
+
+    handleCommentEdit(commentId) {
+        const comment = this.model.findComment(commentId);
+        if (comment) {
+            this.view.showEditForm(comment);
+        }
+    }
+
+    handleLoginRequest() {
+        this.blogView.showAuthModal('login');
+    }
+}
+
+window.CommentController = CommentController;
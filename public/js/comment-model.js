@@ -0,0 +1,213 @@
+class CommentModel {
+    constructor(session) {
+        // The BlogModel owns the login session; comments reuse its credentials
+        this.session = session;
+        this.postId = null;
+        this.comments = [];
+        this.total = 0;
+        this.observers = [];
+        this.isLoading = false;
+    }
+
+    // Observer pattern implementation
+    addObserver(observer) {
+        this.observers.push(observer);
+    }
+
+    removeObserver(observer) {
+        this.observers = this.observers.filter((obs) => obs !== observer);
+    }
+
+    notifyObservers(event, data) {
+        this.observers.forEach((observer) => {
+            if (observer[event]) {
+                observer[event](data);
+            }
+        });
+    }
+
+    //   API Methods
+    getCommentsUrl(postId = this.postId) {
+        return `${this.session.apiRoot}/posts/${postId}/comments`;
+    }
+
+    async loadComments(postId) {
+        this.isLoading = true;
+        this.postId = postId;
+
+        try {
+            const response = await this.session.http.request(this.getCommentsUrl(postId), {
+                headers: this.session.getAuthHeaders(),
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+
+            // Ignore the answer if another post was opened in the meantime
+            if (this.postId !== postId) {
+                return this.comments;
+            }
+
+            this.comments = data.comments;
+            this.total = data.total;
+            this.notifyObservers('onCommentsLoaded', {
+                postId,
+                comments: this.comments,
+                total: this.total,
+            });
+            return this.comments;
+        } catch (error) {
+            console.error('Error loading comments:', error);
+            this.notifyObservers('onError', error.message);
+            throw error;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    async createComment(content, parentId = null) {
+        try {
+            const response = await this.session.http.request(this.getCommentsUrl(), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...this.session.getAuthHeaders(),
+                },
+                body: JSON.stringify({ content, parentId }),
+            });
+
+            await this.checkResponse(response);
+
+            const comment = { ...(await response.json()), replies: [] };
+            const parent = parentId !== null ? this.findComment(parentId) : null;
+
+            if (parent) {
+                parent.replies.push(comment);
+            } else {
+                this.comments.push(comment);
+            }
+            this.total += 1;
+
+            this.notifyObservers('onCommentCreated', comment);
+            return comment;
+        } catch (error) {
+            console.error('Error creating comment:', error);
+            this.notifyObservers('onError', error.message);
+            throw error;
+        }
+    }
+
+    async updateComment(commentId, content) {
+        try {
+            const response = await this.session.http.request(`${this.getCommentsUrl()}/${commentId}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...this.session.getAuthHeaders(),
+                },
+                body: JSON.stringify({ content }),
+            });
+
+            await this.checkResponse(response);
+
+            const updatedComment = await response.json();
+            const comment = this.findComment(commentId);
+            if (comment) {
+                Object.assign(comment, updatedComment);
+            }
+
+            this.notifyObservers('onCommentUpdated', comment || updatedComment);
+            return updatedComment;
+        } catch (error) {
+            console.error('Error updating comment:', error);
+            this.notifyObservers('onError', error.message);
+            throw error;
+        }
+    }
+
+    async deleteComment(commentId) {
+        try {
+            const response = await this.session.http.request(`${this.getCommentsUrl()}/${commentId}`, {
+                method: 'DELETE',
+                headers: this.session.getAuthHeaders(),
+            });
+
+            await this.checkResponse(response);
+
+            // Replies are deleted along with their parent
+            const removed = this.removeComment(this.comments, commentId);
+            if (removed) {
+                this.total -= this.countComments([removed]);
+            }
+
+            this.notifyObservers('onCommentDeleted', commentId);
+            return true;
+        } catch (error) {
+            console.error('Error deleting comment:', error);
+            this.notifyObservers('onError', error.message);
+            throw error;
+        }
+    }
+
+    async checkResponse(response) {
+        if (response.ok) {
+            return;
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (response.status === 401) {
+            throw new Error('Please log in to continue.');
+        }
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+
+    // Utility methods
+    findComment(commentId, comments = this.comments) {
+        for (const comment of comments) {
+            if (comment.id === commentId) {
+                return comment;
+            }
+            const reply = this.findComment(commentId, comment.replies);
+            if (reply) {
+                return reply;
+            }
+        }
+        return null;
+    }
+
+    removeComment(comments, commentId) {
+        const index = comments.findIndex((comment) => comment.id === commentId);
+        if (index !== -1) {
+            return comments.splice(index, 1)[0];
+        }
+
+        for (const comment of comments) {
+            const removed = this.removeComment(comment.replies, commentId);
+            if (removed) {
+                return removed;
+            }
+        }
+        return null;
+    }
+
+    countComments(comments = this.comments) {
+        return comments.reduce(
+            (count, comment) => count + 1 + this.countComments(comment.replies),
+            0
+        );
+    }
+
+    getCurrentUser() {
+        return this.session.currentUser;
+    }
+
+    clear() {
+        this.postId = null;
+        this.comments = [];
+        this.total = 0;
+    }
+}
+
+window.CommentModel = CommentModel;
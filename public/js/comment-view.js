@@ -0,0 +1,274 @@
+class CommentView {
+    constructor() {
+        this.container = null;
+        this.postId = null;
+        this.currentUser = null;
+        this.activeForm = null;
+        this.observers = [];
+
+        // Bind methods to maintain context
+        this.handleClick = this.handleClick.bind(this);
+        this.handleSubmit = this.handleSubmit.bind(this);
+    }
+
+    // Observer pattern implementation
+    addObserver(observer) {
+        this.observers.push(observer);
+    }
+
+    removeObserver(observer) {
+        this.observers = this.observers.filter((obs) => obs !== observer);
+    }
+
+    notifyObservers(event, data) {
+        this.observers.forEach((observer) => {
+            if (observer[event]) {
+                observer[event](data);
+            }
+        });
+    }
+
+    // Attaches the view to the comments section of a rendered post
+    mount(container, postId) {
+        this.container = container;
+        this.postId = postId;
+
+        if (!this.container) {
+            return;
+        }
+
+        this.container.addEventListener('click', this.handleClick);
+        this.container.addEventListener('submit', this.handleSubmit);
+        this.container.innerHTML = `
+        <h3 class="comments-title">Comments</h3>
+        <p class="comments-loading">Loading comments...</p>
+        `;
+    }
+
+    isMounted() {
+        return Boolean(this.container && this.container.isConnected);
+    }
+
+    // Rendering methods
+    renderComments(comments, total) {
+        if (!this.isMounted()) {
+            return;
+        }
+
+        this.container.innerHTML = `
+        <h3 class="comments-title">Comments (${total})</h3>
+        ${this.renderNewCommentForm()}
+        ${comments.length > 0
+            ? `<ul class="comment-list">${comments.map((comment) => this.renderComment(comment)).join('')}</ul>`
+            : '<p class="no-comments">No comments yet. Start the conversation!</p>'
+        }
+        `;
+        this.updateCommentCount(total);
+    }
+
+    renderNewCommentForm() {
+        if (!this.currentUser) {
+            return `
+            <p class="comment-login-prompt">
+                <button type="button" class="btn btn-secondary" data-comment-action="login">Log in</button>
+                to join the discussion.
+            </p>
+            `;
+        }
+
+        return this.renderCommentForm({ parentId: null, submitLabel: 'Post comment' });
+    }
+
+    renderCommentForm({ parentId = null, commentId = null, content = '', submitLabel }) {
+        return `
+        <form class="comment-form"
+            ${parentId !== null ? `data-parent-id="${parentId}"` : ''}
+            ${commentId !== null ? `data-comment-id="${commentId}"` : ''}>
+            <textarea name="content" rows="3" maxlength="2000"
+                placeholder="Write a comment...">${this.escapeHtml(content)}</textarea>
+            <div class="comment-form-error error-message" style="display: none;"></div>
+            <div class="form-actions">
+                <button type="submit" class="btn btn-primary">${submitLabel}</button>
+                ${parentId !== null || commentId !== null
+                ? '<button type="button" class="btn btn-secondary" data-comment-action="cancel">Cancel</button>'
+                : ''
+            }
+            </div>
+        </form>
+        `;
+    }
+
+    renderComment(comment) {
+        const capabilities = comment.capabilities || {};
+
+        return `
+        <li class="comment" data-comment-id="${comment.id}">
+            <div class="comment-body">
+                <div class="comment-meta">
+                    <span class="comment-author">${this.escapeHtml(comment.author)}</span>
+                    <span class="comment-date">${this.formatDate(comment.createdAt)}</span>
+                    ${comment.updatedAt !== comment.createdAt ? '<span class="comment-edited">(edited)</span>' : ''}
+                </div>
+                <p class="comment-content">${this.escapeHtml(comment.content).replace(/\n/g, '<br>')}</p>
+                <div class="comment-actions">
+                    ${this.currentUser
+                ? `<button type="button" class="comment-action" data-comment-action="reply" data-comment-id="${comment.id}">Reply</button>`
+                : ''
+            }
+                    ${capabilities.canEdit
+                ? `<button type="button" class="comment-action" data-comment-action="edit" data-comment-id="${comment.id}">Edit</button>`
+                : ''
+            }
+                    ${capabilities.canDelete
+                ? `<button type="button" class="comment-action" data-comment-action="delete" data-comment-id="${comment.id}">Delete</button>`
+                : ''
+            }
+                </div>
+                <div class="comment-inline-form"></div>
+            </div>
+            ${comment.replies && comment.replies.length > 0
+                ? `<ul class="comment-replies">${comment.replies.map((reply) => this.renderComment(reply)).join('')}</ul>`
+                : ''
+            }
+        </li>
+        `;
+    }
+
+    renderError(message) {
+        if (!this.isMounted()) {
+            return;
+        }
+
+        this.container.innerHTML = `
+        <h3 class="comments-title">Comments</h3>
+        <p class="comments-error">${this.escapeHtml(message)}</p>
+        `;
+    }
+
+    // Keeps the count on the post card in step with the comment list
+    updateCommentCount(total) {
+        const countEl = document.querySelector(
+            `.post-card[data-post-id="${this.postId}"] .comment-count-value`
+        );
+        if (countEl) {
+            countEl.textContent = total;
+        }
+    }
+
+    // Event handling
+    handleClick(e) {
+        const action = e.target.closest('[data-comment-action]');
+        if (!action) return;
+
+        e.preventDefault();
+
+        const commentId = Number(action.dataset.commentId);
+
+        switch (action.dataset.commentAction) {
+            case 'login':
+                this.notifyObservers('onLoginRequest');
+                break;
+            case 'reply':
+                this.showInlineForm(commentId, this.renderCommentForm({
+                    parentId: commentId,
+                    submitLabel: 'Reply',
+                }));
+                break;
+            case 'edit':
+                // The controller looks the comment up and calls showEditForm
+                this.notifyObservers('onCommentEdit', commentId);
+                break;
+            case 'delete':
+                if (confirm('Delete this comment and all of its replies?')) {
+                    this.notifyObservers('onCommentDelete', commentId);
+                }
+                break;
+            case 'cancel':
+                action.closest('.comment-inline-form').innerHTML = '';
+                break;
+        }
+    }
+
+    handleSubmit(e) {
+        const form = e.target.closest('.comment-form');
+        if (!form) return;
+
+        e.preventDefault();
+
+        this.activeForm = form;
+        const content = form.elements.content.value.trim();
+        if (!content) {
+            this.showFormError(form, 'Comment cannot be empty');
+            return;
+        }
+
+        if (form.dataset.commentId) {
+            this.notifyObservers('onCommentUpdate', {
+                id: Number(form.dataset.commentId),
+                content,
+            });
+        } else {
+            this.notifyObservers('onCommentCreate', {
+                content,
+                parentId: form.dataset.parentId ? Number(form.dataset.parentId) : null,
+            });
+        }
+    }
+
+    showInlineForm(commentId, formHtml) {
+        const slot = this.container.querySelector(
+            `.comment[data-comment-id="${commentId}"] > .comment-body > .comment-inline-form`
+        );
+        if (slot) {
+            slot.innerHTML = formHtml;
+            slot.querySelector('textarea').focus();
+        }
+    }
+
+    showEditForm(comment) {
+        this.showInlineForm(comment.id, this.renderCommentForm({
+            commentId: comment.id,
+            content: comment.content,
+            submitLabel: 'Save',
+        }));
+    }
+
+    showFormError(form, message) {
+        const errorEl = form.querySelector('.comment-form-error');
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.style.display = 'block';
+        }
+    }
+
+    // Shows a failed request's error next to the form that sent it
+    showActionError(message) {
+        if (this.activeForm && this.activeForm.isConnected) {
+            this.showFormError(this.activeForm, message);
+        }
+    }
+
+    setCurrentUser(user) {
+        this.currentUser = user;
+    }
+
+    // Utility methods
+    formatDate(dateString) {
+        const date = new Date(dateString);
+        return date.toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit',
+        });
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+window.CommentView = CommentView;
@@ -3,6 +3,7 @@ class BlogController {
         this.model = model;
         this.view = view;
         this.isInitialized = false;
+        this.currentRoute = { name: 'list' };
 
         // Bind methods to maintain context
         this.initialize = this.initialize.bind(this);
@@ -17,6 +18,32 @@ class BlogController {
         this.handlePostCreated = this.handlePostCreated.bind(this);
         this.handlePostUpdated = this.handlePostUpdated.bind(this);
         this.handlePostDeleted = this.handlePostDeleted.bind(this);
+        this.handlePostLoaded = this.handlePostLoaded.bind(this);
+        this.handleRouteChange = this.handleRouteChange.bind(this);
+        this.handleMorePostsLoaded = this.handleMorePostsLoaded.bind(this);
+        this.handleLoadMore = this.handleLoadMore.bind(this);
+        this.handlePostsQueryChange = this.handlePostsQueryChange.bind(this);
+        this.handleSearch = this.handleSearch.bind(this);
+        this.handleSearchClear = this.handleSearchClear.bind(this);
+        this.handleSearchResults = this.handleSearchResults.bind(this);
+        this.handleLogin = this.handleLogin.bind(this);
+        this.handleRegister = this.handleRegister.bind(this);
+        this.handleLogout = this.handleLogout.bind(this);
+        this.handleAuthChanged = this.handleAuthChanged.bind(this);
+        this.handleTagSelect = this.handleTagSelect.bind(this);
+        this.handleTagsLoaded = this.handleTagsLoaded.bind(this);
+        this.handleDraftsLoaded = this.handleDraftsLoaded.bind(this);
+        this.handlePostConflict = this.handlePostConflict.bind(this);
+        this.handlePostRestored = this.handlePostRestored.bind(this);
+        this.handleRequestRetry = this.handleRequestRetry.bind(this);
+        this.handleRequestRetryEnd = this.handleRequestRetryEnd.bind(this);
+        this.handleChangeQueued = this.handleChangeQueued.bind(this);
+        this.handleOutboxChanged = this.handleOutboxChanged.bind(this);
+        this.handleOnline = this.handleOnline.bind(this);
+        this.handleOffline = this.handleOffline.bind(this);
+        this.syncAndRefresh = this.syncAndRefresh.bind(this);
+        this.handlePostAdded = this.handlePostAdded.bind(this);
+        this.handlePostsStale = this.handlePostsStale.bind(this);
     }
 
     // Initialization
@@ -31,8 +58,22 @@ class BlogController {
             this.setupModelObservers();
             this.setupViewObservers();
 
+            this.view.setApiRoot(this.model.apiRoot);
             await this.view.initialize();
-            await this.loadPosts();
+            await this.model.loadCurrentUser();
+            await this.model.loadOutbox();
+            window.addEventListener('hashchange', this.handleRouteChange);
+            if (!this.takeOverPage(this.model.takeInitialState())) {
+                await this.handleRouteChange();
+            }
+            this.loadTags();
+            // Posts created, edited and deleted elsewhere show up live
+            this.model.subscribeToPostEvents();
+
+            // Changes made offline during an earlier visit
+            if (this.model.pendingChanges.length > 0 && this.model.isOnline() && this.model.isAuthenticated()) {
+                this.syncAndRefresh();
+            }
 
             this.isInitialized = true;
             console.log('Blog Controller initialized successfully');
@@ -47,12 +88,26 @@ class BlogController {
     setupModelObservers() {
         this.model.addObserver({
             onPostsLoaded: this.handlePostsLoaded,
+            onPostLoaded: this.handlePostLoaded,
+            onMorePostsLoaded: this.handleMorePostsLoaded,
+            onSearchResults: this.handleSearchResults,
+            onTagsLoaded: this.handleTagsLoaded,
+            onDraftsLoaded: this.handleDraftsLoaded,
+            onAuthChanged: this.handleAuthChanged,
             onPostCreated: this.handlePostCreated,
             onPostUpdated: this.handlePostUpdated,
+            onPostConflict: this.handlePostConflict,
             onPostDeleted: this.handlePostDeleted,
+            onPostRestored: this.handlePostRestored,
             onError: this.handleError,
             onLoadingStart: this.handleLoadingStart,
             onLoadingEnd: this.handleLoadingEnd,
+            onRequestRetry: this.handleRequestRetry,
+            onRequestRetryEnd: this.handleRequestRetryEnd,
+            onChangeQueued: this.handleChangeQueued,
+            onOutboxChanged: this.handleOutboxChanged,
+            onPostAdded: this.handlePostAdded,
+            onPostsStale: this.handlePostsStale,
         });
     }
 
@@ -63,10 +118,228 @@ class BlogController {
             onPostUpdate: this.handlePostUpdate,
             onPostDelete: this.handlePostDelete,
             onPostEdit: this.handlePostEdit,
+            onLoadMore: this.handleLoadMore,
+            onPostsQueryChange: this.handlePostsQueryChange,
+            onTagSelect: this.handleTagSelect,
+            onSearch: this.handleSearch,
+            onSearchClear: this.handleSearchClear,
+            onLogin: this.handleLogin,
+            onRegister: this.handleRegister,
+            onLogout: this.handleLogout,
+            onSyncRequest: this.syncAndRefresh,
+        });
+    }
+
+    // Routing
+    parseRoute(hash) {
+        const match = /^#\/posts\/(\d+)$/.exec(hash || '');
+        if (match) {
+            return { name: 'post', id: Number(match[1]) };
+        }
+
+        if (hash === '#/drafts') {
+            return { name: 'drafts' };
+        }
+
+        if (hash === '#/admin') {
+            return { name: 'admin' };
+        }
+
+        const searchMatch = /^#\/search\?(.*)$/.exec(hash || '');
+        if (searchMatch) {
+            const query = (new URLSearchParams(searchMatch[1]).get('q') || '').trim();
+            if (query) {
+                return { name: 'search', query };
+            }
+        }
+
+        return { name: 'list' };
+    }
+
+    // Server-rendered post pages (/posts/12) have no hash; their path is the route
+    getLocationHash() {
+        if (window.location.hash) {
+            return window.location.hash;
+        }
+        const match = /\/posts\/(\d+)$/.exec(window.location.pathname);
+        return match ? `#/posts/${match[1]}` : '';
+    }
+
+    async handleRouteChange() {
+        this.currentRoute = this.parseRoute(this.getLocationHash());
+
+        if (this.currentRoute.name === 'post') {
+            await this.showPost(this.currentRoute.id);
+        } else if (this.currentRoute.name === 'search') {
+            await this.search(this.currentRoute.query);
+        } else if (this.currentRoute.name === 'drafts') {
+            await this.showDrafts();
+        } else if (this.currentRoute.name === 'admin') {
+            this.showAdmin();
+        } else {
+            this.view.setSearchQuery('');
+            await this.loadPosts();
+        }
+    }
+
+    // The server rendered this page for a visitor (lib/pages.js). When it
+    // rendered the current route, the page is kept and only wired up. Users
+    // who are logged in or have offline changes would see more than the
+    // server knew about, so they load it as usual. Returns whether the page
+    // was taken over
+    takeOverPage(state) {
+        if (!state || this.model.isAuthenticated() || this.model.pendingChanges.length > 0) {
+            return false;
+        }
+
+        const route = this.parseRoute(this.getLocationHash());
+        if (state.route === 'list' && route.name === 'list') {
+            this.currentRoute = route;
+            this.model.adoptInitialState(state);
+            this.view.takeOverPosts();
+            this.view.renderLoadMore(state.pagination);
+            return true;
+        }
+
+        if (state.route === 'post' && route.name === 'post' && route.id === state.id) {
+            this.currentRoute = route;
+            this.model.adoptInitialState(state);
+            // A missing post keeps the server's "Post not found"
+            if (state.post) {
+                this.view.takeOverPostDetail(state.post);
+            } else {
+                this.view.setListControlsVisible(false);
+            }
+            return true;
+        }
+
+        return false;
+    }
+
+    navigateToList() {
+        if (this.currentRoute.name === 'list') {
+            return this.loadPosts();
+        }
+        // Changing the hash triggers handleRouteChange, which reloads the list
+        window.location.hash = '#/';
+    }
+
+    navigateToDrafts() {
+        if (this.currentRoute.name === 'drafts') {
+            return this.showDrafts();
+        }
+        window.location.hash = '#/drafts';
+    }
+
+    async refresh() {
+        await this.handleRouteChange();
+    }
+
+    // Sends the changes made offline first, so the reload includes them;
+    // the outcome is shown after it, as loading clears the error area
+    async syncAndRefresh() {
+        let result = null;
+        if (this.model.pendingChanges.length > 0 && this.model.isOnline() && this.model.isAuthenticated()) {
+            result = await this.model.syncOutbox();
+        }
+
+        await this.refresh();
+
+        if (result) {
+            this.reportSync(result);
+        }
+    }
+
+    // Edit conflicts were already handed to the conflict dialog
+    reportSync({ sent, failures, needsLogin }) {
+        console.log('Offline changes sent:', sent);
+
+        if (sent > 0) {
+            this.view.showSuccess(`Sent ${sent} ${sent === 1 ? 'change' : 'changes'} made offline.`);
+        }
+        if (failures.length > 0) {
+            this.view.showSyncFailures(failures);
+        }
+        if (needsLogin) {
+            this.view.showError('Log in to send the changes you made offline.');
+        }
+    }
+
+    // Called by app.js on the window's online and offline events
+    async handleOnline() {
+        console.log('Back online');
+        this.renderSyncStatus();
+        await this.syncAndRefresh();
+    }
+
+    handleOffline() {
+        console.log('Gone offline');
+        this.renderSyncStatus();
+    }
+
+    renderSyncStatus() {
+        this.view.renderSyncStatus({
+            online: this.model.isOnline(),
+            changes: this.model.pendingChanges,
         });
     }
 
+    showAdmin() {
+        if (!this.model.isAuthenticated()) {
+            this.view.renderLoginRequired('Log in as an admin to import and export posts.');
+        } else if (this.model.currentUser.role !== 'admin') {
+            this.view.renderAdminOnly();
+        } else {
+            this.view.renderAdminPage();
+        }
+    }
+
     // Data operations
+    async showPost(postId) {
+        try {
+            console.log('Loading blog post:', postId);
+            await this.model.loadPost(postId);
+        } catch (error) {
+            console.error('Failed to load post:', error);
+            this.view.renderPostNotFound();
+        }
+    }
+
+    async showDrafts() {
+        if (!this.model.isAuthenticated()) {
+            this.view.renderLoginRequired('Log in to see your drafts and scheduled posts.');
+            return;
+        }
+
+        try {
+            console.log('Loading drafts...');
+            await this.model.loadDrafts();
+        } catch (error) {
+            console.error('Failed to load drafts:', error);
+            this.view.showError(`Failed to load drafts. ${error.message}`);
+        }
+    }
+
+    async search(query) {
+        try {
+            console.log('Searching blog posts:', query);
+            await this.model.searchPosts(query);
+        } catch (error) {
+            console.error('Failed to search posts:', error);
+            this.view.showError('Search failed. Please try again.');
+        }
+    }
+
+    handleSearch(query) {
+        const params = new URLSearchParams({ q: query });
+        // Searches are routes, so results can be shared and revisited
+        window.location.hash = `#/search?${params.toString()}`;
+    }
+
+    handleSearchClear() {
+        this.navigateToList();
+    }
+
     async loadPosts() {
         try {
             console.log('Loading blog posts...');
@@ -77,13 +350,103 @@ class BlogController {
         }
     }
 
+    async handleLoadMore() {
+        this.view.setLoadMoreLoading(true);
+        try {
+            await this.model.loadMorePosts();
+        } catch (error) {
+            console.error('Failed to load more posts:', error);
+            this.view.showError('Failed to load more posts. Please try again.');
+            this.view.setLoadMoreLoading(false);
+        }
+    }
+
+    async handlePostsQueryChange(query) {
+        try {
+            console.log('Applying post filters:', query);
+            await this.model.loadPosts(query);
+        } catch (error) {
+            console.error('Failed to apply filters:', error);
+            this.view.showError('Failed to load blog posts. Please check your filters.');
+        }
+    }
+
+    // Clicking a tag chip filters the list by that tag, keeping the other filters
+    handleTagSelect(tag) {
+        const query = { ...this.model.listQuery, tag };
+        this.model.setListQuery(query);
+        this.view.setPostsQuery(query);
+        this.navigateToList();
+    }
+
+    async loadTags() {
+        try {
+            await this.model.loadTags();
+        } catch (error) {
+            // Tag suggestions are optional; the list still works without them
+            console.error('Failed to load tags:', error);
+        }
+    }
+
+    // Authentication
+    async handleLogin({ username, password }) {
+        try {
+            const user = await this.model.login(username, password);
+            this.view.hideAuthModal();
+            this.view.showSuccess(`Welcome back, ${user.username}!`);
+        } catch (error) {
+            console.error('Failed to log in:', error);
+            this.view.showAuthError(error.message);
+        }
+    }
+
+    async handleRegister({ username, password }) {
+        try {
+            const user = await this.model.register(username, password);
+            this.view.hideAuthModal();
+            this.view.showSuccess(`Welcome, ${user.username}! Your account is ready.`);
+        } catch (error) {
+            console.error('Failed to register:', error);
+            this.view.showAuthError(error.message);
+        }
+    }
+
+    async handleLogout() {
+        await this.model.logout();
+        this.view.showSuccess('You have been logged out.');
+    }
+
+    handleAuthChanged(user) {
+        console.log('Auth changed:', user ? user.username : 'logged out');
+        this.view.setCurrentUser(user);
+
+        // Re-render the current page so post actions match the new user;
+        // after a login, send whatever was waiting for it
+        if (this.isInitialized) {
+            if (user) {
+                this.syncAndRefresh();
+            } else {
+                this.refresh();
+            }
+        }
+    }
+
     async handlePostCreate(postData) {
         try {
             console.log('Creating new post:', postData);
-            await this.model.createPost(postData);
-            this.view.showSuccess('Post created successfully!');
+            // null when offline: the post waits in the outbox (see handleChangeQueued)
+            const newPost = await this.model.createPost(postData);
+            if (newPost) {
+                this.view.showSuccess(this.getSavedMessage(postData.status, 'Post created successfully!'));
+            }
         } catch (error) {
             console.error('Failed to create post:', error);
+            // Rule violations, found here or by the server, go next to their fields
+            if (error.fieldErrors) {
+                this.view.displayFormErrors(error.fieldErrors);
+                this.view.showError('Failed to create post. Please fix the highlighted fields.');
+                return;
+            }
             this.view.showError('Failed to create post. Please try again.');
         }
     }
@@ -91,25 +454,56 @@ class BlogController {
     async handlePostUpdate(updateData) {
         try {
             console.log('Updating post:', updateData.id);
-            await this.model.updatePost(updateData.id, updateData);
-            this.view.showSuccess('Post updated successfully!');
+            const updatedPost = await this.model.updatePost(updateData.id, updateData);
+            if (updatedPost) {
+                this.view.showSuccess(this.getSavedMessage(updateData.status, 'Post updated successfully!'));
+            }
         } catch (error) {
             console.error('Failed to update post:', error);
-            this.view.showError('Failed to update post. Please try again.');
+            // Conflicts are resolved in the conflict dialog instead
+            if (!error.isConflict) {
+                this.view.showError(`Failed to update post. ${error.message}`);
+            }
         }
     }
 
     async handlePostDelete(postId) {
         try {
             console.log('Deleting post:', postId);
-            await this.model.deletePost(postId);
-            this.view.showSuccess('Post deleted successfully!');
+            const deleted = await this.model.deletePost(postId);
+            if (deleted) {
+                this.view.showSuccess('Post moved to the trash.', {
+                    actionLabel: 'Undo',
+                    onAction: () => this.handlePostRestore(postId),
+                });
+            }
         } catch (error) {
             console.error('Failed to delete post:', error);
-            this.view.showError('Failed to delete post. Please try again.');
+            this.view.showError(`Failed to delete post. ${error.message}`);
         }
     }
 
+    async handlePostRestore(postId) {
+        try {
+            console.log('Restoring post:', postId);
+            await this.model.restorePost(postId);
+            this.view.showSuccess('Post restored!');
+        } catch (error) {
+            console.error('Failed to restore post:', error);
+            this.view.showError(`Failed to restore post. ${error.message}`);
+        }
+    }
+
+    getSavedMessage(status, publishedMessage) {
+        if (status === 'draft') {
+            return 'Draft saved!';
+        }
+        if (status === 'scheduled') {
+            return 'Post scheduled!';
+        }
+        return publishedMessage;
+    }
+
     handlePostEdit(postId) {
         console.log('Editing post:', postId);
 
@@ -130,24 +524,109 @@ class BlogController {
     handlePostsLoaded(posts) {
         console.log('Posts loaded:', posts.length);
         this.view.renderPosts(posts);
+        this.view.renderLoadMore(this.model.pagination);
+    }
+
+    handleSearchResults(searchResults) {
+        console.log('Search results loaded:', searchResults.results.length);
+        this.view.renderSearchResults(searchResults);
+    }
+
+    handleDraftsLoaded(drafts) {
+        console.log('Drafts loaded:', drafts.length);
+        this.view.renderDrafts(drafts);
+    }
+
+    handlePostConflict(conflict) {
+        console.log('Edit conflict on post:', conflict.postId);
+        this.view.showConflictModal(conflict);
+    }
+
+    handleTagsLoaded(tags) {
+        console.log('Tags loaded:', tags.length);
+        this.view.renderTagOptions(tags);
+    }
+
+    handleMorePostsLoaded({ posts, pagination }) {
+        console.log('More posts loaded:', posts.length);
+        this.view.appendPosts(posts);
+        this.view.renderLoadMore(pagination);
+    }
+
+    handlePostLoaded(post) {
+        console.log('Post loaded:', post.id);
+        this.view.renderPostDetail(post);
     }
 
     handlePostCreated(newPost) {
         console.log('Post created:', newPost.id);
         this.view.clearForm();
-        this.loadPosts(); // Refresh the list
+        if (newPost.status === 'published') {
+            this.navigateToList(); // Refresh the list
+        } else {
+            this.navigateToDrafts();
+        }
+        this.loadTags();
     }
 
     handlePostUpdated(updatedPost) {
         console.log('Post updated successfully:', updatedPost.id);
+        this.loadTags();
+        if (this.currentRoute.name === 'post') {
+            this.view.renderPostDetail(this.model.currentPost);
+            return;
+        }
+        if (this.currentRoute.name === 'drafts') {
+            this.view.renderDrafts(this.model.drafts);
+            return;
+        }
         this.view.renderPosts(this.model.posts);  // Re-render the updated list
+        this.view.renderLoadMore(this.model.pagination);
     }
 
     handlePostDeleted(postId) {
         console.log('Post deleted successfully:', postId);
+        this.loadTags();
+        if (this.currentRoute.name === 'post') {
+            this.navigateToList();
+            return;
+        }
+        if (this.currentRoute.name === 'drafts') {
+            this.view.renderDrafts(this.model.drafts);
+            return;
+        }
         // Re-render posts after deletion
         const updatedPosts = this.model.posts.filter(post => post.id !== postId);
         this.view.renderPosts(updatedPosts);
+        this.view.renderLoadMore(this.model.pagination);
+    }
+
+    // Published in another tab or browser
+    handlePostAdded(post) {
+        console.log('Post added elsewhere:', post.id);
+        this.loadTags();
+        if (this.currentRoute.name === 'list') {
+            this.view.renderPosts(this.model.posts);
+            this.view.renderLoadMore(this.model.pagination);
+        }
+    }
+
+    // Live updates were interrupted for too long to catch up, or posts came
+    // in an import. The admin page shows no posts, and reloading it
+    // would wipe the import report
+    handlePostsStale() {
+        if (this.currentRoute.name === 'admin') {
+            return;
+        }
+        console.log('Missed live updates, reloading');
+        this.refresh();
+    }
+
+    handlePostRestored(restoredPost) {
+        console.log('Post restored successfully:', restoredPost.id);
+        this.loadTags();
+        // Reload whatever is on screen so the post shows up in its place again
+        this.handleRouteChange();
     }
 
     handleLoadingStart() {
@@ -160,6 +639,38 @@ class BlogController {
         this.view.hideLoading();
     }
 
+    // A request failed on a network error, timeout or busy server and will
+    // be sent again; the notice stays up until it is done either way
+    handleRequestRetry({ attempt, maxRetries, delay }) {
+        console.log(`Retrying request (${attempt} of ${maxRetries}) in ${delay}ms`);
+        this.view.showRetryNotice({ attempt, maxRetries, delay });
+    }
+
+    handleRequestRetryEnd({ succeeded }) {
+        console.log(succeeded ? 'Request succeeded after retrying' : 'Request failed after retrying');
+        this.view.hideRetryNotice();
+    }
+
+    // A write made offline was kept on this device instead of being sent
+    handleChangeQueued(change) {
+        console.log('Change queued until back online:', change.type, change.postId);
+        const messages = {
+            create: 'You are offline. The post was saved on this device and will be sent when you reconnect.',
+            update: 'You are offline. Your edit was saved on this device and will be sent when you reconnect.',
+            delete: 'You are offline. The post will be deleted when you reconnect.',
+        };
+
+        if (change.type === 'create') {
+            this.view.clearForm();
+        }
+        this.view.showWarning(messages[change.type]);
+    }
+
+    handleOutboxChanged(changes) {
+        console.log('Offline changes waiting:', changes.length);
+        this.renderSyncStatus();
+    }
+
     handleError(errorMessage) {
         console.error('Error occurred:', errorMessage);
         // Error is already handled by the view in most cases
@@ -182,16 +693,18 @@ class BlogController {
     getState() {
         return {
             isInitialized: this.isInitialized,
+            route: this.currentRoute,
             postsCount: this.model.posts.length,
             currentEditId: this.view.currentEditId,
             isLoading: this.model.isLoading,
+            currentUser: this.model.currentUser,
         };
     }
 
     reset() {
         console.log('Resetting controller...');
         this.view.clearForm();
-        this.loadPosts();
+        this.refresh();
     }
 }
 // window.controllerExplanation = controllerExplanation;
@@ -0,0 +1,152 @@
+// Line-based text diff (Myers' O(ND) algorithm), shared by the browser
+// (window.Diff) and the server (require('./public/js/diff')). The server
+// compares post revisions with it; the browser uses it to show edit conflicts.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Diff = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Beyond this many changed lines the edit graph gets too big to walk; the
+    // diff then falls back to "everything removed, everything added"
+    const MAX_DIFF_LINES = 4000;
+
+    function splitLines(text) {
+        if (!text) {
+            return [];
+        }
+        return String(text).replace(/\r\n?/g, '\n').split('\n');
+    }
+
+    // Shortest edit script between two arrays of lines, as equal/removed/added ops
+    function myersDiff(a, b) {
+        const n = a.length;
+        const m = b.length;
+        const max = n + m;
+        const offset = max + 1;
+        const v = new Array(2 * max + 2).fill(0);
+        const trace = [];
+
+        for (let d = 0; d <= max; d++) {
+            trace.push(v.slice());
+
+            for (let k = -d; k <= d; k += 2) {
+                let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                    ? v[offset + k + 1]
+                    : v[offset + k - 1] + 1;
+                let y = x - k;
+
+                while (x < n && y < m && a[x] === b[y]) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+
+                if (x >= n && y >= m) {
+                    return backtrack(trace, a, b, offset);
+                }
+            }
+        }
+
+        return [];
+    }
+
+    function backtrack(trace, a, b, offset) {
+        const ops = [];
+        let x = a.length;
+        let y = b.length;
+
+        for (let d = trace.length - 1; d >= 0; d--) {
+            const v = trace[d];
+            const k = x - y;
+            const prevK = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? k + 1 : k - 1;
+            const prevX = v[offset + prevK];
+            const prevY = prevX - prevK;
+
+            while (x > prevX && y > prevY) {
+                ops.push({ type: 'equal', text: a[x - 1] });
+                x--;
+                y--;
+            }
+
+            if (d > 0) {
+                if (x === prevX) {
+                    ops.push({ type: 'added', text: b[y - 1] });
+                } else {
+                    ops.push({ type: 'removed', text: a[x - 1] });
+                }
+            }
+
+            x = prevX;
+            y = prevY;
+        }
+
+        return ops.reverse();
+    }
+
+    // Compare two texts line by line. Every line comes back with its type and
+    // its line number in the old and/or new text:
+    //   { type: 'removed', text: 'old line', oldNumber: 3, newNumber: null }
+    function diffLines(oldText, newText) {
+        const a = splitLines(oldText);
+        const b = splitLines(newText);
+
+        // Only the part between a common prefix and suffix needs the full algorithm
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) {
+            start++;
+        }
+
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const changedA = a.slice(start, endA);
+        const changedB = b.slice(start, endB);
+        const middle = changedA.length + changedB.length > MAX_DIFF_LINES
+            ? [
+                ...changedA.map(text => ({ type: 'removed', text })),
+                ...changedB.map(text => ({ type: 'added', text }))
+            ]
+            : myersDiff(changedA, changedB);
+
+        const ops = [
+            ...a.slice(0, start).map(text => ({ type: 'equal', text })),
+            ...middle,
+            ...a.slice(endA).map(text => ({ type: 'equal', text }))
+        ];
+
+        let oldNumber = 0;
+        let newNumber = 0;
+        const lines = ops.map(op => {
+            if (op.type !== 'added') oldNumber++;
+            if (op.type !== 'removed') newNumber++;
+
+            return {
+                type: op.type,
+                text: op.text,
+                oldNumber: op.type === 'added' ? null : oldNumber,
+                newNumber: op.type === 'removed' ? null : newNumber
+            };
+        });
+
+        return {
+            lines,
+            stats: {
+                added: lines.filter(line => line.type === 'added').length,
+                removed: lines.filter(line => line.type === 'removed').length
+            }
+        };
+    }
+
+    return {
+        diffLines,
+        splitLines,
+    };
+}));
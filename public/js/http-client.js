@@ -0,0 +1,189 @@
+// fetch() with a timeout on every attempt and retries for requests that are
+// safe to repeat. Used by BlogModel (and through it the comment and revision
+// models), so all API calls share the same settings.
+//
+// request() takes the same arguments as fetch() and resolves with the last
+// Response, even an error one; callers check response.ok as before. It
+// rejects when the network fails or times out on the last attempt, or with an
+// AbortError when the caller's signal aborts.
+class HttpClient {
+    constructor({
+        timeout = 10000,
+        maxRetries = 3,
+        retryDelay = 1000,
+        maxRetryDelay = 30000,
+        onRetry = () => {},
+        onRetryEnd = () => {},
+    } = {}) {
+        this.timeout = timeout;
+        this.maxRetries = maxRetries;
+        this.retryDelay = retryDelay;
+        this.maxRetryDelay = maxRetryDelay;
+        // Retry progress: onRetry({ method, url, attempt, maxRetries, delay, reason })
+        // before each wait, onRetryEnd({ method, url, attempts, succeeded }) once
+        // a request that needed retries is done
+        this.onRetry = onRetry;
+        this.onRetryEnd = onRetryEnd;
+        // POST is left out: repeating it could create a post or comment twice.
+        // A PUT or DELETE the server applied but whose answer was lost comes
+        // back 412 or 404 when repeated; for posts, BlogModel takes those as done
+        this.idempotentMethods = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+        // Overloaded or briefly unavailable; worth asking again
+        this.retryStatuses = [408, 429, 502, 503, 504];
+    }
+
+    // Pass { retries: 0 } to try only once, or { timeout } to override the default
+    async request(url, options = {}) {
+        const { signal, timeout = this.timeout, retries, ...fetchOptions } = options;
+        const method = (fetchOptions.method || 'GET').toUpperCase();
+        const maxRetries = this.idempotentMethods.includes(method)
+            ? (retries === undefined ? this.maxRetries : retries)
+            : 0;
+
+        let attempt = 0;
+        for (;;) {
+            let response;
+            let failure;
+
+            try {
+                response = await this.attempt(url, fetchOptions, { signal, timeout });
+            } catch (error) {
+                // Cancelled by the caller: stop right away
+                if (this.isAbortError(error)) {
+                    throw error;
+                }
+                failure = error;
+            }
+
+            const retryable = failure || this.retryStatuses.includes(response.status);
+            const delay = retryable && attempt < maxRetries ? this.getRetryDelay(attempt, response) : null;
+
+            if (delay === null) {
+                if (attempt > 0) {
+                    this.onRetryEnd({ method, url, attempts: attempt + 1, succeeded: !failure && response.ok });
+                }
+                if (failure) {
+                    throw failure;
+                }
+                return response;
+            }
+
+            attempt++;
+            this.onRetry({
+                method,
+                url,
+                attempt,
+                maxRetries,
+                delay,
+                reason: failure ? failure.message : `HTTP ${response.status}`,
+            });
+            await this.wait(delay, signal);
+        }
+    }
+
+    // One fetch, aborted after timeout ms or when the caller's signal aborts
+    async attempt(url, fetchOptions, { signal, timeout }) {
+        if (signal && signal.aborted) {
+            throw this.createAbortError();
+        }
+
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        const abort = () => controller.abort();
+        if (signal) {
+            signal.addEventListener('abort', abort);
+        }
+
+        try {
+            return await fetch(url, { ...fetchOptions, signal: controller.signal });
+        } catch (error) {
+            if (timedOut) {
+                const timeoutError = new Error('The server took too long to respond.');
+                timeoutError.name = 'TimeoutError';
+                throw timeoutError;
+            }
+            if (signal && signal.aborted) {
+                throw this.createAbortError();
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', abort);
+            }
+        }
+    }
+
+    // Exponential backoff with jitter, so clients that failed together
+    // don't all come back at the same moment. A Retry-After header wins;
+    // null means don't retry (the server asked for a longer wait than we allow)
+    getRetryDelay(attempt, response) {
+        const retryAfter = response ? this.parseRetryAfter(response.headers.get('Retry-After')) : null;
+        if (retryAfter !== null) {
+            return retryAfter <= this.maxRetryDelay ? retryAfter : null;
+        }
+
+        const backoff = Math.min(this.maxRetryDelay, this.retryDelay * 2 ** attempt);
+        return Math.round(backoff / 2 + Math.random() * backoff / 2);
+    }
+
+    // Retry-After is either seconds or an HTTP date; returns milliseconds
+    parseRetryAfter(value) {
+        if (!value) {
+            return null;
+        }
+
+        if (/^\d+$/.test(value.trim())) {
+            return Number(value) * 1000;
+        }
+
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    wait(delay, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(this.createAbortError());
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(this.createAbortError());
+            };
+            const timer = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve();
+            }, delay);
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+
+    createAbortError() {
+        const error = new Error('The request was cancelled.');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    isAbortError(error) {
+        return Boolean(error) && error.name === 'AbortError';
+    }
+
+    // The request never got an answer: fetch() rejects with a TypeError when
+    // the network is down, and attempt() with a TimeoutError
+    isNetworkError(error) {
+        return Boolean(error) && (error.name === 'TypeError' || error.name === 'TimeoutError');
+    }
+}
+
+window.HttpClient = HttpClient;
@@ -0,0 +1,291 @@
+// Markdown to HTML, shared by the browser (window.Markdown) and the server
+// (require('./public/js/markdown')) so both render posts the same way.
+//
+// Sanitizing is built in rather than bolted on: every piece of the source
+// is HTML-escaped, raw HTML is never passed through, and link/image URLs
+// must be relative or use http(s)/mailto. The only tags in the output are
+// the ones generated below.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Markdown = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const FENCE_PATTERN = /^\s{0,3}(`{3,}|~{3,})\s*([\w+#.-]*)[^`]*$/;
+    const HEADING_PATTERN = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+    const RULE_PATTERN = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+    const QUOTE_PATTERN = /^\s{0,3}>\s?/;
+    const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+    const SAFE_URL_SCHEMES = ['http:', 'https:', 'mailto:'];
+    // Left out of the end of a bare URL
+    const TRAILING_PUNCTUATION = '.,;:!?)\'"';
+    // Quotes and lists nested deeper than this are left as text; each level
+    // is a recursive call, so without a limit "> > > …" overflows the stack
+    const MAX_NESTING_DEPTH = 16;
+    // Marks text that is already HTML, so later inline passes leave it alone
+    const HOLD = '\u0000';
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Returns the URL if it is safe to put in href/src, otherwise null
+    function sanitizeUrl(url) {
+        // Browsers ignore whitespace and control characters inside a scheme,
+        // so "java\tscript:" must be caught as well
+        const compact = String(url).replace(/[\u0000- \u007F]/g, '');
+        const scheme = /^([a-z][a-z0-9+.-]*:)/i.exec(compact);
+
+        if (scheme && !SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase())) {
+            return null;
+        }
+        return compact || null;
+    }
+
+    // Inline formatting
+    function renderInline(text) {
+        const held = [];
+        const hold = (html) => {
+            held.push(html);
+            return `${HOLD}${held.length - 1}${HOLD}`;
+        };
+
+        let html = renderSpans(String(text).split(HOLD).join(''), hold);
+
+        // Held HTML can itself contain held pieces (e.g. an image inside a link)
+        const heldPattern = new RegExp(`${HOLD}(\\d+)${HOLD}`, 'g');
+        while (heldPattern.test(html)) {
+            html = html.replace(heldPattern, (match, index) => held[Number(index)]);
+        }
+        return html;
+    }
+
+    function renderSpans(text, hold) {
+        let out = text;
+
+        // Code spans come first so nothing inside them is formatted
+        out = out.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) =>
+            hold(`<code>${escapeHtml(code.trim())}</code>`));
+
+        // Labels stop at any bracket and targets at any parenthesis not closed
+        // inside them (as in Wikipedia URLs), so a failed match can't run
+        // over the next link. Otherwise "![a](" repeated takes quadratic time
+        out = out.replace(/!\[([^[\]]*)\]\(\s*<?((?:[^()\s>]|\([^()\s>]*\))+)>?(?:\s+"([^"]*)")?\s*\)/g, (match, alt, url, title) => {
+            const src = sanitizeUrl(url);
+            if (!src) {
+                return hold(escapeHtml(alt));
+            }
+            return hold(`<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}"`
+                + `${title ? ` title="${escapeHtml(title)}"` : ''} loading="lazy">`);
+        });
+
+        out = out.replace(/\[([^[\]]+)\]\(\s*<?((?:[^()\s>]|\([^()\s>]*\))+)>?(?:\s+"([^"]*)")?\s*\)/g, (match, label, url, title) => {
+            const href = sanitizeUrl(url);
+            const labelHtml = renderSpans(label, hold);
+            if (!href) {
+                return hold(labelHtml);
+            }
+            return hold(`<a href="${escapeHtml(href)}"${title ? ` title="${escapeHtml(title)}"` : ''}`
+                + ` rel="noopener noreferrer">${labelHtml}</a>`);
+        });
+
+        // Bare URLs, leaving trailing punctuation out of the link. The
+        // punctuation stays plain text, escaped with the rest below
+        out = out.replace(/\bhttps?:\/\/[^\s<>\u0000]+/g, (match) => {
+            let end = match.length;
+            while (end > 0 && TRAILING_PUNCTUATION.includes(match[end - 1])) {
+                end--;
+            }
+            const url = match.slice(0, end);
+            return hold(`<a href="${escapeHtml(url)}" rel="noopener noreferrer">${escapeHtml(url)}</a>`)
+                + match.slice(end);
+        });
+
+        out = escapeHtml(out);
+
+        // Emphasis never runs past the next opening of the same kind, which
+        // keeps unclosed markers ("*a *a *a") from taking quadratic time
+        return out
+            .replace(/\*\*(?=\S)((?:[^*]|\*(?!\*))*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^\w])__(?=\S)((?:[^_]|_(?!_))*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+            .replace(/\*(?=\S)((?:[^*]|(?<=\s)\*(?=\s))*?\S)\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?=\S)((?:[^_]|(?<=\w)_(?=\w))*?\S)_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/~~(?=\S)((?:[^~]|~(?!~))*?\S)~~/g, '<del>$1</del>')
+            .replace(/\n/g, '<br>\n');
+    }
+
+    // Block structure
+    function startsBlock(line) {
+        return FENCE_PATTERN.test(line)
+            || HEADING_PATTERN.test(line)
+            || RULE_PATTERN.test(line)
+            || QUOTE_PATTERN.test(line)
+            || LIST_ITEM_PATTERN.test(line);
+    }
+
+    function isBlank(line) {
+        return line.trim() === '';
+    }
+
+    function renderBlocks(lines, depth = 0) {
+        const blocks = [];
+        const nesting = depth < MAX_NESTING_DEPTH;
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (isBlank(line)) {
+                i++;
+                continue;
+            }
+
+            const fence = FENCE_PATTERN.exec(line);
+            if (fence) {
+                const code = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++; // closing fence, or past the end for an unclosed block
+
+                const language = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+                blocks.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            const heading = HEADING_PATTERN.exec(line);
+            if (heading) {
+                const level = heading[1].length;
+                blocks.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            if (RULE_PATTERN.test(line)) {
+                blocks.push('<hr>');
+                i++;
+                continue;
+            }
+
+            if (nesting && QUOTE_PATTERN.test(line)) {
+                const quoted = [];
+                while (i < lines.length && !isBlank(lines[i])) {
+                    quoted.push(lines[i].replace(QUOTE_PATTERN, ''));
+                    i++;
+                }
+                blocks.push(`<blockquote>${renderBlocks(quoted, depth + 1)}</blockquote>`);
+                continue;
+            }
+
+            if (nesting && LIST_ITEM_PATTERN.test(line)) {
+                const list = readList(lines, i, depth);
+                blocks.push(list.html);
+                i = list.end;
+                continue;
+            }
+
+            const paragraph = [];
+            while (i < lines.length && !isBlank(lines[i]) && !(paragraph.length > 0 && startsBlock(lines[i]))) {
+                paragraph.push(lines[i].trim());
+                i++;
+            }
+            blocks.push(`<p>${renderInline(paragraph.join('\n'))}</p>`);
+        }
+
+        return blocks.join('\n');
+    }
+
+    // Reads list items starting at lines[start]; indented lines belong to the
+    // item above them, which is how nested lists are written
+    function readList(lines, start, depth) {
+        const first = LIST_ITEM_PATTERN.exec(lines[start]);
+        const indent = first[1].length;
+        const ordered = /\d/.test(first[2]);
+        const items = [];
+        let i = start;
+
+        while (i < lines.length) {
+            const item = LIST_ITEM_PATTERN.exec(lines[i]);
+            if (!item || item[1].length !== indent || /\d/.test(item[2]) !== ordered) {
+                break;
+            }
+
+            const itemLines = [item[3]];
+            const contentIndent = item[1].length + item[2].length + 1;
+            i++;
+
+            while (i < lines.length) {
+                const next = lines[i];
+                const nextIndent = next.length - next.trimStart().length;
+
+                if (isBlank(next)) {
+                    // A blank line ends the list unless the item carries on below it
+                    const following = lines[i + 1];
+                    if (following === undefined || isBlank(following)
+                        || following.length - following.trimStart().length <= indent) {
+                        break;
+                    }
+                    itemLines.push('');
+                } else if (nextIndent > indent) {
+                    itemLines.push(next.slice(Math.min(nextIndent, contentIndent)));
+                } else if (!startsBlock(next)) {
+                    itemLines.push(next.trim()); // lazy continuation of the item's text
+                } else {
+                    break;
+                }
+                i++;
+            }
+
+            items.push(itemLines);
+
+            // Skip a blank line between two items of the same list
+            if (isBlank(lines[i] || 'x') && LIST_ITEM_PATTERN.test(lines[i + 1] || '')) {
+                const nextItem = LIST_ITEM_PATTERN.exec(lines[i + 1]);
+                if (nextItem[1].length === indent) {
+                    i++;
+                }
+            }
+        }
+
+        const tag = ordered ? 'ol' : 'ul';
+        const startNumber = ordered ? parseInt(first[2], 10) : 1;
+        const startAttr = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+        const itemsHtml = items.map((itemLines) => {
+            // A one-paragraph item is written without its <p>
+            const html = renderBlocks(itemLines, depth + 1).replace(/^<p>([\s\S]*?)<\/p>(?=\n<[uo]l>|$)/, '$1');
+            return `<li>${html}</li>`;
+        }).join('\n');
+
+        return { html: `<${tag}${startAttr}>\n${itemsHtml}\n</${tag}>`, end: i };
+    }
+
+    function render(markdown) {
+        if (!markdown) {
+            return '';
+        }
+
+        const lines = String(markdown)
+            .replace(/\r\n?/g, '\n')
+            .replace(/\t/g, '    ')
+            .split('\n');
+
+        return renderBlocks(lines);
+    }
+
+    return {
+        render,
+        renderInline,
+        sanitizeUrl,
+        escapeHtml,
+    };
+}));
@@ -1,10 +1,50 @@
 class BlogModel {
-    constructor() {
+    // options go to the HttpClient ({ timeout, maxRetries, retryDelay,
+    // maxRetryDelay }), apart from outbox, which replaces the IndexedDB one
+    constructor({ outbox, ...options } = {}) {
         this.posts = [];
+        this.currentPost = null;
         this.observers = [];
-        this.apiBaseUrl = 'https://mvc.liara.run/api/posts';
+        this.apiRoot = this.resolveApiRoot();
+        this.apiBaseUrl = `${this.apiRoot}/posts`;
         this.isLoading = false;
-        
+        this.pageSize = 10;
+        this.listQuery = {};
+        this.pagination = null;
+        this.searchResults = null;
+        this.tags = [];
+        this.drafts = [];
+        this.draftsPageSize = 50;
+        this.authTokenKey = 'blogMVC_authToken';
+        this.authToken = localStorage.getItem(this.authTokenKey);
+        this.currentUser = null;
+        // Aborted when a newer loadPosts() starts, so a slow answer for an
+        // old query can't replace the list
+        this.listRequest = null;
+        // Every API call goes through this client, including the ones made
+        // by CommentModel and RevisionModel
+        this.http = new HttpClient({
+            ...options,
+            onRetry: retry => this.notifyObservers('onRequestRetry', retry),
+            onRetryEnd: result => this.notifyObservers('onRequestRetryEnd', result),
+        });
+        // Creates, edits and deletes made while offline, oldest first,
+        // waiting for syncOutbox()
+        this.outbox = outbox || new Outbox();
+        this.pendingChanges = [];
+        this.outboxSync = null;
+        // Posts created, updated and deleted by others, pushed by the server
+        // (see subscribeToPostEvents)
+        this.postEvents = null;
+    }
+
+    // The API is served next to the page (/api on the same origin) unless
+    // index.html points elsewhere with <meta name="api-root" content="...">,
+    // which may be a path or a full URL
+    resolveApiRoot() {
+        const meta = document.querySelector('meta[name="api-root"]');
+        const root = (meta && meta.content.trim()) || '/api';
+        return new URL(root, window.location.href).href.replace(/\/+$/, '');
     }
 
     // Observer pattern implementation
@@ -24,24 +64,242 @@ class BlogModel {
         });
     }
 
+    // What the server rendered the page with (lib/pages.js), from the
+    // #initial-state script: { route: 'list', posts, pagination } or
+    // { route: 'post', id, post }, post being null when it found none.
+    // Read once, since it's only true of the page as it was loaded
+    takeInitialState() {
+        const script = document.getElementById('initial-state');
+        if (!script) {
+            return null;
+        }
+
+        script.remove();
+        try {
+            return JSON.parse(script.textContent);
+        } catch (error) {
+            console.error('Invalid initial state:', error);
+            return null;
+        }
+    }
+
+    // Takes the posts of a server-rendered page as if loadPosts() or
+    // loadPost() had fetched them, without telling the observers
+    adoptInitialState(state) {
+        if (state.route === 'list') {
+            this.posts = state.posts;
+            this.pagination = state.pagination;
+        } else if (state.route === 'post') {
+            this.currentPost = state.post;
+        }
+    }
+
     //   API Methods
-    async loadPosts() {
+    // Loads the first page of posts. Passing a query replaces the current
+    // sort and filters; omitting it reloads with the ones already set.
+    async loadPosts(query) {
+        if (query) {
+            this.setListQuery(query);
+        }
+
+        // Only the newest list request counts; cancel the one before it
+        if (this.listRequest) {
+            this.listRequest.abort();
+        }
+        const request = new AbortController();
+        this.listRequest = request;
+
         this.setLoading(true);
         this.notifyObservers('onLoadingStart');
 
         try {
-            const response = await fetch(this.apiBaseUrl);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
+            const page = await this.fetchPostsPage(0, request.signal);
 
-            this.posts = await response.json();
+            this.posts = page.posts;
+            this.pagination = page.pagination;
             this.notifyObservers('onPostsLoaded', this.posts);
             return this.posts;
         } catch (error) {
+            // Replaced by a newer loadPosts(), which will report the outcome
+            if (this.http.isAbortError(error)) {
+                return this.posts;
+            }
             console.error('Error loading posts:', error);
             this.notifyObservers('onError', error.message);
             throw error;
+        } finally {
+            if (this.listRequest === request) {
+                this.setLoading(false);
+                this.notifyObservers('onLoadingEnd');
+            }
+        }
+    }
+
+    async loadMorePosts() {
+        if (!this.pagination || !this.pagination.hasMore) {
+            return [];
+        }
+
+        this.setLoading(true);
+
+        try {
+            // Cancelled too if a new loadPosts() starts, e.g. with other filters
+            const signal = this.listRequest ? this.listRequest.signal : undefined;
+            const page = await this.fetchPostsPage(this.pagination.nextOffset, signal);
+            const knownIds = new Set(this.posts.map(post => post.id));
+            const newPosts = page.posts.filter(post => !knownIds.has(post.id));
+
+            this.posts = this.posts.concat(newPosts);
+            this.pagination = page.pagination;
+            this.notifyObservers('onMorePostsLoaded', {
+                posts: newPosts,
+                pagination: this.pagination,
+            });
+            return newPosts;
+        } catch (error) {
+            if (this.http.isAbortError(error)) {
+                return [];
+            }
+            console.error('Error loading more posts:', error);
+            this.notifyObservers('onError', error.message);
+            throw error;
+        } finally {
+            this.setLoading(false);
+        }
+    }
+
+    async fetchPostsPage(offset, signal) {
+        const params = new URLSearchParams({
+            limit: String(this.pageSize),
+            offset: String(offset),
+        });
+
+        Object.entries(this.listQuery).forEach(([key, value]) => {
+            if (value) {
+                params.set(key, value);
+            }
+        });
+
+        const response = await this.http.request(`${this.apiBaseUrl}?${params.toString()}`, {
+            headers: this.getAuthHeaders(),
+            signal,
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        return response.json();
+    }
+
+    setListQuery(query) {
+        this.listQuery = { ...query };
+    }
+
+    // Tags in use with how many posts carry each one
+    async loadTags() {
+        try {
+            const response = await this.http.request(`${this.apiRoot}/tags`, {
+                headers: this.getAuthHeaders(),
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+            this.tags = data.tags;
+            this.notifyObservers('onTagsLoaded', this.tags);
+            return this.tags;
+        } catch (error) {
+            console.error('Error loading tags:', error);
+            this.notifyObservers('onError', error.message);
+            throw error;
+        }
+    }
+
+    // The current user's drafts and scheduled posts, most recently edited first
+    async loadDrafts() {
+        this.setLoading(true);
+        this.notifyObservers('onLoadingStart');
+
+        try {
+            const params = new URLSearchParams({
+                mine: 'true',
+                status: 'draft,scheduled',
+                sort: 'updated',
+                limit: String(this.draftsPageSize),
+            });
+            const response = await this.http.request(`${this.apiBaseUrl}?${params.toString()}`, {
+                headers: this.getAuthHeaders(),
+            });
+
+            await this.checkAuthorization(response);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+            this.drafts = data.posts;
+            this.notifyObservers('onDraftsLoaded', this.drafts);
+            return this.drafts;
+        } catch (error) {
+            console.error('Error loading drafts:', error);
+            this.notifyObservers('onError', error.message);
+            throw error;
+        } finally {
+            this.setLoading(false);
+            this.notifyObservers('onLoadingEnd');
+        }
+    }
+
+    async searchPosts(query) {
+        this.setLoading(true);
+        this.notifyObservers('onLoadingStart');
+
+        try {
+            const params = new URLSearchParams({ q: query });
+            const response = await this.http.request(`${this.apiRoot}/search?${params.toString()}`, {
+                headers: this.getAuthHeaders(),
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            this.searchResults = await response.json();
+            this.notifyObservers('onSearchResults', this.searchResults);
+            return this.searchResults;
+        } catch (error) {
+            console.error('Error searching posts:', error);
+            this.notifyObservers('onError', error.message);
+            throw error;
+        } finally {
+            this.setLoading(false);
+            this.notifyObservers('onLoadingEnd');
+        }
+    }
+
+    async loadPost(postId) {
+        this.setLoading(true);
+        this.notifyObservers('onLoadingStart');
+
+        try {
+            const response = await this.http.request(`${this.apiBaseUrl}/${postId}`, {
+                headers: this.getAuthHeaders(),
+            });
+            if (response.status === 404) {
+                throw new Error('Post not found');
+            }
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            this.currentPost = await response.json();
+            this.notifyObservers('onPostLoaded', this.currentPost);
+            return this.currentPost;
+        } catch (error) {
+            console.error('Error loading post:', error);
+            this.currentPost = null;
+            this.notifyObservers('onError', error.message);
+            throw error;
         } finally {
             this.setLoading(false);
             this.notifyObservers('onLoadingEnd');
@@ -55,17 +313,27 @@ class BlogModel {
             // Validate post data
             const validationErrors = this.validatePostData(postData);
             if (validationErrors.length > 0) {
-                throw new Error(validationErrors.join('. '));
+                throw this.createValidationError(validationErrors);
             }
 
-            const response = await fetch(this.apiBaseUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(postData),
-            });
+            const response = await this.sendOrQueue(
+                { type: 'create', data: postData, title: postData.title },
+                () => this.http.request(this.apiBaseUrl, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...this.getAuthHeaders(),
+                    },
+                    body: JSON.stringify(postData),
+                })
+            );
+            if (!response) {
+                return null;
+            }
 
+            await this.checkAuthorization(response);
+            await this.checkLimits(response);
+            await this.checkValidation(response);
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
@@ -87,37 +355,61 @@ class BlogModel {
         this.setLoading(true);
 
         try {
+            // The version the edit started from; the server refuses the
+            // update if the post has changed since then. Neither it nor
+            // the id is part of the body
+            const { id, version, ...changes } = postData;
+
             // validate post data
-            const validationErrors = this.validatePostData(postData);
+            const validationErrors = this.validatePostData(changes);
             if (validationErrors.length > 0) {
-                throw new Error(validationErrors.join('. '));
+                throw this.createValidationError(validationErrors);
             }
 
-            const response = await fetch(`${this.apiBaseUrl}/${postId}`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(postData),
-            });
+            const post = this.getPostById(postId);
+            const baseVersion = version !== undefined ? version : post && post.version;
+            const response = await this.sendOrQueue(
+                { type: 'update', postId, version: baseVersion, data: changes, title: changes.title },
+                () => this.http.request(`${this.apiBaseUrl}/${postId}`, {
+                    method: 'PUT',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...this.getAuthHeaders(),
+                        ...this.getIfMatchHeaders(postId, version),
+                    },
+                    body: JSON.stringify(changes),
+                })
+            );
+            if (!response) {
+                // Show the edit now; the server copy catches up on sync
+                if (post) {
+                    this.applyPostUpdate({ ...post, ...changes, pendingSync: true });
+                }
+                return null;
+            }
 
+            await this.checkAuthorization(response);
+            await this.checkLimits(response);
+            await this.checkValidation(response);
+            if (response.status === 412) {
+                const { current } = await response.json();
+                this.applyPostUpdate(current);
+                if (current && this.isOwnEdit(changes, current)) {
+                    return current;
+                }
+                this.notifyObservers('onPostConflict', {
+                    postId,
+                    mine: { id: postId, ...changes },
+                    current,
+                });
+                throw this.createConflictError('Someone else changed this post while you were editing it.');
+            }
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
 
             const updatedPost = await response.json();
-
-            // update local state
-            const index = this.posts.findIndex(post => post.id === postId);
-            if (index !== -1) {
-                this.posts[index] = {
-                    id: postId,
-                    // ...this.posts[index],
-                    ...updatedPost,
-                };
-            }
-
-            this.notifyObservers('onPostUpdated', updatedPost);
+            this.applyPostUpdate(updatedPost);
             return updatedPost;
 
         } catch (error) {
@@ -129,22 +421,82 @@ class BlogModel {
         }
     }
 
+    // Whether a 412 answers an edit the server already saved: the first
+    // attempt went through but its answer was lost, and the retry (or the
+    // outbox replaying it) still named the old version. The saved post then
+    // holds exactly the changes that were sent
+    isOwnEdit(changes, current) {
+        const { value } = PostSchema.validatePost(changes);
+        return Object.keys(value).every((field) => {
+            if (field === 'tags') {
+                return [...value.tags].sort().join(',') === [...(current.tags || [])].sort().join(',');
+            }
+            if (field === 'publishAt') {
+                return Date.parse(value.publishAt) === Date.parse(current.publishAt);
+            }
+            return value[field] === current[field];
+        });
+    }
+
+    // Puts a post saved on the server into local state, e.g. after an edit
+    // or after the RevisionModel restored an older version
+    applyPostUpdate(updatedPost) {
+        const postId = updatedPost.id;
+
+        const index = this.posts.findIndex(post => post.id === postId);
+        if (index !== -1) {
+            this.posts[index] = {
+                id: postId,
+                // ...this.posts[index],
+                ...updatedPost,
+            };
+        }
+
+        if (this.currentPost && this.currentPost.id === postId) {
+            this.currentPost = { ...this.currentPost, ...updatedPost };
+        }
+
+        // A post that went live is no longer a draft
+        this.drafts = this.drafts
+            .map(post => (post.id === postId ? updatedPost : post))
+            .filter(post => post.status !== 'published');
+
+        this.notifyObservers('onPostUpdated', updatedPost);
+    }
+
     async deletePost(postId) {
         this.setLoading(true);
 
         try {
-            const response = await fetch(`${this.apiBaseUrl}/${postId}`, {
-                method: 'DELETE',
-            });
+            const post = this.getPostById(postId);
+            const response = await this.sendOrQueue(
+                { type: 'delete', postId, version: post && post.version, title: post && post.title },
+                () => this.http.request(`${this.apiBaseUrl}/${postId}`, {
+                    method: 'DELETE',
+                    headers: {
+                        ...this.getAuthHeaders(),
+                        ...this.getIfMatchHeaders(postId),
+                    },
+                })
+            );
+            if (!response) {
+                this.removePost(postId);
+                return null;
+            }
 
-            if (!response.ok) {
+            await this.checkAuthorization(response);
+            await this.checkLimits(response);
+            if (response.status === 412) {
+                const { current } = await response.json();
+                this.applyPostUpdate(current);
+                throw this.createConflictError('It was changed by someone else. Check the latest version and try again.');
+            }
+            // Already gone, e.g. by an earlier attempt whose answer was lost
+            if (!response.ok && response.status !== 404) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
 
-            // remove from local state
-            this.posts = this.posts.filter(post => post.id !== postId);
-
-            this.notifyObservers('onPostDeleted', postId);
+            this.removePost(postId);
             return true;
 
         } catch (error) {
@@ -156,6 +508,500 @@ class BlogModel {
         }
     }
 
+    // Takes a deleted post out of local state
+    removePost(postId) {
+        const previousCount = this.posts.length;
+        this.posts = this.posts.filter(post => post.id !== postId);
+
+        // Keep the next page aligned now that one row is gone
+        if (this.pagination && this.posts.length < previousCount) {
+            this.pagination.total -= 1;
+            if (this.pagination.hasMore) {
+                this.pagination.nextOffset -= 1;
+            }
+        }
+
+        if (this.currentPost && this.currentPost.id === postId) {
+            this.currentPost = null;
+        }
+
+        this.drafts = this.drafts.filter(post => post.id !== postId);
+
+        this.notifyObservers('onPostDeleted', postId);
+    }
+
+    // Takes a deleted post back out of the trash
+    async restorePost(postId) {
+        this.setLoading(true);
+
+        try {
+            const response = await this.http.request(`${this.apiRoot}/trash/${postId}/restore`, {
+                method: 'POST',
+                headers: this.getAuthHeaders(),
+            });
+
+            await this.checkAuthorization(response);
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            }
+
+            const restoredPost = await response.json();
+            this.notifyObservers('onPostRestored', restoredPost);
+            return restoredPost;
+
+        } catch (error) {
+            console.error('Error restoring post:', error);
+            this.notifyObservers('onError', error.message);
+            throw error;
+        } finally {
+            this.setLoading(false);
+        }
+    }
+
+    // Offline changes
+    // Sends a write, or queues it when the browser is offline or the request
+    // got no answer; resolves with the response, or null once queued. A POST
+    // that timed out may have reached the server after all, but sending it
+    // twice beats losing the post
+    async sendOrQueue(change, send) {
+        if (this.isOnline()) {
+            try {
+                return await send();
+            } catch (error) {
+                if (!this.http.isNetworkError(error)) {
+                    throw error;
+                }
+            }
+        }
+
+        await this.queueChange(change);
+        return null;
+    }
+
+    async queueChange(change) {
+        const entry = await this.outbox.add({ ...change, queuedAt: new Date().toISOString() });
+        this.pendingChanges.push(entry);
+        this.notifyObservers('onChangeQueued', entry);
+        this.notifyObservers('onOutboxChanged', this.pendingChanges);
+        return entry;
+    }
+
+    // Picks up changes left by an earlier visit
+    async loadOutbox() {
+        try {
+            this.pendingChanges = await this.outbox.getAll();
+            this.notifyObservers('onOutboxChanged', this.pendingChanges);
+        } catch (error) {
+            console.error('Error loading offline changes:', error);
+        }
+        return this.pendingChanges;
+    }
+
+    // Sends the queued changes in the order they were made. A network error,
+    // a server error or an expired login stops the run and keeps the rest
+    // for later. Changes the server turns down are dropped: an edit to a post
+    // that changed in the meantime goes to onPostConflict so it can be
+    // merged, anything else is listed in failures.
+    // Resolves with { sent, conflicts, failures: [{ change, message }], remaining, needsLogin }
+    syncOutbox() {
+        // One run at a time; coming back online and logging in both start one
+        if (!this.outboxSync) {
+            this.outboxSync = this.replayOutbox().finally(() => {
+                this.outboxSync = null;
+            });
+        }
+        return this.outboxSync;
+    }
+
+    async replayOutbox() {
+        const result = { sent: 0, conflicts: 0, failures: [], remaining: 0, needsLogin: false };
+        // The versions our replayed edits created, by "<postId>:<version the
+        // change was based on>", so a second offline edit of the same post
+        // isn't taken for a conflict with the first
+        const versions = new Map();
+
+        try {
+            const changes = await this.outbox.getAll();
+
+            for (const change of changes) {
+                const outcome = await this.replayChange(change, versions);
+                if (outcome.stop) {
+                    result.needsLogin = Boolean(outcome.needsLogin);
+                    break;
+                }
+
+                await this.outbox.remove(change.id);
+                if (outcome.conflict) {
+                    result.conflicts++;
+                } else if (outcome.error) {
+                    result.failures.push({ change, message: outcome.error });
+                } else {
+                    result.sent++;
+                }
+            }
+
+            this.pendingChanges = await this.outbox.getAll();
+        } catch (error) {
+            console.error('Error sending offline changes:', error);
+            this.notifyObservers('onError', error.message);
+        }
+
+        result.remaining = this.pendingChanges.length;
+        this.notifyObservers('onOutboxChanged', this.pendingChanges);
+        return result;
+    }
+
+    // Sends one queued change. Resolves with {} when it was saved,
+    // { conflict: true } or { error } when it was turned down, and
+    // { stop: true, needsLogin } when it should stay queued
+    async replayChange(change, versions) {
+        const versionKey = `${change.postId}:${change.version}`;
+        const version = versions.has(versionKey) ? versions.get(versionKey) : change.version;
+        const url = change.type === 'create' ? this.apiBaseUrl : `${this.apiBaseUrl}/${change.postId}`;
+        const headers = this.getAuthHeaders();
+
+        if (change.type !== 'create' && version !== undefined) {
+            headers['If-Match'] = `"${version}"`;
+        }
+        if (change.data) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        let response;
+        try {
+            response = await this.http.request(url, {
+                method: { create: 'POST', update: 'PUT', delete: 'DELETE' }[change.type],
+                headers,
+                body: change.data ? JSON.stringify(change.data) : undefined,
+            });
+        } catch (error) {
+            if (this.http.isNetworkError(error)) {
+                return { stop: true };
+            }
+            throw error;
+        }
+
+        if (response.status === 401) {
+            return { stop: true, needsLogin: true };
+        }
+        // Down, or too many writes at once: the rest goes on the next sync
+        if (response.status >= 500 || response.status === 429) {
+            return { stop: true };
+        }
+        // Already gone is what the delete was after
+        if (change.type === 'delete' && response.status === 404) {
+            return {};
+        }
+        if (response.status === 412) {
+            const { current } = await response.json();
+            if (change.type === 'delete') {
+                return { error: 'Someone else changed it after you deleted it, so it was kept.' };
+            }
+            if (current && this.isOwnEdit(change.data, current)) {
+                versions.set(versionKey, current.version);
+                return {};
+            }
+            this.notifyObservers('onPostConflict', {
+                postId: change.postId,
+                mine: { id: change.postId, ...change.data },
+                current,
+            });
+            return { conflict: true };
+        }
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            return { error: data.error || `HTTP error! status: ${response.status}` };
+        }
+
+        if (change.type === 'update') {
+            const updatedPost = await response.json();
+            versions.set(versionKey, updatedPost.version);
+        }
+        return {};
+    }
+
+    isOnline() {
+        return navigator.onLine !== false;
+    }
+
+    // Live updates
+    // Follows GET /api/events so changes made in other tabs and browsers show
+    // up without a reload. EventSource reconnects by itself when the
+    // connection drops and asks for the events it missed
+    subscribeToPostEvents() {
+        if (this.postEvents || typeof EventSource === 'undefined') {
+            return;
+        }
+
+        this.postEvents = new EventSource(`${this.apiRoot}/events`);
+        ['post-created', 'post-updated', 'post-deleted'].forEach((type) => {
+            this.postEvents.addEventListener(type, (event) => {
+                this.applyPostEvent(type, JSON.parse(event.data)).catch((error) => {
+                    console.error(`Error applying ${type}:`, error);
+                });
+            });
+        });
+        // Too many events were missed, e.g. across a server restart, or
+        // posts were imported in bulk
+        this.postEvents.addEventListener('resync', () => this.notifyObservers('onPostsStale'));
+    }
+
+    unsubscribeFromPostEvents() {
+        if (this.postEvents) {
+            this.postEvents.close();
+            this.postEvents = null;
+        }
+    }
+
+    // Events only name the post; it is fetched so it comes with this user's
+    // capabilities, and skipped when this user can't see it. Changes made
+    // here come back as events too and are recognised by their version
+    async applyPostEvent(type, { id, version }) {
+        const known = this.getPostById(id);
+
+        if (type === 'post-deleted') {
+            if (known) {
+                this.removePost(id);
+            }
+            return;
+        }
+
+        if (known && (type === 'post-created' || known.version >= version)) {
+            return;
+        }
+
+        const post = await this.fetchVisiblePost(id);
+        if (!post) {
+            // e.g. turned back into a draft by its author
+            if (known) {
+                this.removePost(id);
+            }
+            return;
+        }
+
+        if (known) {
+            this.applyPostUpdate(post);
+        } else {
+            this.addPost(post);
+        }
+    }
+
+    // The post, or null when it doesn't exist or this user may not see it
+    async fetchVisiblePost(postId) {
+        const response = await this.http.request(`${this.apiBaseUrl}/${postId}`, {
+            headers: this.getAuthHeaders(),
+        });
+        if (response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    // Puts a post published elsewhere on top of the list, if it belongs
+    // there; otherwise it shows up with the next reload
+    addPost(post) {
+        if (post.status !== 'published' || !this.belongsAtTopOfList(post)) {
+            return;
+        }
+
+        this.posts.unshift(post);
+        if (this.pagination) {
+            this.pagination.total += 1;
+            if (this.pagination.hasMore) {
+                this.pagination.nextOffset += 1;
+            }
+        }
+        this.notifyObservers('onPostAdded', post);
+    }
+
+    // A new post is the newest one: it goes first when the list is newest
+    // first and it passes the filters. Date ranges are left to the server
+    belongsAtTopOfList(post) {
+        const { sort, order, tag, author, from, to } = this.listQuery;
+
+        if ((sort && sort !== 'created') || order === 'asc' || from || to) {
+            return false;
+        }
+        if (tag && !(post.tags || []).includes(tag)) {
+            return false;
+        }
+        return !author || author.toLowerCase() === post.author.toLowerCase();
+    }
+
+    // Authentication
+    async register(username, password) {
+        return this.authenticate('register', username, password);
+    }
+
+    async login(username, password) {
+        return this.authenticate('login', username, password);
+    }
+
+    async authenticate(action, username, password) {
+        const response = await this.http.request(`${this.apiRoot}/auth/${action}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ username, password }),
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+
+        this.setSession(data.token, data.user);
+        return data.user;
+    }
+
+    async logout() {
+        try {
+            if (this.authToken) {
+                await this.http.request(`${this.apiRoot}/auth/logout`, {
+                    method: 'POST',
+                    headers: this.getAuthHeaders(),
+                });
+            }
+        } catch (error) {
+            // The local session is cleared even if the server can't be reached
+            console.error('Error logging out:', error);
+        } finally {
+            this.setSession(null, null);
+        }
+    }
+
+    // Restores the user behind a token saved by a previous visit
+    async loadCurrentUser() {
+        if (!this.authToken) {
+            return null;
+        }
+
+        try {
+            const response = await this.http.request(`${this.apiRoot}/auth/me`, {
+                headers: this.getAuthHeaders(),
+            });
+
+            if (response.status === 401) {
+                this.setSession(null, null);
+                return null;
+            }
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+            this.setSession(this.authToken, data.user);
+            return data.user;
+        } catch (error) {
+            console.error('Error loading current user:', error);
+            return null;
+        }
+    }
+
+    setSession(token, user) {
+        this.authToken = token;
+        this.currentUser = user;
+
+        if (token) {
+            localStorage.setItem(this.authTokenKey, token);
+        } else {
+            localStorage.removeItem(this.authTokenKey);
+            this.clearCachedPosts();
+        }
+
+        this.notifyObservers('onAuthChanged', user);
+    }
+
+    // The service worker (sw.js) keeps the last post list for offline use.
+    // For a logged-in author that list has their drafts and scheduled posts,
+    // so it goes with the session rather than showing them to whoever uses
+    // the browser next
+    async clearCachedPosts() {
+        if (typeof caches === 'undefined') {
+            return;
+        }
+
+        try {
+            const keys = await caches.keys();
+            await Promise.all(keys
+                .filter(key => key.startsWith('blogMVC-posts-'))
+                .map(key => caches.delete(key)));
+        } catch (error) {
+            console.error('Error clearing cached posts:', error);
+        }
+    }
+
+    getAuthHeaders() {
+        return this.authToken ? { Authorization: `Bearer ${this.authToken}` } : {};
+    }
+
+    // A 401 on a write means the session expired or was never there;
+    // a 403 means the user's role doesn't allow the action
+    async checkAuthorization(response) {
+        if (response.status === 401) {
+            if (this.authToken) {
+                this.setSession(null, null);
+            }
+            throw new Error('Please log in to continue.');
+        }
+
+        if (response.status === 403) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || 'You do not have permission to do that.');
+        }
+    }
+
+    // The server turns writes down with 413 when the body is over its size
+    // limit and with 429 (and Retry-After) after too many of them; either
+    // way { error } says what happened and, for 429, how long to wait
+    async checkLimits(response) {
+        if (response.status === 413 || response.status === 429) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || (response.status === 413
+                ? 'This is too large to send.'
+                : 'Too many requests. Please wait a moment and try again.'));
+        }
+    }
+
+    // Optimistic concurrency: writes name the version they are based on,
+    // using the ETag format the server sends ("<version>")
+    getIfMatchHeaders(postId, version) {
+        if (version === undefined) {
+            const post = this.getPostById(postId);
+            version = post ? post.version : undefined;
+        }
+        return version === undefined ? {} : { 'If-Match': `"${version}"` };
+    }
+
+    // The server answers 422 with { error, errors: [{ field, message }] }
+    async checkValidation(response) {
+        if (response.status === 422) {
+            const data = await response.json().catch(() => ({}));
+            throw this.createValidationError(data.errors || [], data.error);
+        }
+    }
+
+    createValidationError(fieldErrors, message) {
+        const error = new Error(message || fieldErrors.map(fieldError => fieldError.message).join('. '));
+        error.fieldErrors = fieldErrors;
+        return error;
+    }
+
+    createConflictError(message) {
+        const error = new Error(message);
+        error.isConflict = true;
+        return error;
+    }
+
+    isAuthenticated() {
+        return Boolean(this.currentUser);
+    }
+
     // Utility methods
     setLoading(loading) {
         this.isLoading = loading;
@@ -163,25 +1009,28 @@ class BlogModel {
     }
 
     getPostById(postId) {
-        return this.posts.find(post => post.id === postId);
-    }
-
-    validatePostData(postData) {
-        const errors = [];
+        const post = this.posts.find(post => post.id === postId);
+        if (post) {
+            return post;
+        }
 
-        if (!postData.title || postData.title.trim().length === 0) {
-            errors.push('Title is required');
-        } else if (postData.title.trim().length < 3) {
-            errors.push('Title must be at least 3 characters long');
+        // A post opened through its permalink may not be part of the list
+        if (this.currentPost && this.currentPost.id === postId) {
+            return this.currentPost;
         }
 
-        if (!postData.content || postData.content.trim().length === 0) {
-            errors.push('Content is required');
-        } else if (postData.content.trim().length < 10) {
-            errors.push('Content must be at least 10 characters long');
+        const draft = this.drafts.find(post => post.id === postId);
+        if (draft) {
+            return draft;
         }
 
-        return errors;
+        return undefined;
+    }
+
+    // Same rules the server applies (public/js/post-schema.js); returns
+    // a list of { field, message }
+    validatePostData(postData) {
+        return PostSchema.validatePost(postData).errors;
     }
 
     formatDate(dateString) {
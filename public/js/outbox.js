@@ -0,0 +1,91 @@
+// Writes made while offline, kept in IndexedDB until BlogModel can send
+// them, so they survive a reload or a closed tab. Entries come back in the
+// order they were added:
+//   { id, type: 'create' | 'update' | 'delete', postId, version, data, title, queuedAt }
+//
+// Where IndexedDB is missing or refuses to open (some private browsing
+// modes), the entries are kept in memory for as long as the page is open.
+class Outbox {
+    constructor({ databaseName = 'blogMVC_outbox', storeName = 'changes' } = {}) {
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.database = null;
+        this.memory = null;
+        this.nextMemoryId = 1;
+    }
+
+    async open() {
+        if (this.database || this.memory) {
+            return;
+        }
+
+        if (!window.indexedDB) {
+            this.memory = [];
+            return;
+        }
+
+        try {
+            this.database = await new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.error('Offline changes will not survive a reload:', error);
+            this.memory = [];
+        }
+    }
+
+    // Resolves with the stored entry, id included
+    async add(entry) {
+        await this.open();
+
+        if (this.memory) {
+            const stored = { ...entry, id: this.nextMemoryId++ };
+            this.memory.push(stored);
+            return stored;
+        }
+
+        const id = await this.run('readwrite', store => store.add(entry));
+        return { ...entry, id };
+    }
+
+    async getAll() {
+        await this.open();
+
+        if (this.memory) {
+            return this.memory.slice();
+        }
+
+        // Keys are auto-incremented, so key order is the order of add()
+        return this.run('readonly', store => store.getAll());
+    }
+
+    async remove(id) {
+        await this.open();
+
+        if (this.memory) {
+            this.memory = this.memory.filter(entry => entry.id !== id);
+            return;
+        }
+
+        await this.run('readwrite', store => store.delete(id));
+    }
+
+    // One request in its own transaction; resolves once the transaction
+    // has committed
+    run(mode, makeRequest) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.database.transaction(this.storeName, mode);
+            const request = makeRequest(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
+
+window.Outbox = Outbox;
@@ -0,0 +1,195 @@
+// The rules for a post's fields, shared by the browser (window.PostSchema)
+// and the server (require('./public/js/post-schema')) so a post that passes
+// the form also passes the API, and API callers get the same checks.
+//
+// validatePost() returns { value, errors }: value holds the cleaned-up
+// fields (trimmed text, normalized tags) and errors is a list of
+// { field, message } using the field names below. When updating, pass the
+// stored post as "current": fields left out of the update keep its values.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PostSchema = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const POST_STATUSES = ['draft', 'scheduled', 'published'];
+    const MAX_TAGS_PER_POST = 10;
+    // Tags are stored lowercase with dashes for spaces, so "Web Dev" and
+    // "web-dev" are the same tag; commas are never part of a name
+    const TAG_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N}-]{0,29}$/u;
+
+    function normalizeTag(tag) {
+        return String(tag).trim().toLowerCase().replace(/\s+/g, '-');
+    }
+
+    // Every field a post body may contain; anything else is rejected
+    const POST_SCHEMA = {
+        title: {
+            label: 'Title',
+            type: 'string',
+            required: true,
+            trim: true,
+            minLength: 3,
+            maxLength: 200,
+        },
+        content: {
+            label: 'Content',
+            type: 'string',
+            required: true,
+            trim: true,
+            minLength: 10,
+            maxLength: 50000,
+        },
+        tags: {
+            label: 'Tags',
+            type: 'array',
+            maxItems: MAX_TAGS_PER_POST,
+            unique: true,
+            items: {
+                label: 'tag',
+                type: 'string',
+                normalize: normalizeTag,
+                pattern: TAG_PATTERN,
+                hint: 'Tags are up to 30 letters, numbers or dashes',
+            },
+        },
+        status: {
+            label: 'Status',
+            type: 'string',
+            enum: POST_STATUSES,
+        },
+        publishAt: {
+            label: 'Publish time',
+            type: 'string',
+            format: 'date-time',
+            future: true,
+            // Only scheduled posts have a publish time to choose
+            onlyWhen: { field: 'status', equals: 'scheduled' },
+            required: true,
+        },
+    };
+
+    function isMissing(value) {
+        return value === undefined || value === null || value === '';
+    }
+
+    // One value against one field rule; returns { value } or { error }
+    function checkValue(rule, input) {
+        let value = input;
+
+        if (rule.type === 'string') {
+            if (typeof value !== 'string') {
+                return { error: `${rule.label} must be text` };
+            }
+            if (rule.trim) {
+                value = value.trim();
+            }
+            if (rule.normalize) {
+                value = rule.normalize(value);
+            }
+            if (rule.required && value.length === 0) {
+                return { error: `${rule.label} is required` };
+            }
+            if (rule.minLength !== undefined && value.length < rule.minLength) {
+                return { error: `${rule.label} must be at least ${rule.minLength} characters long` };
+            }
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return { error: `${rule.label} must be at most ${rule.maxLength} characters long` };
+            }
+            if (rule.pattern && value.length > 0 && !rule.pattern.test(value)) {
+                return { error: `Invalid ${rule.label} "${input}". ${rule.hint}` };
+            }
+            if (rule.enum && !rule.enum.includes(value)) {
+                return { error: `Invalid ${rule.label.toLowerCase()}. Use one of: ${rule.enum.join(', ')}` };
+            }
+            if (rule.format === 'date-time') {
+                const time = Date.parse(value);
+                if (Number.isNaN(time)) {
+                    return { error: `${rule.label} must be a valid date` };
+                }
+                if (rule.future && time <= Date.now()) {
+                    return { error: `${rule.label} must be in the future` };
+                }
+                value = new Date(time).toISOString();
+            }
+            return { value };
+        }
+
+        if (rule.type === 'array') {
+            if (!Array.isArray(value)) {
+                return { error: `${rule.label} must be a list` };
+            }
+
+            const items = [];
+            for (const item of value) {
+                const result = checkValue(rule.items, item);
+                if (result.error) {
+                    return result;
+                }
+                // Empty entries are dropped rather than rejected
+                if (result.value === '' || (rule.unique && items.includes(result.value))) {
+                    continue;
+                }
+                items.push(result.value);
+            }
+
+            if (rule.maxItems !== undefined && items.length > rule.maxItems) {
+                return { error: `Use at most ${rule.maxItems} ${rule.label.toLowerCase()}` };
+            }
+            return { value: items };
+        }
+
+        return { value };
+    }
+
+    function validatePost(data, { current = {} } = {}) {
+        const input = data || {};
+        const value = {};
+        const errors = [];
+
+        Object.keys(input).forEach((field) => {
+            if (!POST_SCHEMA[field]) {
+                errors.push({ field, message: `Unknown field "${field}"` });
+            }
+        });
+
+        Object.keys(POST_SCHEMA).forEach((field) => {
+            const rule = POST_SCHEMA[field];
+            const condition = rule.onlyWhen;
+            if (condition) {
+                const other = isMissing(input[condition.field]) ? current[condition.field] : input[condition.field];
+                if (other !== condition.equals) {
+                    return;
+                }
+            }
+
+            if (isMissing(input[field])) {
+                if (rule.required && isMissing(current[field])) {
+                    errors.push({ field, message: `${rule.label} is required` });
+                }
+                return;
+            }
+
+            const result = checkValue(rule, input[field]);
+            if (result.error) {
+                errors.push({ field, message: result.error });
+            } else {
+                value[field] = result.value;
+            }
+        });
+
+        return { value, errors };
+    }
+
+    return {
+        POST_SCHEMA,
+        POST_STATUSES,
+        MAX_TAGS_PER_POST,
+        TAG_PATTERN,
+        normalizeTag,
+        validatePost,
+    };
+}));
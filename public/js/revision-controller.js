@@ -0,0 +1,73 @@
+class RevisionController {
+    constructor(model, view, blogView) {
+        this.model = model;
+        this.view = view;
+        // The history panel lives inside the BlogView's edit modal
+        this.blogView = blogView;
+
+        // Bind methods to maintain context
+        this.handleEditFormRendered = this.handleEditFormRendered.bind(this);
+        this.handleRevisionsLoaded = this.handleRevisionsLoaded.bind(this);
+        this.handleDiffLoaded = this.handleDiffLoaded.bind(this);
+        this.handleRevisionDiff = this.handleRevisionDiff.bind(this);
+        this.handleRevisionRestore = this.handleRevisionRestore.bind(this);
+    }
+
+    // Initialization
+    initialize() {
+        this.model.addObserver({
+            onRevisionsLoaded: this.handleRevisionsLoaded,
+            onDiffLoaded: this.handleDiffLoaded,
+        });
+
+        this.view.addObserver({
+            onRevisionDiff: this.handleRevisionDiff,
+            onRevisionRestore: this.handleRevisionRestore,
+        });
+
+        this.blogView.addObserver({
+            onEditFormRendered: this.handleEditFormRendered,
+        });
+    }
+
+    // Event handlers
+    async handleEditFormRendered(post) {
+        this.view.mount(document.getElementById('revision-panel'), post.id);
+
+        try {
+            await this.model.loadRevisions(post.id);
+        } catch (error) {
+            console.error('Failed to load revisions:', error);
+            this.view.renderError('Failed to load the history of this post.');
+        }
+    }
+
+    handleRevisionsLoaded({ revisions }) {
+        console.log('Revisions loaded:', revisions.length);
+        this.view.renderRevisions(revisions);
+    }
+
+    handleDiffLoaded(diff) {
+        this.view.renderDiff(diff);
+    }
+
+    async handleRevisionDiff(revision) {
+        try {
+            await this.model.loadDiff(revision);
+        } catch (error) {
+            this.view.showDiffError(`Failed to load changes. ${error.message}`);
+        }
+    }
+
+    async handleRevisionRestore(revision) {
+        try {
+            await this.model.restoreRevision(revision);
+            this.blogView.hideEditModal();
+            this.blogView.showSuccess(`Revision #${revision} restored!`);
+        } catch (error) {
+            this.blogView.showError(`Failed to restore revision. ${error.message}`);
+        }
+    }
+}
+
+window.RevisionController = RevisionController;
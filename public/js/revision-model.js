@@ -0,0 +1,127 @@
+class RevisionModel {
+    constructor(session) {
+        // The BlogModel owns the login session and the posts a restore changes
+        this.session = session;
+        this.postId = null;
+        this.revisions = [];
+        this.diff = null;
+        this.observers = [];
+        this.isLoading = false;
+    }
+
+    // Observer pattern implementation
+    addObserver(observer) {
+        this.observers.push(observer);
+    }
+
+    removeObserver(observer) {
+        this.observers = this.observers.filter((obs) => obs !== observer);
+    }
+
+    notifyObservers(event, data) {
+        this.observers.forEach((observer) => {
+            if (observer[event]) {
+                observer[event](data);
+            }
+        });
+    }
+
+    //   API Methods
+    getRevisionsUrl(postId = this.postId) {
+        return `${this.session.apiRoot}/posts/${postId}/revisions`;
+    }
+
+    async loadRevisions(postId) {
+        this.isLoading = true;
+        this.postId = postId;
+        this.diff = null;
+
+        try {
+            const response = await this.session.http.request(this.getRevisionsUrl(postId), {
+                headers: this.session.getAuthHeaders(),
+            });
+
+            await this.checkResponse(response);
+
+            const data = await response.json();
+
+            // Ignore the answer if another post is being edited by now
+            if (this.postId !== postId) {
+                return this.revisions;
+            }
+
+            this.revisions = data.revisions;
+            this.notifyObservers('onRevisionsLoaded', {
+                postId,
+                revisions: this.revisions,
+            });
+            return this.revisions;
+        } catch (error) {
+            console.error('Error loading revisions:', error);
+            this.notifyObservers('onError', error.message);
+            throw error;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    // Changes made in a revision, compared with the one before it
+    async loadDiff(revision) {
+        try {
+            const response = await this.session.http.request(`${this.getRevisionsUrl()}/${revision}/diff`, {
+                headers: this.session.getAuthHeaders(),
+            });
+
+            await this.checkResponse(response);
+
+            this.diff = await response.json();
+            this.notifyObservers('onDiffLoaded', this.diff);
+            return this.diff;
+        } catch (error) {
+            console.error('Error loading diff:', error);
+            this.notifyObservers('onError', error.message);
+            throw error;
+        }
+    }
+
+    async restoreRevision(revision) {
+        try {
+            const response = await this.session.http.request(`${this.getRevisionsUrl()}/${revision}/restore`, {
+                method: 'POST',
+                headers: this.session.getAuthHeaders(),
+            });
+
+            await this.checkResponse(response);
+
+            const restoredPost = await response.json();
+            this.session.applyPostUpdate(restoredPost);
+
+            this.notifyObservers('onRevisionRestored', { revision, post: restoredPost });
+            return restoredPost;
+        } catch (error) {
+            console.error('Error restoring revision:', error);
+            this.notifyObservers('onError', error.message);
+            throw error;
+        }
+    }
+
+    async checkResponse(response) {
+        if (response.ok) {
+            return;
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (response.status === 401) {
+            throw new Error('Please log in to continue.');
+        }
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+
+    clear() {
+        this.postId = null;
+        this.revisions = [];
+        this.diff = null;
+    }
+}
+
+window.RevisionModel = RevisionModel;
@@ -0,0 +1,226 @@
+class RevisionView {
+    constructor() {
+        this.container = null;
+        this.postId = null;
+        this.selectedRevision = null;
+        this.observers = [];
+        // Unchanged lines shown around each change; longer runs are folded
+        this.contextLines = 2;
+
+        // Bind methods to maintain context
+        this.handleClick = this.handleClick.bind(this);
+    }
+
+    // Observer pattern implementation
+    addObserver(observer) {
+        this.observers.push(observer);
+    }
+
+    removeObserver(observer) {
+        this.observers = this.observers.filter((obs) => obs !== observer);
+    }
+
+    notifyObservers(event, data) {
+        this.observers.forEach((observer) => {
+            if (observer[event]) {
+                observer[event](data);
+            }
+        });
+    }
+
+    // Attaches the view to the history panel of the edit modal
+    mount(container, postId) {
+        this.container = container;
+        this.postId = postId;
+        this.selectedRevision = null;
+
+        if (!this.container) {
+            return;
+        }
+
+        this.container.addEventListener('click', this.handleClick);
+        this.container.innerHTML = `
+        <h4 class="revision-title">History</h4>
+        <p class="revision-loading">Loading history...</p>
+        `;
+    }
+
+    isMounted() {
+        return Boolean(this.container && this.container.isConnected);
+    }
+
+    // Rendering methods
+    renderRevisions(revisions) {
+        if (!this.isMounted()) {
+            return;
+        }
+
+        this.container.innerHTML = `
+        <h4 class="revision-title">History (${revisions.length})</h4>
+        <ul class="revision-list">
+            ${revisions.map((revision) => this.renderRevision(revision)).join('')}
+        </ul>
+        <div class="revision-diff"></div>
+        `;
+    }
+
+    renderRevision(revision) {
+        return `
+        <li class="revision-item ${revision.revision === this.selectedRevision ? 'selected' : ''}"
+            data-revision="${revision.revision}">
+            <div class="revision-meta">
+                <strong>#${revision.revision}</strong>
+                <span>${this.escapeHtml(revision.editor || 'Unknown')}</span>
+                <span class="revision-date">${this.formatDate(revision.createdAt)}</span>
+                ${revision.current ? '<span class="revision-current">Current</span>' : ''}
+            </div>
+            <div class="revision-actions">
+                <button type="button" class="revision-action" data-revision-action="diff"
+                    data-revision="${revision.revision}">Changes</button>
+                ${revision.current
+                ? ''
+                : `<button type="button" class="revision-action" data-revision-action="restore"
+                    data-revision="${revision.revision}">Restore</button>`
+            }
+            </div>
+        </li>
+        `;
+    }
+
+    renderDiff(diff) {
+        if (!this.isMounted()) {
+            return;
+        }
+
+        const diffContainer = this.container.querySelector('.revision-diff');
+        if (!diffContainer) {
+            return;
+        }
+
+        this.container.querySelectorAll('.revision-item').forEach((item) => {
+            item.classList.toggle('selected', Number(item.dataset.revision) === diff.to);
+        });
+
+        const heading = diff.from === null
+            ? `Revision #${diff.to} (first version)`
+            : `Changes from #${diff.from} to #${diff.to}`;
+
+        diffContainer.innerHTML = `
+        <div class="diff-header">
+            <span>${heading}</span>
+            <span class="diff-stats">
+                <span class="diff-stat-added">+${diff.stats.added}</span>
+                <span class="diff-stat-removed">−${diff.stats.removed}</span>
+            </span>
+        </div>
+        ${diff.title.changed ? `
+        <div class="diff-title">
+            <div class="diff-line diff-removed">− ${this.escapeHtml(diff.title.from)}</div>
+            <div class="diff-line diff-added">+ ${this.escapeHtml(diff.title.to)}</div>
+        </div>
+        ` : ''}
+        <div class="diff-lines">
+            ${diff.stats.added + diff.stats.removed === 0
+                ? '<p class="diff-empty">The content did not change.</p>'
+                : this.renderDiffLines(diff.lines)
+            }
+        </div>
+        `;
+    }
+
+    // Shows changed lines with a little context, folding long unchanged runs
+    renderDiffLines(lines) {
+        const isNearChange = (index) => {
+            for (let i = index - this.contextLines; i <= index + this.contextLines; i++) {
+                if (lines[i] && lines[i].type !== 'equal') {
+                    return true;
+                }
+            }
+            return false;
+        };
+
+        const html = [];
+        let folded = 0;
+
+        lines.forEach((line, index) => {
+            if (line.type === 'equal' && !isNearChange(index)) {
+                folded++;
+                return;
+            }
+
+            if (folded > 0) {
+                html.push(`<div class="diff-fold">⋯ ${folded} unchanged ${folded === 1 ? 'line' : 'lines'}</div>`);
+                folded = 0;
+            }
+
+            const sign = { added: '+', removed: '−', equal: ' ' }[line.type];
+            html.push(`<div class="diff-line diff-${line.type}">${sign} ${this.escapeHtml(line.text)}</div>`);
+        });
+
+        if (folded > 0) {
+            html.push(`<div class="diff-fold">⋯ ${folded} unchanged ${folded === 1 ? 'line' : 'lines'}</div>`);
+        }
+
+        return html.join('');
+    }
+
+    renderError(message) {
+        if (!this.isMounted()) {
+            return;
+        }
+
+        this.container.innerHTML = `
+        <h4 class="revision-title">History</h4>
+        <p class="revision-error">${this.escapeHtml(message)}</p>
+        `;
+    }
+
+    showDiffError(message) {
+        const diffContainer = this.isMounted() && this.container.querySelector('.revision-diff');
+        if (diffContainer) {
+            diffContainer.innerHTML = `<p class="revision-error">${this.escapeHtml(message)}</p>`;
+        }
+    }
+
+    // Event handling
+    handleClick(e) {
+        const action = e.target.closest('[data-revision-action]');
+        if (!action) return;
+
+        e.preventDefault();
+
+        const revision = Number(action.dataset.revision);
+
+        switch (action.dataset.revisionAction) {
+            case 'diff':
+                this.selectedRevision = revision;
+                this.notifyObservers('onRevisionDiff', revision);
+                break;
+            case 'restore':
+                if (confirm(`Restore revision #${revision}? The current version stays in the history.`)) {
+                    this.notifyObservers('onRevisionRestore', revision);
+                }
+                break;
+        }
+    }
+
+    // Utility methods
+    formatDate(dateString) {
+        const date = new Date(dateString);
+        return date.toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit',
+        });
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+window.RevisionView = RevisionView;
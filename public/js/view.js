@@ -8,6 +8,22 @@ class BlogView {
         this.observers = [];
         this.editModal = null;
         this.editFormContainer = null;
+        this.toolbarContainer = null;
+        this.loadMoreContainer = null;
+        this.searchForm = null;
+        this.searchInput = null;
+        this.authContainer = null;
+        this.authModal = null;
+        this.conflictModal = null;
+        this.conflict = null;
+        // Conflicts waiting for the one on screen, e.g. from offline edits
+        this.conflictQueue = [];
+        this.authFormContainer = null;
+        this.currentUser = null;
+        this.retryNotice = null;
+        this.syncStatusContainer = null;
+        // Cover image URLs from the API are paths on the API's origin
+        this.apiRoot = null;
 
         // Bind methods to maintain context
         this.renderPosts = this.renderPosts.bind(this);
@@ -22,6 +38,11 @@ class BlogView {
         this.showEditModal = this.showEditModal.bind(this);
         this.hideEditModal = this.hideEditModal.bind(this);
         this.renderEditForm = this.renderEditForm.bind(this);
+        this.appendPosts = this.appendPosts.bind(this);
+        this.renderLoadMore = this.renderLoadMore.bind(this);
+        this.renderSearchResults = this.renderSearchResults.bind(this);
+        this.showAuthModal = this.showAuthModal.bind(this);
+        this.hideAuthModal = this.hideAuthModal.bind(this);
     }
 
     // Observer pattern implementation
@@ -44,7 +65,12 @@ class BlogView {
     // Initialization
     initialize() {
         this.setupDOMElements();
+        this.renderAuthPanel();
         this.renderPostForm();
+        this.renderPostsToolbar();
+        this.attachSearchEventListeners();
+        this.attachAuthModalEventListeners();
+        this.attachConflictModalEventListeners();
         this.notifyObservers('onViewInitialized');
     }
 
@@ -55,6 +81,16 @@ class BlogView {
         this.errorContainer = document.getElementById('error-container');
         this.editModal = document.getElementById('edit-modal');
         this.editFormContainer = document.getElementById('edit-form-container');
+        this.toolbarContainer = document.getElementById('posts-toolbar');
+        this.loadMoreContainer = document.getElementById('load-more-container');
+        this.searchForm = document.getElementById('search-form');
+        this.searchInput = document.getElementById('search-input');
+        this.authContainer = document.getElementById('auth-container');
+        this.authModal = document.getElementById('auth-modal');
+        this.authFormContainer = document.getElementById('auth-form-container');
+        this.conflictModal = document.getElementById('conflict-modal');
+        this.conflictContainer = document.getElementById('conflict-container');
+        this.syncStatusContainer = document.getElementById('sync-status');
 
         if (
             !this.postsContainer ||
@@ -68,6 +104,8 @@ class BlogView {
 
     // Rendering methods
     renderPosts(posts) {
+        this.setListControlsVisible(true);
+
         if (!posts || posts.length === 0) {
             this.postsContainer.innerHTML = `
             <div class="no-posts">
@@ -84,16 +122,43 @@ class BlogView {
         this.attachPostEventListeners();
     }
 
-    renderPostCard(post) {
+    appendPosts(posts) {
+        if (!posts || posts.length === 0) {
+            return;
+        }
+
+        this.postsContainer.insertAdjacentHTML(
+            'beforeend',
+            posts.map((post) => this.renderPostCard(post)).join('')
+        );
+    }
+
+    renderPostCard(post, { showActions = true } = {}) {
         const formattedDate = this.formatDate(post.createdAt);
         const isEditing = this.currentEditId === post.id;
+        // The server decides what the current user may do with each post
+        const capabilities = post.capabilities || {};
+        const hasActions = showActions && (capabilities.canEdit || capabilities.canDelete);
+        // Search highlights arrive from the server already escaped
+        const titleHtml = post.highlights ? post.highlights.title : this.escapeHtml(post.title);
 
         return `
         <article class="post-card" data-post-id="${post.id}">
+            ${post.coverImage ? `
+            <a href="#/posts/${post.id}" class="post-cover-link" tabindex="-1" aria-hidden="true">
+                <img class="post-cover" src="${this.escapeHtml(this.resolveUrl(post.coverImage.thumbnailUrl))}"
+                    alt="" loading="lazy" />
+            </a>
+            ` : ''}
             <div class="post-header">
-            <h2 class="post-title">${this.escapeHtml(post.title)}</h2>
+            <h2 class="post-title">
+                <a href="#/posts/${post.id}" class="post-link">${titleHtml}</a>
+            </h2>
             <div class="post-meta">
-                <span class="post-date">${formattedDate}</span>
+                <span class="post-author">by ${this.escapeHtml(post.author)}</span>
+                <time class="post-date" datetime="${post.createdAt}">${formattedDate}</time>
+                ${this.renderStatusBadge(post)}
+                ${post.pendingSync ? '<span class="post-status post-status-pending">Not sent yet</span>' : ''}
                 ${post.updatedAt !== post.createdAt
                 ? '<span class="post-updated">Updated</span>'
                 : ''
@@ -101,29 +166,384 @@ class BlogView {
             </div>
             </div>
             <div class="post-content">
-            ${this.renderPostContent(post.content)}
+            ${post.highlights
+                ? `<p class="search-snippet">${post.highlights.content}</p>`
+                : this.renderPostContent(post.content)
+            }
             </div>
+            ${this.renderTagChips(post.tags)}
+            <a href="#/posts/${post.id}" class="post-comment-count">
+                💬 <span class="comment-count-value">${post.commentCount || 0}</span>
+                ${post.commentCount === 1 ? 'comment' : 'comments'}
+            </a>
+            ${hasActions ? `
             <div class="post-actions">
+            ${capabilities.canEdit ? `
             <button class="btn btn-edit" data-action="edit" data-post-id="${post.id
             }">
                 <span class="icon">✏️</span> Edit
             </button>
+            ` : ''}
+            ${capabilities.canDelete ? `
             <button class="btn btn-delete" data-action="delete" data-post-id="${post.id
             }">
                 <span class="icon">🗑️</span> Delete
             </button>
+            ` : ''}
             </div>
+            ` : ''}
         </article>
         `;
     }
 
+    renderStatusBadge(post) {
+        if (!post.status || post.status === 'published') {
+            return '';
+        }
+
+        const label = post.status === 'scheduled'
+            ? `Scheduled for ${this.formatDate(post.publishAt)}`
+            : this.getStatusLabel(post.status);
+        return `<span class="post-status post-status-${post.status}">${label}</span>`;
+    }
+
+    renderTagChips(tags) {
+        if (!tags || tags.length === 0) {
+            return '';
+        }
+
+        return `
+            <div class="post-tags">
+                ${tags.map((tag) => `
+                <button type="button" class="tag-chip" data-action="filter-tag" data-tag="${this.escapeHtml(tag)}"
+                    title="Show posts tagged ${this.escapeHtml(tag)}">#${this.escapeHtml(tag)}</button>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderPostDetail(post) {
+        this.setListControlsVisible(false);
+        this.postsContainer.innerHTML = `
+        <div class="post-detail">
+            <a href="#/" class="back-link">← All posts</a>
+            ${this.renderPostCard(post)}
+            <section id="attachments-section" class="attachments-section">
+                <!-- Attachments will be rendered here by the AttachmentView -->
+            </section>
+            <section id="comments-section" class="comments-section">
+                <!-- Comments will be rendered here by the CommentView -->
+            </section>
+        </div>
+        `;
+        this.attachPostEventListeners();
+        this.notifyObservers('onPostDetailRendered', post);
+    }
+
+    // Pages the server rendered for a visitor (lib/pages.js) already hold the
+    // posts; they are wired up rather than rendered again. Only the dates
+    // change, from UTC to the visitor's time zone
+    takeOverPosts() {
+        this.postsContainer.querySelectorAll('time.post-date').forEach((time) => {
+            time.textContent = this.formatDate(time.getAttribute('datetime'));
+        });
+        this.attachPostEventListeners();
+    }
+
+    takeOverPostDetail(post) {
+        this.setListControlsVisible(false);
+        this.takeOverPosts();
+        this.notifyObservers('onPostDetailRendered', post);
+    }
+
+    renderSearchResults({ query, results, pagination }) {
+        this.setListControlsVisible(false);
+        this.setSearchQuery(query);
+
+        const summary = `
+        <div class="search-summary">
+            <span>${pagination.total} ${pagination.total === 1 ? 'result' : 'results'} for
+                <strong>“${this.escapeHtml(query)}”</strong></span>
+            <a href="#/" class="back-link">Clear search</a>
+        </div>
+        `;
+
+        if (results.length === 0) {
+            this.postsContainer.innerHTML = `
+            ${summary}
+            <div class="no-posts">
+                <h3>No matching posts</h3>
+                <p>Try different or fewer words.</p>
+            </div>
+            `;
+            return;
+        }
+
+        this.postsContainer.innerHTML = summary + results
+            .map((post) => this.renderPostCard(post, { showActions: false }))
+            .join('');
+        this.attachPostEventListeners();
+    }
+
+    renderDrafts(drafts) {
+        this.setListControlsVisible(false);
+
+        const header = `
+        <div class="drafts-header">
+            <h2>My drafts</h2>
+            <a href="#/" class="back-link">← All posts</a>
+        </div>
+        `;
+
+        if (!drafts || drafts.length === 0) {
+            this.postsContainer.innerHTML = `
+            ${header}
+            <div class="no-posts">
+                <h3>No drafts or scheduled posts</h3>
+                <p>Use “Save draft” or “Schedule” when writing a post to keep it here.</p>
+            </div>
+            `;
+            return;
+        }
+
+        this.postsContainer.innerHTML = header + drafts
+            .map((post) => this.renderPostCard(post))
+            .join('');
+        this.attachPostEventListeners();
+    }
+
+    // The import and export tools are an AdminView, mounted in #admin-panel
+    // on onAdminPageRendered
+    renderAdminPage() {
+        this.setListControlsVisible(false);
+        this.postsContainer.innerHTML = `
+        <div class="drafts-header">
+            <h2>Import and export</h2>
+            <a href="#/" class="back-link">← All posts</a>
+        </div>
+        <div id="admin-panel" class="admin-panel"></div>
+        `;
+        this.notifyObservers('onAdminPageRendered');
+    }
+
+    renderAdminOnly() {
+        this.setListControlsVisible(false);
+        this.postsContainer.innerHTML = `
+        <div class="no-posts">
+            <h3>Admins only</h3>
+            <p>Only admins can import and export posts.</p>
+            <a href="#/" class="back-link">← All posts</a>
+        </div>
+        `;
+    }
+
+    renderLoginRequired(message) {
+        this.setListControlsVisible(false);
+        this.postsContainer.innerHTML = `
+        <div class="no-posts login-prompt">
+            <h3>Log in required</h3>
+            <p>${this.escapeHtml(message)}</p>
+            <div class="form-actions">
+                <button type="button" class="btn btn-primary" data-auth-mode="login">Log in</button>
+            </div>
+        </div>
+        `;
+        this.attachAuthButtonListeners(this.postsContainer);
+    }
+
+    setSearchQuery(query) {
+        if (this.searchInput && this.searchInput.value !== query) {
+            this.searchInput.value = query;
+        }
+    }
+
+    renderPostNotFound() {
+        this.setListControlsVisible(false);
+        this.postsContainer.innerHTML = `
+        <div class="no-posts">
+            <h3>Post not found</h3>
+            <p>This post may have been deleted or the link is incorrect.</p>
+            <a href="#/" class="back-link">← All posts</a>
+        </div>
+        `;
+    }
+
+    renderPostsToolbar() {
+        if (!this.toolbarContainer) {
+            return;
+        }
+
+        this.toolbarContainer.innerHTML = `
+        <form id="posts-query-form" class="posts-query-form">
+            <div class="form-group">
+                <label for="query-sort">Sort by</label>
+                <select id="query-sort" name="sort">
+                    <option value="created:desc">Newest first</option>
+                    <option value="created:asc">Oldest first</option>
+                    <option value="updated:desc">Recently updated</option>
+                    <option value="title:asc">Title (A–Z)</option>
+                    <option value="title:desc">Title (Z–A)</option>
+                </select>
+            </div>
+
+            <div class="form-group">
+                <label for="query-author">Author</label>
+                <input id="query-author" name="author" type="text" placeholder="Any author" />
+            </div>
+
+            <div class="form-group">
+                <label for="query-tag">Tag</label>
+                <input id="query-tag" name="tag" type="text" list="tag-options" placeholder="Any tag" />
+                <datalist id="tag-options"></datalist>
+            </div>
+
+            <div class="form-group">
+                <label for="query-from">From</label>
+                <input id="query-from" name="from" type="date" />
+            </div>
+
+            <div class="form-group">
+                <label for="query-to">To</label>
+                <input id="query-to" name="to" type="date" />
+            </div>
+
+            <div class="form-actions">
+                <button type="submit" class="btn btn-primary">Apply</button>
+                <button type="button" id="reset-query" class="btn btn-secondary">Reset</button>
+            </div>
+        </form>
+        `;
+
+        const form = document.getElementById('posts-query-form');
+        const resetButton = document.getElementById('reset-query');
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            const formData = new FormData(form);
+            const [sort, order] = formData.get('sort').split(':');
+
+            this.notifyObservers('onPostsQueryChange', {
+                sort,
+                order,
+                author: formData.get('author').trim(),
+                tag: formData.get('tag').trim(),
+                from: formData.get('from'),
+                to: formData.get('to'),
+            });
+        });
+
+        resetButton.addEventListener('click', () => {
+            form.reset();
+            this.notifyObservers('onPostsQueryChange', {});
+        });
+    }
+
+    // Fills the toolbar from a query, e.g. after a tag chip was clicked
+    setPostsQuery(query) {
+        const form = document.getElementById('posts-query-form');
+        if (!form) {
+            return;
+        }
+
+        form.elements.sort.value = `${query.sort || 'created'}:${query.order || (query.sort === 'title' ? 'asc' : 'desc')}`;
+        form.elements.author.value = query.author || '';
+        form.elements.tag.value = query.tag || '';
+        form.elements.from.value = query.from || '';
+        form.elements.to.value = query.to || '';
+    }
+
+    renderTagOptions(tags) {
+        const datalist = document.getElementById('tag-options');
+        if (!datalist) {
+            return;
+        }
+
+        datalist.innerHTML = tags
+            .map((tag) => `<option value="${this.escapeHtml(tag.name)}">${tag.count} ${tag.count === 1 ? 'post' : 'posts'}</option>`)
+            .join('');
+    }
+
+    renderLoadMore(pagination) {
+        if (!this.loadMoreContainer) {
+            return;
+        }
+
+        if (!pagination || !pagination.hasMore) {
+            this.loadMoreContainer.innerHTML = '';
+            return;
+        }
+
+        this.loadMoreContainer.innerHTML = `
+        <button id="load-more-btn" class="btn btn-secondary load-more-btn">
+            Load more posts
+            <span class="load-more-count">(${pagination.nextOffset} of ${pagination.total})</span>
+        </button>
+        `;
+
+        document.getElementById('load-more-btn').addEventListener('click', () => {
+            this.notifyObservers('onLoadMore');
+        });
+    }
+
+    setLoadMoreLoading(loading) {
+        const button = document.getElementById('load-more-btn');
+        if (button) {
+            button.disabled = loading;
+            button.classList.toggle('loading', loading);
+        }
+    }
+
+    setListControlsVisible(visible) {
+        if (this.toolbarContainer) {
+            this.toolbarContainer.style.display = visible ? '' : 'none';
+        }
+        if (this.loadMoreContainer && !visible) {
+            this.loadMoreContainer.innerHTML = '';
+        }
+    }
+
+    // Posts are Markdown; the shared renderer escapes anything that isn't
     renderPostContent(content) {
-        return `<p>${this.escapeHtml(content).replace(/\n/g, '<br>')}</p>`;
+        return `<div class="markdown-body">${Markdown.render(content)}</div>`;
+    }
+
+    renderMarkdownPreview(preview, content) {
+        preview.innerHTML = content.trim()
+            ? Markdown.render(content)
+            : '<p class="preview-empty">Nothing to preview yet.</p>';
+    }
+
+    // Re-renders the preview pane on every keystroke
+    attachMarkdownPreview(textareaId, previewId) {
+        const textarea = document.getElementById(textareaId);
+        const preview = document.getElementById(previewId);
+        if (!textarea || !preview) {
+            return;
+        }
+
+        this.renderMarkdownPreview(preview, textarea.value);
+        textarea.addEventListener('input', () => this.renderMarkdownPreview(preview, textarea.value));
     }
 
     renderPostForm() {
         const isEditing = Boolean(this.currentEditId);
 
+        if (!this.currentUser) {
+            this.formContainer.innerHTML = `
+            <div class="post-form login-prompt">
+                <h3>Create New Post</h3>
+                <p>Log in or sign up to write posts.</p>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-primary" data-auth-mode="login">Log in</button>
+                    <button type="button" class="btn btn-secondary" data-auth-mode="register">Sign up</button>
+                </div>
+            </div>
+            `;
+            this.attachAuthButtonListeners(this.formContainer);
+            return;
+        }
+
         this.formContainer.innerHTML = `
         <form id="post-form" class="post-form">
             <h3>${isEditing ? 'Edit Post' : 'Create New Post'}</h3>
@@ -135,21 +555,185 @@ class BlogView {
             </div>
 
             <div class="form-group">
-                <label for="content">Content</label>
-                <textarea id="content" name="content"></textarea>
+                <label for="content">Content <span class="label-hint">Markdown supported</span></label>
+                <div class="markdown-editor">
+                    <textarea id="content" name="content" placeholder="Write in Markdown..."></textarea>
+                    <div id="content-preview" class="markdown-preview markdown-body" aria-live="polite"></div>
+                </div>
                 <div id="content-error" class="error-message" style="display: none;"></div>
             </div>
 
+            <div class="form-group">
+                <label for="tags">Tags</label>
+                <input id="tags" name="tags" type="text" list="tag-options" placeholder="e.g. javascript, mvc" />
+                <div id="tags-error" class="error-message" style="display: none;"></div>
+            </div>
+
+            <div class="form-group">
+                <label for="publish-at">Publish at <span class="label-hint">only needed to schedule</span></label>
+                <input id="publish-at" name="publishAt" type="datetime-local" />
+                <div id="publish-at-error" class="error-message" style="display: none;"></div>
+            </div>
+
+            <div id="post-attachments" class="attachment-panel">
+                <!-- Attachments will be rendered here by the AttachmentView -->
+            </div>
+
             <div class="form-actions">
-                <button type="submit" class="btn btn-primary">
-                    ${isEditing ? 'Update Post' : 'Create Post'}
+                <!-- The clicked button decides the post's status -->
+                <button type="submit" class="btn btn-primary" name="status" value="published">
+                    ${isEditing ? 'Update Post' : 'Publish'}
                 </button>
+                <button type="submit" class="btn btn-secondary" name="status" value="draft">Save draft</button>
+                <button type="submit" class="btn btn-secondary" name="status" value="scheduled">Schedule</button>
                 ${isEditing ? `<button type="button" id="cancel-edit" class="btn btn-secondary">Cancel</button>` : ''}
             </div>
         </form>
     `;
 
         this.attachFormEventListeners();
+        this.notifyObservers('onPostFormRendered', { postId: this.currentEditId || null });
+    }
+
+    setApiRoot(apiRoot) {
+        this.apiRoot = apiRoot;
+    }
+
+    // Authentication
+    setCurrentUser(user) {
+        this.currentUser = user;
+        this.renderAuthPanel();
+        this.renderPostForm();
+    }
+
+    renderAuthPanel() {
+        if (!this.authContainer) {
+            return;
+        }
+
+        if (this.currentUser) {
+            this.authContainer.innerHTML = `
+            <span class="auth-user">👤 ${this.escapeHtml(this.currentUser.username)}</span>
+            ${this.currentUser.role !== 'author'
+                ? `<span class="auth-role">${this.escapeHtml(this.currentUser.role)}</span>`
+                : ''
+            }
+            <a href="#/drafts" class="btn btn-auth">My drafts</a>
+            ${this.currentUser.role === 'admin' ? '<a href="#/admin" class="btn btn-auth">Admin</a>' : ''}
+            <button type="button" id="logout-btn" class="btn btn-auth">Log out</button>
+            `;
+            document.getElementById('logout-btn').addEventListener('click', () => {
+                this.notifyObservers('onLogout');
+            });
+            return;
+        }
+
+        this.authContainer.innerHTML = `
+        <button type="button" class="btn btn-auth" data-auth-mode="login">Log in</button>
+        <button type="button" class="btn btn-auth" data-auth-mode="register">Sign up</button>
+        `;
+        this.attachAuthButtonListeners(this.authContainer);
+    }
+
+    attachAuthButtonListeners(container) {
+        container.querySelectorAll('[data-auth-mode]').forEach((button) => {
+            button.addEventListener('click', () => this.showAuthModal(button.dataset.authMode));
+        });
+    }
+
+    showAuthModal(mode) {
+        if (!this.authModal || !this.authFormContainer) {
+            console.error('Auth modal elements not found');
+            return;
+        }
+
+        this.renderAuthForm(mode);
+        this.authModal.style.display = 'block';
+        document.getElementById('auth-username').focus();
+    }
+
+    hideAuthModal() {
+        if (this.authModal) {
+            this.authModal.style.display = 'none';
+        }
+
+        if (this.authFormContainer) {
+            this.authFormContainer.innerHTML = '';
+        }
+    }
+
+    renderAuthForm(mode) {
+        const isRegister = mode === 'register';
+
+        this.authFormContainer.innerHTML = `
+        <form id="auth-form" class="auth-form" data-mode="${isRegister ? 'register' : 'login'}">
+            <h2>${isRegister ? 'Create an account' : 'Log in'}</h2>
+
+            <div class="form-group">
+                <label for="auth-username">Username</label>
+                <input id="auth-username" name="username" type="text" autocomplete="username" />
+            </div>
+
+            <div class="form-group">
+                <label for="auth-password">Password</label>
+                <input id="auth-password" name="password" type="password"
+                    autocomplete="${isRegister ? 'new-password' : 'current-password'}" />
+            </div>
+
+            <div id="auth-error" class="error-message" style="display: none;"></div>
+
+            <div class="form-actions">
+                <button type="submit" class="btn btn-primary">${isRegister ? 'Sign up' : 'Log in'}</button>
+                <button type="button" class="btn btn-secondary" data-auth-mode="${isRegister ? 'login' : 'register'}">
+                    ${isRegister ? 'I already have an account' : 'Create an account'}
+                </button>
+            </div>
+        </form>
+        `;
+
+        const form = document.getElementById('auth-form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            const formData = new FormData(form);
+            const credentials = {
+                username: formData.get('username').trim(),
+                password: formData.get('password'),
+            };
+
+            if (!credentials.username || !credentials.password) {
+                this.showAuthError('Username and password are required');
+                return;
+            }
+
+            this.notifyObservers(isRegister ? 'onRegister' : 'onLogin', credentials);
+        });
+        this.attachAuthButtonListeners(form);
+    }
+
+    attachAuthModalEventListeners() {
+        if (!this.authModal) {
+            return;
+        }
+
+        const closeBtn = this.authModal.querySelector('.close');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', this.hideAuthModal);
+        }
+
+        this.authModal.addEventListener('click', (e) => {
+            if (e.target === this.authModal) {
+                this.hideAuthModal();
+            }
+        });
+    }
+
+    showAuthError(message) {
+        const errorEl = document.getElementById('auth-error');
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.style.display = 'block';
+        }
     }
 
     // Event handling
@@ -177,6 +761,26 @@ class BlogView {
                 case 'delete':
                     this.handleDelete(postId);
                     break;
+                case 'filter-tag':
+                    this.notifyObservers('onTagSelect', action.dataset.tag);
+                    break;
+            }
+        });
+    }
+
+    attachSearchEventListeners() {
+        if (!this.searchForm) {
+            return;
+        }
+
+        this.searchForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            const query = this.searchInput.value.trim();
+            if (query) {
+                this.notifyObservers('onSearch', query);
+            } else {
+                this.notifyObservers('onSearchClear');
             }
         });
     }
@@ -192,6 +796,8 @@ class BlogView {
         if (cancelEdit) {
             cancelEdit.addEventListener('click', () => this.cancelEdit());
         }
+
+        this.attachMarkdownPreview('content', 'content-preview');
     }
 
     handleSubmit(e) {
@@ -201,8 +807,14 @@ class BlogView {
         const postData = {
             title: formData.get('title').trim(),
             content: formData.get('content').trim(),
+            tags: this.parseTagInput(formData.get('tags')),
+            status: (e.submitter && e.submitter.value) || 'published',
         };
 
+        if (postData.status === 'scheduled') {
+            postData.publishAt = this.fromDateTimeLocal(formData.get('publishAt'));
+        }
+
         // Clear previous errors
         this.clearFormErrors();
 
@@ -252,8 +864,12 @@ class BlogView {
     renderEditForm(postData) {
         this.originalPostData = {
             id: postData.id,
+            version: postData.version,
             title: postData.title,
-            content: postData.content
+            content: postData.content,
+            tags: (postData.tags || []).join(', '),
+            status: postData.status || 'published',
+            publishAt: postData.status === 'scheduled' ? this.toDateTimeLocal(postData.publishAt) : ''
         };
 
         this.editFormContainer.innerHTML = `
@@ -267,18 +883,55 @@ class BlogView {
             </div>
 
             <div class="form-group">
-                <label for="edit-content">Content</label>
-                <textarea id="edit-content" name="content">${this.escapeHtml(postData.content)}</textarea>
+                <label for="edit-content">Content <span class="label-hint">Markdown supported</span></label>
+                <div class="markdown-editor">
+                    <textarea id="edit-content" name="content">${this.escapeHtml(postData.content)}</textarea>
+                    <div id="edit-content-preview" class="markdown-preview markdown-body" aria-live="polite"></div>
+                </div>
                 <div id="edit-content-error" class="error-message" style="display: none;"></div>
             </div>
 
+            <div class="form-group">
+                <label for="edit-tags">Tags</label>
+                <input id="edit-tags" name="tags" list="tag-options"
+                    value="${this.escapeHtml(this.originalPostData.tags)}" placeholder="e.g. javascript, mvc" />
+                <div id="edit-tags-error" class="error-message" style="display: none;"></div>
+            </div>
+
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="edit-status">Status</label>
+                    <select id="edit-status" name="status">
+                        ${['published', 'draft', 'scheduled'].map((status) => `
+                        <option value="${status}" ${status === this.originalPostData.status ? 'selected' : ''}>
+                            ${this.getStatusLabel(status)}
+                        </option>
+                        `).join('')}
+                    </select>
+                </div>
+
+                <div class="form-group">
+                    <label for="edit-publish-at">Publish at</label>
+                    <input id="edit-publish-at" name="publishAt" type="datetime-local"
+                        value="${this.originalPostData.publishAt}" />
+                    <div id="edit-publish-at-error" class="error-message" style="display: none;"></div>
+                </div>
+            </div>
+
             <div class="form-actions">
                 <button type="submit" class="btn btn-primary">Save Changes</button>
             </div>
         </form>
+        <section id="attachment-panel" class="attachment-panel">
+            <!-- Attachments will be rendered here by the AttachmentView -->
+        </section>
+        <section id="revision-panel" class="revision-panel">
+            <!-- Revision history will be rendered here by the RevisionView -->
+        </section>
     `;
 
         this.attachEditFormEventListeners(postData.id);
+        this.notifyObservers('onEditFormRendered', postData);
     }
 
     attachEditFormEventListeners() {
@@ -290,6 +943,8 @@ class BlogView {
             form.addEventListener('submit', (e) => this.handleEditSubmit(e));
         }
 
+        this.attachMarkdownPreview('edit-content', 'edit-content-preview');
+
         if (cancelBtn) {
             cancelBtn.addEventListener('click', (e) => {
                 e.preventDefault();
@@ -329,12 +984,18 @@ class BlogView {
 
         const title = document.getElementById('edit-title').value.trim();
         const content = document.getElementById('edit-content').value.trim();
+        const tags = this.parseTagInput(document.getElementById('edit-tags').value);
+        const status = document.getElementById('edit-status').value;
+        const publishAtInput = document.getElementById('edit-publish-at').value;
 
         this.clearEditFormErrors();
 
         if (this.originalPostData &&
             this.originalPostData.title === title &&
-            this.originalPostData.content === content) {
+            this.originalPostData.content === content &&
+            this.originalPostData.tags === tags.join(', ') &&
+            this.originalPostData.status === status &&
+            (status !== 'scheduled' || this.originalPostData.publishAt === publishAtInput)) {
 
             console.log('No changes detected. Skipping update.');
 
@@ -346,21 +1007,8 @@ class BlogView {
             return; // ❌ request ارسال نمی‌شود
         }
 
-        const errors = [];
-
-        if (title.length < 3) {
-            errors.push({
-                field: 'title',
-                message: 'Title must be at least 3 characters long'
-            });
-        }
-
-        if (content.length < 10) {
-            errors.push({
-                field: 'content',
-                message: 'Content must be at least 10 characters long'
-            });
-        }
+        const publishAt = status === 'scheduled' ? this.fromDateTimeLocal(publishAtInput) : undefined;
+        const errors = this.validateForm({ title, content, tags, status, publishAt });
 
         if (errors.length > 0) {
             this.displayEditFormErrors(errors);
@@ -369,13 +1017,170 @@ class BlogView {
 
         this.notifyObservers('onPostUpdate', {
             id: postId,
+            version: this.originalPostData ? this.originalPostData.version : undefined,
             title,
             content,
+            tags,
+            status,
+            publishAt,
         });
 
         this.hideEditModal();
     }
 
+    // Edit conflicts: shown when the server turned an update down because
+    // the post changed after the edit started
+    showConflictModal({ mine, current }) {
+        if (!this.conflictModal || !this.conflictContainer) {
+            console.error('Conflict modal elements not found');
+            return;
+        }
+
+        if (this.conflict) {
+            this.conflictQueue.push({ mine, current });
+            return;
+        }
+
+        this.conflict = { mine, current };
+        this.renderConflict();
+        this.conflictModal.style.display = 'block';
+    }
+
+    hideConflictModal() {
+        this.conflict = null;
+
+        if (this.conflictModal) {
+            this.conflictModal.style.display = 'none';
+        }
+
+        if (this.conflictContainer) {
+            this.conflictContainer.innerHTML = '';
+        }
+
+        if (this.conflictQueue.length > 0) {
+            this.showConflictModal(this.conflictQueue.shift());
+        }
+    }
+
+    renderConflict() {
+        const { mine, current } = this.conflict;
+
+        this.conflictContainer.innerHTML = `
+        <div class="conflict">
+            <h2>This post was changed while you were editing</h2>
+            <p class="conflict-intro">
+                Version ${current.version} was saved on ${this.formatDate(current.updatedAt)}.
+                Pick the version to keep, or merge the two below.
+            </p>
+
+            <div class="conflict-versions">
+                <div class="conflict-version">
+                    <h4>Saved version</h4>
+                    <strong class="conflict-version-title">${this.escapeHtml(current.title)}</strong>
+                    <pre class="conflict-version-content">${this.escapeHtml(current.content)}</pre>
+                </div>
+                <div class="conflict-version">
+                    <h4>Your version</h4>
+                    <strong class="conflict-version-title">${this.escapeHtml(mine.title)}</strong>
+                    <pre class="conflict-version-content">${this.escapeHtml(mine.content)}</pre>
+                </div>
+            </div>
+
+            <h4>Merge</h4>
+            <p class="conflict-hint">Lines marked − are only in the saved version, lines marked + only in yours.</p>
+            <div class="diff-lines conflict-diff">
+                ${this.renderConflictDiff(current.content, mine.content)}
+            </div>
+
+            <form id="conflict-merge-form">
+                <div class="form-group">
+                    <label for="conflict-title">Title</label>
+                    <input id="conflict-title" name="title" value="${this.escapeHtml(mine.title)}" />
+                </div>
+                <div class="form-group">
+                    <label for="conflict-content">Content</label>
+                    <textarea id="conflict-content" name="content">${this.escapeHtml(mine.content)}</textarea>
+                </div>
+                <div id="conflict-error" class="error-message" style="display: none;"></div>
+
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" data-conflict-action="keep-theirs">
+                        Keep saved version
+                    </button>
+                    <button type="button" class="btn btn-secondary" data-conflict-action="keep-mine">
+                        Overwrite with mine
+                    </button>
+                    <button type="submit" class="btn btn-primary">Save merged version</button>
+                </div>
+            </form>
+        </div>
+        `;
+    }
+
+    renderConflictDiff(saved, mine) {
+        const diff = Diff.diffLines(saved, mine);
+
+        if (diff.stats.added + diff.stats.removed === 0) {
+            return '<p class="diff-empty">The content is the same; only other fields differ.</p>';
+        }
+
+        const signs = { added: '+', removed: '−', equal: ' ' };
+        return diff.lines.map((line) =>
+            `<div class="diff-line diff-${line.type}">${signs[line.type]} ${this.escapeHtml(line.text)}</div>`
+        ).join('');
+    }
+
+    attachConflictModalEventListeners() {
+        if (!this.conflictModal) {
+            return;
+        }
+
+        const closeBtn = this.conflictModal.querySelector('.close');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.hideConflictModal());
+        }
+
+        this.conflictModal.addEventListener('click', (e) => {
+            if (!this.conflict) return;
+
+            const action = e.target.closest('[data-conflict-action]');
+            if (!action) return;
+
+            e.preventDefault();
+
+            if (action.dataset.conflictAction === 'keep-theirs') {
+                this.hideConflictModal();
+                this.showWarning('Your changes were discarded; the saved version was kept.');
+            } else {
+                this.resolveConflict(this.conflict.mine);
+            }
+        });
+
+        this.conflictModal.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (!this.conflict) return;
+
+            const title = document.getElementById('conflict-title').value.trim();
+            const content = document.getElementById('conflict-content').value.trim();
+
+            if (title.length < 3 || content.length < 10) {
+                const errorEl = document.getElementById('conflict-error');
+                errorEl.textContent = 'Title needs at least 3 characters and content at least 10';
+                errorEl.style.display = 'block';
+                return;
+            }
+
+            this.resolveConflict({ ...this.conflict.mine, title, content });
+        });
+    }
+
+    // Saves on top of the version the user has now seen
+    resolveConflict(postData) {
+        const { current } = this.conflict;
+        this.hideConflictModal();
+        this.notifyObservers('onPostUpdate', { ...postData, version: current.version });
+    }
+
     clearEditFormErrors() {
         const errors = this.editFormContainer.querySelectorAll('.error-message');
 
@@ -385,19 +1190,15 @@ class BlogView {
         });
     }
 
+    // No confirm: deleted posts go to the trash and the notification offers Undo
     handleDelete(postId) {
-        const confirmed = confirm('Are you sure you want to delete this post?');
-
-        if (!confirmed)
-            return;
-
         console.log('Deleting post with ID:', postId);
         this.notifyObservers('onPostDelete', postId);
     }
 
     displayEditFormErrors(errors) {
         errors.forEach(error => {
-            const errorEl = document.getElementById(`edit-${error.field}-error`);
+            const errorEl = document.getElementById(`edit-${this.getFieldElementId(error.field)}-error`);
             if (errorEl) {
                 errorEl.textContent = error.message;
                 errorEl.style.display = 'block';
@@ -432,30 +1233,21 @@ class BlogView {
         this.clearForm();
     }
 
+    // Same rules the server applies (public/js/post-schema.js)
     validateForm(postData) {
-        const errors = [];
-
-        if (!postData.title || postData.title.length < 3) {
-            errors.push({
-                field: 'title',
-                message: 'Title must be at least 3 characters long',
-            });
-        }
-
-        if (!postData.content || postData.content.length < 10) {
-            errors.push({
-                field: 'content',
-                message: 'Content must be at least 10 characters long',
-            });
-        }
+        return PostSchema.validatePost(postData).errors;
+    }
 
-        return errors;
+    // Schema field names to the ids used in the forms, e.g. publishAt -> publish-at
+    getFieldElementId(field) {
+        return field.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
     }
 
     displayFormErrors(errors) {
         errors.forEach((error) => {
-            const errorElement = document.getElementById(`${error.field}-error`);
-            const inputElement = document.getElementById(error.field);
+            const fieldId = this.getFieldElementId(error.field);
+            const errorElement = document.getElementById(`${fieldId}-error`);
+            const inputElement = document.getElementById(fieldId);
 
             if (errorElement) {
                 errorElement.textContent = error.message;
@@ -493,30 +1285,46 @@ class BlogView {
         <div class="error-message">
             <span class="error-icon">⚠️</span>
             <span class="error-text">${this.escapeHtml(message)}</span>
-            <button class="error-close" onclick="this.parentElement.parentElement.style.display='none'">×</button>
+            <button type="button" class="error-close" data-action="close-error">×</button>
         </div>
         `;
-        this.errorContainer.style.display = 'block';
+        this.showErrorContainer();
     }
 
     hideError() {
         this.errorContainer.style.display = 'none';
     }
 
-    showSuccess(message) {
-        // Simple success notification (could be enhanced with better UI)
+    // No inline handler on the close button: the Content-Security-Policy
+    // blocks them
+    showErrorContainer() {
+        this.errorContainer.querySelector('[data-action="close-error"]').addEventListener('click', () => this.hideError());
+        this.errorContainer.style.display = 'block';
+    }
+
+    // Pass { actionLabel, onAction } to add a button, e.g. "Undo"; the
+    // notification then stays up longer so there is time to click it
+    showSuccess(message, { actionLabel, onAction } = {}) {
         const successDiv = document.createElement('div');
         successDiv.className = 'success-message';
         successDiv.innerHTML = `
         <span class="success-icon">✅</span>
         <span class="success-text">${this.escapeHtml(message)}</span>
+        ${onAction ? `<button type="button" class="notification-action">${this.escapeHtml(actionLabel)}</button>` : ''}
         `;
 
+        if (onAction) {
+            successDiv.querySelector('.notification-action').addEventListener('click', () => {
+                successDiv.remove();
+                onAction();
+            });
+        }
+
         document.body.appendChild(successDiv);
 
         setTimeout(() => {
             successDiv.remove();
-        }, 3000);
+        }, onAction ? 8000 : 3000);
     }
 
     showWarning(message) {
@@ -533,6 +1341,93 @@ class BlogView {
             warningDiv.remove();
         }, 3000);
     }
+    // Shown while HttpClient waits to send a failed request again
+    showRetryNotice({ attempt, maxRetries, delay }) {
+        if (!this.retryNotice) {
+            this.retryNotice = document.createElement('div');
+            this.retryNotice.className = 'warning-message retry-notice';
+            this.retryNotice.setAttribute('role', 'status');
+            document.body.appendChild(this.retryNotice);
+        }
+
+        const seconds = Math.max(1, Math.round(delay / 1000));
+        this.retryNotice.innerHTML = `
+        <span class="warning-icon">📡</span>
+        <span class="warning-text">Connection problem. Retrying in ${seconds}s (attempt ${attempt} of ${maxRetries})…</span>
+        `;
+    }
+
+    hideRetryNotice() {
+        if (this.retryNotice) {
+            this.retryNotice.remove();
+            this.retryNotice = null;
+        }
+    }
+
+    // Offline state and the changes waiting in the outbox; hidden when
+    // online with nothing to send
+    renderSyncStatus({ online, changes }) {
+        if (!this.syncStatusContainer) {
+            return;
+        }
+
+        if (online && changes.length === 0) {
+            this.syncStatusContainer.style.display = 'none';
+            this.syncStatusContainer.innerHTML = '';
+            return;
+        }
+
+        const count = `${changes.length} ${changes.length === 1 ? 'change' : 'changes'}`;
+        const summary = online
+            ? `📤 ${count} made offline ${changes.length === 1 ? 'is' : 'are'} waiting to be sent.`
+            : '📴 You are offline. New posts, edits and deletes are saved on this device and sent when you reconnect.';
+
+        this.syncStatusContainer.innerHTML = `
+        <p class="sync-status-summary">${summary}</p>
+        ${changes.length > 0 ? `
+        <ul class="sync-status-changes">
+            ${changes.map(change => `<li>${this.escapeHtml(this.describeChange(change))}</li>`).join('')}
+        </ul>
+        ` : ''}
+        ${online ? '<button type="button" class="btn btn-secondary" data-action="sync-now">Send now</button>' : ''}
+        `;
+        this.syncStatusContainer.style.display = 'block';
+
+        const syncButton = this.syncStatusContainer.querySelector('[data-action="sync-now"]');
+        if (syncButton) {
+            syncButton.addEventListener('click', () => this.notifyObservers('onSyncRequest'));
+        }
+    }
+
+    describeChange(change) {
+        const title = `“${change.title || `post ${change.postId}`}”`;
+        return {
+            create: `New post ${title}`,
+            update: `Edit of ${title}`,
+            delete: `Delete ${title}`,
+        }[change.type];
+    }
+
+    // Offline changes the server turned down, e.g. an edit of a post that
+    // was deleted in the meantime
+    showSyncFailures(failures) {
+        this.errorContainer.innerHTML = `
+        <div class="error-message">
+            <span class="error-icon">⚠️</span>
+            <span class="error-text">
+                Some changes made offline could not be saved:
+                <ul class="sync-failures">
+                    ${failures.map(({ change, message }) => `
+                    <li>${this.escapeHtml(this.describeChange(change))}: ${this.escapeHtml(message)}</li>
+                    `).join('')}
+                </ul>
+            </span>
+            <button type="button" class="error-close" data-action="close-error">×</button>
+        </div>
+        `;
+        this.showErrorContainer();
+    }
+
     // Utility methods
     formatDate(dateString) {
         const date = new Date(dateString);
@@ -545,6 +1440,42 @@ class BlogView {
         });
     }
 
+    getStatusLabel(status) {
+        return { published: 'Published', draft: 'Draft', scheduled: 'Scheduled' }[status] || status;
+    }
+
+    // <input type="datetime-local"> works in local time without a zone
+    toDateTimeLocal(isoString) {
+        if (!isoString) {
+            return '';
+        }
+        const date = new Date(isoString);
+        const offsetMs = date.getTimezoneOffset() * 60 * 1000;
+        return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+    }
+
+    fromDateTimeLocal(value) {
+        if (!value) {
+            return null;
+        }
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    // "Web Dev, MVC" -> ['web-dev', 'mvc'], matching how the server stores tags
+    parseTagInput(value) {
+        const tags = (value || '')
+            .split(',')
+            .map((tag) => tag.trim().toLowerCase().replace(/\s+/g, '-'))
+            .filter((tag) => tag.length > 0);
+
+        return [...new Set(tags)];
+    }
+
+    resolveUrl(url) {
+        return new URL(url, this.apiRoot || window.location.href).href;
+    }
+
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
@@ -0,0 +1,136 @@
+// Service worker: keeps the app shell and the last post list so the blog
+// opens without a connection. Writes made offline are not handled here;
+// BlogModel keeps them in its Outbox (js/outbox.js) and sends them later.
+
+// Bump to drop the caches of an older version on activation
+const CACHE_VERSION = 'v3';
+const SHELL_CACHE = `blogMVC-shell-${CACHE_VERSION}`;
+const POSTS_CACHE = `blogMVC-posts-${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'css/style.css',
+    'js/markdown.js',
+    'js/diff.js',
+    'js/post-schema.js',
+    'js/http-client.js',
+    'js/outbox.js',
+    'js/model.js',
+    'js/view.js',
+    'js/controller.js',
+    'js/comment-model.js',
+    'js/comment-view.js',
+    'js/comment-controller.js',
+    'js/revision-model.js',
+    'js/revision-view.js',
+    'js/revision-controller.js',
+    'js/attachment-model.js',
+    'js/attachment-view.js',
+    'js/attachment-controller.js',
+    'js/admin-model.js',
+    'js/admin-view.js',
+    'js/admin-controller.js',
+    'js/app.js',
+];
+
+// app.js registers sw.js?apiRoot=<BlogModel.apiRoot>
+const API_ROOT = new URL(self.location).searchParams.get('apiRoot') || new URL('api', self.registration.scope).href;
+const POSTS_URL = `${API_ROOT}/posts`;
+// Served next to index.html for feed readers; the app never needs them offline
+const FEED_URLS = ['feed.xml', 'atom.xml', 'feed.json'].map(file => new URL(file, self.registration.scope).href);
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('blogMVC-') && key !== SHELL_CACHE && key !== POSTS_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+    if (isPostList(url)) {
+        event.respondWith(postList(request));
+    } else if (url.origin === self.location.origin && !url.href.startsWith(`${API_ROOT}/`) && !isFeed(url)) {
+        event.respondWith(appShell(request));
+    }
+});
+
+// The first page of the list, in any order or filter. The drafts lists
+// (?mine, ?status) stay out of the cache, as do later pages. A logged-in
+// author's list has their own drafts too; BlogModel.setSession clears the
+// cache when the session ends
+function isPostList(url) {
+    return `${url.origin}${url.pathname}` === POSTS_URL &&
+        !url.searchParams.has('mine') &&
+        !url.searchParams.has('status') &&
+        (url.searchParams.get('offset') || '0') === '0';
+}
+
+function isFeed(url) {
+    return FEED_URLS.includes(`${url.origin}${url.pathname}`);
+}
+
+// Network first, so a new version of the app shows up on the next load;
+// the cache is only for when the network is down
+async function appShell(request) {
+    const cache = await caches.open(SHELL_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok && response.type === 'basic') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true }) ||
+            (request.mode === 'navigate' && await cache.match('index.html'));
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+// Only the last list is kept. Offline, the same query gets its own copy and
+// any other query gets that last list rather than nothing
+async function postList(request) {
+    const cache = await caches.open(POSTS_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const keys = await cache.keys();
+            await Promise.all(keys.map(key => cache.delete(key)));
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreVary: true });
+        if (cached) {
+            return cached;
+        }
+
+        const [lastList] = await cache.keys();
+        if (lastList) {
+            return cache.match(lastList, { ignoreVary: true });
+        }
+        throw error;
+    }
+}
@@ -0,0 +1,62 @@
+// Schema migrations from the command line:
+//
+//   npm run migrate                      apply pending migrations
+//   npm run migrate:rollback [-- <n>]    revert the last n migrations (default 1)
+//   npm run migrate:status               list migrations and whether they ran
+//   npm run migrate:create -- <name>     add an empty migration file
+const path = require('path');
+const { openDatabase } = require('../lib/database');
+const { loadConfig } = require('../lib/config');
+const { setLogLevel } = require('../lib/logger');
+const { migrate, rollback, getStatus, createMigration } = require('../lib/migrator');
+
+const USAGE = 'Usage: node scripts/migrate.js <up|down [steps]|status|create <name>>';
+
+async function run(command, arg) {
+    if (command === 'create') {
+        const file = createMigration(arg);
+        console.log(`📄 Created ${path.relative(process.cwd(), file)}`);
+        return;
+    }
+
+    if (!['up', 'down', 'status'].includes(command)) {
+        throw new Error(USAGE);
+    }
+
+    // The same database and log level as the server (environment or config.json)
+    const config = loadConfig();
+    setLogLevel(config.logLevel);
+    const db = await openDatabase(config.databasePath);
+
+    try {
+        if (command === 'up') {
+            const applied = await migrate(db);
+            console.log(applied.length > 0
+                ? `✅ Applied ${applied.length} migration(s)`
+                : '✅ Database is up to date');
+        } else if (command === 'down') {
+            const steps = arg === undefined ? 1 : Number(arg);
+            if (!Number.isInteger(steps) || steps < 1) {
+                throw new Error('Steps must be a positive integer');
+            }
+
+            const reverted = await rollback(db, { steps });
+            console.log(reverted.length > 0
+                ? `✅ Rolled back ${reverted.length} migration(s)`
+                : '✅ Nothing to roll back');
+        } else {
+            (await getStatus(db)).forEach((migration) => {
+                console.log(`${migration.applied ? '✔' : '·'} ${migration.version}_${migration.name}`);
+            });
+        }
+    } finally {
+        db.close();
+    }
+}
+
+const [command, arg] = process.argv.slice(2);
+
+run(command, arg).catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+});
@@ -0,0 +1,156 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const sharp = require('sharp');
+const { startTestServer, silenceLogs } = require('../helpers/server');
+
+describe('/api/posts/:id/attachments', () => {
+    let restoreLogs;
+    let api;
+    let bob;
+    let carol;
+    let post;
+    let photo;
+
+    before(async () => {
+        restoreLogs = silenceLogs();
+        photo = await sharp({
+            create: { width: 1600, height: 900, channels: 3, background: '#3366cc' }
+        }).jpeg().toBuffer();
+    });
+
+    after(() => {
+        restoreLogs();
+    });
+
+    beforeEach(async () => {
+        api = await startTestServer();
+        await api.register('alice');
+        bob = await api.register('bobby');
+        carol = await api.register('carol');
+        post = await api.createPost(bob.token);
+    });
+
+    afterEach(async () => {
+        await api.close();
+    });
+
+    function upload(user, content, name, type = 'application/octet-stream', target = api) {
+        const body = new FormData();
+        body.append('file', new Blob([content], { type }), name);
+        return target.request('POST', `/posts/${post.id}/attachments`, { token: user && user.token, body });
+    }
+
+    // GET /api/files/... with the Response itself, for headers and bytes
+    function fetchFile(url) {
+        return fetch(new URL(url, api.baseUrl));
+    }
+
+    it('stores images with a thumbnail and makes the first one the cover', async () => {
+        const { status, body: attachment } = await upload(bob, photo, 'holiday.jpg', 'image/jpeg');
+
+        assert.equal(status, 201);
+        assert.equal(attachment.name, 'holiday.jpg');
+        assert.equal(attachment.mimeType, 'image/jpeg');
+        assert.equal(attachment.size, photo.length);
+        assert.equal(attachment.width, 1600);
+        assert.equal(attachment.height, 900);
+        assert.equal(attachment.isImage, true);
+
+        const original = await fetchFile(attachment.url);
+        assert.equal(original.headers.get('Content-Type'), 'image/jpeg');
+        assert.deepEqual(Buffer.from(await original.arrayBuffer()), photo);
+
+        const thumbnail = await fetchFile(attachment.thumbnailUrl);
+        assert.equal(thumbnail.headers.get('Content-Type'), 'image/webp');
+        const { width, height } = await sharp(Buffer.from(await thumbnail.arrayBuffer())).metadata();
+        assert.deepEqual({ width, height }, { width: 640, height: 360 });
+
+        const { body: saved } = await api.request('GET', `/posts/${post.id}`);
+        assert.equal(saved.coverImage.url, attachment.url);
+        assert.equal(saved.coverImage.thumbnailUrl, attachment.thumbnailUrl);
+
+        const { body: list } = await api.request('GET', '/posts');
+        assert.equal(list.posts.find(row => row.id === post.id).coverImage.url, attachment.url);
+    });
+
+    it('serves PDFs and text files as downloads under their own name', async () => {
+        await upload(bob, '%PDF-1.4\n%%EOF\n', 'slides.pdf', 'application/pdf');
+        const { body: notes } = await upload(bob, '# Notes\n\nSee the slides.', 'notes.md', '');
+
+        assert.equal(notes.mimeType, 'text/markdown');
+        assert.equal(notes.thumbnailUrl, null);
+
+        const { body } = await api.request('GET', `/posts/${post.id}/attachments`);
+        assert.deepEqual(body.attachments.map(attachment => attachment.name), ['slides.pdf', 'notes.md']);
+
+        const file = await fetchFile(notes.url);
+        assert.match(file.headers.get('Content-Disposition'), /^attachment; filename="notes.md"/);
+        assert.equal(file.headers.get('X-Content-Type-Options'), 'nosniff');
+
+        // Files aren't images, so there is no cover
+        const { body: saved } = await api.request('GET', `/posts/${post.id}`);
+        assert.equal(saved.coverImage, null);
+    });
+
+    it('checks the content rather than the name and type it was sent with', async () => {
+        const page = await upload(bob, '<script>alert(1)</script>', 'cat.png', 'image/png');
+        assert.equal(page.status, 415);
+
+        const binary = await upload(bob, Buffer.from([0, 1, 2, 3]), 'data.txt', 'text/plain');
+        assert.equal(binary.status, 415);
+
+        const missing = await api.request('POST', `/posts/${post.id}/attachments`, {
+            token: bob.token,
+            body: { file: 'not a file' }
+        });
+        assert.equal(missing.status, 400);
+    });
+
+    it('turns down files over the size limit', async () => {
+        const small = await startTestServer({ maxUploadSize: 1024 });
+        try {
+            const owner = await small.register('alice');
+            post = await small.createPost(owner.token);
+
+            const { status, body } = await upload(owner, Buffer.alloc(2048, 'a'), 'big.txt', 'text/plain', small);
+            assert.equal(status, 413);
+            assert.match(body.error, /at most/);
+            assert.deepEqual(fs.readdirSync(small.uploadsPath), []);
+        } finally {
+            await small.close();
+        }
+    });
+
+    it('only lets people who may edit the post add and remove attachments', async () => {
+        assert.equal((await upload(null, photo, 'a.jpg')).status, 401);
+        assert.equal((await upload(carol, photo, 'a.jpg')).status, 403);
+
+        const { body: attachment } = await upload(bob, photo, 'a.jpg');
+        const denied = await api.request('DELETE', `/posts/${post.id}/attachments/${attachment.id}`, { token: carol.token });
+        assert.equal(denied.status, 403);
+
+        const removed = await api.request('DELETE', `/posts/${post.id}/attachments/${attachment.id}`, { token: bob.token });
+        assert.equal(removed.status, 200);
+        assert.equal((await fetchFile(attachment.url)).status, 404);
+        assert.deepEqual(fs.readdirSync(api.uploadsPath), []);
+    });
+
+    it('lists the attachments of drafts only for their author', async () => {
+        const draft = await api.createPost(bob.token, { status: 'draft' });
+
+        assert.equal((await api.request('GET', `/posts/${draft.id}/attachments`)).status, 404);
+        assert.equal((await api.request('GET', `/posts/${draft.id}/attachments`, { token: bob.token })).status, 200);
+    });
+
+    it('removes the files of purged posts', async () => {
+        await upload(bob, photo, 'a.jpg');
+        assert.equal(fs.readdirSync(api.uploadsPath).length, 2);
+
+        await api.db.run('DELETE FROM posts WHERE id = ?', [post.id]);
+        const removed = await api.services.attachments.removeOrphanFiles({ graceMs: 0 });
+
+        assert.equal(removed, 2);
+        assert.deepEqual(fs.readdirSync(api.uploadsPath), []);
+    });
+});
@@ -0,0 +1,127 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, silenceLogs } = require('../helpers/server');
+
+describe('/api/posts/:id/comments', () => {
+    let restoreLogs;
+    let api;
+    let alice;
+    let bob;
+    let carol;
+    let post;
+
+    before(() => {
+        restoreLogs = silenceLogs();
+    });
+
+    after(() => {
+        restoreLogs();
+    });
+
+    beforeEach(async () => {
+        api = await startTestServer();
+        alice = await api.register('alice');
+        bob = await api.register('bobby');
+        carol = await api.register('carol');
+        post = await api.createPost(bob.token);
+    });
+
+    afterEach(async () => {
+        await api.close();
+    });
+
+    async function comment(user, body) {
+        const response = await api.request('POST', `/posts/${post.id}/comments`, { token: user.token, body });
+        return response.body;
+    }
+
+    it('nests replies under their parent', async () => {
+        const parent = await comment(bob, { content: 'First!' });
+        await comment(carol, { content: 'A reply', parentId: parent.id });
+        await comment(carol, { content: 'Second thread' });
+
+        const { status, body } = await api.request('GET', `/posts/${post.id}/comments`);
+
+        assert.equal(status, 200);
+        assert.equal(body.total, 3);
+        assert.deepEqual(body.comments.map(root => root.content), ['First!', 'Second thread']);
+        assert.deepEqual(body.comments[0].replies.map(reply => reply.content), ['A reply']);
+    });
+
+    it('creates a comment owned by the logged-in user', async () => {
+        const { status, body } = await api.request('POST', `/posts/${post.id}/comments`, {
+            token: carol.token,
+            body: { content: '  Nice post  ' }
+        });
+
+        assert.equal(status, 201);
+        assert.equal(body.content, 'Nice post');
+        assert.equal(body.author, 'carol');
+        assert.deepEqual(body.capabilities, { canEdit: true, canDelete: true });
+    });
+
+    it('answers 400 for empty comments and unknown parents', async () => {
+        const empty = await api.request('POST', `/posts/${post.id}/comments`, { token: carol.token, body: { content: ' ' } });
+        assert.equal(empty.status, 400);
+        assert.equal(empty.body.error, 'Comment content is required');
+
+        const orphan = await api.request('POST', `/posts/${post.id}/comments`, {
+            token: carol.token,
+            body: { content: 'Hello there', parentId: 999 }
+        });
+        assert.equal(orphan.status, 400);
+        assert.equal(orphan.body.error, 'Parent comment not found on this post');
+    });
+
+    it('requires a login to comment', async () => {
+        const { status } = await api.request('POST', `/posts/${post.id}/comments`, { body: { content: 'Hello' } });
+
+        assert.equal(status, 401);
+    });
+
+    it('answers 404 for a missing post or comment', async () => {
+        const noPost = await api.request('GET', '/posts/999/comments');
+        assert.equal(noPost.status, 404);
+        assert.equal(noPost.body.error, 'Post not found');
+
+        const noComment = await api.request('GET', `/posts/${post.id}/comments/999`);
+        assert.equal(noComment.status, 404);
+        assert.equal(noComment.body.error, 'Comment not found');
+    });
+
+    it('lets only the author or a moderator edit a comment', async () => {
+        const created = await comment(carol, { content: 'Typo here' });
+
+        const asBob = await api.request('PUT', `/posts/${post.id}/comments/${created.id}`, {
+            token: bob.token,
+            body: { content: 'Hijacked' }
+        });
+        assert.equal(asBob.status, 403);
+
+        const asCarol = await api.request('PUT', `/posts/${post.id}/comments/${created.id}`, {
+            token: carol.token,
+            body: { content: 'Typo fixed' }
+        });
+        assert.equal(asCarol.status, 200);
+        assert.equal(asCarol.body.content, 'Typo fixed');
+
+        const asAdmin = await api.request('PUT', `/posts/${post.id}/comments/${created.id}`, {
+            token: alice.token,
+            body: { content: 'Moderated' }
+        });
+        assert.equal(asAdmin.status, 200);
+    });
+
+    it('deletes a comment with its replies', async () => {
+        const parent = await comment(bob, { content: 'Parent' });
+        await comment(carol, { content: 'Child', parentId: parent.id });
+
+        const { status, body } = await api.request('DELETE', `/posts/${post.id}/comments/${parent.id}`, { token: bob.token });
+
+        assert.equal(status, 200);
+        assert.deepEqual(body, { message: 'Comment deleted successfully', id: parent.id });
+
+        const list = await api.request('GET', `/posts/${post.id}/comments`);
+        assert.equal(list.body.total, 0);
+    });
+});
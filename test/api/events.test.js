@@ -0,0 +1,132 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, silenceLogs } = require('../helpers/server');
+
+describe('/api/events', () => {
+    let restoreLogs;
+    let api;
+    let bob;
+    const streams = [];
+
+    before(() => {
+        restoreLogs = silenceLogs();
+    });
+
+    after(() => {
+        restoreLogs();
+    });
+
+    beforeEach(async () => {
+        api = await startTestServer();
+        await api.register('alice');
+        bob = await api.register('bobby');
+    });
+
+    afterEach(async () => {
+        streams.splice(0).forEach(stream => stream.close());
+        await api.close();
+    });
+
+    // Opens the stream; next(count) resolves with the next count events as
+    // { id, type, data }, skipping the retry line and heartbeats
+    async function openStream(headers = {}) {
+        const controller = new AbortController();
+        const response = await fetch(`${api.baseUrl}/events`, { headers, signal: controller.signal });
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+
+        async function next(count = 1) {
+            const events = [];
+            while (events.length < count) {
+                const end = buffer.indexOf('\n\n');
+                if (end === -1) {
+                    const { value } = await reader.read();
+                    buffer += value;
+                    continue;
+                }
+
+                const fields = Object.fromEntries(buffer.slice(0, end).split('\n')
+                    .map(line => /^(\w+): (.*)$/.exec(line))
+                    .filter(Boolean)
+                    .map(([, name, value]) => [name, value]));
+                buffer = buffer.slice(end + 2);
+
+                if (fields.event) {
+                    events.push({ id: fields.id, type: fields.event, data: JSON.parse(fields.data) });
+                }
+            }
+            return events;
+        }
+
+        const stream = { response, next, close: () => controller.abort() };
+        streams.push(stream);
+        return stream;
+    }
+
+    it('streams changes to published posts', async () => {
+        const stream = await openStream();
+        assert.match(stream.response.headers.get('Content-Type'), /^text\/event-stream/);
+
+        const post = await api.createPost(bob.token);
+        await api.request('PUT', `/posts/${post.id}`, {
+            token: bob.token,
+            headers: { 'If-Match': '"1"' },
+            body: { title: 'Edited title', content: 'Some content for the test post' }
+        });
+        await api.request('DELETE', `/posts/${post.id}`, { token: bob.token, headers: { 'If-Match': '"2"' } });
+
+        const events = await stream.next(3);
+        assert.deepEqual(events.map(({ type, data }) => ({ type, data })), [
+            { type: 'post-created', data: { id: post.id } },
+            { type: 'post-updated', data: { id: post.id, version: 2 } },
+            { type: 'post-deleted', data: { id: post.id } }
+        ]);
+    });
+
+    it('keeps drafts quiet until they are published', async () => {
+        const stream = await openStream();
+
+        const draft = await api.createPost(bob.token, { status: 'draft' });
+        await api.request('PUT', `/posts/${draft.id}`, {
+            token: bob.token,
+            headers: { 'If-Match': '"1"' },
+            body: { title: 'Ready now', content: 'Some content for the test post', status: 'published' }
+        });
+
+        const [event] = await stream.next();
+        assert.equal(event.type, 'post-updated');
+        assert.deepEqual(event.data, { id: draft.id, version: 2 });
+    });
+
+    it('announces scheduled posts when they go live', async () => {
+        const stream = await openStream();
+        const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+        const post = await api.createPost(bob.token, { status: 'scheduled', publishAt: future });
+        await api.db.run("UPDATE posts SET publish_at = datetime('now', '-1 minute') WHERE id = ?", [post.id]);
+
+        assert.equal(await api.services.posts.publishDuePosts(), 1);
+
+        const [event] = await stream.next();
+        assert.deepEqual({ type: event.type, data: event.data }, { type: 'post-created', data: { id: post.id } });
+    });
+
+    it('sends the events a reconnecting client missed', async () => {
+        const first = await openStream();
+        await api.createPost(bob.token, { title: 'Seen' });
+        const [seen] = await first.next();
+        first.close();
+
+        const missed = await api.createPost(bob.token, { title: 'Missed' });
+        const second = await openStream({ 'Last-Event-ID': seen.id });
+
+        const [event] = await second.next();
+        assert.deepEqual(event.data, { id: missed.id });
+    });
+
+    it('asks for a resync when the missed events are unknown', async () => {
+        const stream = await openStream({ 'Last-Event-ID': 'otherserver-12' });
+
+        const [event] = await stream.next();
+        assert.equal(event.type, 'resync');
+    });
+});
@@ -0,0 +1,166 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, silenceLogs } = require('../helpers/server');
+
+describe('/feed.xml, /atom.xml and /feed.json', () => {
+    let restoreLogs;
+    let api;
+    let bob;
+    let carol;
+    let origin;
+
+    before(() => {
+        restoreLogs = silenceLogs();
+    });
+
+    after(() => {
+        restoreLogs();
+    });
+
+    beforeEach(async () => {
+        api = await startTestServer();
+        await api.register('alice');
+        bob = await api.register('bobby');
+        carol = await api.register('carol');
+        origin = new URL(api.baseUrl).origin;
+    });
+
+    afterEach(async () => {
+        await api.close();
+    });
+
+    // The feeds live at the site root, not under /api. fetch() adds
+    // "Cache-Control: no-cache" to conditional requests unless one is given,
+    // which rules out a 304; feed readers don't send it
+    async function getFeed(path, headers = {}) {
+        const response = await fetch(`${origin}${path}`, { headers: { 'Cache-Control': 'max-age=0', ...headers } });
+        return { status: response.status, headers: response.headers, body: await response.text() };
+    }
+
+    function jsonFeedTitles(body) {
+        return JSON.parse(body).items.map(item => item.title);
+    }
+
+    it('lists published posts in RSS with escaped text and absolute links', async () => {
+        const post = await api.createPost(bob.token, {
+            title: 'Fish & <Chips> "tonight"',
+            content: 'See [the menu](/menu) and ![a photo](/api/files/photo.jpg)',
+            tags: ['food']
+        });
+        await api.createPost(bob.token, { title: 'Unfinished', status: 'draft' });
+
+        const { status, headers, body } = await getFeed('/feed.xml');
+
+        assert.equal(status, 200);
+        assert.equal(headers.get('Content-Type'), 'application/rss+xml; charset=utf-8');
+        assert.match(body, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<rss version="2.0"/);
+        assert.ok(body.includes('<title>Fish &amp; &lt;Chips&gt; &quot;tonight&quot;</title>'));
+        assert.ok(body.includes(`<link>${origin}/posts/${post.id}</link>`));
+        assert.ok(body.includes('<dc:creator>bobby</dc:creator>'));
+        assert.ok(body.includes('<category>food</category>'));
+        assert.ok(body.includes(`href=&quot;${origin}/menu&quot;`));
+        assert.ok(body.includes(`src=&quot;${origin}/api/files/photo.jpg&quot;`));
+        assert.ok(body.includes(`<atom:link href="${origin}/feed.xml" rel="self"`));
+        assert.ok(!body.includes('Unfinished'));
+    });
+
+    it('has the same posts in Atom and JSON Feed, newest first', async () => {
+        await api.createPost(bob.token, { title: 'Older' });
+        const newer = await api.createPost(carol.token, { title: 'Newer', tags: ['news'] });
+
+        const atom = await getFeed('/atom.xml');
+        assert.equal(atom.headers.get('Content-Type'), 'application/atom+xml; charset=utf-8');
+        assert.match(atom.body, /<feed xmlns="http:\/\/www.w3.org\/2005\/Atom">/);
+        assert.ok(atom.body.includes(`<id>${origin}/posts/${newer.id}</id>`));
+        assert.ok(atom.body.includes('<author><name>carol</name></author>'));
+        assert.ok(atom.body.indexOf('<title>Newer</title>') < atom.body.indexOf('<title>Older</title>'));
+
+        const json = await getFeed('/feed.json');
+        assert.equal(json.headers.get('Content-Type'), 'application/feed+json; charset=utf-8');
+        const feed = JSON.parse(json.body);
+        assert.equal(feed.version, 'https://jsonfeed.org/version/1.1');
+        assert.equal(feed.feed_url, `${origin}/feed.json`);
+        assert.deepEqual(feed.items.map(item => item.title), ['Newer', 'Older', 'Welcome to My Blog']);
+        assert.equal(feed.items[0].url, `${origin}/posts/${newer.id}`);
+        assert.deepEqual(feed.items[0].authors, [{ name: 'carol' }]);
+        assert.deepEqual(feed.items[0].tags, ['news']);
+    });
+
+    it('puts scheduled posts where they went live, not where they were written', async () => {
+        const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+        const scheduled = await api.createPost(bob.token, { title: 'Written first', status: 'scheduled', publishAt: future });
+        const post = await api.createPost(carol.token, { title: 'Written second' });
+        await api.db.run("UPDATE posts SET created_at = datetime('now', '-2 days') WHERE id = ?", [scheduled.id]);
+        await api.db.run("UPDATE posts SET created_at = datetime('now', '-1 day'), publish_at = datetime('now', '-1 day') WHERE id = ?", [post.id]);
+        await api.db.run("UPDATE posts SET publish_at = datetime('now', '-1 minute') WHERE id = ?", [scheduled.id]);
+        await api.services.posts.publishDuePosts();
+
+        const { body } = await getFeed('/feed.json');
+
+        const titles = jsonFeedTitles(body);
+        assert.ok(titles.indexOf('Written first') < titles.indexOf('Written second'));
+    });
+
+    it('narrows a feed to one author or one tag', async () => {
+        await api.createPost(bob.token, { title: 'Bob on cooking', tags: ['food'] });
+        await api.createPost(bob.token, { title: 'Bob on travel', tags: ['travel'] });
+        await api.createPost(carol.token, { title: 'Carol on cooking', tags: ['food'] });
+
+        const byBob = await getFeed('/feed.json?author=BOBBY');
+        assert.deepEqual(jsonFeedTitles(byBob.body), ['Bob on travel', 'Bob on cooking']);
+        assert.equal(JSON.parse(byBob.body).title, 'Blog MVC: posts by BOBBY');
+
+        const food = await getFeed('/feed.json?tag=Food');
+        assert.deepEqual(jsonFeedTitles(food.body), ['Carol on cooking', 'Bob on cooking']);
+        assert.equal(JSON.parse(food.body).feed_url, `${origin}/feed.json?tag=Food`);
+
+        const both = await getFeed('/atom.xml?author=bobby&tag=food');
+        assert.ok(both.body.includes('<title>Bob on cooking</title>'));
+        assert.ok(!both.body.includes('Bob on travel'));
+        assert.ok(!both.body.includes('Carol on cooking'));
+        assert.ok(both.body.includes(`href="${origin}/atom.xml?author=bobby&amp;tag=food"`));
+
+        const nobody = await getFeed('/feed.xml?author=nobody');
+        assert.equal(nobody.status, 200);
+        assert.equal(nobody.headers.get('Last-Modified'), null);
+        assert.ok(!nobody.body.includes('<item>'));
+    });
+
+    it('answers conditional requests with 304 until a post changes', async () => {
+        const post = await api.createPost(bob.token, { title: 'Steady' });
+
+        const first = await getFeed('/feed.xml');
+        const etag = first.headers.get('ETag');
+        const lastModified = first.headers.get('Last-Modified');
+        assert.match(etag, /^"[\w-]+"$/);
+        assert.ok(lastModified);
+
+        assert.equal((await getFeed('/feed.xml', { 'If-None-Match': etag })).status, 304);
+        assert.equal((await getFeed('/feed.xml', { 'If-Modified-Since': lastModified })).status, 304);
+        // Each format has its own ETag
+        assert.equal((await getFeed('/atom.xml', { 'If-None-Match': etag })).status, 200);
+
+        await api.request('PUT', `/posts/${post.id}`, {
+            token: bob.token,
+            headers: { 'If-Match': `"${post.version}"` },
+            body: { title: 'Steady, edited', content: post.content }
+        });
+
+        const changed = await getFeed('/feed.xml', { 'If-None-Match': etag });
+        assert.equal(changed.status, 200);
+        assert.ok(changed.body.includes('<title>Steady, edited</title>'));
+    });
+
+    it('links to the public URL when one is set', async () => {
+        const hosted = await startTestServer({ publicUrl: 'https://example.com/blog' });
+        try {
+            const body = await (await fetch(new URL('/feed.json', hosted.baseUrl))).json();
+
+            assert.equal(body.home_page_url, 'https://example.com/blog/');
+            assert.equal(body.feed_url, 'https://example.com/blog/feed.json');
+            assert.equal(body.items[0].url, 'https://example.com/blog/posts/1');
+        } finally {
+            await hosted.close();
+        }
+    });
+});
@@ -0,0 +1,317 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { unzipSync, strFromU8 } = require('fflate');
+const { startTestServer, silenceLogs } = require('../helpers/server');
+
+// A WordPress export with one of everything the importer has to deal with
+const WXR = `<?xml version="1.0" encoding="UTF-8" ?>
+<rss version="2.0"
+    xmlns:content="http://purl.org/rss/1.0/modules/content/"
+    xmlns:dc="http://purl.org/dc/elements/1.1/"
+    xmlns:wp="http://wordpress.org/export/1.2/">
+<channel>
+    <title>Old blog</title>
+    <wp:wxr_version>1.2</wp:wxr_version>
+    <item>
+        <title>Hello &amp; welcome</title>
+        <dc:creator><![CDATA[bobby]]></dc:creator>
+        <content:encoded><![CDATA[<!-- wp:paragraph --><p>First <strong>post</strong> on <a href="https://old.example.com">the old blog</a>.</p><!-- /wp:paragraph -->
+<h2>More</h2>
+<ul><li>one</li><li>two</li></ul>]]></content:encoded>
+        <wp:post_date_gmt><![CDATA[2019-05-04 10:30:00]]></wp:post_date_gmt>
+        <wp:post_modified_gmt><![CDATA[2019-06-01 08:00:00]]></wp:post_modified_gmt>
+        <wp:status><![CDATA[publish]]></wp:status>
+        <wp:post_type><![CDATA[post]]></wp:post_type>
+        <category domain="category" nicename="uncategorized"><![CDATA[Uncategorized]]></category>
+        <category domain="category" nicename="travel-notes"><![CDATA[Travel Notes]]></category>
+        <category domain="post_tag" nicename="summer"><![CDATA[Summer]]></category>
+    </item>
+    <item>
+        <title>Classic editor draft</title>
+        <dc:creator><![CDATA[someone-else]]></dc:creator>
+        <content:encoded><![CDATA[A first paragraph
+with a line break.
+
+A second paragraph.]]></content:encoded>
+        <wp:post_date_gmt><![CDATA[0000-00-00 00:00:00]]></wp:post_date_gmt>
+        <wp:post_date><![CDATA[2020-01-02 09:00:00]]></wp:post_date>
+        <wp:status><![CDATA[draft]]></wp:status>
+        <wp:post_type><![CDATA[post]]></wp:post_type>
+    </item>
+    <item>
+        <title>About</title>
+        <content:encoded><![CDATA[<p>An about page.</p>]]></content:encoded>
+        <wp:status><![CDATA[publish]]></wp:status>
+        <wp:post_type><![CDATA[page]]></wp:post_type>
+    </item>
+    <item>
+        <title>Thrown away</title>
+        <content:encoded><![CDATA[<p>In the WordPress trash.</p>]]></content:encoded>
+        <wp:status><![CDATA[trash]]></wp:status>
+        <wp:post_type><![CDATA[post]]></wp:post_type>
+    </item>
+</channel>
+</rss>`;
+
+describe('/api/export and /api/import', () => {
+    let restoreLogs;
+    let api;
+    let admin;
+    let bob;
+
+    before(() => {
+        restoreLogs = silenceLogs();
+    });
+
+    after(() => {
+        restoreLogs();
+    });
+
+    beforeEach(async () => {
+        api = await startTestServer();
+        admin = await api.register('alice');
+        bob = await api.register('bobby');
+    });
+
+    afterEach(async () => {
+        await api.close();
+    });
+
+    // GET /api/export as raw bytes, since it is a download
+    async function exportPosts(format, target = api, user = admin) {
+        const response = await fetch(`${target.baseUrl}/export${format ? `?format=${format}` : ''}`, {
+            headers: { Authorization: `Bearer ${user.token}` }
+        });
+        return { status: response.status, headers: response.headers, body: Buffer.from(await response.arrayBuffer()) };
+    }
+
+    function importFile(content, { name = 'export', user = admin, dryRun = false, target = api } = {}) {
+        const body = new FormData();
+        body.append('file', new Blob([content]), name);
+        return target.request('POST', `/import${dryRun ? '?dryRun=true' : ''}`, { token: user && user.token, body });
+    }
+
+    async function listTitles(target = api, user = admin) {
+        const { body } = await target.request('GET', '/posts?limit=50&sort=title', { token: user.token });
+        return body.posts.map(post => post.title);
+    }
+
+    it('is only for admins', async () => {
+        assert.equal((await api.request('GET', '/export')).status, 401);
+        assert.equal((await exportPosts('json', api, bob)).status, 403);
+        assert.equal((await importFile('[]', { user: bob })).status, 403);
+        assert.equal((await importFile('[]', { user: null })).status, 401);
+    });
+
+    it('exports every post as JSON, drafts included', async () => {
+        await api.createPost(bob.token, { title: 'Tagged post', tags: ['travel', 'food'] });
+        await api.createPost(bob.token, { title: 'Bob draft', status: 'draft' });
+
+        const { status, headers, body } = await exportPosts();
+
+        assert.equal(status, 200);
+        assert.match(headers.get('Content-Type'), /^application\/json/);
+        assert.match(headers.get('Content-Disposition'), /^attachment; filename="blog-export-\d{4}-\d{2}-\d{2}\.json"$/);
+
+        const data = JSON.parse(body);
+        assert.equal(data.version, 1);
+        assert.deepEqual(data.posts.map(post => post.title), ['Welcome to My Blog', 'Tagged post', 'Bob draft']);
+        assert.deepEqual(data.posts[1].tags, ['food', 'travel']);
+        assert.equal(data.posts[1].author, 'bobby');
+        assert.equal(data.posts[2].status, 'draft');
+
+        assert.equal((await exportPosts('pdf')).status, 400);
+    });
+
+    it('moves posts to another blog with a Markdown archive, keeping authors and dates', async () => {
+        const post = await api.createPost(bob.token, { title: 'Moving house', content: 'Boxes: *many*.\n\n---\n\nDone.', tags: ['home'] });
+        await api.createPost(bob.token, { title: 'Half written', status: 'draft' });
+
+        const archive = await exportPosts('markdown');
+        assert.equal(archive.headers.get('Content-Type'), 'application/zip');
+        const files = unzipSync(new Uint8Array(archive.body));
+        const file = strFromU8(files[`posts/${post.id}-moving-house.md`]);
+        assert.match(file, /^---\ntitle: Moving house\nauthor: bobby\nstatus: published\n/);
+        assert.ok(file.endsWith('\n---\n\nBoxes: *many*.\n\n---\n\nDone.\n'));
+
+        const other = await startTestServer();
+        try {
+            const otherAdmin = await other.register('admin');
+            await other.register('BOBBY');
+
+            const { status, body: report } = await importFile(archive.body, { name: 'posts.zip', target: other, user: otherAdmin });
+            assert.equal(status, 200);
+            assert.equal(report.format, 'markdown');
+            // The welcome post is on the new blog already
+            assert.deepEqual(report.summary, { total: 3, imported: 2, duplicates: 1, invalid: 0, ignored: 0 });
+
+            const imported = report.posts.find(entry => entry.title === 'Moving house');
+            const { body: copy } = await other.request('GET', `/posts/${imported.id}`);
+            assert.equal(copy.content, post.content);
+            assert.equal(copy.author, 'BOBBY');
+            assert.equal(copy.createdAt, post.createdAt);
+            assert.deepEqual(copy.tags, ['home']);
+
+            // Drafts stay drafts, and their author can still see them
+            const draft = report.posts.find(entry => entry.title === 'Half written');
+            assert.equal(draft.status, 'draft');
+            assert.equal((await other.request('GET', `/posts/${draft.id}`)).status, 404);
+        } finally {
+            await other.close();
+        }
+    });
+
+    it('previews an import without saving anything, and reports duplicates', async () => {
+        await api.createPost(bob.token, { title: 'Already here', content: 'This post exists already' });
+        const file = JSON.stringify({
+            posts: [
+                { title: 'Already here', content: 'This post exists already' },
+                { title: 'Brand new', content: 'Nobody wrote this yet', tags: ['News', 'not a tag!'] },
+                { title: 'brand NEW', content: 'Nobody wrote this yet' },
+                { title: 'No', content: 'short' },
+                'not a post'
+            ]
+        });
+
+        const { status, body: preview } = await importFile(file, { dryRun: true });
+
+        assert.equal(status, 200);
+        assert.equal(preview.dryRun, true);
+        assert.deepEqual(preview.summary, { total: 5, imported: 1, duplicates: 2, invalid: 2, ignored: 0 });
+        assert.deepEqual(preview.posts.map(entry => entry.outcome), ['duplicate', 'import', 'duplicate', 'invalid', 'invalid']);
+        assert.equal(preview.posts[0].duplicateOf.id > 1, true);
+        assert.deepEqual(preview.posts[2].duplicateOf, { source: 'posts[1]' });
+        assert.deepEqual(preview.posts[1].warnings, ['Tag "not a tag!" was left out. Tags are up to 30 letters, numbers or dashes']);
+        assert.deepEqual(preview.posts[3].errors, [
+            'Title must be at least 3 characters long',
+            'Content must be at least 10 characters long'
+        ]);
+        assert.deepEqual(preview.posts[4].errors, ['Each post must be an object']);
+        assert.ok(!preview.posts[1].id);
+        assert.ok(!(await listTitles()).includes('Brand new'));
+
+        const { body: result } = await importFile(file);
+        assert.equal(result.dryRun, false);
+        assert.equal(result.summary.imported, 1);
+        const { body: created } = await api.request('GET', `/posts/${result.posts[1].id}`);
+        assert.equal(created.author, 'alice');
+        assert.deepEqual(created.tags, ['news']);
+
+        // A second time everything is a duplicate
+        const { body: again } = await importFile(file);
+        assert.equal(again.summary.imported, 0);
+        assert.equal(again.summary.duplicates, 3);
+    });
+
+    it('imports WordPress posts as Markdown with their tags and status', async () => {
+        const { body: report } = await importFile(WXR, { name: 'wordpress.xml' });
+
+        assert.equal(report.format, 'wxr');
+        assert.deepEqual(report.summary, { total: 2, imported: 2, duplicates: 0, invalid: 0, ignored: 2 });
+
+        const { body: hello } = await api.request('GET', `/posts/${report.posts[0].id}`);
+        assert.equal(hello.title, 'Hello & welcome');
+        assert.equal(hello.content, 'First **post** on [the old blog](https://old.example.com).\n\n## More\n\n-   one\n-   two');
+        assert.equal(hello.author, 'bobby');
+        assert.equal(hello.createdAt, '2019-05-04T10:30:00.000Z');
+        assert.equal(hello.updatedAt, '2019-06-01T08:00:00.000Z');
+        assert.deepEqual(hello.tags, ['summer', 'travel-notes']);
+
+        const draft = report.posts[1];
+        assert.equal(draft.status, 'draft');
+        assert.equal(draft.author, 'alice');
+        assert.deepEqual(draft.warnings, ['There is no user "someone-else"; the post will be yours']);
+        const { body: saved } = await api.request('GET', `/posts/${draft.id}`, { token: admin.token });
+        assert.equal(saved.content, 'A first paragraph  \nwith a line break.\n\nA second paragraph.');
+        assert.equal(saved.createdAt, '2020-01-02T09:00:00.000Z');
+    });
+
+    it('saves nothing when writing one of the posts fails', async () => {
+        const before = await listTitles();
+        const { revisions } = api.services.importExport;
+        const create = revisions.create;
+        let calls = 0;
+        revisions.create = async (...args) => {
+            if (++calls === 2) {
+                throw new Error('disk full');
+            }
+            return create.apply(revisions, args);
+        };
+
+        const { status } = await importFile(JSON.stringify([
+            { title: 'First of two', content: 'Goes in first' },
+            { title: 'Second of two', content: 'Fails to go in' }
+        ]));
+
+        assert.equal(status, 500);
+        assert.deepEqual(await listTitles(), before);
+    });
+
+    it('runs imports sent at the same time one after the other', async () => {
+        const [first, second] = await Promise.all([
+            importFile(JSON.stringify([{ title: 'From the first file', content: 'Sent at the same time' }])),
+            importFile(JSON.stringify([{ title: 'From the second file', content: 'Sent at the same time' }]))
+        ]);
+
+        assert.deepEqual([first.status, second.status], [200, 200]);
+        const titles = await listTitles();
+        assert.ok(titles.includes('From the first file'));
+        assert.ok(titles.includes('From the second file'));
+    });
+
+    it('keeps writes made during an import that is rolled back', async () => {
+        const { revisions } = api.services.importExport;
+        const create = revisions.create;
+        let reached;
+        const paused = new Promise((resolve) => {
+            reached = resolve;
+        });
+        let resume;
+        const resumed = new Promise((resolve) => {
+            resume = resolve;
+        });
+        let calls = 0;
+        revisions.create = async (...args) => {
+            calls++;
+            if (calls === 1) {
+                reached();
+                await resumed;
+            } else if (calls === 2) {
+                throw new Error('disk full');
+            }
+            return create.apply(revisions, args);
+        };
+
+        const importing = importFile(JSON.stringify([
+            { title: 'First of two', content: 'Goes in first' },
+            { title: 'Second of two', content: 'Fails to go in' }
+        ]));
+        await paused;
+        // Waits for the import's transaction rather than joining it
+        const writing = api.createPost(bob.token, { title: 'Written meanwhile' });
+        resume();
+
+        assert.equal((await importing).status, 500);
+        const written = await writing;
+        const { status, body } = await api.request('GET', `/posts/${written.id}`);
+        assert.equal(status, 200);
+        assert.equal(body.title, 'Written meanwhile');
+        assert.ok(!(await listTitles()).includes('First of two'));
+    });
+
+    it('turns down files it cannot read', async () => {
+        const unknown = await importFile('title,content\nA,B', { name: 'posts.csv' });
+        assert.equal(unknown.status, 415);
+
+        const broken = await importFile('{ "posts": [', { name: 'posts.json' });
+        assert.equal(broken.status, 400);
+        assert.match(broken.body.error, /not valid JSON/);
+
+        const feed = await importFile('<rss version="2.0"></rss>', { name: 'feed.xml' });
+        assert.equal(feed.status, 400);
+        assert.match(feed.body.error, /not a WordPress export/);
+
+        const zip = await importFile(Buffer.from('PK\u0003\u0004garbage'), { name: 'posts.zip' });
+        assert.equal(zip.status, 400);
+    });
+});
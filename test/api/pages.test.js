@@ -0,0 +1,166 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { startTestServer, silenceLogs } = require('../helpers/server');
+
+describe('Server-rendered pages, /sitemap.xml and /robots.txt', () => {
+    let restoreLogs;
+    let api;
+    let bob;
+    let origin;
+
+    before(() => {
+        restoreLogs = silenceLogs();
+    });
+
+    after(() => {
+        restoreLogs();
+    });
+
+    beforeEach(async () => {
+        api = await startTestServer();
+        await api.register('alice');
+        bob = await api.register('bobby');
+        origin = new URL(api.baseUrl).origin;
+    });
+
+    afterEach(async () => {
+        await api.close();
+    });
+
+    // The pages live at the site root, not under /api
+    async function getPage(path) {
+        const response = await fetch(`${origin}${path}`);
+        return { status: response.status, headers: response.headers, body: await response.text() };
+    }
+
+    function initialState(body) {
+        const [, json] = /<script id="initial-state" type="application\/json">([^<]*)<\/script>/.exec(body);
+        return JSON.parse(json);
+    }
+
+    it('renders the post list with its tags and the posts as initial state', async () => {
+        await api.createPost(bob.token, { title: 'Fish & <Chips>', tags: ['food'] });
+        await api.createPost(bob.token, { title: 'Unfinished', status: 'draft' });
+
+        const { status, headers, body } = await getPage('/');
+
+        assert.equal(status, 200);
+        assert.equal(headers.get('Content-Type'), 'text/html; charset=utf-8');
+        assert.equal(headers.get('Cache-Control'), 'no-cache');
+        assert.ok(body.includes('<title>Blog MVC - RESTful API Demo</title>'));
+        assert.ok(body.includes(`<link rel="canonical" href="${origin}/">`));
+        assert.ok(body.includes('<meta property="og:type" content="website">'));
+        assert.ok(body.includes('<a href="posts/1" class="post-link">Welcome to My Blog</a>'));
+        assert.ok(body.includes('Fish &amp; &lt;Chips&gt;'));
+        assert.ok(body.includes('data-action="filter-tag" data-tag="food"'));
+        assert.ok(!body.includes('Unfinished'));
+        assert.ok(body.includes('<link rel="stylesheet" href="css/style.css">'));
+
+        const state = initialState(body);
+        assert.equal(state.route, 'list');
+        assert.deepEqual(state.posts.map(post => post.title), ['Fish & <Chips>', 'Welcome to My Blog']);
+        assert.equal(state.pagination.total, 2);
+        assert.ok(body.indexOf('id="initial-state"') < body.indexOf('<script src="js/markdown.js">'));
+    });
+
+    it('renders a post with its description, Open Graph tags and cover image', async () => {
+        const post = await api.createPost(bob.token, {
+            title: 'Holiday',
+            content: `A **week** by the sea & the </script> tag. ${'More words here. '.repeat(20)}`,
+            tags: ['travel']
+        });
+        const photo = await sharp({ create: { width: 1600, height: 900, channels: 3, background: '#3366cc' } }).jpeg().toBuffer();
+        const form = new FormData();
+        form.append('file', new Blob([photo], { type: 'image/jpeg' }), 'sea.jpg');
+        const { body: image } = await api.request('POST', `/posts/${post.id}/attachments`, { token: bob.token, body: form });
+
+        const { status, body } = await getPage(`/posts/${post.id}`);
+
+        assert.equal(status, 200);
+        assert.ok(body.includes('<title>Holiday - Blog MVC</title>'));
+        assert.ok(body.includes(`<link rel="canonical" href="${origin}/posts/${post.id}">`));
+        assert.ok(body.includes('<meta property="og:type" content="article">'));
+        assert.ok(body.includes(`<meta property="og:url" content="${origin}/posts/${post.id}">`));
+        assert.ok(body.includes(`<meta property="og:image" content="${origin}${image.url}">`));
+        assert.ok(body.includes('<meta property="og:image:width" content="1600">'));
+        assert.ok(body.includes('<meta name="twitter:card" content="summary_large_image">'));
+        assert.ok(body.includes('<meta property="article:author" content="bobby">'));
+        assert.ok(body.includes('<meta property="article:tag" content="travel">'));
+
+        const [, description] = /<meta name="description" content="([^"]*)">/.exec(body);
+        assert.match(description, /^A week by the sea &amp; the &lt;\/script&gt; tag\. More words/);
+        assert.ok(description.endsWith('…'));
+        assert.ok(description.length <= 200);
+
+        // One level down, so the template's relative URLs go up one
+        assert.ok(body.includes('<link rel="stylesheet" href="../css/style.css">'));
+        assert.ok(body.includes('<script src="../js/app.js"></script>'));
+        assert.ok(body.includes('<a href="../" class="back-link">'));
+        assert.ok(body.includes(`src="${origin}${image.thumbnailUrl}"`));
+
+        const state = initialState(body);
+        assert.equal(state.route, 'post');
+        assert.equal(state.post.title, 'Holiday');
+        assert.ok(state.post.content.includes('</script>'));
+        assert.equal(state.post.capabilities.canEdit, false);
+    });
+
+    it('answers 404 with a page kept out of search results for drafts and missing posts', async () => {
+        const draft = await api.createPost(bob.token, { title: 'Unfinished', status: 'draft' });
+
+        for (const path of [`/posts/${draft.id}`, '/posts/999', '/posts/abc']) {
+            const { status, body } = await getPage(path);
+
+            assert.equal(status, 404, path);
+            assert.ok(body.includes('<meta name="robots" content="noindex">'), path);
+            assert.ok(body.includes('<h3>Post not found</h3>'), path);
+            assert.ok(!body.includes('Unfinished'), path);
+            assert.ok(!body.includes('rel="canonical"'), path);
+        }
+        assert.equal(initialState((await getPage('/posts/999')).body).post, null);
+
+        // Relative URLs would be off from a trailing slash
+        assert.equal((await getPage('/posts/1/')).status, 404);
+    });
+
+    it('lists published posts in the sitemap', async () => {
+        const post = await api.createPost(bob.token, { title: 'Fresh' });
+        await api.createPost(bob.token, { title: 'Unfinished', status: 'draft' });
+        const trashed = await api.createPost(bob.token, { title: 'Gone' });
+        await api.request('DELETE', `/posts/${trashed.id}`, { token: bob.token, headers: { 'If-Match': '*' } });
+
+        const { status, headers, body } = await getPage('/sitemap.xml');
+
+        assert.equal(status, 200);
+        assert.equal(headers.get('Content-Type'), 'application/xml; charset=utf-8');
+        assert.match(body, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<urlset xmlns="http:\/\/www.sitemaps.org\/schemas\/sitemap\/0.9">/);
+        const locations = [...body.matchAll(/<loc>([^<]*)<\/loc>/g)].map(match => match[1]);
+        assert.deepEqual(locations, [`${origin}/`, `${origin}/posts/${post.id}`, `${origin}/posts/1`]);
+        assert.equal((body.match(/<lastmod>\d{4}-\d\d-\d\dT[\d:.]+Z<\/lastmod>/g) || []).length, 3);
+    });
+
+    it('points crawlers to the sitemap and away from the API', async () => {
+        const { status, headers, body } = await getPage('/robots.txt');
+
+        assert.equal(status, 200);
+        assert.equal(headers.get('Content-Type'), 'text/plain; charset=utf-8');
+        assert.equal(body, `User-agent: *\nAllow: /api/files/\nDisallow: /api/\n\nSitemap: ${origin}/sitemap.xml\n`);
+    });
+
+    it('links to the public URL when one is set', async () => {
+        const hosted = await startTestServer({ publicUrl: 'https://example.com/blog' });
+        try {
+            const hostedOrigin = new URL(hosted.baseUrl).origin;
+            const page = await (await fetch(`${hostedOrigin}/posts/1`)).text();
+            const sitemap = await (await fetch(`${hostedOrigin}/sitemap.xml`)).text();
+            const robots = await (await fetch(`${hostedOrigin}/robots.txt`)).text();
+
+            assert.ok(page.includes('<link rel="canonical" href="https://example.com/blog/posts/1">'));
+            assert.ok(sitemap.includes('<loc>https://example.com/blog/posts/1</loc>'));
+            assert.ok(robots.includes('Sitemap: https://example.com/blog/sitemap.xml'));
+        } finally {
+            await hosted.close();
+        }
+    });
+});
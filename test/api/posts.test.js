@@ -0,0 +1,421 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, silenceLogs } = require('../helpers/server');
+
+const FUTURE = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+describe('/api/posts', () => {
+    let restoreLogs;
+    let api;
+    let alice;
+    let bob;
+
+    before(() => {
+        restoreLogs = silenceLogs();
+    });
+
+    after(() => {
+        restoreLogs();
+    });
+
+    beforeEach(async () => {
+        api = await startTestServer();
+        alice = await api.register('alice'); // admin, as the first user
+        bob = await api.register('bobby');
+    });
+
+    afterEach(async () => {
+        await api.close();
+    });
+
+    describe('GET /api/posts', () => {
+        it('lists published posts newest first with pagination', async () => {
+            await api.createPost(alice.token, { title: 'First post' });
+            await api.createPost(bob.token, { title: 'Second post' });
+
+            const { status, body } = await api.request('GET', '/posts');
+
+            assert.equal(status, 200);
+            assert.deepEqual(body.posts.map(post => post.title), ['Second post', 'First post', 'Welcome to My Blog']);
+            assert.deepEqual(body.pagination, { total: 3, limit: 10, offset: 0, nextOffset: null, hasMore: false });
+        });
+
+        it('pages with limit and offset', async () => {
+            await api.createPost(alice.token, { title: 'First post' });
+            await api.createPost(alice.token, { title: 'Second post' });
+
+            const first = await api.request('GET', '/posts?limit=2');
+            assert.equal(first.body.posts.length, 2);
+            assert.equal(first.body.pagination.hasMore, true);
+            assert.equal(first.body.pagination.nextOffset, 2);
+
+            const second = await api.request('GET', `/posts?limit=2&offset=${first.body.pagination.nextOffset}`);
+            assert.deepEqual(second.body.posts.map(post => post.title), ['Welcome to My Blog']);
+            assert.equal(second.body.pagination.hasMore, false);
+        });
+
+        it('sorts by title and filters by author and tag', async () => {
+            await api.createPost(alice.token, { title: 'Zebra notes', tags: ['Web Dev'] });
+            await api.createPost(bob.token, { title: 'Apple notes', tags: ['cooking'] });
+
+            const sorted = await api.request('GET', '/posts?sort=title');
+            assert.deepEqual(sorted.body.posts.map(post => post.title), ['Apple notes', 'Welcome to My Blog', 'Zebra notes']);
+
+            const byAuthor = await api.request('GET', '/posts?author=BOBBY');
+            assert.deepEqual(byAuthor.body.posts.map(post => post.title), ['Apple notes']);
+
+            const byTag = await api.request('GET', '/posts?tag=web%20dev');
+            assert.deepEqual(byTag.body.posts.map(post => post.title), ['Zebra notes']);
+        });
+
+        it('shows drafts only to their author', async () => {
+            await api.createPost(bob.token, { title: 'Bob draft', status: 'draft' });
+
+            const anonymous = await api.request('GET', '/posts');
+            assert.ok(!anonymous.body.posts.some(post => post.title === 'Bob draft'));
+
+            const asAlice = await api.request('GET', '/posts', { token: alice.token });
+            assert.ok(!asAlice.body.posts.some(post => post.title === 'Bob draft'));
+
+            const mine = await api.request('GET', '/posts?mine=true&status=draft', { token: bob.token });
+            assert.deepEqual(mine.body.posts.map(post => post.title), ['Bob draft']);
+        });
+
+        it('requires a login for mine=true', async () => {
+            const { status, body } = await api.request('GET', '/posts?mine=true');
+
+            assert.equal(status, 401);
+            assert.equal(body.error, 'Authentication required');
+        });
+
+        for (const [query, error] of [
+            ['sort=bad', 'Invalid sort "bad". Use one of: created, updated, title'],
+            ['order=up', 'Invalid order. Use "asc" or "desc"'],
+            ['limit=0', 'Limit must be an integer between 1 and 50'],
+            ['limit=51', 'Limit must be an integer between 1 and 50'],
+            ['offset=-1', 'Offset must be a non-negative integer'],
+            ['status=live', 'Invalid status. Use one or more of: draft, scheduled, published'],
+            ['from=yesterday', 'Invalid "from" date'],
+            ['order=asc&order=desc', 'Query parameter "order" must be given once'],
+            ['sort=title&sort=created', 'Query parameter "sort" must be given once'],
+            ['author=alice&author=bobby', 'Query parameter "author" must be given once'],
+            ['tag=js&tag=css', 'Query parameter "tag" must be given once'],
+            ['status=draft&status=published', 'Query parameter "status" must be given once']
+        ]) {
+            it(`answers 400 for ${query}`, async () => {
+                const { status, body } = await api.request('GET', `/posts?${query}`);
+
+                assert.equal(status, 400);
+                assert.equal(body.error, error);
+            });
+        }
+
+        it('answers 500 when the database fails', async () => {
+            api.services.posts.posts.list = async () => {
+                throw new Error('SQLITE_IOERR: disk I/O error');
+            };
+
+            const { status, body } = await api.request('GET', '/posts');
+
+            assert.equal(status, 500);
+            assert.deepEqual(body, { error: 'Internal server error' });
+        });
+    });
+
+    describe('GET /api/posts/:id', () => {
+        it('returns the post with its ETag', async () => {
+            const created = await api.createPost(alice.token, { content: '**Bold** move here', tags: ['js'] });
+
+            const { status, headers, body } = await api.request('GET', `/posts/${created.id}`);
+
+            assert.equal(status, 200);
+            assert.equal(headers.get('ETag'), '"1"');
+            assert.equal(body.title, 'A test post');
+            assert.equal(body.contentHtml, '<p><strong>Bold</strong> move here</p>');
+            assert.deepEqual(body.tags, ['js']);
+            assert.deepEqual(body.capabilities, { canEdit: false, canDelete: false });
+        });
+
+        it('reports capabilities for the logged-in user', async () => {
+            const created = await api.createPost(bob.token);
+
+            const asBob = await api.request('GET', `/posts/${created.id}`, { token: bob.token });
+            assert.deepEqual(asBob.body.capabilities, { canEdit: true, canDelete: true });
+
+            const asAdmin = await api.request('GET', `/posts/${created.id}`, { token: alice.token });
+            assert.deepEqual(asAdmin.body.capabilities, { canEdit: true, canDelete: true });
+        });
+
+        it('answers 404 for a missing post', async () => {
+            const { status, body } = await api.request('GET', '/posts/999');
+
+            assert.equal(status, 404);
+            assert.equal(body.error, 'Post not found');
+        });
+
+        it("answers 404 for someone else's draft", async () => {
+            const draft = await api.createPost(bob.token, { status: 'draft' });
+
+            const { status } = await api.request('GET', `/posts/${draft.id}`, { token: alice.token });
+
+            assert.equal(status, 404);
+        });
+    });
+
+    describe('POST /api/posts', () => {
+        it('creates a post owned by the logged-in user', async () => {
+            const { status, headers, body } = await api.request('POST', '/posts', {
+                token: bob.token,
+                body: { title: '  Hello world  ', content: 'A brand new post', tags: ['Web Dev', 'web-dev'] }
+            });
+
+            assert.equal(status, 201);
+            assert.equal(headers.get('ETag'), '"1"');
+            assert.equal(body.title, 'Hello world');
+            assert.equal(body.author, 'bobby');
+            assert.equal(body.authorId, bob.user.id);
+            assert.equal(body.status, 'published');
+            assert.deepEqual(body.tags, ['web-dev']);
+        });
+
+        it('schedules a post for later', async () => {
+            const publishAt = FUTURE();
+
+            const { body } = await api.request('POST', '/posts', {
+                token: bob.token,
+                body: { title: 'Later', content: 'Comes out later', status: 'scheduled', publishAt }
+            });
+
+            assert.equal(body.status, 'scheduled');
+            assert.equal(body.publishAt, publishAt.replace(/\.\d+Z$/, '.000Z'));
+        });
+
+        it('requires a login', async () => {
+            const { status } = await api.request('POST', '/posts', {
+                body: { title: 'Hello', content: 'Anonymous post' }
+            });
+
+            assert.equal(status, 401);
+        });
+
+        it('answers 422 with an error per field', async () => {
+            const { status, body } = await api.request('POST', '/posts', {
+                token: bob.token,
+                body: { title: 'Hi', content: 'short', tags: ['ok', 'not ok!'], author: 'mallory' }
+            });
+
+            assert.equal(status, 422);
+            assert.deepEqual(body.errors, [
+                { field: 'author', message: 'Unknown field "author"' },
+                { field: 'title', message: 'Title must be at least 3 characters long' },
+                { field: 'content', message: 'Content must be at least 10 characters long' },
+                { field: 'tags', message: 'Invalid tag "not ok!". Tags are up to 30 letters, numbers or dashes' }
+            ]);
+            assert.equal(body.error, body.errors.map(error => error.message).join('. '));
+        });
+
+        it('requires a future publish time for scheduled posts', async () => {
+            const missing = await api.request('POST', '/posts', {
+                token: bob.token,
+                body: { title: 'Later', content: 'Comes out later', status: 'scheduled' }
+            });
+            assert.equal(missing.status, 422);
+            assert.deepEqual(missing.body.errors, [{ field: 'publishAt', message: 'Publish time is required' }]);
+
+            const past = await api.request('POST', '/posts', {
+                token: bob.token,
+                body: { title: 'Later', content: 'Comes out later', status: 'scheduled', publishAt: '2001-01-01' }
+            });
+            assert.deepEqual(past.body.errors, [{ field: 'publishAt', message: 'Publish time must be in the future' }]);
+        });
+
+        it('answers 400 for a body that is not JSON', async () => {
+            const { status, body } = await api.request('POST', '/posts', { token: bob.token, body: '{"title":' });
+
+            assert.equal(status, 400);
+            assert.equal(body.error, 'Request body is not valid JSON');
+        });
+    });
+
+    describe('PUT /api/posts/:id', () => {
+        const changes = { title: 'Updated title', content: 'Updated content here' };
+
+        it('updates the post and bumps its version', async () => {
+            const post = await api.createPost(bob.token, { tags: ['js'] });
+
+            const { status, headers, body } = await api.request('PUT', `/posts/${post.id}`, {
+                token: bob.token,
+                headers: { 'If-Match': '"1"' },
+                body: changes
+            });
+
+            assert.equal(status, 200);
+            assert.equal(headers.get('ETag'), '"2"');
+            assert.equal(body.title, 'Updated title');
+            assert.equal(body.version, 2);
+            // Tags are left alone when the body doesn't mention them
+            assert.deepEqual(body.tags, ['js']);
+        });
+
+        it('lets an admin edit any post', async () => {
+            const post = await api.createPost(bob.token);
+
+            const { status } = await api.request('PUT', `/posts/${post.id}`, {
+                token: alice.token,
+                headers: { 'If-Match': '*' },
+                body: changes
+            });
+
+            assert.equal(status, 200);
+        });
+
+        it('requires If-Match', async () => {
+            const post = await api.createPost(bob.token);
+
+            const { status, body } = await api.request('PUT', `/posts/${post.id}`, { token: bob.token, body: changes });
+
+            assert.equal(status, 428);
+            assert.equal(body.error, "If-Match header with the post's ETag is required");
+        });
+
+        it('answers 412 with the current post when the version is stale', async () => {
+            const post = await api.createPost(bob.token);
+            await api.request('PUT', `/posts/${post.id}`, {
+                token: bob.token,
+                headers: { 'If-Match': '"1"' },
+                body: { title: 'Saved elsewhere', content: 'Changed by another tab' }
+            });
+
+            const { status, headers, body } = await api.request('PUT', `/posts/${post.id}`, {
+                token: bob.token,
+                headers: { 'If-Match': '"1"' },
+                body: changes
+            });
+
+            assert.equal(status, 412);
+            assert.equal(headers.get('ETag'), '"2"');
+            assert.equal(body.current.title, 'Saved elsewhere');
+        });
+
+        it("answers 403 for someone else's post", async () => {
+            const post = await api.createPost(alice.token);
+
+            const { status, body } = await api.request('PUT', `/posts/${post.id}`, {
+                token: bob.token,
+                headers: { 'If-Match': '*' },
+                body: changes
+            });
+
+            assert.equal(status, 403);
+            assert.equal(body.error, 'You do not have permission to edit this post');
+        });
+
+        it('answers 404 for a missing post', async () => {
+            const { status } = await api.request('PUT', '/posts/999', {
+                token: bob.token,
+                headers: { 'If-Match': '*' },
+                body: changes
+            });
+
+            assert.equal(status, 404);
+        });
+
+        it('answers 422 for invalid fields', async () => {
+            const post = await api.createPost(bob.token);
+
+            const { status, body } = await api.request('PUT', `/posts/${post.id}`, {
+                token: bob.token,
+                headers: { 'If-Match': '"1"' },
+                body: { title: 'Updated title' }
+            });
+
+            assert.equal(status, 422);
+            assert.deepEqual(body.errors, [{ field: 'content', message: 'Content is required' }]);
+        });
+
+        it('keeps the publish time of a scheduled post', async () => {
+            const post = await api.createPost(bob.token, { status: 'scheduled', publishAt: FUTURE() });
+
+            const { body } = await api.request('PUT', `/posts/${post.id}`, {
+                token: bob.token,
+                headers: { 'If-Match': '"1"' },
+                body: { ...changes, status: 'scheduled' }
+            });
+
+            assert.equal(body.status, 'scheduled');
+            assert.equal(body.publishAt, post.publishAt);
+        });
+    });
+
+    describe('DELETE /api/posts/:id', () => {
+        it('moves the post to the trash', async () => {
+            const post = await api.createPost(bob.token);
+
+            const { status, body } = await api.request('DELETE', `/posts/${post.id}`, {
+                token: bob.token,
+                headers: { 'If-Match': '"1"' }
+            });
+
+            assert.equal(status, 200);
+            assert.deepEqual(body, { message: 'Post moved to the trash', id: post.id, retentionDays: 30 });
+            assert.equal((await api.request('GET', `/posts/${post.id}`)).status, 404);
+
+            const trash = await api.request('GET', '/trash', { token: bob.token });
+            assert.deepEqual(trash.body.posts.map(trashed => trashed.id), [post.id]);
+        });
+
+        it('can be undone from the trash', async () => {
+            const post = await api.createPost(bob.token);
+            await api.request('DELETE', `/posts/${post.id}`, { token: bob.token, headers: { 'If-Match': '*' } });
+
+            const { status, body } = await api.request('POST', `/trash/${post.id}/restore`, { token: bob.token });
+
+            assert.equal(status, 200);
+            assert.equal(body.id, post.id);
+            assert.equal((await api.request('GET', `/posts/${post.id}`)).status, 200);
+        });
+
+        it('requires If-Match', async () => {
+            const post = await api.createPost(bob.token);
+
+            const { status } = await api.request('DELETE', `/posts/${post.id}`, { token: bob.token });
+
+            assert.equal(status, 428);
+        });
+
+        it('answers 412 when the version is stale', async () => {
+            const post = await api.createPost(bob.token);
+
+            const { status } = await api.request('DELETE', `/posts/${post.id}`, {
+                token: bob.token,
+                headers: { 'If-Match': '"7"' }
+            });
+
+            assert.equal(status, 412);
+        });
+
+        it("answers 403 for someone else's post", async () => {
+            const post = await api.createPost(alice.token);
+
+            const { status, body } = await api.request('DELETE', `/posts/${post.id}`, {
+                token: bob.token,
+                headers: { 'If-Match': '*' }
+            });
+
+            assert.equal(status, 403);
+            assert.equal(body.error, 'You do not have permission to delete this post');
+        });
+
+        it('answers 404 for a post already in the trash', async () => {
+            const post = await api.createPost(bob.token);
+            await api.request('DELETE', `/posts/${post.id}`, { token: bob.token, headers: { 'If-Match': '*' } });
+
+            const { status } = await api.request('DELETE', `/posts/${post.id}`, {
+                token: bob.token,
+                headers: { 'If-Match': '*' }
+            });
+
+            assert.equal(status, 404);
+        });
+    });
+});
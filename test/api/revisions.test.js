@@ -0,0 +1,124 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, silenceLogs } = require('../helpers/server');
+
+describe('/api/posts/:id/revisions', () => {
+    let restoreLogs;
+    let api;
+    let alice;
+    let bob;
+    let post;
+
+    before(() => {
+        restoreLogs = silenceLogs();
+    });
+
+    after(() => {
+        restoreLogs();
+    });
+
+    beforeEach(async () => {
+        api = await startTestServer();
+        alice = await api.register('alice');
+        bob = await api.register('bobby');
+
+        post = await api.createPost(bob.token, { title: 'Original title', content: 'line one\nline two' });
+        await api.request('PUT', `/posts/${post.id}`, {
+            token: bob.token,
+            headers: { 'If-Match': '"1"' },
+            body: { title: 'Edited title', content: 'line one\nline 2\nline three' }
+        });
+    });
+
+    afterEach(async () => {
+        await api.close();
+    });
+
+    it('lists revisions newest first without their content', async () => {
+        const { status, body } = await api.request('GET', `/posts/${post.id}/revisions`, { token: bob.token });
+
+        assert.equal(status, 200);
+        assert.equal(body.total, 2);
+        assert.deepEqual(body.revisions.map(revision => [revision.revision, revision.title, revision.current]), [
+            [2, 'Edited title', true],
+            [1, 'Original title', false]
+        ]);
+        assert.equal(body.revisions[0].editor, 'bobby');
+        assert.ok(!('content' in body.revisions[0]));
+    });
+
+    it('skips a revision when only the tags change', async () => {
+        await api.request('PUT', `/posts/${post.id}`, {
+            token: bob.token,
+            headers: { 'If-Match': '"2"' },
+            body: { title: 'Edited title', content: 'line one\nline 2\nline three', tags: ['new'] }
+        });
+
+        const { body } = await api.request('GET', `/posts/${post.id}/revisions`, { token: bob.token });
+
+        assert.equal(body.total, 2);
+    });
+
+    it('returns a single revision with its content', async () => {
+        const { status, body } = await api.request('GET', `/posts/${post.id}/revisions/1`, { token: bob.token });
+
+        assert.equal(status, 200);
+        assert.equal(body.content, 'line one\nline two');
+        assert.equal(body.current, false);
+    });
+
+    it('diffs a revision against the one before', async () => {
+        const { status, body } = await api.request('GET', `/posts/${post.id}/revisions/2/diff`, { token: bob.token });
+
+        assert.equal(status, 200);
+        assert.equal(body.from, 1);
+        assert.equal(body.to, 2);
+        assert.deepEqual(body.title, { from: 'Original title', to: 'Edited title', changed: true });
+        assert.deepEqual(body.stats, { added: 2, removed: 1 });
+    });
+
+    it('diffs the first revision against nothing', async () => {
+        const { body } = await api.request('GET', `/posts/${post.id}/revisions/1/diff`, { token: bob.token });
+
+        assert.equal(body.from, null);
+        assert.deepEqual(body.stats, { added: 2, removed: 0 });
+    });
+
+    it('answers 400 for a bad "against"', async () => {
+        const { status, body } = await api.request('GET', `/posts/${post.id}/revisions/2/diff?against=first`, { token: bob.token });
+
+        assert.equal(status, 400);
+        assert.equal(body.error, '"against" must be a revision number');
+    });
+
+    it('restores a revision as a new one', async () => {
+        const { status, headers, body } = await api.request('POST', `/posts/${post.id}/revisions/1/restore`, { token: bob.token });
+
+        assert.equal(status, 200);
+        assert.equal(headers.get('ETag'), `"${body.version}"`);
+        assert.equal(body.title, 'Original title');
+        assert.equal(body.content, 'line one\nline two');
+
+        const list = await api.request('GET', `/posts/${post.id}/revisions`, { token: bob.token });
+        assert.deepEqual(list.body.revisions.map(revision => revision.revision), [3, 2, 1]);
+    });
+
+    it('answers 404 for a missing revision', async () => {
+        const { status, body } = await api.request('GET', `/posts/${post.id}/revisions/9`, { token: bob.token });
+
+        assert.equal(status, 404);
+        assert.equal(body.error, 'Revision not found');
+    });
+
+    it('is open to admins but not to other users', async () => {
+        const asAdmin = await api.request('GET', `/posts/${post.id}/revisions`, { token: alice.token });
+        assert.equal(asAdmin.status, 200);
+
+        const carol = await api.register('carol');
+        const asCarol = await api.request('GET', `/posts/${post.id}/revisions`, { token: carol.token });
+        assert.equal(asCarol.status, 403);
+
+        const anonymous = await api.request('GET', `/posts/${post.id}/revisions`);
+        assert.equal(anonymous.status, 401);
+    });
+});
@@ -0,0 +1,48 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, silenceLogs } = require('../helpers/server');
+
+describe('GET /api/search', () => {
+    let restoreLogs;
+    let api;
+    let bob;
+
+    before(() => {
+        restoreLogs = silenceLogs();
+    });
+
+    after(() => {
+        restoreLogs();
+    });
+
+    beforeEach(async () => {
+        api = await startTestServer();
+        await api.register('alice');
+        bob = await api.register('bobby');
+    });
+
+    afterEach(async () => {
+        await api.close();
+    });
+
+    it('finds posts by word prefixes and highlights the matches', async () => {
+        await api.createPost(bob.token, { title: 'Testing with node', content: 'The built-in test runner is enough' });
+        await api.createPost(bob.token, { title: 'Unrelated', content: 'Nothing to see here at all' });
+
+        const { status, body } = await api.request('GET', '/search?q=test%20"runner"');
+
+        assert.equal(status, 200);
+        assert.equal(body.query, 'test "runner"');
+        assert.deepEqual(body.results.map(result => result.title), ['Testing with node']);
+        assert.match(body.results[0].highlights.content, /<mark>runner<\/mark>/);
+    });
+
+    it('needs something to search for', async () => {
+        for (const q of ['', '%20%20', '%22', '%22%20%22%22']) {
+            const { status, body } = await api.request('GET', `/search?q=${q}`);
+
+            assert.equal(status, 400, q);
+            assert.match(body.error, /^Search query/, q);
+        }
+    });
+});
@@ -0,0 +1,175 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, silenceLogs } = require('../helpers/server');
+
+describe('Security headers, limits, origins and CSRF', () => {
+    let restoreLogs;
+    let api;
+
+    before(() => {
+        restoreLogs = silenceLogs();
+    });
+
+    after(() => {
+        restoreLogs();
+    });
+
+    afterEach(async () => {
+        await api.close();
+    });
+
+    const post = { title: 'A test post', content: 'Some content for the test post' };
+
+    it('sends a strict policy with pages and a stricter one with the API', async () => {
+        api = await startTestServer();
+        const origin = new URL(api.baseUrl).origin;
+
+        const page = await fetch(`${origin}/`);
+        const policy = page.headers.get('Content-Security-Policy');
+        assert.match(policy, /default-src 'self'/);
+        assert.match(policy, /script-src 'self'(;|$)/);
+        assert.match(policy, /frame-ancestors 'none'/);
+        assert.equal(page.headers.get('X-Content-Type-Options'), 'nosniff');
+        assert.equal(page.headers.get('X-Frame-Options'), 'DENY');
+        assert.equal(page.headers.get('Referrer-Policy'), 'strict-origin-when-cross-origin');
+        assert.equal(page.headers.get('X-Powered-By'), null);
+        // Plain HTTP: browsers would ignore it
+        assert.equal(page.headers.get('Strict-Transport-Security'), null);
+
+        const { headers } = await api.request('GET', '/posts');
+        assert.equal(headers.get('Content-Security-Policy'), "default-src 'none'; frame-ancestors 'none'");
+        assert.equal(headers.get('X-Content-Type-Options'), 'nosniff');
+    });
+
+    it('turns down JSON bodies over the size limit', async () => {
+        api = await startTestServer({ maxJsonSize: 1024 });
+        const { token } = await api.register('alice');
+
+        const { status, body } = await api.request('POST', '/posts', {
+            token,
+            body: { ...post, content: 'x'.repeat(2000) }
+        });
+
+        assert.equal(status, 413);
+        assert.deepEqual(body, { error: 'Request body is larger than the 1 KB limit' });
+    });
+
+    it('limits writes per user, with Retry-After and RateLimit headers', async () => {
+        api = await startTestServer({ rateLimit: { windowMs: 60 * 1000, perIp: 100, perUser: 2 } });
+        const alice = await api.register('alice');
+        const bob = await api.register('bobby');
+
+        const first = await api.request('POST', '/posts', { token: alice.token, body: post });
+        assert.equal(first.status, 201);
+        assert.equal(first.headers.get('RateLimit-Limit'), '2');
+        assert.equal(first.headers.get('RateLimit-Remaining'), '1');
+
+        await api.request('POST', '/posts', { token: alice.token, body: post });
+        const { status, headers, body } = await api.request('POST', '/posts', { token: alice.token, body: post });
+
+        assert.equal(status, 429);
+        const retryAfter = Number(headers.get('Retry-After'));
+        assert.ok(retryAfter > 0 && retryAfter <= 60);
+        assert.equal(body.retryAfter, retryAfter);
+        assert.equal(body.error, `Too many requests. Try again in ${retryAfter} seconds.`);
+        assert.equal(headers.get('RateLimit-Remaining'), '0');
+
+        // Reading isn't limited, and other users have their own count
+        assert.equal((await api.request('GET', '/posts', { token: alice.token })).status, 200);
+        assert.equal((await api.request('POST', '/posts', { token: bob.token, body: post })).status, 201);
+    });
+
+    it('limits writes per IP address, logins included', async () => {
+        api = await startTestServer({ rateLimit: { windowMs: 60 * 1000, perIp: 3, perUser: 100 } });
+        await api.register('alice');
+
+        const attempts = [];
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const { status } = await api.request('POST', '/auth/login', { body: { username: 'alice', password: 'wrong-password' } });
+            attempts.push(status);
+        }
+
+        assert.deepEqual(attempts, [401, 401, 429]);
+    });
+
+    it('only lets listed origins and the blog itself call the API', async () => {
+        api = await startTestServer({ corsOrigins: ['https://blog.example.com'] });
+        const { token } = await api.register('alice');
+        const origin = new URL(api.baseUrl).origin;
+
+        const denied = await api.request('POST', '/posts', { token, body: post, headers: { Origin: 'https://evil.example.com' } });
+        assert.equal(denied.status, 403);
+        assert.deepEqual(denied.body, { error: 'Requests from https://evil.example.com are not allowed' });
+        assert.equal(denied.headers.get('Access-Control-Allow-Origin'), null);
+
+        const listed = await api.request('POST', '/posts', { token, body: post, headers: { Origin: 'https://blog.example.com' } });
+        assert.equal(listed.status, 201);
+        assert.equal(listed.headers.get('Access-Control-Allow-Origin'), 'https://blog.example.com');
+
+        const own = await api.request('POST', '/posts', { token, body: post, headers: { Origin: origin } });
+        assert.equal(own.status, 201);
+    });
+
+    describe('Cookie sessions', () => {
+        // The session cookie a response set, as the browser would send it back
+        function sessionCookie(headers) {
+            const [cookie] = headers.getSetCookie();
+            return cookie.split(';')[0];
+        }
+
+        it('keep the token in an HttpOnly cookie and hand out a CSRF token', async () => {
+            api = await startTestServer();
+            await api.register('alice');
+
+            const { status, headers, body } = await api.request('POST', '/auth/login', {
+                body: { username: 'alice', password: 'password123', cookie: true }
+            });
+
+            assert.equal(status, 200);
+            assert.equal(body.token, undefined);
+            assert.equal(body.user.username, 'alice');
+            assert.match(body.csrfToken, /^[\w-]{43}$/);
+            const [setCookie] = headers.getSetCookie();
+            assert.match(setCookie, /^blogMVC_session=[\w-]+; Max-Age=604800; Path=\/api; Expires=.+; HttpOnly; SameSite=Strict$/);
+
+            // The page can ask again after a reload
+            const me = await api.request('GET', '/auth/me', { headers: { Cookie: sessionCookie(headers) } });
+            assert.equal(me.body.user.username, 'alice');
+            assert.equal(me.body.csrfToken, body.csrfToken);
+        });
+
+        it('need the CSRF token for writes', async () => {
+            api = await startTestServer();
+            const { status, headers, body } = await api.request('POST', '/auth/register', {
+                body: { username: 'alice', password: 'password123', cookie: true }
+            });
+            assert.equal(status, 201);
+            const Cookie = sessionCookie(headers);
+
+            const missing = await api.request('POST', '/posts', { body: post, headers: { Cookie } });
+            assert.equal(missing.status, 403);
+            assert.deepEqual(missing.body, { error: 'Missing or invalid CSRF token' });
+
+            const wrong = await api.request('POST', '/posts', { body: post, headers: { Cookie, 'X-CSRF-Token': 'a'.repeat(43) } });
+            assert.equal(wrong.status, 403);
+
+            const created = await api.request('POST', '/posts', { body: post, headers: { Cookie, 'X-CSRF-Token': body.csrfToken } });
+            assert.equal(created.status, 201);
+            assert.equal(created.body.author, 'alice');
+
+            const loggedOut = await api.request('POST', '/auth/logout', { headers: { Cookie, 'X-CSRF-Token': body.csrfToken } });
+            assert.equal(loggedOut.status, 200);
+            assert.match(loggedOut.headers.getSetCookie()[0], /^blogMVC_session=; Path=\/api; Expires=Thu, 01 Jan 1970/);
+            assert.equal((await api.request('GET', '/auth/me', { headers: { Cookie } })).status, 401);
+        });
+
+        it('leave bearer tokens alone', async () => {
+            api = await startTestServer();
+            const { token } = await api.register('alice');
+
+            const { status } = await api.request('POST', '/posts', { token, body: post });
+
+            assert.equal(status, 201);
+        });
+    });
+});
@@ -0,0 +1,183 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser, makePage, plain, flush } = require('./helpers/dom');
+
+const ADMIN = { id: 1, username: 'alice', role: 'admin' };
+const AUTHOR = { id: 2, username: 'bobby', role: 'author' };
+
+function makeReport(overrides = {}) {
+    return {
+        format: 'json',
+        dryRun: true,
+        summary: { total: 3, imported: 1, duplicates: 1, invalid: 1, ignored: 0 },
+        posts: [
+            { source: 'posts[0]', title: 'New one', outcome: 'import', errors: [], warnings: ['Tag "a b" was left out'], author: 'bobby', status: 'published' },
+            { source: 'posts[1]', title: 'Old one', outcome: 'duplicate', errors: [], warnings: [], author: 'bobby', status: 'draft', duplicateOf: { id: 4 } },
+            { source: 'posts[2]', title: 'No', outcome: 'invalid', errors: ['Title must be at least 3 characters long'], warnings: [] }
+        ],
+        ...overrides
+    };
+}
+
+describe('Admin import and export', () => {
+    let browser;
+
+    // The blog and its admin MVC on a page at #/admin, with a mocked API
+    async function startApp({ user = ADMIN, routes = {} } = {}) {
+        browser = createBrowser({
+            token: user ? 'saved-token' : undefined,
+            routes: {
+                'GET /api/posts': { body: makePage([]) },
+                'GET /api/tags': { body: { tags: [] } },
+                ...(user && { 'GET /api/auth/me': { body: { user } } }),
+                ...routes
+            }
+        });
+        browser.window.location.hash = '#/admin';
+
+        const model = new browser.BlogModel();
+        const view = new browser.BlogView();
+        const controller = new browser.BlogController(model, view);
+        const adminModel = new browser.AdminModel(model);
+        const adminController = new browser.AdminController(adminModel, new browser.AdminView(), view);
+
+        adminController.initialize();
+        await controller.initialize();
+        await flush();
+
+        return { model, controller, document: browser.document, fetchCalls: browser.fetchCalls };
+    }
+
+    afterEach(async () => {
+        await flush();
+        browser.close();
+    });
+
+    async function settle() {
+        for (let round = 0; round < 10; round++) {
+            await flush();
+        }
+    }
+
+    function chooseFile(document, name, content = '{"posts": []}') {
+        const input = document.getElementById('import-file');
+        const file = new browser.window.File([content], name, { type: 'application/json' });
+        Object.defineProperty(input, 'files', { value: [file], configurable: true });
+        input.dispatchEvent(new browser.window.Event('change', { bubbles: true }));
+        return file;
+    }
+
+    const click = (document, action) => document.querySelector(`[data-action="${action}"]`).click();
+
+    it('is only offered to admins', async () => {
+        const { document } = await startApp({ user: AUTHOR });
+
+        assert.equal(document.querySelector('#auth-container a[href="#/admin"]'), null);
+        assert.equal(document.getElementById('admin-panel'), null);
+        assert.equal(document.querySelector('#posts-container h3').textContent, 'Admins only');
+    });
+
+    it('asks visitors to log in', async () => {
+        const { document } = await startApp({ user: null });
+
+        assert.equal(document.querySelector('#posts-container .login-prompt h3').textContent, 'Log in required');
+    });
+
+    it('downloads an export in the chosen format', async () => {
+        const { document, fetchCalls } = await startApp({
+            routes: {
+                'GET /api/export': {
+                    body: { version: 1, posts: [] },
+                    headers: { 'Content-Disposition': 'attachment; filename="blog-export-2026-01-06.json"' }
+                }
+            }
+        });
+        const downloads = [];
+        browser.window.URL.createObjectURL = () => 'blob:export';
+        browser.window.URL.revokeObjectURL = () => {};
+        browser.window.HTMLAnchorElement.prototype.click = function () {
+            downloads.push({ href: this.href, download: this.download });
+        };
+
+        assert.ok(document.querySelector('#auth-container a[href="#/admin"]'));
+        document.getElementById('export-format').value = 'markdown';
+        click(document, 'export');
+        await settle();
+
+        const call = fetchCalls.find(request => request.path === '/api/export');
+        assert.equal(call.query.get('format'), 'markdown');
+        assert.equal(call.headers.Authorization, 'Bearer saved-token');
+        assert.deepEqual(downloads, [{ href: 'blob:export', download: 'blog-export-2026-01-06.json' }]);
+        assert.equal(document.querySelector('#admin-panel .admin-status').style.display, 'none');
+    });
+
+    it('previews an import, then imports the file and links the new posts', async () => {
+        const { document, fetchCalls } = await startApp({
+            routes: {
+                'POST /api/import': call => ({
+                    body: call.query.get('dryRun') === 'true'
+                        ? makeReport()
+                        : makeReport({ dryRun: false, posts: makeReport().posts.map((entry, index) => (index === 0 ? { ...entry, id: 9 } : entry)) })
+                })
+            }
+        });
+
+        assert.equal(document.querySelector('[data-action="preview"]').disabled, true);
+        chooseFile(document, 'posts.json');
+        assert.equal(document.querySelector('[data-action="preview"]').disabled, false);
+
+        click(document, 'preview');
+        await settle();
+
+        const imports = fetchCalls.filter(call => call.path === '/api/import');
+        assert.equal(imports[0].query.get('dryRun'), 'true');
+        assert.equal(imports[0].body.get('file').name, 'posts.json');
+        assert.equal(document.querySelector('.import-report-title').textContent, 'Preview: 1 of 3 posts would be imported');
+        const rows = [...document.querySelectorAll('.import-row')];
+        assert.deepEqual(plain(rows.map(row => row.className)), [
+            'import-row import-import', 'import-row import-duplicate', 'import-row import-invalid'
+        ]);
+        assert.equal(rows[1].querySelector('.import-details a').getAttribute('href'), '#/posts/4');
+        assert.equal(rows[2].querySelector('.import-error').textContent, 'Title must be at least 3 characters long');
+        assert.equal(rows[0].querySelector('td a'), null);
+
+        click(document, 'import');
+        await settle();
+
+        assert.equal(fetchCalls.filter(call => call.path === '/api/import')[1].query.has('dryRun'), false);
+        assert.equal(document.querySelector('.import-report-title').textContent, 'Imported 1 of 3 posts');
+        assert.equal(document.querySelector('.import-row td a').getAttribute('href'), '#/posts/9');
+        assert.equal(document.querySelector('.success-message .success-text').textContent, 'Imported 1 post!');
+    });
+
+    it('keeps the report when the import makes open pages reload', async () => {
+        const { model, document, fetchCalls } = await startApp({
+            routes: { 'POST /api/import': { body: makeReport({ dryRun: false }) } }
+        });
+        chooseFile(document, 'posts.json');
+        click(document, 'import');
+        await settle();
+        const requests = fetchCalls.length;
+
+        model.notifyObservers('onPostsStale');
+        await settle();
+
+        assert.equal(fetchCalls.length, requests);
+        assert.ok(document.querySelector('.import-report-title'));
+    });
+
+    it('shows why a file was turned down', async () => {
+        const { document } = await startApp({
+            routes: { 'POST /api/import': { status: 415, body: { error: 'Import a JSON export, a zip of Markdown files or a WordPress export (WXR)' } } }
+        });
+        chooseFile(document, 'posts.csv', 'a,b');
+
+        click(document, 'preview');
+        await settle();
+
+        const error = document.querySelector('#admin-panel .admin-error');
+        assert.equal(error.style.display, 'block');
+        assert.equal(error.textContent, 'Failed to check posts.csv. Import a JSON export, a zip of Markdown files or a WordPress export (WXR)');
+        assert.equal(document.querySelector('[data-action="import"]').disabled, false);
+    });
+});
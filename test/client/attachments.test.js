@@ -0,0 +1,173 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser, makePost, makePage, flush } = require('./helpers/dom');
+
+const USER = { id: 2, username: 'bobby', role: 'author' };
+
+describe('Attachments', () => {
+    let browser;
+
+    // The blog and its attachment MVC on a page, logged in, with a mocked API
+    async function startApp({ hash = '', routes = {} } = {}) {
+        browser = createBrowser({
+            token: 'saved-token',
+            routes: {
+                'GET /api/posts': { body: makePage([makePost({ id: 2, title: 'Second' }), makePost({ id: 1, title: 'First' })]) },
+                'GET /api/tags': { body: { tags: [] } },
+                'GET /api/auth/me': { body: { user: USER } },
+                ...routes
+            }
+        });
+        if (hash) {
+            browser.window.location.hash = hash;
+        }
+
+        const model = new browser.BlogModel();
+        const view = new browser.BlogView();
+        const controller = new browser.BlogController(model, view);
+        const attachmentModel = new browser.AttachmentModel(model);
+        const attachmentController = new browser.AttachmentController(attachmentModel, {
+            form: new browser.AttachmentView(),
+            edit: new browser.AttachmentView(),
+            post: new browser.AttachmentView({ editable: false })
+        }, view);
+
+        attachmentController.initialize();
+        await controller.initialize();
+        await flush();
+
+        return { model, view, controller, document: browser.document, fetchCalls: browser.fetchCalls };
+    }
+
+    afterEach(async () => {
+        await flush();
+        browser.close();
+    });
+
+    const uploadsTo = (fetchCalls, postId) =>
+        fetchCalls.filter(call => call.method === 'POST' && call.path === `/api/posts/${postId}/attachments`);
+
+    // Uploads, cover refreshes and re-renders take a few rounds
+    async function settle() {
+        for (let round = 0; round < 10; round++) {
+            await flush();
+        }
+    }
+
+    function makeFile(name, type = 'image/png') {
+        return new browser.window.File(['file content'], name, { type });
+    }
+
+    function drop(target, files) {
+        const event = new browser.window.Event('drop', { bubbles: true, cancelable: true });
+        Object.defineProperty(event, 'dataTransfer', { value: { files, types: ['Files'] } });
+        target.dispatchEvent(event);
+    }
+
+    function makeAttachment(id, name, overrides = {}) {
+        return {
+            id,
+            postId: 2,
+            name,
+            mimeType: 'image/png',
+            size: 12,
+            isImage: true,
+            url: `/api/files/file-${id}.png`,
+            thumbnailUrl: `/api/files/thumb-${id}.webp`,
+            ...overrides
+        };
+    }
+
+    it('uploads files dropped on the create form once the post exists', async () => {
+        let nextId = 10;
+        const { document, fetchCalls } = await startApp({
+            routes: {
+                'POST /api/posts': { status: 201, body: makePost({ id: 3, title: 'Third' }) },
+                'POST /api/posts/3/attachments': call => ({
+                    status: 201,
+                    body: makeAttachment(nextId++, call.body.get('file').name, { postId: 3 })
+                }),
+                'GET /api/posts/3': { body: makePost({ id: 3, title: 'Third' }) }
+            }
+        });
+
+        drop(document.getElementById('post-attachments'), [makeFile('one.png'), makeFile('two.png')]);
+
+        const pending = document.querySelectorAll('#post-attachments .attachment-pending .attachment-name');
+        assert.deepEqual([...pending].map(item => item.textContent), ['one.png', 'two.png']);
+        assert.equal(uploadsTo(fetchCalls, 3).length, 0);
+
+        document.getElementById('title').value = 'Third';
+        document.getElementById('content').value = 'Long enough content';
+        document.getElementById('post-form').requestSubmit();
+        await settle();
+
+        assert.deepEqual(uploadsTo(fetchCalls, 3).map(call => call.body.get('file').name), ['one.png', 'two.png']);
+        assert.equal(uploadsTo(fetchCalls, 3)[0].headers.Authorization, 'Bearer saved-token');
+        // The form starts over, without the files
+        assert.equal(document.querySelectorAll('#post-attachments .attachment-item').length, 0);
+    });
+
+    it('uploads files dropped in the edit modal right away and shows the new cover', async () => {
+        const attachment = makeAttachment(7, 'cover.png');
+        const { controller, document, fetchCalls } = await startApp({
+            routes: {
+                'GET /api/posts/2/attachments': { body: { attachments: [], total: 0 } },
+                'POST /api/posts/2/attachments': { status: 201, body: attachment },
+                'GET /api/posts/2': {
+                    body: makePost({ id: 2, title: 'Second', coverImage: { url: attachment.url, thumbnailUrl: attachment.thumbnailUrl } })
+                }
+            }
+        });
+
+        controller.handlePostEdit(2);
+        await settle();
+        drop(document.getElementById('attachment-panel'), [makeFile('cover.png')]);
+        await settle();
+
+        assert.equal(uploadsTo(fetchCalls, 2).length, 1);
+        const thumbnail = document.querySelector('#attachment-panel .attachment-thumbnail');
+        assert.equal(thumbnail.getAttribute('src'), 'http://localhost:3001/api/files/thumb-7.webp');
+
+        const cover = document.querySelector('.post-card[data-post-id="2"] .post-cover');
+        assert.equal(cover.getAttribute('src'), 'http://localhost:3001/api/files/thumb-7.webp');
+    });
+
+    it('says why the server turned a file down', async () => {
+        const { controller, document } = await startApp({
+            routes: {
+                'GET /api/posts/2/attachments': { body: { attachments: [], total: 0 } },
+                'POST /api/posts/2/attachments': { status: 415, body: { error: 'Only images, PDFs and text files can be attached' } }
+            }
+        });
+
+        controller.handlePostEdit(2);
+        await settle();
+        drop(document.getElementById('attachment-panel'), [makeFile('photo.bmp', 'image/bmp')]);
+        await settle();
+
+        assert.equal(
+            document.querySelector('#attachment-panel .attachment-error').textContent,
+            'photo.bmp: Only images, PDFs and text files can be attached'
+        );
+    });
+
+    it('lists attachments on the post page without a drop zone', async () => {
+        const pdf = makeAttachment(4, 'slides.pdf', { mimeType: 'application/pdf', isImage: false, thumbnailUrl: null });
+        const { document } = await startApp({
+            hash: '#/posts/2',
+            routes: {
+                'GET /api/posts/2': { body: makePost({ id: 2, title: 'Second' }) },
+                'GET /api/posts/2/attachments': { body: { attachments: [pdf], total: 1 } },
+                'GET /api/posts/2/comments': { body: { comments: [], total: 0 } }
+            }
+        });
+        await settle();
+
+        const link = document.querySelector('#attachments-section .attachment-name');
+        assert.equal(link.textContent, 'slides.pdf');
+        assert.equal(link.getAttribute('href'), 'http://localhost:3001/api/files/file-4.png');
+        assert.equal(document.querySelector('#attachments-section .drop-zone'), null);
+        assert.equal(document.querySelector('#attachments-section .attachment-remove'), null);
+    });
+});
@@ -0,0 +1,342 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser, makePost, makePage, flush } = require('./helpers/dom');
+
+const USER = { id: 2, username: 'bobby', role: 'author' };
+
+describe('BlogController', () => {
+    let browser;
+
+    // The whole app on a page: real model and view, mocked API
+    async function startApp({ hash = '', routes = {}, token } = {}) {
+        browser = createBrowser({
+            token,
+            routes: {
+                'GET /api/posts': { body: makePage([makePost({ id: 2, title: 'Second' }), makePost({ id: 1, title: 'First' })]) },
+                'GET /api/tags': { body: { tags: [{ name: 'js', count: 1 }] } },
+                'GET /api/auth/me': { body: { user: USER } },
+                ...routes
+            }
+        });
+        if (hash) {
+            browser.window.location.hash = hash;
+        }
+
+        const model = new browser.BlogModel();
+        const view = new browser.BlogView();
+        const controller = new browser.BlogController(model, view);
+        await controller.initialize();
+        await flush();
+
+        return { model, view, controller, document: browser.document, fetchCalls: browser.fetchCalls };
+    }
+
+    const callsTo = (fetchCalls, method, path) => fetchCalls.filter(call => call.method === method && call.path === path);
+    const errorText = document => document.querySelector('#error-container .error-text').textContent;
+    const successText = document => document.querySelector('.success-message .success-text').textContent;
+
+    afterEach(async () => {
+        // Logging in or out refreshes the page without waiting for it
+        await flush();
+        browser.close();
+    });
+
+    describe('initialize', () => {
+        it('loads the post list, the tags and the saved user', async () => {
+            const { controller, document, fetchCalls } = await startApp({ token: 'saved-token' });
+
+            assert.equal(controller.isInitialized, true);
+            assert.equal(document.querySelectorAll('.post-card').length, 2);
+            assert.equal(document.querySelector('#tag-options option').value, 'js');
+            assert.ok(document.getElementById('post-form'));
+            assert.equal(callsTo(fetchCalls, 'GET', '/api/auth/me').length, 1);
+        });
+
+        it('shows an error when the posts fail to load', async () => {
+            const { document } = await startApp({ routes: { 'GET /api/posts': { status: 500, body: {} } } });
+
+            assert.equal(errorText(document), 'Failed to load blog posts. Please try again.');
+        });
+
+        it('refuses to initialize twice', async () => {
+            const { controller, fetchCalls } = await startApp();
+            const calls = fetchCalls.length;
+
+            await controller.initialize();
+
+            assert.equal(fetchCalls.length, calls);
+        });
+    });
+
+    describe('routing', () => {
+        it('parses post, drafts and search routes', async () => {
+            const { controller } = await startApp();
+
+            assert.deepEqual({ ...controller.parseRoute('#/posts/12') }, { name: 'post', id: 12 });
+            assert.deepEqual({ ...controller.parseRoute('#/drafts') }, { name: 'drafts' });
+            assert.deepEqual({ ...controller.parseRoute('#/search?q=%20mvc%20') }, { name: 'search', query: 'mvc' });
+            assert.deepEqual({ ...controller.parseRoute('#/search?q=') }, { name: 'list' });
+            assert.deepEqual({ ...controller.parseRoute('#/nowhere') }, { name: 'list' });
+        });
+
+        it('opens a single post from its permalink', async () => {
+            const { document } = await startApp({
+                hash: '#/posts/7',
+                routes: { 'GET /api/posts/7': { body: makePost({ id: 7, title: 'Permalink' }) } }
+            });
+
+            assert.ok(document.querySelector('.post-detail'));
+            assert.equal(document.querySelector('.post-title').textContent.trim(), 'Permalink');
+        });
+
+        it('shows "Post not found" for a missing post', async () => {
+            const { document } = await startApp({ hash: '#/posts/99' });
+
+            assert.equal(document.querySelector('.no-posts h3').textContent, 'Post not found');
+        });
+
+        it('asks visitors to log in to see drafts', async () => {
+            const { document, fetchCalls } = await startApp({ hash: '#/drafts' });
+
+            assert.equal(document.querySelector('#posts-container .login-prompt h3').textContent, 'Log in required');
+            assert.ok(!fetchCalls.some(call => call.query.get('mine') === 'true'));
+        });
+
+        it('reloads when the hash changes', async () => {
+            const { document } = await startApp({
+                routes: { 'GET /api/posts/2': { body: makePost({ id: 2, title: 'Second' }) } }
+            });
+
+            browser.window.location.hash = '#/posts/2';
+            await new Promise(resolve => browser.window.addEventListener('hashchange', resolve, { once: true }));
+            await flush();
+
+            assert.ok(document.querySelector('.post-detail'));
+        });
+    });
+
+    describe('creating posts', () => {
+        it('creates the post and refreshes the list', async () => {
+            const { controller, document, fetchCalls } = await startApp({
+                token: 'saved-token',
+                routes: { 'POST /api/posts': { status: 201, body: makePost({ id: 3, title: 'Third' }) } }
+            });
+
+            await controller.handlePostCreate({ title: 'Third', content: 'Long enough content', tags: [], status: 'published' });
+            await flush();
+
+            assert.equal(callsTo(fetchCalls, 'POST', '/api/posts').length, 1);
+            assert.equal(callsTo(fetchCalls, 'GET', '/api/posts').length, 2);
+            assert.equal(successText(document), 'Post created successfully!');
+        });
+
+        it("puts the server's validation errors on the form", async () => {
+            const { controller, document } = await startApp({
+                token: 'saved-token',
+                routes: {
+                    'POST /api/posts': {
+                        status: 422,
+                        body: { error: 'Use at most 10 tags', errors: [{ field: 'tags', message: 'Use at most 10 tags' }] }
+                    }
+                }
+            });
+
+            await controller.handlePostCreate({ title: 'Third', content: 'Long enough content', status: 'published' });
+
+            assert.equal(document.getElementById('tags-error').textContent, 'Use at most 10 tags');
+            assert.equal(errorText(document), 'Failed to create post. Please fix the highlighted fields.');
+        });
+
+        it('reports other failures', async () => {
+            const { controller, document } = await startApp({
+                token: 'saved-token',
+                routes: { 'POST /api/posts': { status: 500, body: {} } }
+            });
+
+            await controller.handlePostCreate({ title: 'Third', content: 'Long enough content', status: 'published' });
+
+            assert.equal(errorText(document), 'Failed to create post. Please try again.');
+        });
+
+        it('names the status in the success message', async () => {
+            const { controller } = await startApp();
+
+            assert.equal(controller.getSavedMessage('draft', 'Saved!'), 'Draft saved!');
+            assert.equal(controller.getSavedMessage('scheduled', 'Saved!'), 'Post scheduled!');
+            assert.equal(controller.getSavedMessage('published', 'Saved!'), 'Saved!');
+        });
+    });
+
+    describe('editing posts', () => {
+        it('opens the edit modal for a known post', async () => {
+            const { controller, document } = await startApp();
+
+            controller.handlePostEdit(2);
+
+            assert.equal(document.getElementById('edit-title').value, 'Second');
+        });
+
+        it('re-renders the list after an update', async () => {
+            const { controller, document } = await startApp({
+                token: 'saved-token',
+                routes: { 'PUT /api/posts/2': { body: makePost({ id: 2, title: 'Second, edited', version: 2 }) } }
+            });
+
+            await controller.handlePostUpdate({ id: 2, title: 'Second, edited', content: 'Long enough content' });
+
+            assert.equal(document.querySelector('.post-card .post-title').textContent.trim(), 'Second, edited');
+            assert.equal(successText(document), 'Post updated successfully!');
+        });
+
+        it('opens the conflict dialog instead of an error on 412', async () => {
+            const current = makePost({ id: 2, title: 'Saved elsewhere', version: 2 });
+            const { controller, document } = await startApp({
+                token: 'saved-token',
+                routes: { 'PUT /api/posts/2': { status: 412, body: { error: 'Conflict', current } } }
+            });
+
+            await controller.handlePostUpdate({ id: 2, title: 'Mine', content: 'Long enough content' });
+
+            assert.equal(document.getElementById('conflict-modal').style.display, 'block');
+            assert.equal(document.getElementById('error-container').style.display, 'none');
+        });
+    });
+
+    describe('deleting posts', () => {
+        it('removes the post and offers Undo', async () => {
+            const { controller, document, fetchCalls } = await startApp({
+                token: 'saved-token',
+                routes: {
+                    'DELETE /api/posts/2': { body: { message: 'Post moved to the trash', id: 2 } },
+                    'POST /api/trash/2/restore': { body: makePost({ id: 2, title: 'Second' }) }
+                }
+            });
+
+            await controller.handlePostDelete(2);
+
+            assert.equal(document.querySelectorAll('.post-card').length, 1);
+            assert.equal(callsTo(fetchCalls, 'DELETE', '/api/posts/2')[0].headers['If-Match'], '"1"');
+
+            document.querySelector('.success-message .notification-action').click();
+            await flush();
+
+            assert.equal(callsTo(fetchCalls, 'POST', '/api/trash/2/restore').length, 1);
+        });
+
+        it('keeps the post when the delete fails', async () => {
+            const { controller, document } = await startApp({
+                token: 'saved-token',
+                routes: { 'DELETE /api/posts/2': { status: 403, body: { error: 'You do not have permission to delete this post' } } }
+            });
+
+            await controller.handlePostDelete(2);
+
+            assert.equal(document.querySelectorAll('.post-card').length, 2);
+            assert.equal(errorText(document), 'Failed to delete post. You do not have permission to delete this post');
+        });
+    });
+
+    describe('authentication', () => {
+        it('logs in, shows the form and reloads the page', async () => {
+            const { controller, model, document, fetchCalls } = await startApp({
+                routes: { 'POST /api/auth/login': { body: { token: 'new-token', user: USER } } }
+            });
+
+            await controller.handleLogin({ username: 'bobby', password: 'password123' });
+            await flush();
+
+            assert.equal(model.currentUser.username, 'bobby');
+            assert.ok(document.getElementById('post-form'));
+            assert.equal(successText(document), 'Welcome back, bobby!');
+            assert.equal(callsTo(fetchCalls, 'GET', '/api/posts').length, 2);
+        });
+
+        it('shows a failed login in the auth modal', async () => {
+            const { controller, view, document } = await startApp({
+                routes: { 'POST /api/auth/login': { status: 401, body: { error: 'Invalid username or password' } } }
+            });
+            view.showAuthModal('login');
+
+            await controller.handleLogin({ username: 'bobby', password: 'wrong' });
+
+            assert.match(document.getElementById('auth-modal').textContent, /Invalid username or password/);
+        });
+
+        it('logs out', async () => {
+            const { controller, model, document } = await startApp({
+                token: 'saved-token',
+                routes: { 'POST /api/auth/logout': { status: 204 } }
+            });
+
+            await controller.handleLogout();
+
+            assert.equal(model.currentUser, null);
+            assert.equal(document.getElementById('post-form'), null);
+            assert.equal(successText(document), 'You have been logged out.');
+        });
+    });
+
+    it('shows a notice while a request is being retried', async () => {
+        const { controller, model, document } = await startApp();
+
+        model.notifyObservers('onRequestRetry', { method: 'GET', url: '/api/posts', attempt: 2, maxRetries: 3, delay: 2000 });
+
+        assert.match(document.querySelector('.retry-notice').textContent, /Retrying in 2s \(attempt 2 of 3\)/);
+
+        model.notifyObservers('onRequestRetryEnd', { method: 'GET', url: '/api/posts', attempts: 3, succeeded: true });
+
+        assert.equal(document.querySelector('.retry-notice'), null);
+        assert.ok(controller.isInitialized);
+    });
+
+    it('keeps posts written offline and sends them when back online', async () => {
+        const { controller, document, fetchCalls } = await startApp({
+            token: 'saved-token',
+            routes: { 'POST /api/posts': { status: 201, body: makePost({ id: 3, title: 'On the train' }) } }
+        });
+        const setOnline = (online) => {
+            Object.defineProperty(browser.window.navigator, 'onLine', { configurable: true, get: () => online });
+        };
+
+        setOnline(false);
+        controller.handleOffline();
+        await controller.handlePostCreate({ title: 'On the train', content: 'Long enough content', tags: [], status: 'published' });
+
+        const status = document.getElementById('sync-status');
+        assert.match(status.textContent, /You are offline/);
+        assert.match(status.querySelector('.sync-status-changes').textContent, /New post “On the train”/);
+        assert.match(document.querySelector('.warning-message .warning-text').textContent, /saved on this device/);
+        assert.equal(callsTo(fetchCalls, 'POST', '/api/posts').length, 0);
+
+        setOnline(true);
+        await controller.handleOnline();
+
+        assert.equal(callsTo(fetchCalls, 'POST', '/api/posts').length, 1);
+        assert.equal(successText(document), 'Sent 1 change made offline.');
+        assert.equal(status.style.display, 'none');
+    });
+
+    it('shows posts published elsewhere as they arrive', async () => {
+        const { model, document } = await startApp({
+            routes: { 'GET /api/posts/3': { body: makePost({ id: 3, title: 'Third' }) } }
+        });
+
+        await model.applyPostEvent('post-created', { id: 3 });
+
+        assert.deepEqual([...document.querySelectorAll('.post-card .post-link')].map(link => link.textContent), [
+            'Third', 'Second', 'First'
+        ]);
+    });
+
+    it('filters by a clicked tag, keeping the other filters', async () => {
+        const { controller, fetchCalls } = await startApp();
+        await controller.handlePostsQueryChange({ sort: 'title' });
+
+        controller.handleTagSelect('js');
+        await flush();
+
+        const lastList = callsTo(fetchCalls, 'GET', '/api/posts').pop();
+        assert.equal(lastList.query.get('sort'), 'title');
+        assert.equal(lastList.query.get('tag'), 'js');
+    });
+});
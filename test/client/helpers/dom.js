@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const PUBLIC_DIR = path.join(__dirname, '..', '..', '..', 'public');
+
+// The blog's own classes, in the order index.html loads them
+const SCRIPTS = [
+    'markdown.js', 'diff.js', 'post-schema.js', 'http-client.js', 'outbox.js', 'model.js', 'view.js', 'controller.js',
+    'attachment-model.js', 'attachment-view.js', 'attachment-controller.js',
+    'admin-model.js', 'admin-view.js', 'admin-controller.js'
+];
+
+// A page without its <script> tags, apart from JSON data such as the
+// server-rendered #initial-state; the tests load the scripts they need
+function stripScripts(html) {
+    return html.replace(/<script\b(?![^>]*type="application\/json")[^>]*>[\s\S]*?<\/script>/g, '');
+}
+
+function readPage() {
+    return fs.readFileSync(path.join(PUBLIC_DIR, 'index.html'), 'utf8');
+}
+
+function jsonResponse(status, body, headers = {}) {
+    return new Response(body === undefined ? null : JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...headers }
+    });
+}
+
+// A page with the MVC classes loaded and fetch replaced by a mock.
+//
+// routes maps "METHOD /path" (no query string) to either a response
+// { status = 200, body, headers } or a function of the recorded call that
+// returns one (or a promise of one; throwing stands for a network error).
+// Anything else answers 404. Every call is kept in fetchCalls as
+// { method, url, path, query, headers, body }. Aborting the request's
+// signal rejects it like a real fetch.
+//
+// html replaces index.html, for pages the server rendered (lib/pages.js),
+// and url is where the page was loaded from.
+function createBrowser({ routes = {}, token, html = readPage(), url = 'http://localhost:3001/' } = {}) {
+    const dom = new JSDOM(stripScripts(html), {
+        url,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        // The classes log as they go; keep test output to the results
+        virtualConsole: new VirtualConsole()
+    });
+    const { window } = dom;
+    const fetchCalls = [];
+
+    if (token) {
+        window.localStorage.setItem('blogMVC_authToken', token);
+    }
+
+    window.fetch = async (url, options = {}) => {
+        const parsed = new URL(url, window.location.href);
+        const method = (options.method || 'GET').toUpperCase();
+        const call = {
+            method,
+            url: parsed.href,
+            path: parsed.pathname,
+            query: parsed.searchParams,
+            headers: options.headers || {},
+            body: typeof options.body === 'string' ? JSON.parse(options.body) : options.body
+        };
+        fetchCalls.push(call);
+
+        const route = routes[`${method} ${parsed.pathname}`];
+        if (!route) {
+            return jsonResponse(404, { error: 'Not found' });
+        }
+
+        const answer = Promise.resolve(typeof route === 'function' ? route(call) : route);
+        const aborted = new Promise((resolve, reject) => {
+            if (options.signal) {
+                options.signal.addEventListener('abort', () => {
+                    reject(new window.DOMException('The operation was aborted.', 'AbortError'));
+                });
+            }
+        });
+
+        const { status = 200, body, headers } = await Promise.race([answer, aborted]);
+        return jsonResponse(status, body, headers);
+    };
+
+    SCRIPTS.forEach((script) => {
+        window.eval(fs.readFileSync(path.join(PUBLIC_DIR, 'js', script), 'utf8'));
+    });
+
+    // Class declarations are global bindings rather than window properties
+    const classes = window.eval(`({
+        HttpClient, Outbox, BlogModel, BlogView, BlogController,
+        AttachmentModel, AttachmentView, AttachmentController,
+        AdminModel, AdminView, AdminController
+    })`);
+
+    return {
+        window,
+        document: window.document,
+        fetchCalls,
+        routes,
+        ...classes,
+        close: () => window.close()
+    };
+}
+
+// A post as the API returns it
+function makePost(overrides = {}) {
+    return {
+        id: 1,
+        title: 'Hello world',
+        content: 'Some **markdown** content',
+        contentHtml: '<p>Some <strong>markdown</strong> content</p>',
+        author: 'bobby',
+        authorId: 2,
+        tags: [],
+        status: 'published',
+        publishAt: null,
+        version: 1,
+        commentCount: 0,
+        createdAt: '2026-01-01T10:00:00.000Z',
+        updatedAt: '2026-01-01T10:00:00.000Z',
+        capabilities: { canEdit: true, canDelete: true },
+        ...overrides
+    };
+}
+
+function makePage(posts, { total = posts.length, limit = 10, offset = 0 } = {}) {
+    const hasMore = offset + posts.length < total;
+    return {
+        posts,
+        pagination: { total, limit, offset, nextOffset: hasMore ? offset + posts.length : null, hasMore }
+    };
+}
+
+// Objects made inside the page have the page's Object and Array prototypes,
+// which assert.deepStrictEqual tells apart from Node's own
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Let pending promise callbacks (fetches, observers) run
+function flush() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+// A promise and the function that resolves it, for answers that arrive later
+function deferred() {
+    let resolve;
+    const promise = new Promise((done) => {
+        resolve = done;
+    });
+    return { promise, resolve };
+}
+
+module.exports = { createBrowser, makePost, makePage, plain, flush, deferred };
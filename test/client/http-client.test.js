@@ -0,0 +1,185 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser, plain } = require('./helpers/dom');
+
+const POSTS_URL = 'http://localhost:3001/api/posts';
+
+describe('HttpClient', () => {
+    let browser;
+
+    // A client with short delays, recording its retry events
+    function createClient({ routes, ...options } = {}) {
+        browser = createBrowser({ routes });
+        const retries = [];
+        const ends = [];
+        const client = new browser.HttpClient({
+            retryDelay: 1,
+            onRetry: retry => retries.push(retry),
+            onRetryEnd: end => ends.push(end),
+            ...options
+        });
+        return { client, retries, ends, fetchCalls: browser.fetchCalls };
+    }
+
+    // Answers with each response in turn, then keeps repeating the last one
+    function sequence(...answers) {
+        let index = 0;
+        return () => {
+            const answer = answers[Math.min(index++, answers.length - 1)];
+            if (answer instanceof Error) {
+                throw answer;
+            }
+            return answer;
+        };
+    }
+
+    afterEach(() => {
+        browser.close();
+    });
+
+    it('passes the request through to fetch', async () => {
+        const { client, fetchCalls, retries } = createClient({ routes: { 'GET /api/posts': { body: { posts: [] } } } });
+
+        const response = await client.request(POSTS_URL, { headers: { Authorization: 'Bearer token' } });
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(await response.json(), { posts: [] });
+        assert.equal(fetchCalls[0].headers.Authorization, 'Bearer token');
+        assert.equal(retries.length, 0);
+    });
+
+    it('retries network errors and busy servers on GET', async () => {
+        const { client, fetchCalls, retries, ends } = createClient({
+            routes: {
+                'GET /api/posts': sequence(new TypeError('Failed to fetch'), { status: 503, body: {} }, { body: { posts: [] } })
+            }
+        });
+
+        const response = await client.request(POSTS_URL);
+
+        assert.equal(response.status, 200);
+        assert.equal(fetchCalls.length, 3);
+        assert.deepEqual(retries.map(({ attempt, maxRetries, reason }) => ({ attempt, maxRetries, reason })), [
+            { attempt: 1, maxRetries: 3, reason: 'Failed to fetch' },
+            { attempt: 2, maxRetries: 3, reason: 'HTTP 503' }
+        ]);
+        assert.deepEqual(plain(ends), [{ method: 'GET', url: POSTS_URL, attempts: 3, succeeded: true }]);
+    });
+
+    it('gives up after maxRetries with the last response', async () => {
+        const { client, fetchCalls, ends } = createClient({
+            maxRetries: 2,
+            routes: { 'GET /api/posts': { status: 502, body: {} } }
+        });
+
+        const response = await client.request(POSTS_URL);
+
+        assert.equal(response.status, 502);
+        assert.equal(fetchCalls.length, 3);
+        assert.equal(ends[0].succeeded, false);
+    });
+
+    it('rethrows the last network error', async () => {
+        const { client, fetchCalls } = createClient({
+            maxRetries: 1,
+            routes: { 'GET /api/posts': sequence(new TypeError('Failed to fetch')) }
+        });
+
+        await assert.rejects(client.request(POSTS_URL), { name: 'TypeError', message: 'Failed to fetch' });
+        assert.equal(fetchCalls.length, 2);
+    });
+
+    it('never retries POST', async () => {
+        const { client, fetchCalls } = createClient({ routes: { 'POST /api/posts': { status: 503, body: {} } } });
+
+        const response = await client.request(POSTS_URL, { method: 'POST', body: '{}' });
+
+        assert.equal(response.status, 503);
+        assert.equal(fetchCalls.length, 1);
+    });
+
+    it('does not retry client errors or 500s', async () => {
+        const { client, fetchCalls } = createClient({
+            routes: { 'PUT /api/posts': { status: 412, body: {} }, 'GET /api/posts': { status: 500, body: {} } }
+        });
+
+        await client.request(POSTS_URL, { method: 'PUT', body: '{}' });
+        await client.request(POSTS_URL);
+
+        assert.equal(fetchCalls.length, 2);
+    });
+
+    it('can be told not to retry', async () => {
+        const { client, fetchCalls } = createClient({ routes: { 'GET /api/posts': { status: 503, body: {} } } });
+
+        await client.request(POSTS_URL, { retries: 0 });
+
+        assert.equal(fetchCalls.length, 1);
+    });
+
+    it('waits as long as Retry-After asks', async () => {
+        const { client, retries } = createClient({
+            routes: {
+                'GET /api/posts': sequence({ status: 429, body: {}, headers: { 'Retry-After': '0' } }, { body: {} })
+            }
+        });
+
+        await client.request(POSTS_URL);
+
+        assert.equal(retries[0].delay, 0);
+        assert.equal(client.parseRetryAfter('120'), 120000);
+        assert.equal(client.parseRetryAfter(new Date(Date.now() - 1000).toUTCString()), 0);
+        assert.equal(client.parseRetryAfter('soon'), null);
+    });
+
+    it('does not retry when Retry-After is longer than maxRetryDelay', async () => {
+        const { client, fetchCalls } = createClient({
+            maxRetryDelay: 5000,
+            routes: { 'GET /api/posts': { status: 503, body: {}, headers: { 'Retry-After': '60' } } }
+        });
+
+        const response = await client.request(POSTS_URL);
+
+        assert.equal(response.status, 503);
+        assert.equal(fetchCalls.length, 1);
+    });
+
+    it('backs off exponentially with jitter, up to maxRetryDelay', () => {
+        const { client } = createClient({ retryDelay: 1000, maxRetryDelay: 5000 });
+
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const ceiling = Math.min(5000, 1000 * 2 ** attempt);
+            const delay = client.getRetryDelay(attempt, null);
+            assert.ok(delay >= ceiling / 2 && delay <= ceiling, `attempt ${attempt}: ${delay}ms`);
+        }
+    });
+
+    it('times out slow attempts and retries them', async () => {
+        const { client, fetchCalls, retries } = createClient({
+            timeout: 20,
+            routes: {
+                'GET /api/posts': sequence(new Promise(() => {}), { body: { posts: [] } })
+            }
+        });
+
+        const response = await client.request(POSTS_URL);
+
+        assert.equal(response.status, 200);
+        assert.equal(fetchCalls.length, 2);
+        assert.equal(retries[0].reason, 'The server took too long to respond.');
+    });
+
+    it('stops when the caller aborts, even while waiting to retry', async () => {
+        const { client, fetchCalls } = createClient({
+            retryDelay: 10000,
+            routes: { 'GET /api/posts': { status: 503, body: {} } }
+        });
+        const controller = new browser.window.AbortController();
+
+        const request = client.request(POSTS_URL, { signal: controller.signal });
+        setTimeout(() => controller.abort(), 10);
+
+        await assert.rejects(request, error => client.isAbortError(error));
+        assert.equal(fetchCalls.length, 1);
+    });
+});
@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Markdown = require('../../public/js/markdown');
+
+describe('Markdown', () => {
+    describe('links', () => {
+        it('keeps parentheses that belong to the URL', () => {
+            assert.equal(
+                Markdown.render('[Foo](https://en.wikipedia.org/wiki/Foo_(bar)).'),
+                '<p><a href="https://en.wikipedia.org/wiki/Foo_(bar)" rel="noopener noreferrer">Foo</a>.</p>'
+            );
+        });
+    });
+
+    describe('bare URLs', () => {
+        it('links the URL and leaves trailing punctuation out', () => {
+            assert.equal(
+                Markdown.render('Go to https://example.com/page.'),
+                '<p>Go to <a href="https://example.com/page" rel="noopener noreferrer">https://example.com/page</a>.</p>'
+            );
+        });
+
+        it('escapes a closing quote after the URL once', () => {
+            assert.equal(
+                Markdown.render('see "https://example.com" today'),
+                '<p>see &quot;<a href="https://example.com" rel="noopener noreferrer">https://example.com</a>&quot; today</p>'
+            );
+        });
+    });
+
+    describe('hostile input', () => {
+        it('leaves quotes and lists nested too deep as text', () => {
+            const quotes = Markdown.render(`${'> '.repeat(6000)}x`);
+            assert.equal(quotes.match(/<blockquote>/g).length, 16);
+            assert.ok(quotes.includes('<p>&gt; &gt; '));
+
+            const lists = Markdown.render(`${'- '.repeat(6000)}x`);
+            assert.equal(lists.match(/<ul>/g).length, 16);
+        });
+
+        // Each took seconds, and posts are rendered on the server's event loop
+        for (const [name, text] of [
+            ['unclosed images', '![a]('.repeat(10000)],
+            ['unclosed links', '[a]('.repeat(12500)],
+            ['open brackets', '['.repeat(50000)],
+            ['punctuation after a URL', `https://example.com${'.'.repeat(50000)}x`],
+            ['unclosed emphasis', '*a '.repeat(16000)]
+        ]) {
+            it(`renders ${name} in linear time`, () => {
+                const start = Date.now();
+                Markdown.render(text);
+                assert.ok(Date.now() - start < 500, `took ${Date.now() - start} ms`);
+            });
+        }
+    });
+});
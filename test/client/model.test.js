@@ -0,0 +1,649 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser, makePost, makePage, plain, flush, deferred } = require('./helpers/dom');
+
+describe('BlogModel', () => {
+    let browser;
+
+    // A model inside a fresh page, with an observer recording every event
+    function createModel(options) {
+        browser = createBrowser(options);
+        const model = new browser.BlogModel();
+        const events = [];
+        model.addObserver(new Proxy({}, {
+            get: (target, event) => data => events.push({ event, data })
+        }));
+        return { model, events, fetchCalls: browser.fetchCalls };
+    }
+
+    const eventNames = events => events.map(({ event }) => event);
+
+    afterEach(() => {
+        browser.close();
+    });
+
+    describe('loadPosts', () => {
+        it('fetches the first page with the list query', async () => {
+            const page = makePage([makePost()], { total: 1 });
+            const { model, events, fetchCalls } = createModel({ routes: { 'GET /api/posts': { body: page } } });
+
+            const posts = await model.loadPosts({ sort: 'title', tag: 'js', author: '' });
+
+            assert.equal(fetchCalls.length, 1);
+            assert.equal(fetchCalls[0].query.toString(), 'limit=10&offset=0&sort=title&tag=js');
+            assert.deepEqual(posts, page.posts);
+            assert.deepEqual(model.pagination, page.pagination);
+            assert.deepEqual(eventNames(events), [
+                'onLoadingChange', 'onLoadingStart', 'onPostsLoaded', 'onLoadingChange', 'onLoadingEnd'
+            ]);
+            assert.equal(model.isLoading, false);
+        });
+
+        it('reports HTTP errors to observers', async () => {
+            const { model, events } = createModel({ routes: { 'GET /api/posts': { status: 500, body: {} } } });
+
+            await assert.rejects(model.loadPosts(), /HTTP error! status: 500/);
+
+            assert.deepEqual(events.find(({ event }) => event === 'onError').data, 'HTTP error! status: 500');
+            assert.equal(model.isLoading, false);
+        });
+
+        it('appends the next page without duplicates', async () => {
+            const { model, events } = createModel({
+                routes: {
+                    'GET /api/posts': ({ query }) => (query.get('offset') === '0'
+                        ? { body: makePage([makePost({ id: 3 }), makePost({ id: 2 })], { total: 3 }) }
+                        : { body: makePage([makePost({ id: 2 }), makePost({ id: 1 })], { total: 3, offset: 2 }) })
+                }
+            });
+
+            await model.loadPosts();
+            const added = await model.loadMorePosts();
+
+            assert.deepEqual(added.map(post => post.id), [1]);
+            assert.deepEqual(model.posts.map(post => post.id), [3, 2, 1]);
+            assert.equal(events.find(({ event }) => event === 'onMorePostsLoaded').data.posts.length, 1);
+        });
+
+        it('cancels a slower request for an older query', async () => {
+            const slow = deferred();
+            const { model, events } = createModel({
+                routes: {
+                    'GET /api/posts': ({ query }) => (query.get('tag') === 'old'
+                        ? slow.promise
+                        : { body: makePage([makePost({ id: 2, title: 'New query' })]) })
+                }
+            });
+
+            const older = model.loadPosts({ tag: 'old' });
+            const newer = model.loadPosts({ tag: 'new' });
+            await newer;
+            slow.resolve({ body: makePage([makePost({ id: 1, title: 'Old query' })]) });
+            await older;
+
+            assert.deepEqual(model.posts.map(post => post.title), ['New query']);
+            assert.equal(eventNames(events).filter(event => event === 'onPostsLoaded').length, 1);
+            assert.equal(eventNames(events).filter(event => event === 'onLoadingEnd').length, 1);
+            assert.ok(!eventNames(events).includes('onError'));
+        });
+
+        it('does not fetch more when there is nothing left', async () => {
+            const { model, fetchCalls } = createModel();
+
+            assert.deepEqual(plain(await model.loadMorePosts()), []);
+            assert.equal(fetchCalls.length, 0);
+        });
+    });
+
+    describe('loadPost', () => {
+        it('keeps the loaded post as the current one', async () => {
+            const post = makePost({ id: 7 });
+            const { model, events } = createModel({ routes: { 'GET /api/posts/7': { body: post } } });
+
+            await model.loadPost(7);
+
+            assert.deepEqual(model.currentPost, post);
+            assert.ok(eventNames(events).includes('onPostLoaded'));
+        });
+
+        it('turns a 404 into "Post not found"', async () => {
+            const { model } = createModel();
+
+            await assert.rejects(model.loadPost(7), { message: 'Post not found' });
+            assert.equal(model.currentPost, null);
+        });
+    });
+
+    describe('createPost', () => {
+        it('sends the post with the auth token', async () => {
+            const created = makePost({ id: 9, title: 'New post' });
+            const { model, events, fetchCalls } = createModel({
+                token: 'secret-token',
+                routes: { 'POST /api/posts': { status: 201, body: created } }
+            });
+
+            await model.createPost({ title: 'New post', content: 'Long enough content', tags: ['js'] });
+
+            assert.equal(fetchCalls[0].headers.Authorization, 'Bearer secret-token');
+            assert.deepEqual(fetchCalls[0].body, { title: 'New post', content: 'Long enough content', tags: ['js'] });
+            assert.equal(model.posts[0].id, 9);
+            assert.deepEqual(events.find(({ event }) => event === 'onPostCreated').data, created);
+        });
+
+        it('validates before sending anything', async () => {
+            const { model, fetchCalls } = createModel();
+
+            await assert.rejects(model.createPost({ title: 'Hi', content: 'Long enough content' }), (error) => {
+                assert.deepEqual(plain(error.fieldErrors), [{ field: 'title', message: 'Title must be at least 3 characters long' }]);
+                return true;
+            });
+            assert.equal(fetchCalls.length, 0);
+        });
+
+        it("turns the server's 422 into field errors", async () => {
+            const errors = [{ field: 'tags', message: 'Use at most 10 tags' }];
+            const { model } = createModel({
+                routes: { 'POST /api/posts': { status: 422, body: { error: 'Use at most 10 tags', errors } } }
+            });
+
+            await assert.rejects(model.createPost({ title: 'New post', content: 'Long enough content' }), (error) => {
+                assert.equal(error.message, 'Use at most 10 tags');
+                assert.deepEqual(error.fieldErrors, errors);
+                return true;
+            });
+        });
+
+        it('ends the session on 401', async () => {
+            const { model, events } = createModel({
+                token: 'expired-token',
+                routes: { 'POST /api/posts': { status: 401, body: { error: 'Authentication required' } } }
+            });
+
+            await assert.rejects(model.createPost({ title: 'New post', content: 'Long enough content' }), {
+                message: 'Please log in to continue.'
+            });
+            assert.equal(model.authToken, null);
+            assert.equal(browser.window.localStorage.getItem('blogMVC_authToken'), null);
+            assert.ok(eventNames(events).includes('onAuthChanged'));
+        });
+
+        it("passes on the server's reason for a body too large or too many writes", async () => {
+            const { model, events } = createModel({
+                routes: {
+                    'POST /api/posts': {
+                        status: 429,
+                        body: { error: 'Too many requests. Try again in 42 seconds.', retryAfter: 42 },
+                        headers: { 'Retry-After': '42' }
+                    }
+                }
+            });
+
+            await assert.rejects(model.createPost({ title: 'New post', content: 'Long enough content' }), {
+                message: 'Too many requests. Try again in 42 seconds.'
+            });
+            assert.ok(events.some(({ event, data }) => event === 'onError' && data === 'Too many requests. Try again in 42 seconds.'));
+
+            browser.routes['POST /api/posts'] = { status: 413, body: { error: 'Request body is larger than the 256 KB limit' } };
+            await assert.rejects(model.createPost({ title: 'New post', content: 'Long enough content' }), {
+                message: 'Request body is larger than the 256 KB limit'
+            });
+        });
+    });
+
+    describe('updatePost', () => {
+        it('sends the changes with If-Match and applies the result', async () => {
+            const updated = makePost({ id: 4, title: 'Edited', version: 3 });
+            const { model, fetchCalls } = createModel({ routes: { 'PUT /api/posts/4': { body: updated } } });
+            model.posts = [makePost({ id: 4, version: 2 })];
+
+            await model.updatePost(4, { id: 4, version: 2, title: 'Edited', content: 'Long enough content' });
+
+            assert.equal(fetchCalls[0].headers['If-Match'], '"2"');
+            assert.deepEqual(fetchCalls[0].body, { title: 'Edited', content: 'Long enough content' });
+            assert.equal(model.posts[0].title, 'Edited');
+            assert.equal(model.posts[0].version, 3);
+        });
+
+        it('uses the version of the post in the list by default', async () => {
+            const { model, fetchCalls } = createModel({ routes: { 'PUT /api/posts/4': { body: makePost({ id: 4 }) } } });
+            model.posts = [makePost({ id: 4, version: 5 })];
+
+            await model.updatePost(4, { title: 'Edited', content: 'Long enough content' });
+
+            assert.equal(fetchCalls[0].headers['If-Match'], '"5"');
+        });
+
+        it('reports a conflict with the saved post on 412', async () => {
+            const current = makePost({ id: 4, title: 'Saved elsewhere', version: 3 });
+            const { model, events } = createModel({ routes: { 'PUT /api/posts/4': { status: 412, body: { error: 'Conflict', current } } } });
+            model.posts = [makePost({ id: 4, version: 2 })];
+
+            await assert.rejects(model.updatePost(4, { title: 'Mine', content: 'Long enough content' }), { isConflict: true });
+
+            const conflict = events.find(({ event }) => event === 'onPostConflict').data;
+            assert.deepEqual(plain(conflict.mine), { id: 4, title: 'Mine', content: 'Long enough content' });
+            assert.deepEqual(conflict.current, current);
+            assert.equal(model.posts[0].title, 'Saved elsewhere');
+        });
+
+        it('takes a 412 holding its own edit as saved, when the first answer was lost', async () => {
+            const current = makePost({ id: 4, title: 'Edited', content: 'Long enough content', tags: ['js', 'css'], version: 3 });
+            let calls = 0;
+            const { model, events } = createModel({
+                routes: {
+                    // Saved, but the answer comes too late; the retry finds version 3
+                    'PUT /api/posts/4': () => (++calls === 1 ? new Promise(() => {}) : { status: 412, body: { error: 'Conflict', current } })
+                }
+            });
+            model.http.timeout = 20;
+            model.http.retryDelay = 1;
+            model.posts = [makePost({ id: 4, version: 2 })];
+
+            const saved = await model.updatePost(4, { title: 'Edited', content: 'Long enough content', tags: ['CSS', 'js'] });
+
+            assert.equal(calls, 2);
+            assert.equal(saved.version, 3);
+            assert.equal(model.posts[0].version, 3);
+            assert.ok(!events.some(({ event }) => event === 'onPostConflict' || event === 'onError'));
+        });
+
+        it('passes on the reason for a 403', async () => {
+            const { model } = createModel({
+                routes: { 'PUT /api/posts/4': { status: 403, body: { error: 'You do not have permission to edit this post' } } }
+            });
+
+            await assert.rejects(model.updatePost(4, { title: 'Mine', content: 'Long enough content' }), {
+                message: 'You do not have permission to edit this post'
+            });
+        });
+    });
+
+    describe('deletePost', () => {
+        it('removes the post locally and keeps pagination aligned', async () => {
+            const { model, events } = createModel({
+                routes: { 'DELETE /api/posts/2': { body: { message: 'Post moved to the trash', id: 2 } } }
+            });
+            model.posts = [makePost({ id: 2 }), makePost({ id: 1 })];
+            model.pagination = { total: 5, limit: 2, offset: 0, nextOffset: 2, hasMore: true };
+
+            await model.deletePost(2);
+
+            assert.deepEqual(model.posts.map(post => post.id), [1]);
+            assert.equal(model.pagination.total, 4);
+            assert.equal(model.pagination.nextOffset, 1);
+            assert.equal(events.find(({ event }) => event === 'onPostDeleted').data, 2);
+        });
+
+        it('takes a 404 as deleted, when the first answer was lost', async () => {
+            let calls = 0;
+            const { model, events } = createModel({
+                routes: {
+                    'DELETE /api/posts/2': () => (++calls === 1 ? new Promise(() => {}) : { status: 404, body: { error: 'Post not found' } })
+                }
+            });
+            model.http.timeout = 20;
+            model.http.retryDelay = 1;
+            model.posts = [makePost({ id: 2 })];
+
+            assert.equal(await model.deletePost(2), true);
+
+            assert.equal(calls, 2);
+            assert.equal(model.posts.length, 0);
+            assert.ok(!events.some(({ event }) => event === 'onError'));
+        });
+
+        it('keeps the post when the server refuses', async () => {
+            const { model } = createModel({ routes: { 'DELETE /api/posts/2': { status: 500, body: {} } } });
+            model.posts = [makePost({ id: 2 })];
+
+            await assert.rejects(model.deletePost(2));
+            assert.equal(model.posts.length, 1);
+        });
+
+        it('restores a post from the trash', async () => {
+            const restored = makePost({ id: 2 });
+            const { model, events, fetchCalls } = createModel({ routes: { 'POST /api/trash/2/restore': { body: restored } } });
+
+            await model.restorePost(2);
+
+            assert.equal(fetchCalls[0].method, 'POST');
+            assert.deepEqual(events.find(({ event }) => event === 'onPostRestored').data, restored);
+        });
+    });
+
+    describe('offline changes', () => {
+        const setOnline = (online) => {
+            Object.defineProperty(browser.window.navigator, 'onLine', { configurable: true, get: () => online });
+        };
+
+        it('queues writes while offline and replays them in order', async () => {
+            const { model, events, fetchCalls } = createModel({
+                token: 'secret-token',
+                routes: {
+                    'POST /api/posts': { status: 201, body: makePost({ id: 9 }) },
+                    'PUT /api/posts/4': ({ headers }) => ({ body: makePost({ id: 4, version: Number(headers['If-Match'].slice(1, -1)) + 1 }) }),
+                    'DELETE /api/posts/4': { body: { message: 'Post moved to the trash', id: 4 } }
+                }
+            });
+            model.posts = [makePost({ id: 4, title: 'Before', version: 2 })];
+            setOnline(false);
+
+            assert.equal(await model.createPost({ title: 'On the train', content: 'Long enough content' }), null);
+            assert.equal(await model.updatePost(4, { title: 'First edit', content: 'Long enough content' }), null);
+            await model.updatePost(4, { title: 'Second edit', content: 'Long enough content' });
+            assert.equal(model.posts[0].title, 'Second edit');
+            assert.equal(model.posts[0].pendingSync, true);
+            await model.deletePost(4);
+
+            assert.equal(fetchCalls.length, 0);
+            assert.deepEqual(plain(model.pendingChanges.map(change => change.type)), ['create', 'update', 'update', 'delete']);
+            assert.equal(events.filter(({ event }) => event === 'onChangeQueued').length, 4);
+            assert.equal(model.posts.length, 0);
+
+            setOnline(true);
+            const result = await model.syncOutbox();
+
+            assert.deepEqual(plain(result), { sent: 4, conflicts: 0, failures: [], remaining: 0, needsLogin: false });
+            assert.deepEqual(fetchCalls.map(call => [call.method, call.headers['If-Match']]), [
+                ['POST', undefined],
+                ['PUT', '"2"'],
+                // Based on the version the first replayed edit created
+                ['PUT', '"3"'],
+                ['DELETE', '"4"']
+            ]);
+            assert.equal(fetchCalls[0].headers.Authorization, 'Bearer secret-token');
+            assert.equal((await model.outbox.getAll()).length, 0);
+            assert.deepEqual(plain(events.at(-1)), { event: 'onOutboxChanged', data: [] });
+        });
+
+        it('queues a post whose request got no answer', async () => {
+            const { model, fetchCalls } = createModel({
+                routes: {
+                    'POST /api/posts': () => {
+                        throw new TypeError('Failed to fetch');
+                    }
+                }
+            });
+
+            assert.equal(await model.createPost({ title: 'On the train', content: 'Long enough content' }), null);
+
+            assert.equal(fetchCalls.length, 1);
+            assert.deepEqual(plain(model.pendingChanges.map(change => change.title)), ['On the train']);
+        });
+
+        it('hands a stale edit to the conflict dialog and reports refused changes', async () => {
+            const current = makePost({ id: 4, title: 'Saved elsewhere', version: 3 });
+            const { model, events } = createModel({
+                routes: {
+                    'PUT /api/posts/4': { status: 412, body: { error: 'Conflict', current } },
+                    'PUT /api/posts/5': { status: 404, body: { error: 'Post not found' } },
+                    'DELETE /api/posts/6': { body: { message: 'Post moved to the trash', id: 6 } }
+                }
+            });
+            await model.queueChange({ type: 'update', postId: 4, version: 2, data: { title: 'Mine', content: 'Long enough content' } });
+            await model.queueChange({ type: 'update', postId: 5, version: 1, data: { title: 'Gone', content: 'Long enough content' }, title: 'Gone' });
+            await model.queueChange({ type: 'delete', postId: 6, version: 1 });
+
+            const result = await model.syncOutbox();
+
+            assert.equal(result.sent, 1);
+            assert.equal(result.conflicts, 1);
+            assert.deepEqual(plain(result.failures.map(({ change, message }) => [change.postId, message])), [[5, 'Post not found']]);
+            const conflict = events.find(({ event }) => event === 'onPostConflict').data;
+            assert.deepEqual(plain(conflict.mine), { id: 4, title: 'Mine', content: 'Long enough content' });
+            assert.deepEqual(conflict.current, current);
+            assert.equal(model.pendingChanges.length, 0);
+        });
+
+        it('counts a replayed edit the server already has as sent', async () => {
+            const current = makePost({ id: 4, title: 'Mine', content: 'Long enough content', version: 3 });
+            const { model, events } = createModel({
+                routes: { 'PUT /api/posts/4': { status: 412, body: { error: 'Conflict', current } } }
+            });
+            await model.queueChange({ type: 'update', postId: 4, version: 2, data: { title: 'Mine', content: 'Long enough content' } });
+
+            const result = await model.syncOutbox();
+
+            assert.equal(result.sent, 1);
+            assert.equal(result.conflicts, 0);
+            assert.ok(!events.some(({ event }) => event === 'onPostConflict'));
+        });
+
+        it('keeps the changes when the network drops or the login expired', async () => {
+            let answer = () => {
+                throw new TypeError('Failed to fetch');
+            };
+            const { model, fetchCalls } = createModel({ routes: { 'POST /api/posts': call => answer(call) } });
+            await model.queueChange({ type: 'create', data: { title: 'First', content: 'Long enough content' } });
+            await model.queueChange({ type: 'create', data: { title: 'Second', content: 'Long enough content' } });
+
+            const offline = await model.syncOutbox();
+            assert.equal(offline.remaining, 2);
+            assert.equal(fetchCalls.length, 1);
+
+            answer = () => ({ status: 401, body: { error: 'Authentication required' } });
+            const loggedOut = await model.syncOutbox();
+            assert.equal(loggedOut.needsLogin, true);
+            assert.equal(loggedOut.remaining, 2);
+        });
+
+        it('keeps the rest for later once the server limits the writes', async () => {
+            let sent = 0;
+            const { model } = createModel({
+                routes: {
+                    'POST /api/posts': call => (++sent === 1
+                        ? { status: 201, body: makePost({ id: 5, title: call.body.title }) }
+                        : { status: 429, body: { error: 'Too many requests. Try again in 30 seconds.', retryAfter: 30 } })
+                }
+            });
+            await model.queueChange({ type: 'create', data: { title: 'First', content: 'Long enough content' } });
+            await model.queueChange({ type: 'create', data: { title: 'Second', content: 'Long enough content' } });
+
+            const result = await model.syncOutbox();
+
+            assert.equal(result.sent, 1);
+            assert.deepEqual(plain(result.failures), []);
+            assert.equal(result.remaining, 1);
+        });
+    });
+
+    describe('live updates', () => {
+        it('puts a post published elsewhere on top of the list', async () => {
+            const { model, events, fetchCalls } = createModel({
+                token: 'secret-token',
+                routes: { 'GET /api/posts/7': { body: makePost({ id: 7, tags: ['js'] }) } }
+            });
+            model.posts = [makePost({ id: 1 })];
+            model.pagination = { total: 11, limit: 10, offset: 0, nextOffset: 10, hasMore: true };
+            model.setListQuery({ tag: 'js' });
+
+            await model.applyPostEvent('post-created', { id: 7 });
+
+            assert.equal(fetchCalls[0].headers.Authorization, 'Bearer secret-token');
+            assert.deepEqual(model.posts.map(post => post.id), [7, 1]);
+            assert.equal(model.pagination.total, 12);
+            assert.equal(model.pagination.nextOffset, 11);
+            assert.equal(events.find(({ event }) => event === 'onPostAdded').data.id, 7);
+        });
+
+        it('leaves new posts to the next reload when they may not go first', async () => {
+            const { model, events } = createModel({ routes: { 'GET /api/posts/7': { body: makePost({ id: 7 }) } } });
+
+            for (const query of [{ tag: 'js' }, { author: 'alice' }, { sort: 'title' }, { order: 'asc' }, { from: '2026-01-01' }]) {
+                model.setListQuery(query);
+                await model.applyPostEvent('post-created', { id: 7 });
+            }
+
+            assert.equal(model.posts.length, 0);
+            assert.equal(eventNames(events).includes('onPostAdded'), false);
+        });
+
+        it('applies newer versions and skips the ones it has', async () => {
+            const { model, fetchCalls } = createModel({
+                routes: { 'GET /api/posts/4': { body: makePost({ id: 4, title: 'Edited elsewhere', version: 3 }) } }
+            });
+            model.posts = [makePost({ id: 4, version: 2 })];
+
+            await model.applyPostEvent('post-updated', { id: 4, version: 2 });
+            assert.equal(fetchCalls.length, 0);
+
+            await model.applyPostEvent('post-updated', { id: 4, version: 3 });
+            assert.equal(model.posts[0].title, 'Edited elsewhere');
+        });
+
+        it('drops posts that were deleted or hidden', async () => {
+            const { model, events } = createModel({ routes: { 'GET /api/posts/5': { status: 404, body: { error: 'Post not found' } } } });
+            model.posts = [makePost({ id: 4 }), makePost({ id: 5 })];
+
+            await model.applyPostEvent('post-deleted', { id: 4 });
+            await model.applyPostEvent('post-updated', { id: 5, version: 2 });
+
+            assert.equal(model.posts.length, 0);
+            assert.deepEqual(events.filter(({ event }) => event === 'onPostDeleted').map(({ data }) => data), [4, 5]);
+        });
+
+        it('follows the event stream', async () => {
+            const { model } = createModel();
+            const sources = [];
+            browser.window.EventSource = class {
+                constructor(url) {
+                    this.url = url;
+                    this.listeners = {};
+                    sources.push(this);
+                }
+
+                addEventListener(type, listener) {
+                    this.listeners[type] = listener;
+                }
+            };
+            model.posts = [makePost({ id: 4 })];
+
+            model.subscribeToPostEvents();
+            model.subscribeToPostEvents();
+            sources[0].listeners['post-deleted']({ data: JSON.stringify({ id: 4 }) });
+
+            assert.equal(sources.length, 1);
+            assert.equal(sources[0].url, 'http://localhost:3001/api/events');
+            assert.equal(model.posts.length, 0);
+        });
+    });
+
+    describe('authentication', () => {
+        it('stores the session after logging in', async () => {
+            const user = { id: 2, username: 'bobby', role: 'author' };
+            const { model, fetchCalls } = createModel({
+                routes: { 'POST /api/auth/login': { body: { token: 'new-token', user } } }
+            });
+
+            assert.deepEqual(await model.login('bobby', 'password123'), user);
+
+            assert.deepEqual(fetchCalls[0].body, { username: 'bobby', password: 'password123' });
+            assert.equal(browser.window.localStorage.getItem('blogMVC_authToken'), 'new-token');
+            assert.equal(model.isAuthenticated(), true);
+            assert.deepEqual(plain(model.getAuthHeaders()), { Authorization: 'Bearer new-token' });
+        });
+
+        it("passes on the server's reason for a failed login", async () => {
+            const { model } = createModel({
+                routes: { 'POST /api/auth/login': { status: 401, body: { error: 'Invalid username or password' } } }
+            });
+
+            await assert.rejects(model.login('bobby', 'wrong'), { message: 'Invalid username or password' });
+            assert.equal(model.isAuthenticated(), false);
+        });
+
+        it('restores the user behind a saved token', async () => {
+            const user = { id: 2, username: 'bobby', role: 'author' };
+            const { model } = createModel({ token: 'saved-token', routes: { 'GET /api/auth/me': { body: { user } } } });
+
+            assert.deepEqual(await model.loadCurrentUser(), user);
+            assert.equal(model.currentUser.username, 'bobby');
+        });
+
+        it('forgets a saved token the server no longer accepts', async () => {
+            const { model } = createModel({ token: 'stale-token', routes: { 'GET /api/auth/me': { status: 401, body: {} } } });
+
+            assert.equal(await model.loadCurrentUser(), null);
+            assert.equal(browser.window.localStorage.getItem('blogMVC_authToken'), null);
+        });
+
+        it('clears the session on logout even if the server is unreachable', async () => {
+            const { model } = createModel({
+                token: 'saved-token',
+                routes: {
+                    'POST /api/auth/logout': () => {
+                        throw new TypeError('Failed to fetch');
+                    }
+                }
+            });
+
+            await model.logout();
+
+            assert.equal(model.authToken, null);
+            assert.equal(browser.window.localStorage.getItem('blogMVC_authToken'), null);
+        });
+
+        it("drops the service worker's cached post list, drafts and all, with the session", async () => {
+            const { model } = createModel({ token: 'saved-token', routes: { 'POST /api/auth/logout': { body: {} } } });
+            const cacheNames = ['blogMVC-shell-v3', 'blogMVC-posts-v3'];
+            browser.window.caches = {
+                keys: async () => [...cacheNames],
+                delete: async (name) => {
+                    cacheNames.splice(cacheNames.indexOf(name), 1);
+                    return true;
+                }
+            };
+
+            await model.logout();
+            await flush();
+
+            assert.deepEqual(cacheNames, ['blogMVC-shell-v3']);
+        });
+    });
+
+    it('retries failed reads and reports the progress', async () => {
+        let calls = 0;
+        const { model, events } = createModel({
+            routes: {
+                'GET /api/posts/7': () => (++calls === 1 ? { status: 503, body: {} } : { body: makePost({ id: 7 }) })
+            }
+        });
+        model.http.retryDelay = 1;
+
+        await model.loadPost(7);
+
+        const retry = events.find(({ event }) => event === 'onRequestRetry').data;
+        assert.equal(retry.attempt, 1);
+        assert.equal(retry.reason, 'HTTP 503');
+        assert.equal(events.find(({ event }) => event === 'onRequestRetryEnd').data.succeeded, true);
+        assert.equal(model.currentPost.id, 7);
+    });
+
+    describe('API root', () => {
+        it('uses /api on the page origin by default', () => {
+            const { model } = createModel();
+
+            assert.equal(model.apiRoot, 'http://localhost:3001/api');
+            assert.equal(model.apiBaseUrl, 'http://localhost:3001/api/posts');
+        });
+
+        it('follows the api-root meta tag', () => {
+            browser = createBrowser();
+            browser.document.querySelector('meta[name="api-root"]').content = 'https://api.example.com/blog/';
+
+            const model = new browser.BlogModel();
+
+            assert.equal(model.apiRoot, 'https://api.example.com/blog');
+            assert.equal(model.apiBaseUrl, 'https://api.example.com/blog/posts');
+        });
+    });
+
+    it('finds posts in the list, the open post or the drafts', () => {
+        const { model } = createModel();
+        model.posts = [makePost({ id: 1 })];
+        model.currentPost = makePost({ id: 2 });
+        model.drafts = [makePost({ id: 3, status: 'draft' })];
+
+        assert.deepEqual([1, 2, 3, 4].map(id => Boolean(model.getPostById(id))), [true, true, true, false]);
+    });
+});
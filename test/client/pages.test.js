@@ -0,0 +1,118 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser, makePost, makePage, plain, flush } = require('./helpers/dom');
+const { loadTemplate, renderIndexPage, renderPostPage, renderPostNotFoundPage } = require('../../lib/pages');
+
+const BASE_URL = 'http://localhost:3001';
+const USER = { id: 2, username: 'bobby', role: 'author' };
+
+// Posts as the server renders them for a visitor
+const visible = overrides => makePost({ capabilities: { canEdit: false, canDelete: false }, ...overrides });
+
+describe('Server-rendered pages', () => {
+    let browser;
+    const template = loadTemplate();
+
+    // The blog on a page lib/pages.js rendered, with a mocked API
+    async function startApp({ html, url = `${BASE_URL}/`, user = null, routes = {} }) {
+        browser = createBrowser({
+            html,
+            url,
+            token: user ? 'saved-token' : undefined,
+            routes: {
+                'GET /api/posts': { body: makePage([visible({ id: 3, title: 'Fetched' })]) },
+                'GET /api/tags': { body: { tags: [] } },
+                ...(user && { 'GET /api/auth/me': { body: { user } } }),
+                ...routes
+            }
+        });
+
+        const model = new browser.BlogModel();
+        const view = new browser.BlogView();
+        const controller = new browser.BlogController(model, view);
+        const attachmentModel = new browser.AttachmentModel(model);
+        new browser.AttachmentController(attachmentModel, {
+            form: new browser.AttachmentView(),
+            edit: new browser.AttachmentView(),
+            post: new browser.AttachmentView({ editable: false })
+        }, view).initialize();
+
+        await controller.initialize();
+        await flush();
+
+        return { model, controller, document: browser.document, fetchCalls: browser.fetchCalls };
+    }
+
+    afterEach(async () => {
+        await flush();
+        browser.close();
+    });
+
+    const postLists = fetchCalls => fetchCalls.filter(call => call.path === '/api/posts');
+
+    function indexPage(posts, options) {
+        const { pagination } = makePage(posts, options);
+        return renderIndexPage(template, { baseUrl: BASE_URL, posts, pagination });
+    }
+
+    it('keeps the rendered list instead of loading it again', async () => {
+        const posts = [visible({ id: 2, title: 'Second', tags: ['news'] }), visible({ id: 1, title: 'First' })];
+        const { model, document, fetchCalls } = await startApp({ html: indexPage(posts, { total: 12 }) });
+
+        assert.deepEqual(postLists(fetchCalls), []);
+        assert.equal(document.getElementById('initial-state'), null);
+        assert.deepEqual(plain(model.posts.map(post => post.title)), ['Second', 'First']);
+        assert.deepEqual([...document.querySelectorAll('.post-title')].map(title => title.textContent.trim()), ['Second', 'First']);
+        assert.equal(document.querySelector('.post-link').getAttribute('href'), 'posts/2');
+        assert.ok(document.querySelector('.load-more-btn'));
+    });
+
+    it('shows dates in the visitor\'s time zone and wires up the cards', async () => {
+        const posts = [visible({ id: 2, tags: ['news'] })];
+        const { fetchCalls, document } = await startApp({ html: indexPage(posts) });
+        const time = document.querySelector('time.post-date');
+
+        assert.equal(time.textContent, new browser.BlogView().formatDate(posts[0].createdAt));
+
+        document.querySelector('[data-action="filter-tag"]').click();
+        await flush();
+
+        assert.equal(postLists(fetchCalls)[0].query.get('tag'), 'news');
+    });
+
+    it('reloads the list for a logged-in user', async () => {
+        const { document, fetchCalls } = await startApp({
+            html: indexPage([visible({ id: 2, title: 'Second' })]),
+            user: USER
+        });
+
+        assert.equal(postLists(fetchCalls).length, 1);
+        assert.equal(document.querySelector('.post-title').textContent.trim(), 'Fetched');
+    });
+
+    it('takes over a post page at its own address', async () => {
+        const post = visible({ id: 7, title: 'Seven', coverImage: null });
+        const { model, controller, document, fetchCalls } = await startApp({
+            html: renderPostPage(template, { baseUrl: BASE_URL, post }),
+            url: `${BASE_URL}/posts/7`,
+            routes: { 'GET /api/posts/7/attachments': { body: { attachments: [] } } }
+        });
+
+        assert.deepEqual(plain(controller.currentRoute), { name: 'post', id: 7 });
+        assert.equal(model.currentPost.title, 'Seven');
+        assert.equal(fetchCalls.some(call => call.path === '/api/posts/7'), false);
+        assert.ok(fetchCalls.some(call => call.path === '/api/posts/7/attachments'));
+        assert.equal(document.querySelector('.post-detail .back-link').getAttribute('href'), '../');
+        assert.equal(document.querySelector('link[rel="stylesheet"]').getAttribute('href'), '../css/style.css');
+    });
+
+    it('keeps the "Post not found" page', async () => {
+        const { fetchCalls, document } = await startApp({
+            html: renderPostNotFoundPage(template, { baseUrl: BASE_URL, id: 8 }),
+            url: `${BASE_URL}/posts/8`
+        });
+
+        assert.equal(fetchCalls.some(call => call.path.startsWith('/api/posts')), false);
+        assert.equal(document.querySelector('#posts-container h3').textContent, 'Post not found');
+    });
+});
@@ -0,0 +1,277 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser, makePost, plain } = require('./helpers/dom');
+
+describe('BlogView', () => {
+    let browser;
+    let document;
+    let view;
+    let events;
+
+    beforeEach(() => {
+        browser = createBrowser();
+        document = browser.document;
+        view = new browser.BlogView();
+        events = [];
+        view.addObserver(new Proxy({}, {
+            get: (target, event) => data => events.push({ event, data })
+        }));
+        view.initialize();
+    });
+
+    afterEach(() => {
+        browser.close();
+    });
+
+    const lastEvent = name => events.filter(({ event }) => event === name).pop();
+
+    function logIn() {
+        view.setCurrentUser({ id: 2, username: 'bobby', role: 'author' });
+    }
+
+    function submitPostForm({ title = '', content = '', tags = '', publishAt = '' }, status = 'published') {
+        document.getElementById('title').value = title;
+        document.getElementById('content').value = content;
+        document.getElementById('tags').value = tags;
+        document.getElementById('publish-at').value = publishAt;
+        const form = document.getElementById('post-form');
+        form.requestSubmit(form.querySelector(`button[value="${status}"]`));
+    }
+
+    describe('post list', () => {
+        it('renders a card per post with Markdown content', () => {
+            view.renderPosts([makePost({ id: 2, title: 'Second' }), makePost({ id: 1, title: 'First', tags: ['js'] })]);
+
+            const cards = document.querySelectorAll('.post-card');
+            assert.deepEqual([...cards].map(card => card.dataset.postId), ['2', '1']);
+            assert.equal(cards[0].querySelector('.post-title').textContent.trim(), 'Second');
+            assert.equal(cards[0].querySelector('.markdown-body strong').textContent, 'markdown');
+            assert.equal(cards[1].querySelector('.tag-chip').textContent, '#js');
+        });
+
+        it('escapes titles and authors', () => {
+            view.renderPosts([makePost({ title: '<img src=x onerror=alert(1)>', author: '<b>eve</b>' })]);
+
+            const card = document.querySelector('.post-card');
+            assert.equal(card.querySelector('img'), null);
+            assert.equal(card.querySelector('.post-title').textContent.trim(), '<img src=x onerror=alert(1)>');
+            assert.equal(card.querySelector('.post-author').textContent, 'by <b>eve</b>');
+        });
+
+        it('shows only the actions the server allows', () => {
+            view.renderPosts([
+                makePost({ id: 1, capabilities: { canEdit: true, canDelete: false } }),
+                makePost({ id: 2, capabilities: { canEdit: false, canDelete: false } })
+            ]);
+
+            const actions = id => [...document.querySelectorAll(`.post-card[data-post-id="${id}"] [data-action]`)]
+                .map(button => button.dataset.action)
+                .filter(action => action !== 'filter-tag');
+            assert.deepEqual(actions(1), ['edit']);
+            assert.deepEqual(actions(2), []);
+        });
+
+        it('shows the cover image from the API origin', () => {
+            view.setApiRoot('https://api.example.com/api');
+            view.renderPosts([
+                makePost({ id: 1, coverImage: { url: '/api/files/a.jpg', thumbnailUrl: '/api/files/b.webp' } }),
+                makePost({ id: 2 })
+            ]);
+
+            const cover = id => document.querySelector(`.post-card[data-post-id="${id}"] .post-cover`);
+            assert.equal(cover(1).getAttribute('src'), 'https://api.example.com/api/files/b.webp');
+            assert.equal(cover(2), null);
+        });
+
+        it('shows a message when there are no posts', () => {
+            view.renderPosts([]);
+
+            assert.equal(document.querySelector('.no-posts h3').textContent, 'No blog posts yet');
+        });
+
+        it('turns card buttons into edit, delete and tag events', () => {
+            view.renderPosts([makePost({ id: 5, tags: ['web-dev'] })]);
+
+            document.querySelector('[data-action="edit"]').click();
+            document.querySelector('[data-action="delete"]').click();
+            document.querySelector('[data-action="filter-tag"]').click();
+
+            assert.equal(lastEvent('onPostEdit').data, 5);
+            assert.equal(lastEvent('onPostDelete').data, 5);
+            assert.equal(lastEvent('onTagSelect').data, 'web-dev');
+        });
+
+        it('offers to load more while there are more posts', () => {
+            view.renderLoadMore({ total: 12, limit: 10, offset: 0, nextOffset: 10, hasMore: true });
+
+            const button = document.getElementById('load-more-btn');
+            assert.match(button.textContent, /\(10 of 12\)/);
+            button.click();
+            assert.ok(lastEvent('onLoadMore'));
+
+            view.renderLoadMore({ total: 12, limit: 10, offset: 10, nextOffset: null, hasMore: false });
+            assert.equal(document.getElementById('load-more-btn'), null);
+        });
+    });
+
+    describe('post form', () => {
+        it('asks visitors to log in before writing', () => {
+            assert.equal(document.getElementById('post-form'), null);
+            assert.ok(document.querySelector('#form-container .login-prompt'));
+
+            logIn();
+
+            assert.ok(document.getElementById('post-form'));
+        });
+
+        it('sends a new post with normalized tags and the chosen status', () => {
+            logIn();
+
+            submitPostForm({ title: '  My post ', content: 'Long enough content', tags: 'Web Dev, mvc, web dev' }, 'draft');
+
+            assert.deepEqual(plain(lastEvent('onPostCreate').data), {
+                title: 'My post',
+                content: 'Long enough content',
+                tags: ['web-dev', 'mvc'],
+                status: 'draft'
+            });
+        });
+
+        it('shows errors next to their fields instead of sending', () => {
+            logIn();
+
+            submitPostForm({ title: 'Hi', content: 'short', tags: 'not ok!' });
+
+            assert.equal(lastEvent('onPostCreate'), undefined);
+            assert.equal(document.getElementById('title-error').textContent, 'Title must be at least 3 characters long');
+            assert.equal(document.getElementById('content-error').textContent, 'Content must be at least 10 characters long');
+            assert.match(document.getElementById('tags-error').textContent, /Invalid tag "not-ok!"/);
+            assert.ok(document.getElementById('title').classList.contains('error'));
+        });
+
+        it('requires a publish time to schedule', () => {
+            logIn();
+
+            submitPostForm({ title: 'My post', content: 'Long enough content' }, 'scheduled');
+
+            assert.equal(document.getElementById('publish-at-error').textContent, 'Publish time is required');
+        });
+
+        it("puts the server's field errors on the form", () => {
+            logIn();
+
+            view.displayFormErrors([{ field: 'publishAt', message: 'Publish time must be in the future' }]);
+
+            assert.equal(document.getElementById('publish-at-error').textContent, 'Publish time must be in the future');
+            assert.ok(document.getElementById('publish-at').classList.contains('error'));
+
+            view.clearFormErrors();
+            assert.equal(document.getElementById('publish-at-error').textContent, '');
+        });
+
+        it('previews Markdown while typing', () => {
+            logIn();
+            const content = document.getElementById('content');
+
+            content.value = '# Heading';
+            content.dispatchEvent(new browser.window.Event('input'));
+
+            assert.equal(document.querySelector('#content-preview h1').textContent, 'Heading');
+        });
+    });
+
+    describe('edit modal', () => {
+        it('fills the form from the post', () => {
+            view.showEditModal(makePost({ id: 3, title: 'Old title', tags: ['js', 'mvc'] }));
+
+            assert.equal(document.getElementById('edit-modal').style.display, 'block');
+            assert.equal(document.getElementById('edit-title').value, 'Old title');
+            assert.equal(document.getElementById('edit-tags').value, 'js, mvc');
+            assert.equal(document.getElementById('edit-status').value, 'published');
+        });
+
+        it('sends the changes with the version the edit started from', () => {
+            view.showEditModal(makePost({ id: 3, version: 4 }));
+
+            document.getElementById('edit-title').value = 'New title';
+            document.getElementById('edit-post-form').requestSubmit();
+
+            const update = plain(lastEvent('onPostUpdate').data);
+            assert.equal(update.id, 3);
+            assert.equal(update.version, 4);
+            assert.equal(update.title, 'New title');
+            assert.equal(document.getElementById('edit-modal').style.display, 'none');
+        });
+
+        it('skips the update when nothing changed', () => {
+            view.showEditModal(makePost({ id: 3 }));
+
+            document.getElementById('edit-post-form').requestSubmit();
+
+            assert.equal(lastEvent('onPostUpdate'), undefined);
+            assert.match(document.querySelector('.warning-message').textContent, /No changes were made/);
+        });
+
+        it('shows validation errors in the modal', () => {
+            view.showEditModal(makePost({ id: 3 }));
+
+            document.getElementById('edit-title').value = 'Hi';
+            document.getElementById('edit-post-form').requestSubmit();
+
+            assert.equal(lastEvent('onPostUpdate'), undefined);
+            assert.equal(document.getElementById('edit-title-error').textContent, 'Title must be at least 3 characters long');
+        });
+    });
+
+    describe('notifications', () => {
+        it('shows escaped error messages', () => {
+            view.showError('Failed <script>');
+
+            assert.equal(document.querySelector('#error-container .error-text').textContent, 'Failed <script>');
+            assert.equal(document.getElementById('error-container').style.display, 'block');
+        });
+
+        it('closes error messages without inline handlers', () => {
+            view.showError('Failed');
+            const button = document.querySelector('#error-container .error-close');
+
+            assert.equal(button.getAttribute('onclick'), null);
+            button.click();
+            assert.equal(document.getElementById('error-container').style.display, 'none');
+
+            view.showSyncFailures([{ change: { type: 'create', title: 'Offline post' }, message: 'Title is taken' }]);
+            document.querySelector('#error-container .error-close').click();
+            assert.equal(document.getElementById('error-container').style.display, 'none');
+        });
+
+        it('runs the action of a success message once clicked', () => {
+            let undone = 0;
+            view.showSuccess('Post moved to the trash.', { actionLabel: 'Undo', onAction: () => undone++ });
+
+            document.querySelector('.success-message .notification-action').click();
+
+            assert.equal(undone, 1);
+            assert.equal(document.querySelector('.success-message'), null);
+        });
+    });
+
+    it('shows conflicts one after the other', () => {
+        const conflict = title => ({
+            mine: { id: 4, title: `My ${title}`, content: 'Long enough content' },
+            current: makePost({ id: 4, title, version: 3 })
+        });
+
+        view.showConflictModal(conflict('first'));
+        view.showConflictModal(conflict('second'));
+        assert.equal(document.querySelector('.conflict-version-title').textContent, 'first');
+
+        document.querySelector('[data-conflict-action="keep-theirs"]').click();
+
+        assert.equal(document.querySelector('.conflict-version-title').textContent, 'second');
+        assert.equal(document.getElementById('conflict-modal').style.display, 'block');
+    });
+
+    it('parses tag input the way the server stores tags', () => {
+        assert.deepEqual(plain(view.parseTagInput(' Web Dev , MVC,, mvc ')), ['web-dev', 'mvc']);
+    });
+});
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openDatabase, wrapDatabase } = require('../../lib/database');
+const { migrate } = require('../../lib/migrator');
+const { createServices } = require('../../lib/services');
+const { createApp } = require('../../lib/app');
+const { setLogLevel, getLogLevel } = require('../../lib/logger');
+
+// Run away from UTC, so a stored UTC timestamp read back as local time shows
+// up as a wrong date
+process.env.TZ = 'America/New_York';
+
+// Keep test output to the results; returns a function that restores the level
+function silenceLogs() {
+    const level = getLogLevel();
+    setLogLevel('silent');
+    return () => setLogLevel(level);
+}
+
+// The app on a random port, backed by a fresh in-memory database with all
+// migrations applied (so it starts with the welcome post, id 1), and a
+// temporary uploads directory
+async function startTestServer({
+    trashRetentionDays, maxUploadSize, maxImportSize, publicUrl, corsOrigins, maxJsonSize, rateLimit
+} = {}) {
+    const sqliteDb = await openDatabase(':memory:');
+    await migrate(sqliteDb);
+
+    const db = wrapDatabase(sqliteDb);
+    await db.run('PRAGMA foreign_keys = ON');
+
+    const uploadsPath = fs.mkdtempSync(path.join(os.tmpdir(), 'blog-uploads-'));
+    const services = createServices(sqliteDb, { trashRetentionDays, uploadsPath, maxUploadSize, maxImportSize });
+    const server = await new Promise((resolve) => {
+        const listening = createApp(services, { publicUrl, corsOrigins, maxJsonSize, rateLimit }).listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+    // Resolves with { status, headers, body }; body is parsed JSON when there
+    // is any. A FormData body is sent as multipart/form-data
+    async function request(method, path, { token, body, headers = {} } = {}) {
+        const options = { method, headers: { ...headers } };
+        if (token) {
+            options.headers.Authorization = `Bearer ${token}`;
+        }
+        if (body instanceof FormData) {
+            options.body = body;
+        } else if (body !== undefined) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = typeof body === 'string' ? body : JSON.stringify(body);
+        }
+
+        const response = await fetch(`${baseUrl}${path}`, options);
+        const text = await response.text();
+        const isJson = (response.headers.get('Content-Type') || '').includes('application/json');
+
+        return {
+            status: response.status,
+            headers: response.headers,
+            body: isJson && text ? JSON.parse(text) : text
+        };
+    }
+
+    // Registers a user and resolves with { user, token }; the first one is the admin
+    async function register(username, password = 'password123') {
+        const { body } = await request('POST', '/auth/register', { body: { username, password } });
+        return body;
+    }
+
+    async function createPost(token, fields = {}) {
+        const { status, body } = await request('POST', '/posts', {
+            token,
+            body: { title: 'A test post', content: 'Some content for the test post', ...fields }
+        });
+        if (status !== 201) {
+            throw new Error(`Creating a post failed with ${status}: ${JSON.stringify(body)}`);
+        }
+        return body;
+    }
+
+    async function close() {
+        // Open event streams would keep the server from closing
+        const closed = new Promise(resolve => server.close(resolve));
+        server.closeAllConnections();
+        await closed;
+        await new Promise(resolve => sqliteDb.close(resolve));
+        fs.rmSync(uploadsPath, { recursive: true, force: true });
+    }
+
+    return { db, services, baseUrl, uploadsPath, request, register, createPost, close };
+}
+
+module.exports = { startTestServer, silenceLogs };
@@ -0,0 +1,132 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, ConfigError } = require('../../lib/config');
+const { DB_PATH } = require('../../lib/database');
+const { UPLOADS_DIR } = require('../../lib/attachment-storage');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+describe('loadConfig', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blog-config-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function writeConfigFile(values) {
+        const file = path.join(dir, `config-${Math.random().toString(36).slice(2)}.json`);
+        fs.writeFileSync(file, typeof values === 'string' ? values : JSON.stringify(values));
+        return file;
+    }
+
+    it('has defaults for everything', () => {
+        // Pointing CONFIG_FILE at an empty object skips a local config.json
+        const config = loadConfig({ CONFIG_FILE: writeConfigFile({}) });
+
+        assert.equal(config.port, 3001);
+        assert.equal(config.databasePath, DB_PATH);
+        assert.equal(config.uploadsPath, UPLOADS_DIR);
+        assert.equal(config.maxUploadMb, 10);
+        assert.equal(config.maxImportMb, 50);
+        assert.equal(config.maxJsonKb, 256);
+        assert.deepEqual(config.corsOrigins, ['*']);
+        assert.equal(config.rateLimitWindowSeconds, 60);
+        assert.equal(config.rateLimitPerIp, 120);
+        assert.equal(config.rateLimitPerUser, 60);
+        assert.equal(config.trustProxy, 0);
+        assert.equal(config.publicUrl, null);
+        assert.equal(config.logLevel, 'info');
+        assert.equal(config.trashRetentionDays, 30);
+        assert.ok(Object.isFrozen(config));
+    });
+
+    it('reads the environment', () => {
+        const config = loadConfig({
+            CONFIG_FILE: writeConfigFile({}),
+            PORT: '8080',
+            DATABASE_PATH: 'data/test.db',
+            UPLOADS_PATH: 'data/uploads',
+            MAX_UPLOAD_MB: '25',
+            MAX_IMPORT_MB: '200',
+            MAX_JSON_KB: '512',
+            RATE_LIMIT_WINDOW_SECONDS: '300',
+            RATE_LIMIT_PER_IP: '1000',
+            RATE_LIMIT_PER_USER: '500',
+            TRUST_PROXY: '1',
+            CORS_ORIGINS: 'https://blog.example.com/, http://localhost:5173',
+            PUBLIC_URL: 'https://example.com/blog/',
+            LOG_LEVEL: 'DEBUG',
+            TRASH_RETENTION_DAYS: '7'
+        });
+
+        assert.equal(config.port, 8080);
+        assert.equal(config.databasePath, path.join(ROOT_DIR, 'data', 'test.db'));
+        assert.equal(config.uploadsPath, path.join(ROOT_DIR, 'data', 'uploads'));
+        assert.equal(config.maxUploadMb, 25);
+        assert.equal(config.maxImportMb, 200);
+        assert.equal(config.maxJsonKb, 512);
+        assert.equal(config.rateLimitWindowSeconds, 300);
+        assert.equal(config.rateLimitPerIp, 1000);
+        assert.equal(config.rateLimitPerUser, 500);
+        assert.equal(config.trustProxy, 1);
+        assert.deepEqual(config.corsOrigins, ['https://blog.example.com', 'http://localhost:5173']);
+        assert.equal(config.publicUrl, 'https://example.com/blog');
+        assert.equal(config.logLevel, 'debug');
+        assert.equal(config.trashRetentionDays, 7);
+    });
+
+    it('reads a config file, with the environment taking precedence', () => {
+        const file = writeConfigFile({ port: 4000, logLevel: 'warn', corsOrigins: ['https://blog.example.com'] });
+
+        const config = loadConfig({ CONFIG_FILE: file, LOG_LEVEL: 'error' });
+
+        assert.equal(config.configFile, file);
+        assert.equal(config.port, 4000);
+        assert.equal(config.logLevel, 'error');
+        assert.deepEqual(config.corsOrigins, ['https://blog.example.com']);
+    });
+
+    it('reports every invalid setting at once', () => {
+        assert.throws(() => loadConfig({
+            CONFIG_FILE: writeConfigFile({ colour: 'blue' }),
+            PORT: 'eighty',
+            CORS_ORIGINS: '*, https://blog.example.com',
+            LOG_LEVEL: 'loud',
+            TRASH_RETENTION_DAYS: '0'
+        }), (error) => {
+            assert.ok(error instanceof ConfigError);
+            assert.equal(error.problems.length, 5);
+            assert.match(error.problems[0], /unknown setting "colour"/);
+            assert.ok(error.problems.includes('PORT must be an integer from 0 to 65535'));
+            assert.ok(error.problems.includes('LOG_LEVEL must be one of: silent, error, warn, info, debug'));
+            assert.ok(error.problems.includes('TRASH_RETENTION_DAYS must be an integer of at least 1'));
+            return true;
+        });
+    });
+
+    it('rejects origins with a path', () => {
+        assert.throws(() => loadConfig({ CONFIG_FILE: writeConfigFile({}), CORS_ORIGINS: 'https://blog.example.com/app' }), {
+            problems: ['CORS_ORIGINS "https://blog.example.com/app" is not an origin like https://blog.example.com']
+        });
+    });
+
+    it('rejects a public URL that is not a web address', () => {
+        assert.throws(() => loadConfig({ CONFIG_FILE: writeConfigFile({}), PUBLIC_URL: 'blog.example.com' }), {
+            problems: ['PUBLIC_URL must be a URL like https://blog.example.com']
+        });
+        assert.throws(() => loadConfig({ CONFIG_FILE: writeConfigFile({ publicUrl: 'ftp://example.com' }) }), /publicUrl must be a URL/);
+    });
+
+    it('rejects a config file that is missing or not JSON', () => {
+        assert.throws(() => loadConfig({ CONFIG_FILE: path.join(dir, 'missing.json') }), /CONFIG_FILE: cannot read/);
+        assert.throws(() => loadConfig({ CONFIG_FILE: writeConfigFile('{ port: 1') }), /CONFIG_FILE: cannot read/);
+        assert.throws(() => loadConfig({ CONFIG_FILE: writeConfigFile([1]) }), /must contain a JSON object/);
+    });
+});